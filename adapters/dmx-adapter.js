@@ -0,0 +1,238 @@
+// [TITLE] Module: adapters/dmx-adapter.js
+// [TITLE] Purpose: dmx-adapter
+
+/**
+ * DMX output (Art-Net / sACN over UDP):
+ * - one 512-slot buffer per protocol + host + port + universe
+ * - fixtures write their footprint; every universe is resent at refreshHz
+ *   (receivers expect a steady stream and time out without one)
+ * - per-fixture senders take WiZ-style states so DMX rides the WiZ paths
+ */
+const crypto = require("crypto");
+const dgram = require("dgram");
+const {
+  DMX_UNIVERSE_SIZE,
+  DMX_REFRESH_HZ_DEFAULT,
+  DMX_REFRESH_HZ_MIN,
+  DMX_REFRESH_HZ_MAX,
+  normalizeDmxPatch,
+  getSacnMulticastAddress,
+  buildArtDmxPacket,
+  buildSacnPacket,
+  renderDmxChannels
+} = require("../core/dmx/dmx-protocol");
+
+function normalizeRefreshHz(value, fallback = DMX_REFRESH_HZ_DEFAULT) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(DMX_REFRESH_HZ_MIN, Math.min(DMX_REFRESH_HZ_MAX, n));
+}
+
+function getUniverseKey(patch) {
+  return `${patch.protocol}|${patch.host || "multicast"}|${patch.port}|${patch.universe}`;
+}
+
+module.exports = function createDmxOutput(options = {}) {
+  const createSocket = typeof options.createSocket === "function"
+    ? options.createSocket
+    : () => dgram.createSocket("udp4");
+  const sourceName = String(options.sourceName || "RaveLink");
+  // sACN receivers track sources by CID; keep one per process.
+  const cid = crypto.randomBytes(16);
+  const universes = new Map();
+  const stats = { framesSent: 0, sendErrors: 0, lastFrameAt: 0 };
+  let refreshHz = normalizeRefreshHz(options.refreshHz);
+  let socket = null;
+  let timer = null;
+
+  function getSocket() {
+    if (socket) return socket;
+    socket = createSocket();
+    socket.on("error", err => {
+      stats.sendErrors += 1;
+      console.error("[DMX SOCKET ERROR]", err.message);
+    });
+    socket.bind(() => {
+      // Art-Net nodes are often addressed by subnet broadcast.
+      try {
+        socket.setBroadcast(true);
+      } catch {}
+    });
+    if (typeof socket.unref === "function") socket.unref();
+    return socket;
+  }
+
+  function sendUniverse(universe) {
+    universe.sequence = (universe.sequence % 255) + 1;
+    const packet = universe.protocol === "sacn"
+      ? buildSacnPacket(universe.universe, universe.data, {
+        sequence: universe.sequence,
+        sourceName,
+        cid
+      })
+      : buildArtDmxPacket(universe.universe, universe.data, universe.sequence);
+    const host = universe.host || getSacnMulticastAddress(universe.universe);
+    try {
+      getSocket().send(packet, universe.port, host, err => {
+        if (err) stats.sendErrors += 1;
+      });
+      universe.framesSent += 1;
+      stats.framesSent += 1;
+      stats.lastFrameAt = Date.now();
+    } catch {
+      stats.sendErrors += 1;
+    }
+  }
+
+  function tick() {
+    for (const universe of universes.values()) {
+      sendUniverse(universe);
+    }
+  }
+
+  function syncTimer() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    if (!universes.size) return;
+    timer = setInterval(tick, Math.round(1000 / refreshHz));
+    if (typeof timer.unref === "function") timer.unref();
+  }
+
+  // Senders attach with their own token: the engine and standalone paths can
+  // both hold a sender for the same fixture, and a patch change opens the new
+  // sender before the old one closes.
+  function attachUniverse(patch, token, share) {
+    const key = getUniverseKey(patch);
+    let universe = universes.get(key);
+    if (!universe) {
+      universe = {
+        key,
+        protocol: patch.protocol,
+        host: patch.host,
+        port: patch.port,
+        universe: patch.universe,
+        data: Buffer.alloc(DMX_UNIVERSE_SIZE),
+        sequence: 0,
+        framesSent: 0,
+        senders: new Map()
+      };
+      universes.set(key, universe);
+      syncTimer();
+    }
+    universe.senders.set(token, share);
+    return universe;
+  }
+
+  function detachUniverse(universe, token) {
+    const share = universe.senders.get(token);
+    if (!share) return;
+    universe.senders.delete(token);
+    // Another open sender for the same footprint keeps writing it.
+    const shared = [...universe.senders.values()].some(other =>
+      other.fixtureId === share.fixtureId &&
+      other.offset === share.offset &&
+      other.length === share.length
+    );
+    if (!shared) universe.data.fill(0, share.offset, share.offset + share.length);
+    if (universe.senders.size) return;
+    // Last sender gone: send one blacked-out frame, then stop streaming it.
+    sendUniverse(universe);
+    universes.delete(universe.key);
+    syncTimer();
+  }
+
+  /**
+   * Sender for one DMX fixture: send(wizState) writes the fixture's footprint
+   * and the next refresh carries it. `.close()` zeroes the footprint unless
+   * another open sender still drives the same fixture there.
+   */
+  function createFixtureSender(fixture = {}) {
+    const { patch } = normalizeDmxPatch(fixture);
+    const fixtureId = String(fixture.id || `${getUniverseKey(patch)}@${patch.address}`);
+    const offset = patch.address - 1;
+    const token = Symbol(fixtureId);
+    const universe = attachUniverse(patch, token, { fixtureId, offset, length: patch.channels.length });
+    let previousColor = null;
+    let closed = false;
+
+    function write(values) {
+      values.forEach((value, index) => {
+        if (value === null) return;
+        universe.data[offset + index] = value;
+      });
+    }
+
+    const send = (state = {}) => {
+      if (closed) return;
+      const rendered = renderDmxChannels(patch.channels, state, {
+        previousColor,
+        strobeOpen: patch.strobeOpen
+      });
+      previousColor = rendered.color;
+      write(rendered.values);
+    };
+
+    send.patch = patch;
+    send.close = () => {
+      if (closed) return;
+      closed = true;
+      detachUniverse(universe, token);
+    };
+    // Park strobe at its open value and hold black until the first state.
+    send({ on: false });
+    return send;
+  }
+
+  return {
+    createFixtureSender,
+
+    setRefreshHz(next) {
+      const hz = normalizeRefreshHz(next, refreshHz);
+      if (hz === refreshHz) return;
+      refreshHz = hz;
+      syncTimer();
+    },
+
+    flush: tick,
+
+    getStatus() {
+      return {
+        refreshHz,
+        framesSent: stats.framesSent,
+        sendErrors: stats.sendErrors,
+        lastFrameAt: stats.lastFrameAt,
+        universes: [...universes.values()].map(universe => ({
+          protocol: universe.protocol,
+          host: universe.host || getSacnMulticastAddress(universe.universe),
+          port: universe.port,
+          universe: universe.universe,
+          fixtures: new Set([...universe.senders.values()].map(share => share.fixtureId)).size,
+          framesSent: universe.framesSent
+        }))
+      };
+    },
+
+    close() {
+      for (const universe of universes.values()) {
+        universe.data.fill(0);
+        sendUniverse(universe);
+      }
+      universes.clear();
+      syncTimer();
+      if (socket) {
+        const closing = socket;
+        socket = null;
+        // Let the blackout frames leave before the socket goes away.
+        setImmediate(() => {
+          try {
+            closing.close();
+          } catch {}
+        });
+      }
+    }
+  };
+};
+
+module.exports.normalizeRefreshHz = normalizeRefreshHz;
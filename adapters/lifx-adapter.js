@@ -0,0 +1,137 @@
+// [TITLE] Module: adapters/lifx-adapter.js
+// [TITLE] Purpose: lifx-adapter
+
+/**
+ * LIFX adapter (LAN protocol over UDP 56700):
+ * - WiZ-style states in, HSBK out (SetColor, or SetWaveform on beats)
+ * - SetLightPower when on/off flips, re-asserted every few seconds
+ * - multizone strips (Beam, Z) take per-zone colors via SetExtendedColorZones
+ * - unicast to the bulb IP, addressed by MAC when known
+ */
+const dgram = require("dgram");
+const crypto = require("crypto");
+const {
+  LIFX_UDP_PORT,
+  LIFX_MESSAGE_TYPES,
+  rgbToHsbk,
+  wizStateToHsbk,
+  buildLifxPacket,
+  encodeSetColor,
+  encodeSetWaveform,
+  encodeSetLightPower,
+  encodeSetExtendedColorZones
+} = require("../core/lifx/lifx-protocol");
+
+// Transition cap so fades never lag behind the engine cadence.
+const LIFX_MAX_TRANSITION_MS = 250;
+// Power is re-asserted now and then, in case the app or a switch turned the bulb off.
+const LIFX_POWER_REFRESH_MS = 5000;
+
+module.exports = function createLifxAdapter({ ip, port = LIFX_UDP_PORT, mac = "", createSocket } = {}) {
+  if (!ip) {
+    console.warn("[LIFX] adapter disabled (no IP)");
+    const noop = () => {};
+    noop.close = () => {};
+    return noop;
+  }
+
+  const socket = typeof createSocket === "function" ? createSocket() : dgram.createSocket("udp4");
+  const sourceId = crypto.randomBytes(4).readUInt32LE(0) || 1;
+  let sequence = 0;
+  let powered = null;
+  let poweredAt = 0;
+  let latestSendSeq = 0;
+  const repeatTimers = new Set();
+
+  socket.on("error", err => {
+    console.error("[LIFX SOCKET ERROR]", err.message);
+  });
+
+  function clearRepeatTimers() {
+    for (const timer of repeatTimers) {
+      clearTimeout(timer);
+    }
+    repeatTimers.clear();
+  }
+
+  function packet(type, payload) {
+    sequence = (sequence + 1) % 256;
+    return buildLifxPacket(type, payload, { source: sourceId, target: mac, sequence });
+  }
+
+  function sendPackets(packets) {
+    for (const buffer of packets) {
+      try {
+        socket.send(buffer, Number(port) || LIFX_UDP_PORT, ip);
+      } catch {}
+    }
+  }
+
+  function resolveDurationMs(options) {
+    if (Number.isFinite(Number(options.durationMs))) {
+      return Math.max(0, Math.round(Number(options.durationMs)));
+    }
+    return Math.max(0, Math.min(LIFX_MAX_TRANSITION_MS, Math.round(Number(options.minIntervalMs) || 0)));
+  }
+
+  const setLifxColor = (state, options = {}) => {
+    const source = state && typeof state === "object" ? state : {};
+    const on = source.on !== false;
+    const durationMs = resolveDurationMs(options);
+    const packets = [];
+
+    if (on !== powered || Date.now() - poweredAt >= LIFX_POWER_REFRESH_MS) {
+      packets.push(packet(LIFX_MESSAGE_TYPES.SetLightPower, encodeSetLightPower(on, durationMs)));
+      powered = on;
+      poweredAt = Date.now();
+    }
+
+    if (on) {
+      const zoneColors = Array.isArray(options.zoneColors) ? options.zoneColors : [];
+      if (zoneColors.length > 1) {
+        const hsbks = zoneColors.map(color => rgbToHsbk(color.r, color.g, color.b, 1));
+        for (const payload of encodeSetExtendedColorZones(hsbks, durationMs)) {
+          packets.push(packet(LIFX_MESSAGE_TYPES.SetExtendedColorZones, payload));
+        }
+      } else if (options.isBeat || options.isDrop) {
+        // Non-transient half-sine: an eased move that stays on the new color.
+        packets.push(packet(LIFX_MESSAGE_TYPES.SetWaveform, encodeSetWaveform(wizStateToHsbk(source), {
+          transient: false,
+          periodMs: Math.max(1, durationMs),
+          cycles: 1,
+          waveform: "halfSine"
+        })));
+      } else {
+        packets.push(packet(LIFX_MESSAGE_TYPES.SetColor, encodeSetColor(wizStateToHsbk(source), durationMs)));
+      }
+    }
+
+    if (!packets.length) return;
+    const repeats = Math.max(1, Math.min(3, Math.round(options.repeats || 1)));
+    const repeatDelayMs = Math.max(8, Math.min(120, Math.round(options.repeatDelayMs || 18)));
+
+    const sendSeq = ++latestSendSeq;
+    clearRepeatTimers();
+    sendPackets(packets);
+
+    for (let i = 1; i < repeats; i++) {
+      const timer = setTimeout(() => {
+        repeatTimers.delete(timer);
+        if (sendSeq !== latestSendSeq) return;
+        sendPackets(packets);
+      }, i * repeatDelayMs);
+      if (typeof timer.unref === "function") timer.unref();
+      repeatTimers.add(timer);
+    }
+  };
+
+  setLifxColor.close = () => {
+    latestSendSeq += 1;
+    clearRepeatTimers();
+    try {
+      socket.close();
+    } catch {}
+  };
+
+  return setLifxColor;
+};
@@ -0,0 +1,193 @@
+// [TITLE] Module: adapters/lifx-discovery.js
+// [TITLE] Purpose: lifx-discovery
+
+/**
+ * LIFX LAN discovery:
+ * - tagged GetService broadcast (plus unicast targets) on port 56700
+ * - GetLabel / GetVersion / GetExtendedColorZones probes alongside it
+ * - replies merged per bulb IP (MAC from the frame target, label, product, zone count)
+ */
+const dgram = require("dgram");
+const crypto = require("crypto");
+const { normalizePrivateOrLoopbackIpv4 } = require("../core/utils/private-ipv4");
+const {
+  LIFX_UDP_PORT,
+  LIFX_MESSAGE_TYPES,
+  buildLifxPacket,
+  parseLifxPacket,
+  parseLifxStatePayload
+} = require("../core/lifx/lifx-protocol");
+
+const LIFX_BROADCAST_ADDRESS = "255.255.255.255";
+const DISCOVERY_TIMEOUT_MIN_MS = 300;
+const DISCOVERY_TIMEOUT_MAX_MS = 10000;
+const DISCOVERY_TIMEOUT_DEFAULT_MS = 2200;
+const DISCOVERY_PROBE_ROUNDS = 2;
+const DISCOVERY_PROBE_GAP_MS = 260;
+// Single-zone bulbs answer GetExtendedColorZones with StateUnhandled, which is ignored.
+const PROBE_TYPES = Object.freeze([
+  LIFX_MESSAGE_TYPES.GetService,
+  LIFX_MESSAGE_TYPES.GetLabel,
+  LIFX_MESSAGE_TYPES.GetVersion,
+  LIFX_MESSAGE_TYPES.GetExtendedColorZones
+]);
+
+function normalizePort(value, fallback = LIFX_UDP_PORT) {
+  const port = Number(value);
+  return Number.isInteger(port) && port >= 1 && port <= 65535 ? port : fallback;
+}
+
+function clampTimeoutMs(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return DISCOVERY_TIMEOUT_DEFAULT_MS;
+  return Math.max(DISCOVERY_TIMEOUT_MIN_MS, Math.min(DISCOVERY_TIMEOUT_MAX_MS, Math.round(n)));
+}
+
+/**
+ * Parses one UDP reply. Returns null for anything that is not a LIFX
+ * state reply discovery asked for.
+ */
+function parseLifxDiscoveryReply(buffer) {
+  const packet = parseLifxPacket(buffer);
+  if (!packet) return null;
+  const state = parseLifxStatePayload(packet.type, packet.payload);
+  if (!state) return null;
+  const mac = /^0{12}$/.test(packet.target) ? "" : packet.target;
+  return { type: packet.type, mac, ...state };
+}
+
+function mergeReply(entry, reply) {
+  if (reply.mac && !entry.mac) entry.mac = reply.mac;
+  if (reply.type === LIFX_MESSAGE_TYPES.StateService) {
+    // Service 1 is UDP; other services (reserved) keep the default port.
+    if (reply.service === 1 && reply.port > 0 && reply.port <= 65535) entry.port = reply.port;
+  } else if (reply.type === LIFX_MESSAGE_TYPES.StateLabel) {
+    entry.label = reply.label;
+  } else if (reply.type === LIFX_MESSAGE_TYPES.StateVersion) {
+    entry.vendor = reply.vendor;
+    entry.product = reply.product;
+  } else if (reply.type === LIFX_MESSAGE_TYPES.StateExtendedColorZones) {
+    entry.zoneCount = reply.zoneCount;
+  }
+  entry.lastSeenAt = Date.now();
+}
+
+/**
+ * Broadcasts LIFX probes and collects replies until `timeoutMs` elapses.
+ *
+ * Options:
+ * - broadcastAddress: directed broadcast (e.g. 192.168.1.255) or a local stand-in
+ * - targets: extra unicast IPs to probe (bulbs that ignore broadcast)
+ * - port: LIFX UDP port (56700)
+ * - broadcast: set false to probe `targets` only
+ */
+function discoverLifxBulbs(options = {}) {
+  const opts = options && typeof options === "object" ? options : {};
+  const port = normalizePort(opts.port);
+  const timeoutMs = clampTimeoutMs(opts.timeoutMs);
+  const log = opts.log || console;
+  const destinations = [];
+  if (opts.broadcast !== false) {
+    destinations.push(String(opts.broadcastAddress || LIFX_BROADCAST_ADDRESS).trim() || LIFX_BROADCAST_ADDRESS);
+  }
+  for (const target of Array.isArray(opts.targets) ? opts.targets : []) {
+    const ip = normalizePrivateOrLoopbackIpv4(target);
+    if (ip && !destinations.includes(ip)) destinations.push(ip);
+  }
+
+  const startedAt = Date.now();
+  if (!destinations.length) {
+    return Promise.resolve({ bulbs: [], probes: 0, durationMs: 0 });
+  }
+
+  return new Promise(resolve => {
+    const socket = dgram.createSocket("udp4");
+    const source = crypto.randomBytes(4).readUInt32LE(0) || 1;
+    const bulbsByIp = new Map();
+    const timers = new Set();
+    let probes = 0;
+    let sequence = 0;
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      for (const timer of timers) clearTimeout(timer);
+      timers.clear();
+      try {
+        socket.close();
+      } catch {}
+      const bulbs = [...bulbsByIp.values()]
+        .sort((a, b) => a.ip.localeCompare(b.ip, undefined, { numeric: true }));
+      resolve({ bulbs, probes, durationMs: Date.now() - startedAt });
+    };
+
+    const schedule = (fn, delayMs) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        fn();
+      }, delayMs);
+      timers.add(timer);
+    };
+
+    socket.on("error", err => {
+      log.warn?.(`[LIFX][DISCOVER] socket error: ${err.message || err}`);
+      finish();
+    });
+
+    socket.on("message", (msg, rinfo) => {
+      const ip = normalizePrivateOrLoopbackIpv4(rinfo?.address);
+      if (!ip) return;
+      const reply = parseLifxDiscoveryReply(msg);
+      if (!reply) return;
+      let entry = bulbsByIp.get(ip);
+      if (!entry) {
+        entry = {
+          ip,
+          mac: "",
+          port,
+          label: "",
+          vendor: null,
+          product: null,
+          zoneCount: 0,
+          lastSeenAt: 0
+        };
+        bulbsByIp.set(ip, entry);
+      }
+      mergeReply(entry, reply);
+    });
+
+    const sendProbeRound = () => {
+      if (finished) return;
+      for (const destination of destinations) {
+        for (const type of PROBE_TYPES) {
+          probes += 1;
+          sequence = (sequence + 1) % 256;
+          const packet = buildLifxPacket(type, Buffer.alloc(0), { source, sequence, resRequired: true });
+          socket.send(packet, port, destination, err => {
+            if (err) log.warn?.(`[LIFX][DISCOVER] probe send failed: ${err.message || err}`);
+          });
+        }
+      }
+    };
+
+    socket.bind(0, () => {
+      try {
+        socket.setBroadcast(true);
+      } catch {}
+      for (let round = 0; round < DISCOVERY_PROBE_ROUNDS; round += 1) {
+        const delayMs = round * DISCOVERY_PROBE_GAP_MS;
+        if (delayMs >= timeoutMs) break;
+        if (delayMs === 0) sendProbeRound();
+        else schedule(sendProbeRound, delayMs);
+      }
+      schedule(finish, timeoutMs);
+    });
+  });
+}
+
+module.exports = {
+  LIFX_BROADCAST_ADDRESS,
+  parseLifxDiscoveryReply,
+  discoverLifxBulbs
+};
@@ -0,0 +1,228 @@
+// [TITLE] Module: adapters/wiz-discovery.js
+// [TITLE] Purpose: wiz-discovery
+
+/**
+ * WiZ LAN discovery:
+ * - broadcast-enabled UDP socket (same firmware quirk as wiz-adapter)
+ * - getSystemConfig + getPilot probes on port 38899
+ * - replies merged per bulb IP (MAC, module name, current pilot state)
+ */
+const dgram = require("dgram");
+const { normalizePrivateOrLoopbackIpv4 } = require("../core/utils/private-ipv4");
+const { normalizeMacAddress } = require("../core/utils/mac-address");
+
+const WIZ_UDP_PORT = 38899;
+const WIZ_BROADCAST_ADDRESS = "255.255.255.255";
+const DISCOVERY_TIMEOUT_MIN_MS = 300;
+const DISCOVERY_TIMEOUT_MAX_MS = 10000;
+const DISCOVERY_TIMEOUT_DEFAULT_MS = 2200;
+const DISCOVERY_PROBE_ROUNDS = 2;
+const DISCOVERY_PROBE_GAP_MS = 260;
+const PROBE_MESSAGES = Object.freeze([
+  JSON.stringify({ method: "getSystemConfig", params: {} }),
+  JSON.stringify({ method: "getPilot", params: {} })
+]);
+
+function normalizeWizMac(value) {
+  return normalizeMacAddress(value);
+}
+
+function normalizePort(value, fallback = WIZ_UDP_PORT) {
+  const port = Number(value);
+  return Number.isInteger(port) && port >= 1 && port <= 65535 ? port : fallback;
+}
+
+function clampTimeoutMs(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return DISCOVERY_TIMEOUT_DEFAULT_MS;
+  return Math.max(DISCOVERY_TIMEOUT_MIN_MS, Math.min(DISCOVERY_TIMEOUT_MAX_MS, Math.round(n)));
+}
+
+function pickFiniteNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parsePilotState(result = {}) {
+  const state = {
+    on: result.state !== false,
+    dimming: pickFiniteNumber(result.dimming)
+  };
+  const r = pickFiniteNumber(result.r);
+  const g = pickFiniteNumber(result.g);
+  const b = pickFiniteNumber(result.b);
+  if (r !== null && g !== null && b !== null) {
+    state.r = r;
+    state.g = g;
+    state.b = b;
+  }
+  const temp = pickFiniteNumber(result.temp);
+  if (temp !== null) state.temp = temp;
+  const sceneId = pickFiniteNumber(result.sceneId);
+  if (sceneId !== null) state.sceneId = sceneId;
+  return state;
+}
+
+/**
+ * Parses one UDP reply. Returns null for anything that is not a WiZ
+ * getSystemConfig/getPilot result.
+ */
+function parseWizDiscoveryReply(buffer) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(Buffer.isBuffer(buffer) ? buffer.toString("utf8") : String(buffer || ""));
+  } catch {
+    return null;
+  }
+  if (!parsed || typeof parsed !== "object") return null;
+  const method = String(parsed.method || "").trim();
+  const result = parsed.result && typeof parsed.result === "object" ? parsed.result : null;
+  if (!result) return null;
+
+  if (method === "getSystemConfig") {
+    return {
+      method,
+      mac: normalizeWizMac(result.mac),
+      moduleName: String(result.moduleName || "").trim(),
+      fwVersion: String(result.fwVersion || "").trim()
+    };
+  }
+  if (method === "getPilot") {
+    return {
+      method,
+      mac: normalizeWizMac(result.mac),
+      rssi: pickFiniteNumber(result.rssi),
+      state: parsePilotState(result)
+    };
+  }
+  return null;
+}
+
+function mergeReply(entry, reply) {
+  if (reply.mac && !entry.mac) entry.mac = reply.mac;
+  if (reply.method === "getSystemConfig") {
+    if (reply.moduleName) entry.moduleName = reply.moduleName;
+    if (reply.fwVersion) entry.fwVersion = reply.fwVersion;
+  } else if (reply.method === "getPilot") {
+    entry.state = reply.state;
+    if (reply.rssi !== null) entry.rssi = reply.rssi;
+  }
+  entry.lastSeenAt = Date.now();
+}
+
+/**
+ * Broadcasts WiZ probes and collects replies until `timeoutMs` elapses.
+ *
+ * Options:
+ * - broadcastAddress: directed broadcast (e.g. 192.168.1.255) or a local stand-in
+ * - targets: extra unicast IPs to probe (bulbs that ignore broadcast)
+ * - port: WiZ UDP port (38899)
+ * - broadcast: set false to probe `targets` only
+ */
+function discoverWizBulbs(options = {}) {
+  const opts = options && typeof options === "object" ? options : {};
+  const port = normalizePort(opts.port);
+  const timeoutMs = clampTimeoutMs(opts.timeoutMs);
+  const log = opts.log || console;
+  const destinations = [];
+  if (opts.broadcast !== false) {
+    destinations.push(String(opts.broadcastAddress || WIZ_BROADCAST_ADDRESS).trim() || WIZ_BROADCAST_ADDRESS);
+  }
+  for (const target of Array.isArray(opts.targets) ? opts.targets : []) {
+    const ip = normalizePrivateOrLoopbackIpv4(target);
+    if (ip && !destinations.includes(ip)) destinations.push(ip);
+  }
+
+  const startedAt = Date.now();
+  if (!destinations.length) {
+    return Promise.resolve({ bulbs: [], probes: 0, durationMs: 0 });
+  }
+
+  return new Promise(resolve => {
+    const socket = dgram.createSocket("udp4");
+    const bulbsByIp = new Map();
+    const timers = new Set();
+    let probes = 0;
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      for (const timer of timers) clearTimeout(timer);
+      timers.clear();
+      try {
+        socket.close();
+      } catch {}
+      const bulbs = [...bulbsByIp.values()]
+        .sort((a, b) => a.ip.localeCompare(b.ip, undefined, { numeric: true }));
+      resolve({ bulbs, probes, durationMs: Date.now() - startedAt });
+    };
+
+    const schedule = (fn, delayMs) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        fn();
+      }, delayMs);
+      timers.add(timer);
+    };
+
+    socket.on("error", err => {
+      log.warn?.(`[WIZ][DISCOVER] socket error: ${err.message || err}`);
+      finish();
+    });
+
+    socket.on("message", (msg, rinfo) => {
+      const ip = normalizePrivateOrLoopbackIpv4(rinfo?.address);
+      if (!ip) return;
+      const reply = parseWizDiscoveryReply(msg);
+      if (!reply) return;
+      let entry = bulbsByIp.get(ip);
+      if (!entry) {
+        entry = {
+          ip,
+          mac: "",
+          moduleName: "",
+          fwVersion: "",
+          rssi: null,
+          state: null,
+          lastSeenAt: 0
+        };
+        bulbsByIp.set(ip, entry);
+      }
+      mergeReply(entry, reply);
+    });
+
+    const sendProbeRound = () => {
+      if (finished) return;
+      for (const destination of destinations) {
+        for (const message of PROBE_MESSAGES) {
+          probes += 1;
+          socket.send(Buffer.from(message), port, destination, err => {
+            if (err) log.warn?.(`[WIZ][DISCOVER] probe send failed: ${err.message || err}`);
+          });
+        }
+      }
+    };
+
+    socket.bind(0, () => {
+      try {
+        socket.setBroadcast(true);
+      } catch {}
+      for (let round = 0; round < DISCOVERY_PROBE_ROUNDS; round += 1) {
+        const delayMs = round * DISCOVERY_PROBE_GAP_MS;
+        if (delayMs >= timeoutMs) break;
+        if (delayMs === 0) sendProbeRound();
+        else schedule(sendProbeRound, delayMs);
+      }
+      schedule(finish, timeoutMs);
+    });
+  });
+}
+
+module.exports = {
+  WIZ_UDP_PORT,
+  WIZ_BROADCAST_ADDRESS,
+  normalizeWizMac,
+  parseWizDiscoveryReply,
+  discoverWizBulbs
+};
@@ -0,0 +1,117 @@
+// [TITLE] Module: adapters/wled-adapter.js
+// [TITLE] Purpose: wled-adapter
+
+/**
+ * WLED adapter:
+ * - realtime per-LED frames over UDP (DDP, DRGB/DNRGB or WARLS)
+ * - persistent colors and setup through the JSON API (/json/state),
+ *   coalesced so only the latest pending state is posted
+ * - device facts from /json/info + /json/state
+ */
+const dgram = require("dgram");
+const {
+  WLED_PROTOCOLS,
+  WLED_REALTIME_TIMEOUT_SEC,
+  buildWledRealtimePackets,
+  parseWledDeviceInfo
+} = require("../core/wled/wled-protocol");
+
+const WLED_HTTP_TIMEOUT_MS = 1800;
+
+async function fetchWledDeviceInfo(host, options = {}) {
+  const http = options.http;
+  const timeout = Math.max(200, Number(options.timeoutMs) || WLED_HTTP_TIMEOUT_MS);
+  const [info, state] = await Promise.all([
+    http.get(`http://${host}/json/info`, { timeout }),
+    http.get(`http://${host}/json/state`, { timeout })
+  ]);
+  return parseWledDeviceInfo(info?.data || {}, state?.data || {});
+}
+
+function createWledAdapter({ host, protocol = "ddp", port, http, createSocket } = {}) {
+  const targetPort = Number(port) || (WLED_PROTOCOLS[protocol] || WLED_PROTOCOLS.ddp).port;
+  let socket = null;
+  let sequence = 0;
+  let closed = false;
+  let pendingState = null;
+  let stateInFlight = false;
+  const stats = { framesSent: 0, statesSent: 0, sendErrors: 0 };
+
+  function getSocket() {
+    if (socket) return socket;
+    socket = typeof createSocket === "function" ? createSocket() : dgram.createSocket("udp4");
+    socket.on("error", err => {
+      stats.sendErrors += 1;
+      console.error("[WLED SOCKET ERROR]", err.message);
+    });
+    return socket;
+  }
+
+  function sendFrame(frame) {
+    if (closed || !host) return;
+    sequence += 1;
+    const packets = buildWledRealtimePackets(protocol, frame, {
+      sequence,
+      timeoutSec: WLED_REALTIME_TIMEOUT_SEC
+    });
+    const udp = getSocket();
+    for (const packet of packets) {
+      try {
+        udp.send(packet, targetPort, host, err => {
+          if (err) stats.sendErrors += 1;
+        });
+      } catch {
+        stats.sendErrors += 1;
+      }
+    }
+    stats.framesSent += 1;
+  }
+
+  async function flushState() {
+    if (stateInFlight || !pendingState) return;
+    const payload = pendingState;
+    pendingState = null;
+    stateInFlight = true;
+    try {
+      await http.post(`http://${host}/json/state`, payload, { timeout: WLED_HTTP_TIMEOUT_MS });
+      stats.statesSent += 1;
+    } catch (err) {
+      stats.sendErrors += 1;
+      console.warn(`[WLED] ${host} state update failed:`, err.message || err);
+    } finally {
+      stateInFlight = false;
+    }
+    if (pendingState && !closed) await flushState();
+  }
+
+  // Persistent state (Twitch color, custom mode). Realtime frames override it while they flow.
+  function applyState(payload = {}) {
+    if (closed || !host || !http) return Promise.resolve();
+    pendingState = payload;
+    return flushState();
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    pendingState = null;
+    if (socket) {
+      try {
+        socket.close();
+      } catch {}
+      socket = null;
+    }
+  }
+
+  return {
+    host,
+    protocol,
+    sendFrame,
+    applyState,
+    getStats: () => ({ ...stats }),
+    close
+  };
+}
+
+module.exports = createWledAdapter;
+module.exports.fetchWledDeviceInfo = fetchWledDeviceInfo;
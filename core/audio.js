@@ -29,6 +29,21 @@ const fs = require("fs");
 const path = require("path");
 const { spawn, execFile } = require("child_process");
 const { parseBooleanLoose } = require("./utils/booleans");
+const {
+  normalizeFftSize,
+  normalizeSpectrumScale,
+  normalizeSpectrumRanges,
+  createSpectrumAnalyzer
+} = require("./audio/spectrum");
+const { normalizeKeyHoldSec, createKeyEstimator } = require("./audio/key-detect");
+const { createStereoAnalyzer } = require("./audio/stereo");
+const { normalizeFileSpeed, decodeAudioFile, createFilePlayer } = require("./audio/file-source");
+const {
+  DEFAULT_PCM_PIPE_PATH,
+  normalizePcmTransport,
+  normalizePcmFormat,
+  createPcmInput
+} = require("./audio/pcm-source");
 
 const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
 const toNum = (v, fallback) => {
@@ -279,6 +294,12 @@ module.exports = function createAudio(onLevel) {
   let ffmpegBufferCarry = Buffer.alloc(0);
   let procTapProc = null;
   let procTapBufferCarry = Buffer.alloc(0);
+  let filePlayer = null;
+  let fileStatus = null;
+  let fileLoadToken = 0;
+  let pendingFileSeekSec = null;
+  let pcmInput = null;
+  let pcmStatus = null;
   let activeInputSampleRate = 96000;
   let restartWindowStartedAt = 0;
   let restartAttemptsInWindow = 0;
@@ -304,6 +325,13 @@ module.exports = function createAudio(onLevel) {
     logEveryTicks: Math.max(10, toNum(process.env.RAVE_AUDIO_LOG_TICKS, 60)),
     bandLowHz: clamp(toNum(process.env.RAVE_AUDIO_BAND_LOW_HZ, 180), 60, 500),
     bandMidHz: clamp(toNum(process.env.RAVE_AUDIO_BAND_MID_HZ, 2200), 700, 8000),
+    fftEnabled: toBool(process.env.RAVE_AUDIO_FFT_ENABLED, true),
+    fftSize: normalizeFftSize(process.env.RAVE_AUDIO_FFT_SIZE, 2048),
+    fftHop: clamp(Math.round(toNum(process.env.RAVE_AUDIO_FFT_HOP, 512)), 64, 8192),
+    fftBands: clamp(Math.round(toNum(process.env.RAVE_AUDIO_FFT_BANDS, 24)), 4, 64),
+    fftScale: normalizeSpectrumScale(process.env.RAVE_AUDIO_FFT_SCALE, "mel"),
+    fftRanges: normalizeSpectrumRanges(null),
+    keyHoldSec: normalizeKeyHoldSec(process.env.RAVE_AUDIO_KEY_HOLD_SEC),
     deviceMatch: String(process.env.RAVE_AUDIO_DEVICE_MATCH || "").toLowerCase().trim(),
     deviceId:
       process.env.RAVE_AUDIO_DEVICE_ID === undefined
@@ -334,7 +362,19 @@ module.exports = function createAudio(onLevel) {
     ),
     procTapLauncher: normalizeProcTapLauncher(process.env.RAVE_AUDIO_PROCTAP_LAUNCHER || "py", "py"),
     procTapPythonVersion: normalizeProcTapPythonVersion(process.env.RAVE_AUDIO_PROCTAP_PY_VERSION || "3.13", "3.13"),
-    procTapCaptureLocks: readProcessLoopbackLocks()
+    procTapCaptureLocks: readProcessLoopbackLocks(),
+    filePath: String(process.env.RAVE_AUDIO_FILE_PATH || "").trim(),
+    fileLoop: toBool(process.env.RAVE_AUDIO_FILE_LOOP, true),
+    fileSpeed: normalizeFileSpeed(process.env.RAVE_AUDIO_FILE_SPEED, 1),
+    pcmTransport: normalizePcmTransport(process.env.RAVE_AUDIO_PCM_TRANSPORT, "tcp"),
+    pcmHost: String(process.env.RAVE_AUDIO_PCM_HOST || "0.0.0.0").trim() || "0.0.0.0",
+    pcmPort: clamp(Math.round(toNum(process.env.RAVE_AUDIO_PCM_PORT, 5070)), 1024, 65535),
+    pcmPipePath: String(process.env.RAVE_AUDIO_PCM_PIPE_PATH || DEFAULT_PCM_PIPE_PATH).trim(),
+    pcmFormat: normalizePcmFormat(process.env.RAVE_AUDIO_PCM_FORMAT, "f32le"),
+    pcmSampleRate: clamp(Math.round(toNum(process.env.RAVE_AUDIO_PCM_SAMPLE_RATE, 48000)), 8000, 192000),
+    pcmChannels: clamp(Math.round(toNum(process.env.RAVE_AUDIO_PCM_CHANNELS, 2)), 1, 8),
+    pcmJitterMs: clamp(Math.round(toNum(process.env.RAVE_AUDIO_PCM_JITTER_MS, 60)), 0, 1000),
+    pcmAllowPublicSources: toBool(process.env.RAVE_AUDIO_PCM_ALLOW_PUBLIC_SOURCES, false)
   };
 
   function normalizeFfmpegDeviceFields() {
@@ -404,7 +444,7 @@ module.exports = function createAudio(onLevel) {
 
     assignWhenDefined("inputBackend", raw => {
       const normalized = String(raw || "").trim().toLowerCase();
-      return normalized === "ffmpeg" || normalized === "portaudio" ? normalized : "auto";
+      return ["ffmpeg", "portaudio", "file", "pcm"].includes(normalized) ? normalized : "auto";
     });
 
     const scalarPatchTransformers = [
@@ -427,6 +467,13 @@ module.exports = function createAudio(onLevel) {
       ["logEveryTicks", raw => clamp(Math.round(toNum(raw, cfg.logEveryTicks)), 10, 2000)],
       ["bandLowHz", raw => clamp(Math.round(toNum(raw, cfg.bandLowHz)), 60, 500)],
       ["bandMidHz", raw => clamp(Math.round(toNum(raw, cfg.bandMidHz)), 700, 8000)],
+      ["fftEnabled", raw => toBool(raw, cfg.fftEnabled)],
+      ["fftSize", raw => normalizeFftSize(raw, cfg.fftSize)],
+      ["fftHop", raw => clamp(Math.round(toNum(raw, cfg.fftHop)), 64, 8192)],
+      ["fftBands", raw => clamp(Math.round(toNum(raw, cfg.fftBands)), 4, 64)],
+      ["fftScale", raw => normalizeSpectrumScale(raw, cfg.fftScale)],
+      ["fftRanges", raw => normalizeSpectrumRanges(raw, cfg.fftRanges)],
+      ["keyHoldSec", raw => normalizeKeyHoldSec(raw, cfg.keyHoldSec)],
       ["deviceMatch", raw => String(raw || "").toLowerCase()],
       ["ffmpegPath", raw => normalizeFfmpegPath(raw, cfg.ffmpegPath || "ffmpeg")],
       ["ffmpegInputDevice", raw => String(raw || "").trim()],
@@ -436,7 +483,19 @@ module.exports = function createAudio(onLevel) {
       ["ffmpegAppIsolationMultiSource", raw => toBool(raw, cfg.ffmpegAppIsolationMultiSource)],
       ["ffmpegAppIsolationCheckMs", raw => normalizeAppIsolationCheckIntervalMs(raw, cfg.ffmpegAppIsolationCheckMs)],
       ["procTapLauncher", raw => normalizeProcTapLauncher(raw, cfg.procTapLauncher || "py")],
-      ["procTapPythonVersion", raw => normalizeProcTapPythonVersion(raw, cfg.procTapPythonVersion || "3.13")]
+      ["procTapPythonVersion", raw => normalizeProcTapPythonVersion(raw, cfg.procTapPythonVersion || "3.13")],
+      ["filePath", raw => String(raw || "").trim().slice(0, 1024)],
+      ["fileLoop", raw => toBool(raw, cfg.fileLoop)],
+      ["fileSpeed", raw => normalizeFileSpeed(raw, cfg.fileSpeed)],
+      ["pcmTransport", raw => normalizePcmTransport(raw, cfg.pcmTransport)],
+      ["pcmHost", raw => String(raw || "").trim() || "0.0.0.0"],
+      ["pcmPort", raw => clamp(Math.round(toNum(raw, cfg.pcmPort)), 1024, 65535)],
+      ["pcmPipePath", raw => String(raw || "").trim().slice(0, 260) || DEFAULT_PCM_PIPE_PATH],
+      ["pcmFormat", raw => normalizePcmFormat(raw, cfg.pcmFormat)],
+      ["pcmSampleRate", raw => clamp(Math.round(toNum(raw, cfg.pcmSampleRate)), 8000, 192000)],
+      ["pcmChannels", raw => clamp(Math.round(toNum(raw, cfg.pcmChannels)), 1, 8)],
+      ["pcmJitterMs", raw => clamp(Math.round(toNum(raw, cfg.pcmJitterMs)), 0, 1000)],
+      ["pcmAllowPublicSources", raw => toBool(raw, cfg.pcmAllowPublicSources)]
     ];
     for (const [key, transformer] of scalarPatchTransformers) {
       assignWhenDefined(key, transformer);
@@ -1238,10 +1297,13 @@ module.exports = function createAudio(onLevel) {
   }
 
   function resolveAudioBackend() {
+    const preferred = String(cfg.inputBackend || "auto").trim().toLowerCase();
+    // Explicit file/pcm backends win over app isolation: rehearsal/CI and
+    // split-PC runs should never fall back to local capture.
+    if (preferred === "file" || preferred === "pcm") return preferred;
     if (cfg.ffmpegAppIsolationEnabled === true) {
       return "ffmpeg";
     }
-    const preferred = String(cfg.inputBackend || "auto").trim().toLowerCase();
     const ffmpegConfigured = getResolvedFfmpegCaptureDevices().length > 0;
 
     if (preferred === "ffmpeg") return "ffmpeg";
@@ -1333,6 +1395,25 @@ module.exports = function createAudio(onLevel) {
   let prevBandMidRaw = 0;
   let prevBandHighRaw = 0;
 
+  // FFT stage (bands, centroid, rolloff, named ranges such as kick/hats)
+  const spectrum = createSpectrumAnalyzer(getSpectrumOptions(cfg.sampleRate));
+  // Key/mode estimate fed from the FFT stage's chroma frames.
+  const keyEstimator = createKeyEstimator({ holdSec: cfg.keyHoldSec });
+  // Per-side levels from the first two channels, ahead of the mono mixdown.
+  const stereo = createStereoAnalyzer();
+
+  function getSpectrumOptions(sampleRate) {
+    return {
+      enabled: cfg.fftEnabled,
+      size: cfg.fftSize,
+      hop: Math.min(cfg.fftHop, cfg.fftSize),
+      bands: cfg.fftBands,
+      scale: cfg.fftScale,
+      sampleRate,
+      ranges: cfg.fftRanges
+    };
+  }
+
   /* =========================
      ENVELOPE SHAPING
   ========================= */
@@ -1380,6 +1461,8 @@ module.exports = function createAudio(onLevel) {
         cfg[key] = normalized[key];
       }
       normalizeFfmpegDeviceFields();
+      spectrum.configure(getSpectrumOptions(activeInputSampleRate));
+      keyEstimator.configure({ holdSec: cfg.keyHoldSec });
       startAppIsolationTimer();
       if (cfg.ffmpegAppIsolationEnabled) {
         runAppIsolationScan({ reason: "config", apply: false, force: true }).catch(() => {});
@@ -1416,6 +1499,9 @@ module.exports = function createAudio(onLevel) {
         bandMid: 0,
         bandHigh: 0,
         spectralFlux: 0,
+        spectrum: spectrum.getSnapshot(),
+        key: keyEstimator.getSnapshot(),
+        stereo: stereo.getSnapshot(),
         fast: 0,
         mid: 0,
         slow: 0,
@@ -1525,6 +1611,9 @@ module.exports = function createAudio(onLevel) {
     prevBandLowRaw = 0;
     prevBandMidRaw = 0;
     prevBandHighRaw = 0;
+    spectrum.reset();
+    keyEstimator.reset();
+    stereo.reset();
     ffmpegBufferCarry = Buffer.alloc(0);
     procTapBufferCarry = Buffer.alloc(0);
     activeInputSampleRate = cfg.sampleRate;
@@ -1614,6 +1703,18 @@ module.exports = function createAudio(onLevel) {
         proc.kill("SIGTERM");
       } catch {}
     }
+    if (filePlayer) {
+      filePlayer.stop();
+      fileStatus = filePlayer.getStatus();
+      filePlayer = null;
+    }
+    // Drops a decode still in flight for the previous open.
+    fileLoadToken += 1;
+    if (pcmInput) {
+      pcmInput.stop();
+      pcmStatus = pcmInput.getStatus();
+      pcmInput = null;
+    }
     resetProcessLoopbackRuntime({ keepLastProbeAt: true });
   }
 
@@ -1629,7 +1730,7 @@ module.exports = function createAudio(onLevel) {
 
     const intervalMs = clamp(Math.round(cfg.watchdogMs / 3), 250, 1000);
     watchdogTimer = setInterval(() => {
-      if (!running || (!stream && !ffmpegProc && !procTapProc) || !lastDataAt) return;
+      if (!running || (!stream && !ffmpegProc && !procTapProc && !filePlayer && !pcmInput) || !lastDataAt) return;
 
       const silentMs = Date.now() - lastDataAt;
       if (silentMs < cfg.watchdogMs) return;
@@ -1703,6 +1804,10 @@ module.exports = function createAudio(onLevel) {
     const midAlpha = 1 - Math.exp((-2 * Math.PI * midHz) / inputSampleRate);
     const frameCount = Math.floor(buffer.length / stride);
     if (!frameCount) return;
+    spectrum.configure(getSpectrumOptions(inputSampleRate));
+    const chromaFrameSec = Math.min(cfg.fftHop, cfg.fftSize) / inputSampleRate;
+    stereo.begin({ sampleRate: inputSampleRate, lowHz, midHz, channelCount: channels });
+    const rightChannel = channels > 1 ? 1 : 0;
     const sampleCount = frameCount * channels;
     let sampleView = null;
     if ((buffer.byteOffset & 3) === 0) {
@@ -1716,17 +1821,24 @@ module.exports = function createAudio(onLevel) {
     for (let frame = 0; frame < frameCount; frame++) {
       const base = frame * channels;
       let s = 0;
+      let left = 0;
+      let right = 0;
       if (sampleView) {
         for (let c = 0; c < channels; c++) {
           s += sampleView[base + c];
         }
+        left = sampleView[base];
+        right = sampleView[base + rightChannel];
       } else {
         const byteBase = frame * stride;
         for (let c = 0; c < channels; c++) {
           s += buffer.readFloatLE(byteBase + c * 4);
         }
+        left = buffer.readFloatLE(byteBase);
+        right = buffer.readFloatLE(byteBase + rightChannel * 4);
       }
       s /= channels;
+      stereo.write(left, right);
 
       const a = Math.abs(s);
       if (a > peak) peak = a;
@@ -1751,6 +1863,8 @@ module.exports = function createAudio(onLevel) {
       lowSq += lowBand * lowBand;
       midSq += midBand * midBand;
       highSq += highBand * highBand;
+
+      if (spectrum.write(s)) keyEstimator.push(spectrum.getChroma(), chromaFrameSec);
     }
 
     if (!count) return;
@@ -1765,6 +1879,7 @@ module.exports = function createAudio(onLevel) {
     const absoluteQuiet =
       rms < absoluteQuietGate &&
       peak < absoluteQuietGate * 3;
+    stereo.finish(absoluteQuiet);
 
     const bandSum = bandMagnitude + 1e-6;
     let bandLowRaw = clamp(lowRms / bandSum, 0, 1);
@@ -2059,12 +2174,152 @@ module.exports = function createAudio(onLevel) {
     return true;
   }
 
+  function openFileStream() {
+    const filePath = String(cfg.filePath || "").trim();
+    lastDeviceId = "file";
+    lastDeviceName = filePath ? `file:${path.basename(filePath)}` : "file:none";
+    fileStatus = null;
+    if (!filePath) {
+      lastError = "file backend selected but no filePath configured";
+      console.warn(`[AUDIO] ${lastError}`);
+      emitSilenceSnapshot();
+      return;
+    }
+
+    const token = fileLoadToken;
+    const channels = Math.max(1, Math.min(2, Math.round(Number(cfg.channels) || 2)));
+    decodeAudioFile(filePath, {
+      rootDir: PROJECT_ROOT,
+      ffmpegPath: resolveFfmpegExecutablePath(),
+      channels
+    }).then(decoded => {
+      if (token !== fileLoadToken || !running) return;
+      activeInputSampleRate = decoded.sampleRate;
+      filePlayer = createFilePlayer({
+        samples: decoded.samples,
+        channels: decoded.channels,
+        sampleRate: decoded.sampleRate,
+        framesPerBuffer: cfg.framesPerBuffer,
+        speed: cfg.fileSpeed,
+        loop: cfg.fileLoop,
+        onBuffer(buffer, bufferChannels) {
+          try {
+            lastDataAt = Date.now();
+            processBuffer(buffer, bufferChannels);
+          } catch (err) {
+            console.error("[AUDIO] file process error:", err.message || err);
+          }
+        },
+        onEnd() {
+          fileStatus = filePlayer?.getStatus?.() || fileStatus;
+          filePlayer = null;
+          console.log("[AUDIO] file playback ended");
+          emitSilenceSnapshot();
+        }
+      });
+      if (pendingFileSeekSec !== null) {
+        filePlayer.seek(pendingFileSeekSec);
+        pendingFileSeekSec = null;
+      }
+      lastDataAt = Date.now();
+      filePlayer.start();
+      startWatchdog();
+      console.log(
+        `[AUDIO] using file: ${decoded.path} (${decoded.decoder}, ${decoded.channels}ch @ ${decoded.sampleRate}Hz, ` +
+        `${filePlayer.getStatus().durationSec}s, speed=${cfg.fileSpeed}x, loop=${cfg.fileLoop})`
+      );
+    }).catch(err => {
+      if (token !== fileLoadToken) return;
+      lastError = `file decode failed: ${err.message || err}`;
+      console.error(`[AUDIO] ${lastError}`);
+      emitSilenceSnapshot();
+    });
+  }
+
+  function openPcmStream() {
+    const transport = cfg.pcmTransport;
+    const endpoint = transport === "pipe"
+      ? cfg.pcmPipePath
+      : transport === "stdin" ? "stdin" : `${cfg.pcmHost}:${cfg.pcmPort}`;
+    lastDeviceId = "pcm";
+    lastDeviceName = `pcm:${transport}:${endpoint}`;
+    activeInputSampleRate = cfg.pcmSampleRate;
+    pcmStatus = null;
+
+    const input = createPcmInput({
+      transport,
+      host: cfg.pcmHost,
+      port: cfg.pcmPort,
+      pipePath: cfg.pcmPipePath,
+      format: cfg.pcmFormat,
+      sampleRate: cfg.pcmSampleRate,
+      channels: cfg.pcmChannels,
+      jitterMs: cfg.pcmJitterMs,
+      framesPerBuffer: cfg.framesPerBuffer,
+      allowPublicSources: cfg.pcmAllowPublicSources,
+      onBuffer(buffer, channels) {
+        try {
+          processBuffer(buffer, channels);
+        } catch (err) {
+          console.error("[AUDIO] pcm process error:", err.message || err);
+        }
+      },
+      // Only real packets feed the watchdog; jitter-buffer silence does not.
+      onData() {
+        if (!lastDataAt) {
+          restartWindowStartedAt = Date.now();
+          restartAttemptsInWindow = 0;
+          console.log(`[AUDIO] pcm sender connected (${input.getStatus().clientAddress || transport})`);
+        }
+        lastDataAt = Date.now();
+      },
+      onError(err) {
+        if (pcmInput !== input) return;
+        lastError = `pcm ${transport} error: ${err.message || err}`;
+        console.error(`[AUDIO] ${lastError}`);
+        closeStream();
+        scheduleRestart("pcm socket error");
+      }
+    });
+    pcmInput = input;
+    // No sender yet: keep the watchdog idle until the first packet lands.
+    lastDataAt = 0;
+    input.start();
+    startWatchdog();
+    console.log(
+      `[AUDIO] pcm input listening: ${endpoint} (${cfg.pcmFormat}, ${cfg.pcmChannels}ch @ ${cfg.pcmSampleRate}Hz, jitter=${cfg.pcmJitterMs}ms)`
+    );
+  }
+
+  function getPcmStatus() {
+    return pcmInput ? { active: true, ...pcmInput.getStatus() } : { active: false, ...(pcmStatus || {}) };
+  }
+
+  function getFileStatus() {
+    const status = filePlayer ? filePlayer.getStatus() : fileStatus;
+    return {
+      path: cfg.filePath || "",
+      active: Boolean(filePlayer),
+      ...(status || {})
+    };
+  }
+
   function openStream() {
     closeStream();
     lastError = null;
     const backend = resolveAudioBackend();
     lastBackend = backend;
 
+    if (backend === "file") {
+      openFileStream();
+      return;
+    }
+
+    if (backend === "pcm") {
+      openPcmStream();
+      return;
+    }
+
     if (backend === "ffmpeg") {
       if (shouldUseProcessLoopbackCapture()) {
         const startedProcessLoopback = openProcessLoopbackStream();
@@ -2339,8 +2594,15 @@ module.exports = function createAudio(onLevel) {
   function setConfig(patch = {}, options = {}) {
     const normalized = normalizeCfgPatch(patch);
     const keys = Object.keys(normalized);
+    // fileSeekSec is a one-shot transport command, not a stored setting.
+    const seekSec = Number(patch?.fileSeekSec);
+    const seekRequested = patch?.fileSeekSec !== undefined && Number.isFinite(seekSec);
+    if (seekRequested) {
+      if (filePlayer) filePlayer.seek(seekSec);
+      else pendingFileSeekSec = seekSec;
+    }
     if (!keys.length) {
-      return { ok: true, changed: [], config: getConfig(), restarted: false };
+      return { ok: true, changed: seekRequested ? ["fileSeekSec"] : [], config: getConfig(), restarted: false };
     }
 
     const restartKeys = new Set([
@@ -2365,7 +2627,17 @@ module.exports = function createAudio(onLevel) {
       "ffmpegAppIsolationMultiSource",
       "ffmpegAppIsolationCheckMs",
       "procTapLauncher",
-      "procTapPythonVersion"
+      "procTapPythonVersion",
+      "filePath",
+      "pcmTransport",
+      "pcmHost",
+      "pcmPort",
+      "pcmPipePath",
+      "pcmFormat",
+      "pcmSampleRate",
+      "pcmChannels",
+      "pcmJitterMs",
+      "pcmAllowPublicSources"
     ]);
 
     let needsRestart = false;
@@ -2383,6 +2655,9 @@ module.exports = function createAudio(onLevel) {
       }
     }
     normalizeFfmpegDeviceFields();
+    spectrum.configure(getSpectrumOptions(activeInputSampleRate));
+    keyEstimator.configure({ holdSec: cfg.keyHoldSec });
+    filePlayer?.setOptions({ loop: cfg.fileLoop, speed: cfg.fileSpeed });
     startAppIsolationTimer();
     const shouldRestart = options.restart !== false && needsRestart && running;
     if (cfg.ffmpegAppIsolationEnabled && !shouldRestart) {
@@ -2397,7 +2672,7 @@ module.exports = function createAudio(onLevel) {
 
     return {
       ok: true,
-      changed: keys,
+      changed: seekRequested ? [...keys, "fileSeekSec"] : keys,
       config: getConfig(),
       restarted: shouldRestart
     };
@@ -2410,6 +2685,8 @@ module.exports = function createAudio(onLevel) {
       device: lastDeviceName || null,
       deviceId: lastDeviceId,
       ffmpegActive: Boolean(ffmpegProc),
+      file: getFileStatus(),
+      pcm: getPcmStatus(),
       processLoopbackActive: Boolean(procTapProc),
       restartPending: Boolean(restartTimer),
       watchdogMs: cfg.watchdogMs,
@@ -2426,6 +2703,9 @@ module.exports = function createAudio(onLevel) {
       bandMid: lastBandMid,
       bandHigh: lastBandHigh,
       spectralFlux: lastSpectralFlux,
+      spectrum: spectrum.getSnapshot(),
+      key: keyEstimator.getSnapshot(),
+      stereo: stereo.getSnapshot(),
       fast,
       mid,
       slow,
@@ -0,0 +1,293 @@
+// [TITLE] Module: core/audio/file-source.js
+// [TITLE] Purpose: offline file input (WAV reader / ffmpeg decode) and paced f32le playback into processBuffer
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const FILE_DECODE_SAMPLE_RATE = 48000;
+const FILE_DECODE_MAX_SEC = 1200;
+// Larger WAVs go through ffmpeg, which stops at FILE_DECODE_MAX_SEC instead
+// of holding the whole file in memory.
+const FILE_WAV_MAX_BYTES = 256 * 1024 * 1024;
+const FILE_SPEED_MIN = 0.25;
+const FILE_SPEED_MAX = 32;
+const FILE_PUMP_MS = 10;
+// A pump never emits more than this much audio; a stalled timer re-anchors
+// instead of flooding processBuffer with a burst of catch-up frames.
+const FILE_MAX_CATCHUP_MS = 250;
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_EXTENSIBLE = 0xfffe;
+
+function normalizeFileSpeed(value, fallback = 1) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(FILE_SPEED_MAX, Math.max(FILE_SPEED_MIN, Math.round(n * 100) / 100));
+}
+
+// Decodes at most `maxSeconds` (default FILE_DECODE_MAX_SEC) of audio.
+function readWavBuffer(buffer, options = {}) {
+  if (
+    buffer.length < 12 ||
+    buffer.toString("ascii", 0, 4) !== "RIFF" ||
+    buffer.toString("ascii", 8, 12) !== "WAVE"
+  ) {
+    throw new Error("not a RIFF/WAVE file");
+  }
+
+  let fmt = null;
+  let dataStart = -1;
+  let dataLength = 0;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === "fmt ") {
+      let format = buffer.readUInt16LE(body);
+      if (format === WAV_FORMAT_EXTENSIBLE && size >= 26) {
+        format = buffer.readUInt16LE(body + 24);
+      }
+      fmt = {
+        format,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === "data") {
+      dataStart = body;
+      dataLength = Math.min(size, buffer.length - body);
+      break;
+    }
+    offset = body + size + (size & 1);
+  }
+
+  if (!fmt) throw new Error("wav fmt chunk missing");
+  if (dataStart < 0) throw new Error("wav data chunk missing");
+  const { format, channels, sampleRate, bitsPerSample } = fmt;
+  if (!channels || !sampleRate) throw new Error("wav header invalid");
+
+  const bytesPerSample = bitsPerSample / 8;
+  let read = null;
+  if (format === WAV_FORMAT_PCM) {
+    if (bitsPerSample === 8) read = at => (buffer.readUInt8(at) - 128) / 128;
+    else if (bitsPerSample === 16) read = at => buffer.readInt16LE(at) / 32768;
+    else if (bitsPerSample === 24) read = at => buffer.readIntLE(at, 3) / 8388608;
+    else if (bitsPerSample === 32) read = at => buffer.readInt32LE(at) / 2147483648;
+  } else if (format === WAV_FORMAT_FLOAT) {
+    if (bitsPerSample === 32) read = at => buffer.readFloatLE(at);
+    else if (bitsPerSample === 64) read = at => buffer.readDoubleLE(at);
+  }
+  if (!read) throw new Error(`unsupported wav encoding (format=${format}, bits=${bitsPerSample})`);
+
+  const maxSeconds = Number(options.maxSeconds) > 0 ? Number(options.maxSeconds) : FILE_DECODE_MAX_SEC;
+  const frames = Math.min(
+    Math.floor(dataLength / (bytesPerSample * channels)),
+    Math.floor(maxSeconds * sampleRate)
+  );
+  const samples = new Float32Array(frames * channels);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = read(dataStart + (i * bytesPerSample));
+  }
+  return { sampleRate, channels, frames, samples };
+}
+
+function decodeWithFfmpeg(filePath, options = {}) {
+  const channels = Math.max(1, Math.min(2, Math.round(Number(options.channels) || 2)));
+  const sampleRate = Math.round(Number(options.sampleRate) || FILE_DECODE_SAMPLE_RATE);
+  const args = [
+    "-hide_banner",
+    "-loglevel", "error",
+    "-t", String(options.maxSeconds || FILE_DECODE_MAX_SEC),
+    "-i", filePath,
+    "-vn",
+    "-ac", String(channels),
+    "-ar", String(sampleRate),
+    "-f", "f32le",
+    "-"
+  ];
+
+  return new Promise((resolve, reject) => {
+    let proc = null;
+    try {
+      proc = spawn(options.ffmpegPath || "ffmpeg", args, {
+        windowsHide: true,
+        stdio: ["ignore", "pipe", "pipe"]
+      });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+    const chunks = [];
+    let stderr = "";
+    proc.stdout.on("data", chunk => chunks.push(chunk));
+    proc.stderr.on("data", data => {
+      stderr = `${stderr}${data}`.slice(-400);
+    });
+    proc.on("error", reject);
+    proc.on("close", code => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg decode failed (code=${code}) ${stderr.trim()}`.trim()));
+        return;
+      }
+      const merged = Buffer.concat(chunks);
+      const usable = merged.length - (merged.length % (channels * 4));
+      // Copy into a fresh ArrayBuffer so the Float32Array view is aligned.
+      const samples = new Float32Array(merged.buffer.slice(merged.byteOffset, merged.byteOffset + usable));
+      resolve({ sampleRate, channels, frames: samples.length / channels, samples });
+    });
+  });
+}
+
+// Decodes a local audio file: WAV through the pure-JS reader, anything else
+// (or a WAV encoding the reader rejects) through ffmpeg.
+async function decodeAudioFile(filePath, options = {}) {
+  const resolved = path.resolve(options.rootDir || process.cwd(), String(filePath || ""));
+  const stat = await fs.promises.stat(resolved);
+  if (!stat.isFile()) throw new Error(`not a file: ${resolved}`);
+
+  if (path.extname(resolved).toLowerCase() === ".wav") {
+    const maxBytes = Number(options.maxWavBytes) > 0 ? Number(options.maxWavBytes) : FILE_WAV_MAX_BYTES;
+    try {
+      if (stat.size > maxBytes) {
+        throw new Error(`wav file too large (${stat.size} bytes, max ${maxBytes})`);
+      }
+      const wav = readWavBuffer(await fs.promises.readFile(resolved), options);
+      return { ...wav, path: resolved, decoder: "wav" };
+    } catch (err) {
+      if (!options.ffmpegPath) throw err;
+    }
+  }
+  const decoded = await decodeWithFfmpeg(resolved, options);
+  return { ...decoded, path: resolved, decoder: "ffmpeg" };
+}
+
+// Paces decoded interleaved f32 samples out in framesPerBuffer chunks at
+// `speed` x real time. pump() runs on a timer; tests can drive it directly
+// with an injected clock.
+function createFilePlayer(options = {}) {
+  const samples = options.samples;
+  const channels = Math.max(1, Number(options.channels) || 1);
+  const sampleRate = Math.max(1, Number(options.sampleRate) || FILE_DECODE_SAMPLE_RATE);
+  const totalFrames = Math.floor(samples.length / channels);
+  const onBuffer = typeof options.onBuffer === "function" ? options.onBuffer : () => {};
+  const onEnd = typeof options.onEnd === "function" ? options.onEnd : () => {};
+  const now = typeof options.now === "function" ? options.now : Date.now;
+
+  let framesPerBuffer = Math.max(32, Math.round(Number(options.framesPerBuffer) || 256));
+  let speed = normalizeFileSpeed(options.speed, 1);
+  let loop = options.loop !== false;
+  let position = 0;
+  let played = 0;
+  let anchorAt = 0;
+  let anchorPlayed = 0;
+  let loops = 0;
+  let playing = false;
+  let ended = false;
+  let timer = null;
+
+  function reanchor() {
+    anchorAt = now();
+    anchorPlayed = played;
+  }
+
+  function emit(frames) {
+    const start = position * channels * 4;
+    onBuffer(Buffer.from(samples.buffer, samples.byteOffset + start, frames * channels * 4), channels);
+    position += frames;
+    played += frames;
+  }
+
+  function finish() {
+    playing = false;
+    ended = true;
+    if (timer) clearInterval(timer);
+    timer = null;
+    onEnd();
+  }
+
+  function pump() {
+    if (!playing || !totalFrames) return 0;
+    const due = anchorPlayed + Math.floor(((now() - anchorAt) * sampleRate * speed) / 1000);
+    const maxFrames = Math.ceil((FILE_MAX_CATCHUP_MS * sampleRate * speed) / 1000);
+    let budget = Math.min(due - played, maxFrames);
+    if (due - played > maxFrames) reanchor();
+    let emitted = 0;
+    while (budget >= framesPerBuffer || (budget > 0 && position + budget >= totalFrames)) {
+      const frames = Math.min(framesPerBuffer, budget, totalFrames - position);
+      emit(frames);
+      emitted += frames;
+      budget -= frames;
+      if (position >= totalFrames) {
+        if (!loop) {
+          finish();
+          break;
+        }
+        position = 0;
+        loops += 1;
+      }
+    }
+    return emitted;
+  }
+
+  return {
+    start() {
+      if (playing || !totalFrames) return;
+      playing = true;
+      ended = false;
+      reanchor();
+      if (options.timer === false) return;
+      timer = setInterval(pump, FILE_PUMP_MS);
+      timer.unref?.();
+    },
+
+    stop() {
+      playing = false;
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    pump,
+
+    seek(seconds) {
+      const frame = Math.round((Number(seconds) || 0) * sampleRate);
+      position = Math.max(0, Math.min(Math.max(0, totalFrames - 1), frame));
+      reanchor();
+      return position / sampleRate;
+    },
+
+    setOptions(next = {}) {
+      if (next.speed !== undefined) speed = normalizeFileSpeed(next.speed, speed);
+      if (next.loop !== undefined) loop = next.loop !== false;
+      if (next.framesPerBuffer !== undefined) {
+        framesPerBuffer = Math.max(32, Math.round(Number(next.framesPerBuffer) || framesPerBuffer));
+      }
+      reanchor();
+    },
+
+    getStatus() {
+      return {
+        playing,
+        ended,
+        loop,
+        speed,
+        loops,
+        sampleRate,
+        channels,
+        positionSec: Math.round((position / sampleRate) * 1000) / 1000,
+        durationSec: Math.round((totalFrames / sampleRate) * 1000) / 1000
+      };
+    }
+  };
+}
+
+module.exports = {
+  FILE_SPEED_MIN,
+  FILE_SPEED_MAX,
+  normalizeFileSpeed,
+  readWavBuffer,
+  decodeAudioFile,
+  createFilePlayer
+};
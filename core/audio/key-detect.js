@@ -0,0 +1,153 @@
+// [TITLE] Module: core/audio/key-detect.js
+// [TITLE] Purpose: musical key/mode estimate from chroma frames with hold-time smoothing
+
+const KEY_NAMES = Object.freeze(["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"]);
+const KEY_MODES = Object.freeze(["major", "minor"]);
+// Krumhansl-Kessler key profiles, tonic first.
+const KEY_PROFILES = Object.freeze({
+  major: Object.freeze([6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88]),
+  minor: Object.freeze([6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17])
+});
+const KEY_HOLD_SEC_MIN = 1;
+const KEY_HOLD_SEC_MAX = 60;
+const DEFAULT_KEY_HOLD_SEC = 8;
+// Chroma is averaged over roughly this much audio before correlating.
+const KEY_WINDOW_SEC = 12;
+// Weakest correlation that may replace the stable key.
+const KEY_MIN_CORRELATION = 0.5;
+
+function normalizeKeyHoldSec(value, fallback = DEFAULT_KEY_HOLD_SEC) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(KEY_HOLD_SEC_MAX, Math.max(KEY_HOLD_SEC_MIN, Math.round(n * 10) / 10));
+}
+
+function pearson(a, b, rotate) {
+  let meanA = 0;
+  let meanB = 0;
+  for (let i = 0; i < 12; i++) {
+    meanA += a[i];
+    meanB += b[i];
+  }
+  meanA /= 12;
+  meanB /= 12;
+  let num = 0;
+  let denA = 0;
+  let denB = 0;
+  for (let i = 0; i < 12; i++) {
+    const da = a[(i + rotate) % 12] - meanA;
+    const db = b[i] - meanB;
+    num += da * db;
+    denA += da * da;
+    denB += db * db;
+  }
+  return denA > 0 && denB > 0 ? num / Math.sqrt(denA * denB) : 0;
+}
+
+// Best-matching key for a chroma vector, plus the runner-up's correlation.
+function estimateKey(chroma) {
+  let best = null;
+  let second = -1;
+  for (const mode of KEY_MODES) {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const r = pearson(chroma, KEY_PROFILES[mode], tonic);
+      if (!best || r > best.correlation) {
+        if (best) second = Math.max(second, best.correlation);
+        best = { tonic, mode, correlation: r };
+      } else {
+        second = Math.max(second, r);
+      }
+    }
+  }
+  return { ...best, key: KEY_NAMES[best.tonic], runnerUp: second };
+}
+
+function same(a, b) {
+  return Boolean(a && b && a.tonic === b.tonic && a.mode === b.mode);
+}
+
+function createKeyEstimator(options = {}) {
+  let holdSec = normalizeKeyHoldSec(options.holdSec);
+  let profile = new Array(12).fill(0);
+  let weight = 0;
+  let detected = null;
+  let stable = null;
+  let candidate = null;
+  let candidateSec = 0;
+
+  function reset() {
+    profile = new Array(12).fill(0);
+    weight = 0;
+    detected = null;
+    stable = null;
+    candidate = null;
+    candidateSec = 0;
+  }
+
+  return {
+    // Feeds one chroma frame covering `frameSec` of audio. Silent frames
+    // (all zero) leave the estimate untouched.
+    push(chroma, frameSec) {
+      const dt = Math.max(0, Number(frameSec) || 0);
+      if (!Array.isArray(chroma) || chroma.length !== 12 || !chroma.some(v => v > 0)) return false;
+      const keep = Math.exp(-dt / KEY_WINDOW_SEC);
+      for (let i = 0; i < 12; i++) profile[i] = (profile[i] * keep) + ((Number(chroma[i]) || 0) * (1 - keep));
+      weight = (weight * keep) + (1 - keep);
+      detected = estimateKey(profile);
+
+      if (same(detected, stable)) {
+        stable = detected;
+        candidate = null;
+        candidateSec = 0;
+        return false;
+      }
+      if (same(detected, candidate)) {
+        candidateSec += dt;
+      } else {
+        candidate = detected;
+        candidateSec = 0;
+      }
+      if (candidateSec < holdSec || detected.correlation < KEY_MIN_CORRELATION) return false;
+      stable = detected;
+      candidate = null;
+      candidateSec = 0;
+      return true;
+    },
+
+    configure(next = {}) {
+      if (next.holdSec !== undefined) holdSec = normalizeKeyHoldSec(next.holdSec, holdSec);
+    },
+
+    reset,
+
+    getSnapshot() {
+      const round = value => Math.round(value * 1000) / 1000;
+      // Confidence blends fit quality with how clearly it beats the runner-up.
+      const confidence = detected
+        ? round(Math.max(0, Math.min(1, detected.correlation)) * Math.min(1, Math.max(0, (detected.correlation - detected.runnerUp) * 10)))
+        : 0;
+      return {
+        key: stable ? stable.key : "",
+        mode: stable ? stable.mode : "",
+        label: stable ? `${stable.key} ${stable.mode}` : "",
+        confidence: stable && same(detected, stable) ? confidence : 0,
+        detected: detected ? `${detected.key} ${detected.mode}` : "",
+        detectedConfidence: confidence,
+        candidate: candidate ? `${candidate.key} ${candidate.mode}` : "",
+        candidateSec: round(candidateSec),
+        holdSec,
+        warmup: round(Math.min(1, weight / (1 - Math.exp(-1)))),
+        profile: profile.map(value => round(weight > 0 ? value / weight : 0))
+      };
+    }
+  };
+}
+
+module.exports = {
+  KEY_NAMES,
+  KEY_MODES,
+  DEFAULT_KEY_HOLD_SEC,
+  normalizeKeyHoldSec,
+  estimateKey,
+  createKeyEstimator
+};
@@ -0,0 +1,306 @@
+// [TITLE] Module: core/audio/pcm-source.js
+// [TITLE] Purpose: raw PCM input over TCP/UDP/named pipe/stdin with jitter buffer and silence fallback
+
+const fs = require("fs");
+const net = require("net");
+const dgram = require("dgram");
+const { isPrivateOrLoopbackIpv4 } = require("../utils/private-ipv4");
+
+const PCM_TRANSPORTS = Object.freeze(["tcp", "udp", "pipe", "stdin"]);
+const PCM_FORMATS = Object.freeze({
+  f32le: Object.freeze({ bytes: 4, read: (buf, at) => buf.readFloatLE(at) }),
+  s16le: Object.freeze({ bytes: 2, read: (buf, at) => buf.readInt16LE(at) / 32768 }),
+  s32le: Object.freeze({ bytes: 4, read: (buf, at) => buf.readInt32LE(at) / 2147483648 })
+});
+const DEFAULT_PCM_PIPE_PATH = process.platform === "win32"
+  ? "\\\\.\\pipe\\ravelink-audio"
+  : "/tmp/ravelink-audio.sock";
+const PCM_PLAYOUT_MS = 5;
+// Depth beyond which the oldest audio is dropped, so a sender running fast
+// cannot grow latency without bound.
+const PCM_MAX_DEPTH_FACTOR = 4;
+const PCM_MAX_DEPTH_MIN_MS = 250;
+
+function normalizePcmTransport(value, fallback = "tcp") {
+  const raw = String(value || "").trim().toLowerCase();
+  return PCM_TRANSPORTS.includes(raw) ? raw : fallback;
+}
+
+function normalizePcmFormat(value, fallback = "f32le") {
+  const raw = String(value || "").trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(PCM_FORMATS, raw) ? raw : fallback;
+}
+
+function stripIpv4Mapped(address) {
+  const text = String(address || "");
+  return text.startsWith("::ffff:") ? text.slice(7) : text;
+}
+
+// Converts incoming bytes (any chunking) to interleaved float frames,
+// carrying partial frames over to the next chunk.
+function createPcmDecoder(format, channels) {
+  const spec = PCM_FORMATS[format] || PCM_FORMATS.f32le;
+  const frameBytes = spec.bytes * channels;
+  let carry = Buffer.alloc(0);
+
+  return {
+    decode(chunk) {
+      const merged = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = merged.length - (merged.length % frameBytes);
+      carry = usable < merged.length ? Buffer.from(merged.subarray(usable)) : Buffer.alloc(0);
+      const out = new Float32Array(usable / spec.bytes);
+      for (let i = 0; i < out.length; i++) out[i] = spec.read(merged, i * spec.bytes);
+      return out;
+    },
+    reset() {
+      carry = Buffer.alloc(0);
+    }
+  };
+}
+
+function createPcmInput(options = {}) {
+  const transport = normalizePcmTransport(options.transport);
+  const format = normalizePcmFormat(options.format);
+  const channels = Math.max(1, Math.min(8, Math.round(Number(options.channels) || 2)));
+  const sampleRate = Math.max(8000, Math.min(192000, Math.round(Number(options.sampleRate) || 48000)));
+  const framesPerBuffer = Math.max(32, Math.round(Number(options.framesPerBuffer) || 256));
+  const jitterFrames = Math.round((Math.max(0, Number(options.jitterMs) || 0) * sampleRate) / 1000);
+  const maxDepthFrames = Math.max(
+    jitterFrames * PCM_MAX_DEPTH_FACTOR,
+    Math.round((PCM_MAX_DEPTH_MIN_MS * sampleRate) / 1000)
+  );
+  const allowPublicSources = options.allowPublicSources === true;
+  const onBuffer = typeof options.onBuffer === "function" ? options.onBuffer : () => {};
+  const onData = typeof options.onData === "function" ? options.onData : () => {};
+  const onError = typeof options.onError === "function" ? options.onError : () => {};
+  const now = typeof options.now === "function" ? options.now : Date.now;
+  const input = options.stdin || process.stdin;
+
+  const decoder = createPcmDecoder(format, channels);
+  const queue = [];
+  let queueOffset = 0;
+  let depthFrames = 0;
+  let prefilling = true;
+  let anchorAt = 0;
+  let emittedFrames = 0;
+  let server = null;
+  let socket = null;
+  let client = null;
+  let timer = null;
+  let stdinListener = null;
+  const silence = new Float32Array(framesPerBuffer * channels);
+  const stats = {
+    listening: false,
+    clientAddress: "",
+    bytesIn: 0,
+    framesIn: 0,
+    framesDropped: 0,
+    underruns: 0,
+    silenceFrames: 0,
+    rejectedSources: 0,
+    lastPacketAt: 0
+  };
+
+  function accept(chunk, address = "") {
+    if (!chunk?.length) return;
+    stats.bytesIn += chunk.length;
+    stats.lastPacketAt = now();
+    if (address) stats.clientAddress = address;
+    const samples = decoder.decode(chunk);
+    if (!samples.length) return;
+    queue.push(samples);
+    depthFrames += samples.length / channels;
+    stats.framesIn += samples.length / channels;
+    while (depthFrames > maxDepthFrames && queue.length) {
+      const head = queue[0];
+      const headFrames = (head.length / channels) - queueOffset;
+      const drop = Math.min(headFrames, depthFrames - maxDepthFrames);
+      stats.framesDropped += drop;
+      depthFrames -= drop;
+      queueOffset += drop;
+      if (queueOffset * channels >= head.length) {
+        queue.shift();
+        queueOffset = 0;
+      }
+    }
+    onData();
+  }
+
+  function take(frames) {
+    const out = new Float32Array(frames * channels);
+    let written = 0;
+    while (written < frames && queue.length) {
+      const head = queue[0];
+      const available = (head.length / channels) - queueOffset;
+      const count = Math.min(available, frames - written);
+      out.set(head.subarray(queueOffset * channels, (queueOffset + count) * channels), written * channels);
+      written += count;
+      queueOffset += count;
+      if (queueOffset * channels >= head.length) {
+        queue.shift();
+        queueOffset = 0;
+      }
+    }
+    depthFrames -= written;
+    return out;
+  }
+
+  function emit(samples) {
+    onBuffer(Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength), channels);
+  }
+
+  // Plays the jitter buffer out at the declared rate. Until it holds
+  // jitterMs of audio, and again after every underrun, silence goes out
+  // instead so telemetry decays rather than freezing on stale values.
+  function playout() {
+    let due = Math.floor(((now() - anchorAt) * sampleRate) / 1000) - emittedFrames;
+    if (due > maxDepthFrames) {
+      anchorAt = now();
+      emittedFrames = 0;
+      due = framesPerBuffer;
+    }
+    let emitted = 0;
+    while (due >= framesPerBuffer) {
+      if (prefilling && depthFrames >= Math.max(jitterFrames, framesPerBuffer)) prefilling = false;
+      if (!prefilling && depthFrames < framesPerBuffer) {
+        prefilling = true;
+        stats.underruns += 1;
+      }
+      if (prefilling) {
+        emit(silence);
+        stats.silenceFrames += framesPerBuffer;
+      } else {
+        emit(take(framesPerBuffer));
+      }
+      emittedFrames += framesPerBuffer;
+      due -= framesPerBuffer;
+      emitted += framesPerBuffer;
+    }
+    return emitted;
+  }
+
+  function acceptsAddress(address) {
+    if (allowPublicSources || isPrivateOrLoopbackIpv4(address)) return true;
+    stats.rejectedSources += 1;
+    return false;
+  }
+
+  function listenStream(listenArgs) {
+    server = net.createServer(conn => {
+      const address = stripIpv4Mapped(conn.remoteAddress);
+      if (transport === "tcp" && !acceptsAddress(address)) {
+        conn.destroy();
+        return;
+      }
+      // One sender at a time; a reconnect replaces the previous client.
+      if (client) client.destroy();
+      client = conn;
+      decoder.reset();
+      stats.clientAddress = transport === "tcp" ? address : "pipe";
+      conn.on("data", chunk => accept(chunk));
+      conn.on("error", () => {});
+      conn.on("close", () => {
+        if (client === conn) client = null;
+      });
+    });
+    server.on("error", onError);
+    server.listen(...listenArgs, () => {
+      stats.listening = true;
+    });
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      if (transport === "tcp") {
+        listenStream([options.port, options.host || "0.0.0.0"]);
+      } else if (transport === "pipe") {
+        const pipePath = options.pipePath || DEFAULT_PCM_PIPE_PATH;
+        // A crashed run leaves its unix socket behind; clear it (sockets only).
+        try {
+          if (process.platform !== "win32" && fs.statSync(pipePath).isSocket()) fs.unlinkSync(pipePath);
+        } catch {}
+        listenStream([pipePath]);
+      } else if (transport === "udp") {
+        socket = dgram.createSocket("udp4");
+        socket.on("message", (msg, rinfo) => {
+          if (!acceptsAddress(rinfo?.address)) return;
+          accept(msg, rinfo.address);
+        });
+        socket.on("error", onError);
+        socket.bind(options.port, options.host || "0.0.0.0", () => {
+          stats.listening = true;
+        });
+      } else {
+        stdinListener = chunk => accept(chunk, "stdin");
+        input.on("data", stdinListener);
+        input.resume?.();
+        stats.listening = true;
+      }
+      anchorAt = now();
+      emittedFrames = 0;
+      if (options.timer === false) return;
+      timer = setInterval(playout, PCM_PLAYOUT_MS);
+      timer.unref?.();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      if (client) client.destroy();
+      client = null;
+      if (server) {
+        server.removeAllListeners("error");
+        server.on("error", () => {});
+        server.close();
+      }
+      server = null;
+      if (socket) {
+        socket.removeAllListeners();
+        socket.on("error", () => {});
+        try {
+          socket.close();
+        } catch {}
+      }
+      socket = null;
+      if (stdinListener) {
+        input.removeListener("data", stdinListener);
+        input.pause?.();
+      }
+      stdinListener = null;
+      stats.listening = false;
+      queue.length = 0;
+      queueOffset = 0;
+      depthFrames = 0;
+      prefilling = true;
+      decoder.reset();
+    },
+
+    // Exposed for tests (timer: false) to push bytes and drive playout.
+    accept,
+    playout,
+
+    getStatus() {
+      return {
+        transport,
+        format,
+        sampleRate,
+        channels,
+        jitterMs: Math.round((jitterFrames / sampleRate) * 1000),
+        bufferedMs: Math.round((depthFrames / sampleRate) * 1000),
+        prefilling,
+        connected: Boolean(client) || (transport !== "tcp" && transport !== "pipe" && stats.lastPacketAt > 0),
+        ...stats
+      };
+    }
+  };
+}
+
+module.exports = {
+  PCM_TRANSPORTS,
+  DEFAULT_PCM_PIPE_PATH,
+  normalizePcmTransport,
+  normalizePcmFormat,
+  createPcmDecoder,
+  createPcmInput
+};
@@ -0,0 +1,393 @@
+// [TITLE] Module: core/audio/spectrum.js
+// [TITLE] Purpose: windowed FFT stage (mel/log bands, centroid, rolloff, per-band flux, named Hz ranges, chroma)
+
+const FFT_SIZES = Object.freeze([256, 512, 1024, 2048, 4096, 8192]);
+const SPECTRUM_SCALES = Object.freeze(["mel", "log"]);
+const DEFAULT_SPECTRUM_RANGES = Object.freeze({
+  kick: Object.freeze([40, 100]),
+  bass: Object.freeze([100, 250]),
+  snare: Object.freeze([1500, 4000]),
+  hats: Object.freeze([8000, 12000])
+});
+const SPECTRUM_MIN_HZ = 30;
+const SPECTRUM_MAX_HZ = 16000;
+const ROLLOFF_FRACTION = 0.85;
+const MAX_SPECTRUM_RANGES = 8;
+// Frames whose RMS sits below this read as silence and decay everything.
+const SILENCE_RMS = 0.0004;
+// Adaptive ceilings rise instantly and release slowly so levels stay 0..1
+// across quiet and loud tracks.
+const CEIL_RELEASE = 0.996;
+const CEIL_MIN = 1e-5;
+// A named range never normalises against less than this share of the loudest
+// band, so window leakage next to a loud kick does not read as a full range.
+const RANGE_CEIL_FLOOR = 0.1;
+// Chroma folds bins into 12 pitch classes (C = 0). Bins below ~8 bins of
+// resolution are too coarse to tell neighbouring semitones apart.
+const CHROMA_MIN_HZ = 100;
+const CHROMA_MAX_HZ = 4000;
+const CHROMA_MIN_RESOLVED_BINS = 8;
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+function normalizeFftSize(value, fallback = 2048) {
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n)) return fallback;
+  let best = FFT_SIZES[0];
+  for (const size of FFT_SIZES) {
+    if (Math.abs(size - n) < Math.abs(best - n)) best = size;
+  }
+  return best;
+}
+
+function normalizeSpectrumScale(value, fallback = "mel") {
+  const raw = String(value || "").trim().toLowerCase();
+  return SPECTRUM_SCALES.includes(raw) ? raw : fallback;
+}
+
+function normalizeSpectrumRanges(value, fallback = DEFAULT_SPECTRUM_RANGES) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { ...fallback };
+  }
+  const out = {};
+  for (const [rawName, rawRange] of Object.entries(value)) {
+    const name = String(rawName || "").trim().toLowerCase();
+    if (!/^[a-z][a-z0-9_]{0,23}$/.test(name)) continue;
+    if (!Array.isArray(rawRange) || rawRange.length < 2) continue;
+    const lo = clamp(Math.round(Number(rawRange[0])), 10, 24000);
+    const hi = clamp(Math.round(Number(rawRange[1])), 10, 24000);
+    if (!Number.isFinite(lo) || !Number.isFinite(hi) || hi <= lo) continue;
+    out[name] = [lo, hi];
+    if (Object.keys(out).length >= MAX_SPECTRUM_RANGES) break;
+  }
+  return Object.keys(out).length ? out : { ...fallback };
+}
+
+const hzToMel = hz => 2595 * Math.log10(1 + (hz / 700));
+const melToHz = mel => 700 * (Math.pow(10, mel / 2595) - 1);
+
+function buildBandEdges(count, minHz, maxHz, scale) {
+  const edges = [];
+  if (scale === "log") {
+    const ratio = Math.log(maxHz / minHz);
+    for (let i = 0; i <= count; i++) edges.push(minHz * Math.exp((ratio * i) / count));
+  } else {
+    const lo = hzToMel(minHz);
+    const hi = hzToMel(maxHz);
+    for (let i = 0; i <= count; i++) edges.push(melToHz(lo + (((hi - lo) * i) / count)));
+  }
+  return edges;
+}
+
+// In-place iterative radix-2 FFT over re/im using precomputed tables.
+function fftInPlace(re, im, reverse, cosTable, sinTable) {
+  const n = re.length;
+  for (let i = 0; i < n; i++) {
+    const j = reverse[i];
+    if (j > i) {
+      let t = re[i]; re[i] = re[j]; re[j] = t;
+      t = im[i]; im[i] = im[j]; im[j] = t;
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = cosTable[k * step];
+        const sin = sinTable[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tre = (re[b] * cos) + (im[b] * sin);
+        const tim = (im[b] * cos) - (re[b] * sin);
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+}
+
+function createSpectrumAnalyzer(options = {}) {
+  let settings = null;
+  let ring = null;
+  let ringPos = 0;
+  let filled = 0;
+  let sinceHop = 0;
+  let windowTable = null;
+  let windowGain = 1;
+  let reverse = null;
+  let cosTable = null;
+  let sinTable = null;
+  let re = null;
+  let im = null;
+  let mags = null;
+  let bandBins = [];
+  let rangeBins = {};
+  let bandCeil = CEIL_MIN;
+  let rangeCeil = {};
+  let chromaBins = null;
+  let state = null;
+
+  function emptyState() {
+    const rangeNames = Object.keys(settings.ranges);
+    return {
+      frames: 0,
+      bands: new Array(settings.bands).fill(0),
+      bandFlux: new Array(settings.bands).fill(0),
+      flux: 0,
+      centroidHz: 0,
+      centroid: 0,
+      rolloffHz: 0,
+      ranges: Object.fromEntries(rangeNames.map(name => [name, 0])),
+      rangeFlux: Object.fromEntries(rangeNames.map(name => [name, 0])),
+      chroma: new Array(12).fill(0)
+    };
+  }
+
+  // Bins whose centre falls inside [lo, hi); a range narrower than one bin
+  // falls back to the nearest bin so it still reports something.
+  function collectBins(lo, hi, binHz, binCount) {
+    const first = Math.max(1, Math.ceil(lo / binHz));
+    const last = Math.min(binCount - 1, Math.ceil(hi / binHz) - 1);
+    if (last >= first) return [first, last];
+    const nearest = clamp(Math.round(((lo + hi) / 2) / binHz), 1, binCount - 1);
+    return [nearest, nearest];
+  }
+
+  function rebuild(next) {
+    settings = next;
+    const n = settings.size;
+    ring = new Float32Array(n);
+    ringPos = 0;
+    filled = 0;
+    sinceHop = 0;
+    re = new Float64Array(n);
+    im = new Float64Array(n);
+    mags = new Float64Array(n / 2);
+    windowTable = new Float64Array(n);
+    let windowSum = 0;
+    for (let i = 0; i < n; i++) {
+      windowTable[i] = 0.5 - (0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+      windowSum += windowTable[i];
+    }
+    windowGain = 2 / windowSum;
+    const bits = Math.round(Math.log2(n));
+    reverse = new Uint32Array(n);
+    for (let i = 0; i < n; i++) {
+      let r = 0;
+      for (let b = 0; b < bits; b++) r = (r << 1) | ((i >> b) & 1);
+      reverse[i] = r;
+    }
+    cosTable = new Float64Array(n / 2);
+    sinTable = new Float64Array(n / 2);
+    for (let i = 0; i < n / 2; i++) {
+      cosTable[i] = Math.cos((2 * Math.PI * i) / n);
+      sinTable[i] = Math.sin((2 * Math.PI * i) / n);
+    }
+
+    const binHz = settings.sampleRate / n;
+    const binCount = n / 2;
+    const maxHz = Math.min(SPECTRUM_MAX_HZ, settings.sampleRate / 2);
+    const edges = buildBandEdges(settings.bands, SPECTRUM_MIN_HZ, maxHz, settings.scale);
+    bandBins = [];
+    for (let i = 0; i < settings.bands; i++) {
+      bandBins.push({ lo: edges[i], hi: edges[i + 1], bins: collectBins(edges[i], edges[i + 1], binHz, binCount) });
+    }
+    rangeBins = {};
+    rangeCeil = {};
+    for (const [name, [lo, hi]] of Object.entries(settings.ranges)) {
+      rangeBins[name] = collectBins(lo, Math.min(hi, settings.sampleRate / 2), binHz, binCount);
+      rangeCeil[name] = CEIL_MIN;
+    }
+    const chromaMinHz = Math.max(CHROMA_MIN_HZ, binHz * CHROMA_MIN_RESOLVED_BINS);
+    const chromaMaxHz = Math.min(CHROMA_MAX_HZ, settings.sampleRate / 2);
+    chromaBins = new Int8Array(binCount).fill(-1);
+    for (let k = 1; k < binCount; k++) {
+      const hz = k * binHz;
+      if (hz < chromaMinHz || hz > chromaMaxHz) continue;
+      const midi = Math.round(69 + (12 * Math.log2(hz / 440)));
+      chromaBins[k] = ((midi % 12) + 12) % 12;
+    }
+    bandCeil = CEIL_MIN;
+    state = emptyState();
+  }
+
+  function configure(next = {}) {
+    const size = normalizeFftSize(next.size ?? settings?.size ?? 2048);
+    const resolved = {
+      enabled: next.enabled ?? settings?.enabled ?? true,
+      size,
+      hop: clamp(Math.round(Number(next.hop ?? settings?.hop ?? size / 4)) || size / 4, 64, size),
+      bands: clamp(Math.round(Number(next.bands ?? settings?.bands ?? 24)) || 24, 4, 64),
+      scale: normalizeSpectrumScale(next.scale ?? settings?.scale),
+      sampleRate: clamp(Math.round(Number(next.sampleRate ?? settings?.sampleRate ?? 48000)) || 48000, 8000, 384000),
+      ranges: normalizeSpectrumRanges(next.ranges ?? settings?.ranges)
+    };
+    resolved.enabled = resolved.enabled !== false;
+    if (
+      settings &&
+      settings.size === resolved.size &&
+      settings.bands === resolved.bands &&
+      settings.scale === resolved.scale &&
+      settings.sampleRate === resolved.sampleRate &&
+      JSON.stringify(settings.ranges) === JSON.stringify(resolved.ranges)
+    ) {
+      settings.enabled = resolved.enabled;
+      settings.hop = resolved.hop;
+      return false;
+    }
+    rebuild(resolved);
+    return true;
+  }
+
+  // Summed-power amplitude, so a pure tone reads the same in a narrow kick
+  // range as in a wide hats range.
+  function rangeAmplitude(first, last) {
+    let power = 0;
+    for (let k = first; k <= last; k++) power += mags[k] * mags[k];
+    return Math.sqrt(power);
+  }
+
+  function analyze() {
+    const n = settings.size;
+    let sumSq = 0;
+    for (let i = 0; i < n; i++) {
+      const sample = ring[(ringPos + i) % n];
+      sumSq += sample * sample;
+      re[i] = sample * windowTable[i];
+      im[i] = 0;
+    }
+    fftInPlace(re, im, reverse, cosTable, sinTable);
+
+    const binHz = settings.sampleRate / n;
+    const binCount = n / 2;
+    let total = 0;
+    let weighted = 0;
+    for (let k = 1; k < binCount; k++) {
+      const mag = Math.sqrt((re[k] * re[k]) + (im[k] * im[k])) * windowGain;
+      mags[k] = mag;
+      total += mag * mag;
+      weighted += mag * k * binHz;
+    }
+
+    const next = state;
+    next.frames += 1;
+    const silent = Math.sqrt(sumSq / n) < SILENCE_RMS;
+
+    let magSum = 0;
+    for (let k = 1; k < binCount; k++) magSum += mags[k];
+    next.centroidHz = silent || magSum <= 0 ? 0 : weighted / magSum;
+    next.centroid = clamp(next.centroidHz / (settings.sampleRate / 2), 0, 1);
+
+    let rolloffHz = 0;
+    if (!silent && total > 0) {
+      const target = total * ROLLOFF_FRACTION;
+      let acc = 0;
+      for (let k = 1; k < binCount; k++) {
+        acc += mags[k] * mags[k];
+        if (acc >= target) {
+          rolloffHz = k * binHz;
+          break;
+        }
+      }
+    }
+    next.rolloffHz = rolloffHz;
+
+    const rawBands = bandBins.map(({ bins: [first, last] }) => rangeAmplitude(first, last));
+    const frameMax = Math.max(...rawBands);
+    bandCeil = Math.max(frameMax, bandCeil * CEIL_RELEASE, CEIL_MIN);
+    let fluxSum = 0;
+    for (let i = 0; i < rawBands.length; i++) {
+      const value = silent ? 0 : clamp(rawBands[i] / bandCeil, 0, 1);
+      const rise = Math.max(0, value - next.bands[i]);
+      next.bandFlux[i] = rise;
+      fluxSum += rise;
+      next.bands[i] = value;
+    }
+    next.flux = clamp(fluxSum / Math.max(1, rawBands.length / 4), 0, 1);
+
+    for (const [name, [first, last]] of Object.entries(rangeBins)) {
+      const raw = rangeAmplitude(first, last);
+      rangeCeil[name] = Math.max(raw, rangeCeil[name] * CEIL_RELEASE, bandCeil * RANGE_CEIL_FLOOR, CEIL_MIN);
+      const value = silent ? 0 : clamp(raw / rangeCeil[name], 0, 1);
+      next.rangeFlux[name] = Math.max(0, value - next.ranges[name]);
+      next.ranges[name] = value;
+    }
+
+    const chroma = next.chroma.fill(0);
+    if (!silent) {
+      for (let k = 1; k < binCount; k++) {
+        const pc = chromaBins[k];
+        if (pc >= 0) chroma[pc] += mags[k] * mags[k];
+      }
+      const peak = Math.max(...chroma);
+      for (let i = 0; i < 12; i++) chroma[i] = peak > 0 ? chroma[i] / peak : 0;
+    }
+  }
+
+  configure(options);
+
+  return {
+    configure,
+
+    // Feeds one mono sample; returns true when a new frame was analysed.
+    write(sample) {
+      if (!settings.enabled) return false;
+      ring[ringPos] = sample;
+      ringPos = (ringPos + 1) % settings.size;
+      if (filled < settings.size) filled += 1;
+      sinceHop += 1;
+      if (filled < settings.size || sinceHop < settings.hop) return false;
+      sinceHop = 0;
+      analyze();
+      return true;
+    },
+
+    reset() {
+      rebuild({ ...settings });
+    },
+
+    // Latest frame's pitch-class profile (0-1, loudest class = 1; all 0 in silence).
+    getChroma() {
+      return state.chroma.slice();
+    },
+
+    getSnapshot() {
+      const round = value => Math.round(value * 1000) / 1000;
+      const roundMap = map => Object.fromEntries(Object.entries(map).map(([key, value]) => [key, round(value)]));
+      return {
+        enabled: settings.enabled,
+        size: settings.size,
+        hop: settings.hop,
+        scale: settings.scale,
+        sampleRate: settings.sampleRate,
+        frames: state.frames,
+        bandEdgesHz: bandBins.map(({ lo }) => Math.round(lo)).concat(
+          bandBins.length ? [Math.round(bandBins[bandBins.length - 1].hi)] : []
+        ),
+        bands: state.bands.map(round),
+        bandFlux: state.bandFlux.map(round),
+        flux: round(state.flux),
+        centroidHz: Math.round(state.centroidHz),
+        centroid: round(state.centroid),
+        rolloffHz: Math.round(state.rolloffHz),
+        rangesHz: { ...settings.ranges },
+        ranges: roundMap(state.ranges),
+        rangeFlux: roundMap(state.rangeFlux),
+        chroma: state.chroma.map(round)
+      };
+    }
+  };
+}
+
+module.exports = {
+  FFT_SIZES,
+  SPECTRUM_SCALES,
+  DEFAULT_SPECTRUM_RANGES,
+  normalizeFftSize,
+  normalizeSpectrumScale,
+  normalizeSpectrumRanges,
+  createSpectrumAnalyzer
+};
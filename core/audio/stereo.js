@@ -0,0 +1,218 @@
+// [TITLE] Module: core/audio/stereo.js
+// [TITLE] Purpose: per-channel level/band energy plus stereo balance, width and correlation, plus the side gain/bands that left/right fixtures follow
+
+// Per-buffer release of the shared level ceiling (buffers are ~5ms).
+const CEIL_RELEASE = 0.995;
+const CEIL_MIN = 0.002;
+const BAND_ATTACK = 0.45;
+const BAND_RELEASE = 0.18;
+const LEVEL_ATTACK = 0.5;
+const LEVEL_RELEASE = 0.2;
+const IMAGE_SMOOTH = 0.2;
+const QUIET_DECAY = 0.3;
+// Loudest a side can drive its fixtures relative to the stereo average.
+const SIDE_GAIN_MAX = 1.6;
+// Below this average both sides count as silent and fixtures stay neutral.
+const SIDE_QUIET_LEVEL = 0.02;
+const SIDE_BAND_METRICS = Object.freeze(["lows", "mids", "highs", "beat"]);
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+const unit = value => clamp(Number(value) || 0, 0, 1);
+const isSided = side => side === "left" || side === "right";
+
+function createChannelState() {
+  return {
+    lpLow: 0,
+    lpMid: 0,
+    sumSq: 0,
+    lowSq: 0,
+    midSq: 0,
+    highSq: 0,
+    rms: 0,
+    level: 0,
+    bandLow: 0,
+    bandMid: 0,
+    bandHigh: 0
+  };
+}
+
+function createStereoAnalyzer() {
+  let left = createChannelState();
+  let right = createChannelState();
+  let channels = 0;
+  let lowAlpha = 0;
+  let midAlpha = 0;
+  let count = 0;
+  let midSq = 0;
+  let sideSq = 0;
+  let cross = 0;
+  let ceil = CEIL_MIN;
+  let balance = 0;
+  let width = 0;
+  let correlation = 0;
+
+  function writeChannel(state, s) {
+    // Same crossover split as the mono path in core/audio.js.
+    state.lpLow += (s - state.lpLow) * lowAlpha;
+    state.lpMid += (s - state.lpMid) * midAlpha;
+    const low = state.lpLow;
+    const mid = state.lpMid - state.lpLow;
+    const high = s - state.lpMid;
+    state.sumSq += s * s;
+    state.lowSq += low * low;
+    state.midSq += mid * mid;
+    state.highSq += high * high;
+  }
+
+  function finishChannel(state, quiet) {
+    state.rms = Math.sqrt(state.sumSq / count);
+    const lowRms = Math.sqrt(state.lowSq / count);
+    const midRms = Math.sqrt(state.midSq / count);
+    const highRms = Math.sqrt(state.highSq / count);
+    const bandSum = lowRms + midRms + highRms + 1e-6;
+    const targets = quiet
+      ? [0, 0, 0]
+      : [lowRms / bandSum, midRms / bandSum, highRms / bandSum];
+    ["bandLow", "bandMid", "bandHigh"].forEach((key, i) => {
+      const target = clamp(targets[i], 0, 1);
+      state[key] += (target - state[key]) * (target > state[key] ? BAND_ATTACK : BAND_RELEASE);
+    });
+    const level = quiet ? 0 : clamp(state.rms / ceil, 0, 1);
+    state.level += (level - state.level) * (level > state.level ? LEVEL_ATTACK : LEVEL_RELEASE);
+    state.sumSq = 0;
+    state.lowSq = 0;
+    state.midSq = 0;
+    state.highSq = 0;
+  }
+
+  function snapshotChannel(state, round) {
+    return {
+      rms: round(state.rms),
+      level: round(state.level),
+      bandLow: round(state.bandLow),
+      bandMid: round(state.bandMid),
+      bandHigh: round(state.bandHigh)
+    };
+  }
+
+  return {
+    // Starts one input buffer. Crossover edges follow the mono path's
+    // bandLowHz/bandMidHz so per-side bands compare with bandLow/Mid/High.
+    begin({ sampleRate, lowHz, midHz, channelCount }) {
+      const rate = Math.max(8000, Number(sampleRate) || 48000);
+      lowAlpha = 1 - Math.exp((-2 * Math.PI * lowHz) / rate);
+      midAlpha = 1 - Math.exp((-2 * Math.PI * midHz) / rate);
+      channels = Math.max(1, Math.round(Number(channelCount) || 1));
+      count = 0;
+      midSq = 0;
+      sideSq = 0;
+      cross = 0;
+    },
+
+    // One frame. Mono input passes the same sample twice.
+    write(l, r) {
+      writeChannel(left, l);
+      writeChannel(right, r);
+      const m = (l + r) * 0.5;
+      const s = (l - r) * 0.5;
+      midSq += m * m;
+      sideSq += s * s;
+      cross += l * r;
+      count++;
+    },
+
+    // Closes the buffer; `quiet` (the mono gate) decays everything to rest.
+    finish(quiet = false) {
+      if (!count) return;
+      const rmsLeft = Math.sqrt(left.sumSq / count);
+      const rmsRight = Math.sqrt(right.sumSq / count);
+      // One ceiling for both sides keeps their levels comparable.
+      ceil = Math.max(CEIL_MIN, ceil * CEIL_RELEASE, rmsLeft, rmsRight);
+      const energyLeft = left.sumSq;
+      const energyRight = right.sumSq;
+      finishChannel(left, quiet);
+      finishChannel(right, quiet);
+
+      if (quiet) {
+        balance += (0 - balance) * QUIET_DECAY;
+        width += (0 - width) * QUIET_DECAY;
+        correlation += (0 - correlation) * QUIET_DECAY;
+        return;
+      }
+      const midRms = Math.sqrt(midSq / count);
+      const sideRms = Math.sqrt(sideSq / count);
+      const balanceRaw = (rmsRight - rmsLeft) / (rmsRight + rmsLeft + 1e-9);
+      const widthRaw = sideRms / (midRms + sideRms + 1e-9);
+      const denom = Math.sqrt(energyLeft * energyRight);
+      const correlationRaw = denom > 0 ? clamp(cross / denom, -1, 1) : 1;
+      balance += (balanceRaw - balance) * IMAGE_SMOOTH;
+      width += (widthRaw - width) * IMAGE_SMOOTH;
+      correlation += (correlationRaw - correlation) * IMAGE_SMOOTH;
+    },
+
+    reset() {
+      left = createChannelState();
+      right = createChannelState();
+      ceil = CEIL_MIN;
+      balance = 0;
+      width = 0;
+      correlation = 0;
+    },
+
+    getSnapshot() {
+      const round = value => Math.round(value * 1000) / 1000;
+      return {
+        channels,
+        left: snapshotChannel(left, round),
+        right: snapshotChannel(right, round),
+        // -1 = all left, +1 = all right.
+        balance: round(balance),
+        // 0 = mono, 0.5 = uncorrelated sides, 1 = out of phase.
+        width: round(width),
+        correlation: round(correlation)
+      };
+    }
+  };
+}
+
+// Level multiplier for a left/right fixture: its channel's level against the
+// average of both. null for center fixtures or mono input (`stereo` null).
+function resolveStereoSideGain(side, stereo, maxGain = SIDE_GAIN_MAX) {
+  if (!isSided(side) || !stereo || typeof stereo !== "object") return null;
+  const left = unit(stereo.left?.level);
+  const right = unit(stereo.right?.level);
+  const average = (left + right) / 2;
+  if (average < SIDE_QUIET_LEVEL) return 1;
+  return clamp((side === "left" ? left : right) / average, 0, maxGain);
+}
+
+// lows/mids/highs/beat (0-1) for a fixture side. Left/right fixtures read
+// their own channel's bands and take the mono beat in proportion to the low
+// end they carry; center fixtures and mono input get `mixed` back.
+function resolveStereoSideBands(side, stereo, mixed = {}) {
+  const bands = {
+    lows: unit(mixed.lows),
+    mids: unit(mixed.mids),
+    highs: unit(mixed.highs),
+    beat: unit(mixed.beat)
+  };
+  if (!isSided(side) || !stereo || typeof stereo !== "object") return bands;
+  const own = stereo[side] || {};
+  const other = stereo[side === "left" ? "right" : "left"] || {};
+  const lowAverage = (unit(own.bandLow) + unit(other.bandLow)) / 2;
+  return {
+    lows: unit(own.bandLow),
+    mids: unit(own.bandMid),
+    highs: unit(own.bandHigh),
+    beat: lowAverage < SIDE_QUIET_LEVEL
+      ? bands.beat
+      : clamp(bands.beat * (unit(own.bandLow) / lowAverage), 0, 1)
+  };
+}
+
+module.exports = {
+  SIDE_BAND_METRICS,
+  createStereoAnalyzer,
+  resolveStereoSideGain,
+  resolveStereoSideBands
+};
@@ -0,0 +1,150 @@
+// [TITLE] Module: core/cues/cue-list.js
+// [TITLE] Purpose: cue list validation (timebase, cue positions, cue actions, triggers)
+
+const CUE_TIMEBASES = Object.freeze(["time", "beats", "bars"]);
+const CUE_LIST_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,47}$/;
+const CUE_LIST_MAX_CUES = 512;
+// Safe overclock tiers only; unsafe dev tiers stay behind their own ack route.
+const CUE_OVERCLOCK_MAX = 7;
+const CUE_TRIGGER_TYPES = Object.freeze(["twitch", "key"]);
+const CUE_ACTION_FIELDS = Object.freeze(["scene", "palette", "overclock", "flowIntensity", "drop", "fixtures"]);
+
+function normalizeCueListId(value) {
+  const id = String(value || "").trim().toLowerCase();
+  return CUE_LIST_ID_PATTERN.test(id) ? id : "";
+}
+
+// Seconds from a number or "m:ss(.fff)" / "h:mm:ss(.fff)"; null if invalid.
+function parseCueTime(value) {
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value : null;
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  if (!text.includes(":")) {
+    const n = Number(text);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+  }
+  const parts = text.split(":");
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+  return parts.reduce((total, part) => (total * 60) + Number(part), 0);
+}
+
+function normalizeCuePosition(value, timebase) {
+  if (timebase === "time") return parseCueTime(value);
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+// "twitch:Hype Train" / { type: "twitch", reward: "Hype Train" } -> "twitch:hype train".
+function normalizeCueTrigger(value) {
+  let type = "";
+  let name = "";
+  if (value && typeof value === "object") {
+    type = String(value.type || "").trim().toLowerCase();
+    name = String(value.reward ?? value.key ?? value.name ?? "");
+  } else {
+    const text = String(value || "");
+    const split = text.indexOf(":");
+    type = split > 0 ? text.slice(0, split).trim().toLowerCase() : "key";
+    name = split > 0 ? text.slice(split + 1) : text;
+  }
+  name = name.trim().toLowerCase().slice(0, 64);
+  return CUE_TRIGGER_TYPES.includes(type) && name ? `${type}:${name}` : "";
+}
+
+function normalizeCueFixtures(input, label) {
+  if (!Array.isArray(input)) throw new Error(`${label}.fixtures must be an array`);
+  return input.map((entry, index) => {
+    const raw = entry && typeof entry === "object" ? entry : {};
+    const fixtureId = String(raw.fixtureId || "").trim();
+    if (!fixtureId) throw new Error(`${label}.fixtures[${index}] needs fixtureId`);
+    const next = { fixtureId };
+    if (raw.clear === true) next.clear = true;
+    if (raw.palette && typeof raw.palette === "object") next.palette = { ...raw.palette };
+    if (raw.metric && typeof raw.metric === "object") next.metric = { ...raw.metric };
+    if (!next.clear && !next.palette && !next.metric) {
+      throw new Error(`${label}.fixtures[${index}] needs palette, metric or clear`);
+    }
+    return next;
+  });
+}
+
+function normalizeCue(input, timebase, index) {
+  const raw = input && typeof input === "object" ? input : {};
+  const label = `cue #${index}`;
+  const at = normalizeCuePosition(raw.at, timebase);
+  if (at === null) {
+    throw new Error(timebase === "time"
+      ? `${label}.at must be seconds or m:ss`
+      : `${label}.at must be a whole ${timebase === "beats" ? "beat" : "bar"} count`);
+  }
+  const cue = { at };
+  if (raw.label) cue.label = String(raw.label).trim().slice(0, 64);
+  if (raw.scene !== undefined) {
+    const scene = String(raw.scene || "").trim().toLowerCase();
+    if (!scene) throw new Error(`${label}.scene must be a scene name or "auto"`);
+    cue.scene = scene;
+  }
+  if (raw.palette !== undefined) {
+    if (!raw.palette || typeof raw.palette !== "object" || Array.isArray(raw.palette)) {
+      throw new Error(`${label}.palette must be an object`);
+    }
+    cue.palette = { ...raw.palette };
+  }
+  if (raw.overclock !== undefined) {
+    const level = Number(raw.overclock);
+    if (!Number.isInteger(level) || level < 0 || level > CUE_OVERCLOCK_MAX) {
+      throw new Error(`${label}.overclock must be 0-${CUE_OVERCLOCK_MAX}`);
+    }
+    cue.overclock = level;
+  }
+  if (raw.flowIntensity !== undefined) {
+    const value = Number(raw.flowIntensity);
+    if (!Number.isFinite(value)) throw new Error(`${label}.flowIntensity must be a number`);
+    cue.flowIntensity = value;
+  }
+  if (raw.drop === true) cue.drop = true;
+  if (raw.fixtures !== undefined) cue.fixtures = normalizeCueFixtures(raw.fixtures, label);
+  if (!CUE_ACTION_FIELDS.some(field => cue[field] !== undefined)) {
+    throw new Error(`${label} needs at least one of ${CUE_ACTION_FIELDS.join(", ")}`);
+  }
+  return cue;
+}
+
+// Validates one cue list; throws on the first problem. Cues come back sorted
+// by position (stable for cues sharing one).
+function normalizeCueList(input) {
+  const raw = input && typeof input === "object" ? input : {};
+  const id = normalizeCueListId(raw.id);
+  if (!id) throw new Error("cue list id must be 1-48 chars of a-z, 0-9, _ or -");
+  const timebase = String(raw.timebase || "time").trim().toLowerCase();
+  if (!CUE_TIMEBASES.includes(timebase)) throw new Error(`cue list timebase must be one of ${CUE_TIMEBASES.join(", ")}`);
+  const cuesRaw = Array.isArray(raw.cues) ? raw.cues : [];
+  if (!cuesRaw.length || cuesRaw.length > CUE_LIST_MAX_CUES) {
+    throw new Error(`cue list needs 1-${CUE_LIST_MAX_CUES} cues`);
+  }
+  const cues = cuesRaw
+    .map((cue, index) => ({ cue: normalizeCue(cue, timebase, index), index }))
+    .sort((a, b) => (a.cue.at - b.cue.at) || (a.index - b.index))
+    .map(entry => entry.cue);
+  const triggersRaw = Array.isArray(raw.triggers) ? raw.triggers : [];
+  const triggers = [...new Set(triggersRaw.map(normalizeCueTrigger).filter(Boolean))];
+  return {
+    id,
+    label: String(raw.label || "").trim().slice(0, 64) || id,
+    timebase,
+    // Scene lock is released when the list stops unless this is false.
+    releaseOnStop: raw.releaseOnStop !== false,
+    triggers,
+    cues
+  };
+}
+
+module.exports = {
+  CUE_TIMEBASES,
+  CUE_TRIGGER_TYPES,
+  normalizeCueListId,
+  parseCueTime,
+  normalizeCuePosition,
+  normalizeCueTrigger,
+  normalizeCueList
+};
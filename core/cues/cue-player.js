@@ -0,0 +1,215 @@
+// [TITLE] Module: core/cues/cue-player.js
+// [TITLE] Purpose: cue list transport (arm/play/pause/seek/stop) on time, beat or bar position
+
+const { normalizeCuePosition, normalizeCueTrigger } = require("./cue-list");
+
+// `applyCue(cue, list)` runs a cue's actions; `onStart(list)` runs before a
+// list's first cue and `onStop(list)` when it stops. Positions advance from tick() (time) and handlePulse() (beats/bars).
+function createCuePlayer(options = {}) {
+  const applyCue = typeof options.applyCue === "function" ? options.applyCue : () => {};
+  const onStart = typeof options.onStart === "function" ? options.onStart : () => {};
+  const onStop = typeof options.onStop === "function" ? options.onStop : () => {};
+  const now = typeof options.now === "function" ? options.now : Date.now;
+  let lists = new Map();
+  let armedId = "";
+  let run = null;
+  let lastFired = null;
+
+  function position() {
+    if (!run) return 0;
+    if (run.list.timebase === "beats") return run.beats;
+    if (run.list.timebase === "bars") return run.bars;
+    if (run.state === "paused") return run.offsetSec;
+    return run.offsetSec + ((now() - run.startedAt) / 1000);
+  }
+
+  function fire(index) {
+    const cue = run.list.cues[index];
+    try {
+      applyCue(cue, run.list);
+    } catch (err) {
+      console.warn(`[CUES] cue ${index} in ${run.list.id} failed: ${err.message || err}`);
+    }
+    lastFired = { listId: run.list.id, index, at: cue.at, label: cue.label || "", firedAt: now() };
+  }
+
+  function advance() {
+    if (!run || run.state !== "playing") return;
+    const at = position();
+    while (run && run.next < run.list.cues.length && run.list.cues[run.next].at <= at) {
+      fire(run.next);
+      run.next += 1;
+    }
+    if (run && run.next >= run.list.cues.length) run.state = "finished";
+  }
+
+  // Replays every cue before `at` in order so the show state matches a
+  // straight run to that point, then continues from there.
+  function chaseTo(at) {
+    run.next = 0;
+    while (run && run.next < run.list.cues.length && run.list.cues[run.next].at < at) {
+      fire(run.next);
+      run.next += 1;
+    }
+  }
+
+  function stop() {
+    if (!run) return false;
+    const list = run.list;
+    run = null;
+    try {
+      onStop(list);
+    } catch (err) {
+      console.warn(`[CUES] stop hook failed: ${err.message || err}`);
+    }
+    return true;
+  }
+
+  function play(id = "", at = 0) {
+    const listId = String(id || armedId || "").trim().toLowerCase();
+    if (!listId && run && run.state === "paused") {
+      run.state = "playing";
+      run.startedAt = now();
+      advance();
+      return true;
+    }
+    const list = lists.get(listId);
+    if (!list) return false;
+    if (run && run.list.id === listId && run.state === "paused" && !at) {
+      run.state = "playing";
+      run.startedAt = now();
+      advance();
+      return true;
+    }
+    if (run) stop();
+    const start = normalizeCuePosition(at || 0, list.timebase) || 0;
+    run = {
+      list,
+      state: "playing",
+      startedAt: now(),
+      offsetSec: list.timebase === "time" ? start : 0,
+      beats: list.timebase === "beats" ? start : 0,
+      bars: list.timebase === "bars" ? start : 0,
+      next: 0
+    };
+    if (armedId === listId) armedId = "";
+    try {
+      onStart(list);
+    } catch (err) {
+      console.warn(`[CUES] start hook failed: ${err.message || err}`);
+    }
+    if (start > 0) chaseTo(start);
+    advance();
+    return true;
+  }
+
+  return {
+    setLists(next) {
+      lists = new Map((Array.isArray(next) ? next : []).map(list => [list.id, list]));
+      if (armedId && !lists.has(armedId)) armedId = "";
+      if (run && !lists.has(run.list.id)) {
+        stop();
+      } else if (run) {
+        // Cues up to the current position have fired; carry on from the
+        // first one after it in the edited list.
+        run.list = lists.get(run.list.id);
+        const at = position();
+        const next = run.list.cues.findIndex(cue => cue.at > at);
+        run.next = next < 0 ? run.list.cues.length : next;
+        if (run.state === "finished" && next >= 0) run.state = "playing";
+      }
+    },
+
+    arm(id) {
+      const listId = String(id || "").trim().toLowerCase();
+      if (!listId) {
+        armedId = "";
+        return true;
+      }
+      if (!lists.has(listId)) return false;
+      armedId = listId;
+      return true;
+    },
+
+    play,
+
+    // Starts the armed list, or resumes a paused one.
+    go() {
+      if (armedId) return play(armedId);
+      if (run && run.state === "paused") return play();
+      return false;
+    },
+
+    pause() {
+      if (!run || run.state !== "playing") return false;
+      run.offsetSec = position();
+      run.state = "paused";
+      return true;
+    },
+
+    stop,
+
+    seek(at) {
+      if (!run) return false;
+      const target = normalizeCuePosition(at, run.list.timebase);
+      if (target === null) return false;
+      if (run.list.timebase === "time") {
+        run.offsetSec = target;
+        run.startedAt = now();
+      } else if (run.list.timebase === "beats") {
+        run.beats = target;
+      } else {
+        run.bars = target;
+      }
+      if (run.state === "finished") run.state = "playing";
+      chaseTo(target);
+      advance();
+      return true;
+    },
+
+    // Starts the list bound to an external trigger ("twitch:<reward>", "key:<name>").
+    trigger(value) {
+      const trigger = normalizeCueTrigger(value);
+      if (!trigger) return "";
+      for (const list of lists.values()) {
+        if (list.triggers.includes(trigger)) return play(list.id) ? list.id : "";
+      }
+      return "";
+    },
+
+    tick() {
+      if (run && run.list.timebase === "time") advance();
+    },
+
+    handlePulse(pulse = {}) {
+      if (!run || run.state !== "playing") return;
+      if (run.list.timebase === "beats" && pulse.beat) run.beats += 1;
+      else if (run.list.timebase === "bars" && pulse.downbeat) run.bars += 1;
+      else return;
+      advance();
+    },
+
+    isRunning() {
+      return Boolean(run && run.state === "playing" && run.list.timebase === "time");
+    },
+
+    getStatus() {
+      const round = value => Math.round(value * 1000) / 1000;
+      return {
+        armed: armedId,
+        listId: run ? run.list.id : "",
+        state: run ? run.state : "stopped",
+        timebase: run ? run.list.timebase : "",
+        position: run ? round(position()) : 0,
+        nextCue: run && run.next < run.list.cues.length ? run.next : null,
+        nextAt: run && run.next < run.list.cues.length ? run.list.cues[run.next].at : null,
+        cueCount: run ? run.list.cues.length : 0,
+        lastFired: lastFired ? { ...lastFired } : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createCuePlayer
+};
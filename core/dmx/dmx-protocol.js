@@ -0,0 +1,297 @@
+// [TITLE] Module: core/dmx/dmx-protocol.js
+// [TITLE] Purpose: DMX fixture patch validation, channel profiles and Art-Net/sACN packets
+
+const { normalizePrivateOrLoopbackIpv4 } = require("../utils/private-ipv4");
+
+const DMX_UNIVERSE_SIZE = 512;
+const DMX_PROTOCOLS = Object.freeze({
+  // Art-Net 4 port-address: 15 bits (net + sub-net + universe).
+  artnet: Object.freeze({ port: 6454, universeMin: 0, universeMax: 32767 }),
+  // E1.31: universes 1-63999; no host means the universe's multicast group.
+  sacn: Object.freeze({ port: 5568, universeMin: 1, universeMax: 63999 })
+});
+const DMX_PROTOCOL_ALIASES = Object.freeze({
+  artnet: "artnet",
+  "art-net": "artnet",
+  sacn: "sacn",
+  e131: "sacn",
+  "e1.31": "sacn"
+});
+const DMX_REFRESH_HZ_DEFAULT = 30;
+const DMX_REFRESH_HZ_MIN = 1;
+const DMX_REFRESH_HZ_MAX = 44;
+const DMX_SACN_PRIORITY_DEFAULT = 100;
+
+// Driven channels are dimmer/color; strobe is parked at the fixture's "open"
+// value; pan/tilt and "none" are patched but never written.
+const DMX_CHANNEL_TYPES = Object.freeze([
+  "dimmer",
+  "red",
+  "green",
+  "blue",
+  "white",
+  "strobe",
+  "pan",
+  "pan_fine",
+  "tilt",
+  "tilt_fine",
+  "none"
+]);
+const DMX_CHANNEL_ALIASES = Object.freeze({
+  intensity: "dimmer",
+  master: "dimmer",
+  r: "red",
+  g: "green",
+  b: "blue",
+  w: "white",
+  shutter: "strobe",
+  ignore: "none",
+  "-": "none"
+});
+const DMX_PROFILES = Object.freeze({
+  rgb: Object.freeze(["red", "green", "blue"]),
+  rgbw: Object.freeze(["red", "green", "blue", "white"]),
+  drgb: Object.freeze(["dimmer", "red", "green", "blue"]),
+  drgbw: Object.freeze(["dimmer", "red", "green", "blue", "white"]),
+  drgbs: Object.freeze(["dimmer", "red", "green", "blue", "strobe"]),
+  drgbws: Object.freeze(["dimmer", "red", "green", "blue", "white", "strobe"])
+});
+const DMX_PROFILE_DEFAULT = "drgb";
+
+function toInteger(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+function normalizeDmxProtocol(value, fallback = "artnet") {
+  const key = String(value || "").trim().toLowerCase();
+  if (!key) return fallback;
+  return DMX_PROTOCOL_ALIASES[key] || "";
+}
+
+function normalizeDmxChannelType(value) {
+  const key = String(value || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+  if (!key) return "";
+  const type = DMX_CHANNEL_ALIASES[key] || key;
+  return DMX_CHANNEL_TYPES.includes(type) ? type : "";
+}
+
+// { profile, channels } -> { profile, channels } or { error }. An explicit
+// channel list wins over the named profile and is reported as "custom".
+function resolveDmxProfile(source = {}) {
+  const rawChannels = source.channels;
+  if (rawChannels !== undefined && rawChannels !== null && rawChannels !== "") {
+    const list = Array.isArray(rawChannels) ? rawChannels : String(rawChannels).split(/[,\s]+/).filter(Boolean);
+    const channels = list.map(normalizeDmxChannelType);
+    if (!channels.length || channels.length > DMX_UNIVERSE_SIZE) {
+      return { error: "dmx channels must list 1-512 channel types" };
+    }
+    const invalidIndex = channels.indexOf("");
+    if (invalidIndex >= 0) {
+      return {
+        error: `dmx channel ${invalidIndex + 1} must be one of ${DMX_CHANNEL_TYPES.join(", ")}`
+      };
+    }
+    return { profile: "custom", channels };
+  }
+  const profile = String(source.profile || DMX_PROFILE_DEFAULT).trim().toLowerCase();
+  if (!DMX_PROFILES[profile]) {
+    return {
+      error: `dmx profile must be one of ${Object.keys(DMX_PROFILES).join(", ")} (or pass channels)`
+    };
+  }
+  return { profile, channels: DMX_PROFILES[profile].slice() };
+}
+
+/**
+ * Validates a DMX fixture patch. Always returns a usable `patch` (defaults
+ * filled in); `error` names the first invalid field for strict callers.
+ */
+function normalizeDmxPatch(source = {}) {
+  const input = source && typeof source === "object" ? source : {};
+  const errors = [];
+  const protocol = normalizeDmxProtocol(input.protocol) || "artnet";
+  if (!normalizeDmxProtocol(input.protocol)) errors.push("dmx protocol must be artnet or sacn");
+  const spec = DMX_PROTOCOLS[protocol];
+
+  const hostRaw = String(input.host || "").trim();
+  const host = normalizePrivateOrLoopbackIpv4(hostRaw);
+  if (hostRaw && !host) errors.push("dmx host must be a private/local IPv4 address");
+
+  const portRaw = toInteger(input.port);
+  const portGiven = String(input.port ?? "").trim() !== "";
+  const port = portRaw !== null && portRaw >= 1 && portRaw <= 65535 ? portRaw : spec.port;
+  if (portGiven && port !== portRaw) errors.push("dmx port must be 1-65535");
+
+  const universeRaw = toInteger(input.universe);
+  const universeGiven = String(input.universe ?? "").trim() !== "";
+  const universeOk = universeRaw !== null && universeRaw >= spec.universeMin && universeRaw <= spec.universeMax;
+  const universe = universeOk ? universeRaw : spec.universeMin;
+  if (universeGiven && !universeOk) {
+    errors.push(`dmx universe must be ${spec.universeMin}-${spec.universeMax} for ${protocol}`);
+  }
+
+  const resolved = resolveDmxProfile(input);
+  if (resolved.error) errors.push(resolved.error);
+  const profile = resolved.error ? DMX_PROFILE_DEFAULT : resolved.profile;
+  const channels = resolved.error ? DMX_PROFILES[DMX_PROFILE_DEFAULT].slice() : resolved.channels;
+
+  const addressRaw = toInteger(input.address);
+  const addressGiven = String(input.address ?? "").trim() !== "";
+  const addressOk = addressRaw !== null && addressRaw >= 1 && addressRaw <= DMX_UNIVERSE_SIZE;
+  const address = addressOk ? addressRaw : 1;
+  if (addressGiven && !addressOk) errors.push("dmx address must be 1-512");
+  if ((address + channels.length - 1) > DMX_UNIVERSE_SIZE) {
+    errors.push(`dmx ${channels.length}-channel footprint at address ${address} runs past channel 512`);
+  }
+
+  const strobeRaw = toInteger(input.strobeOpen);
+  const strobeGiven = String(input.strobeOpen ?? "").trim() !== "";
+  const strobeOpen = strobeRaw !== null && strobeRaw >= 0 && strobeRaw <= 255 ? strobeRaw : 0;
+  if (strobeGiven && strobeOpen !== strobeRaw) errors.push("dmx strobeOpen must be 0-255");
+
+  return {
+    patch: { protocol, host, port, universe, address, profile, channels, strobeOpen },
+    error: errors[0] || ""
+  };
+}
+
+// Sendable: valid patch, and a unicast host unless sACN can fall back to multicast.
+function isDmxPatchConfigured(source = {}) {
+  const { patch, error } = normalizeDmxPatch(source);
+  if (error) return false;
+  return Boolean(patch.host) || patch.protocol === "sacn";
+}
+
+function getSacnMulticastAddress(universe) {
+  const u = Number(universe) || 0;
+  return `239.255.${(u >> 8) & 0xff}.${u & 0xff}`;
+}
+
+function clampByte(value) {
+  return Math.max(0, Math.min(255, Math.round(Number(value) || 0)));
+}
+
+// ArtDmx (OpCode 0x5000), protocol version 14, always a full 512-slot frame.
+function buildArtDmxPacket(universe, data, sequence = 0) {
+  const packet = Buffer.alloc(18 + DMX_UNIVERSE_SIZE);
+  packet.write("Art-Net\0", 0, "ascii");
+  packet.writeUInt16LE(0x5000, 8);
+  packet.writeUInt16BE(14, 10);
+  packet.writeUInt8(sequence & 0xff, 12);
+  packet.writeUInt8(0, 13);
+  packet.writeUInt8(universe & 0xff, 14);
+  packet.writeUInt8((universe >> 8) & 0x7f, 15);
+  packet.writeUInt16BE(DMX_UNIVERSE_SIZE, 16);
+  Buffer.from(data).copy(packet, 18, 0, DMX_UNIVERSE_SIZE);
+  return packet;
+}
+
+// E1.31 data packet: root + framing + DMP layers, start code 0, 512 slots.
+function buildSacnPacket(universe, data, options = {}) {
+  const length = 126 + DMX_UNIVERSE_SIZE;
+  const packet = Buffer.alloc(length);
+  packet.writeUInt16BE(0x0010, 0);
+  packet.writeUInt16BE(0x0000, 2);
+  packet.write("ASC-E1.17\0\0\0", 4, "ascii");
+  packet.writeUInt16BE(0x7000 | (length - 16), 16);
+  packet.writeUInt32BE(0x00000004, 18);
+  const cid = Buffer.isBuffer(options.cid) ? options.cid : Buffer.alloc(16);
+  cid.copy(packet, 22, 0, 16);
+
+  packet.writeUInt16BE(0x7000 | (length - 38), 38);
+  packet.writeUInt32BE(0x00000002, 40);
+  packet.write(String(options.sourceName || "RaveLink").slice(0, 63), 44, "utf8");
+  packet.writeUInt8(clampByte(options.priority ?? DMX_SACN_PRIORITY_DEFAULT) & 0xff, 108);
+  packet.writeUInt16BE(0, 109);
+  packet.writeUInt8((Number(options.sequence) || 0) & 0xff, 111);
+  packet.writeUInt8(0, 112);
+  packet.writeUInt16BE(universe & 0xffff, 113);
+
+  packet.writeUInt16BE(0x7000 | (length - 115), 115);
+  packet.writeUInt8(0x02, 117);
+  packet.writeUInt8(0xa1, 118);
+  packet.writeUInt16BE(0x0000, 119);
+  packet.writeUInt16BE(0x0001, 121);
+  packet.writeUInt16BE(DMX_UNIVERSE_SIZE + 1, 123);
+  packet.writeUInt8(0x00, 125);
+  Buffer.from(data).copy(packet, 126, 0, DMX_UNIVERSE_SIZE);
+  return packet;
+}
+
+// Approximate black-body color for WiZ-style `temp` states (2200-6500K).
+function kelvinToRgb(kelvin) {
+  const t = Math.max(1000, Math.min(40000, Number(kelvin) || 4000)) / 100;
+  const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const g = t <= 66
+    ? (99.4708025861 * Math.log(t)) - 161.1195681661
+    : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  const b = t >= 66 ? 255 : (t <= 19 ? 0 : (138.5177312231 * Math.log(t - 10)) - 305.0447927307);
+  return { r: clampByte(r), g: clampByte(g), b: clampByte(b) };
+}
+
+/**
+ * WiZ-style state ({ on, dimming, r, g, b, temp }) -> channel values for a
+ * patched profile. States without a color keep `previousColor` (WiZ bulbs do
+ * the same). Returns { values, color } so the caller can carry the color on.
+ */
+function renderDmxChannels(channels, state = {}, options = {}) {
+  const source = state && typeof state === "object" ? state : {};
+  const on = source.on !== false;
+  const previous = options.previousColor || { r: 255, g: 255, b: 255 };
+  let color = previous;
+  if (Number.isFinite(Number(source.temp))) {
+    color = kelvinToRgb(source.temp);
+  } else if (["r", "g", "b"].every(key => Number.isFinite(Number(source[key])))) {
+    color = { r: clampByte(source.r), g: clampByte(source.g), b: clampByte(source.b) };
+  }
+  const dimming = Number.isFinite(Number(source.dimming)) ? Number(source.dimming) : 50;
+  const level = on ? Math.max(1, Math.min(100, dimming)) / 100 : 0;
+  const hasDimmer = channels.includes("dimmer");
+  const hasWhite = channels.includes("white");
+  // With a dimmer channel the color stays full-scale; otherwise it carries the level.
+  const scale = hasDimmer ? (on ? 1 : 0) : level;
+  let r = color.r * scale;
+  let g = color.g * scale;
+  let b = color.b * scale;
+  let w = 0;
+  if (hasWhite) {
+    w = Math.min(r, g, b);
+    r -= w;
+    g -= w;
+    b -= w;
+  }
+  const levels = {
+    dimmer: level * 255,
+    red: r,
+    green: g,
+    blue: b,
+    white: w,
+    strobe: options.strobeOpen || 0
+  };
+  return {
+    values: channels.map(type => (Object.prototype.hasOwnProperty.call(levels, type) ? clampByte(levels[type]) : null)),
+    color
+  };
+}
+
+module.exports = {
+  DMX_UNIVERSE_SIZE,
+  DMX_PROTOCOLS,
+  DMX_CHANNEL_TYPES,
+  DMX_PROFILES,
+  DMX_PROFILE_DEFAULT,
+  DMX_REFRESH_HZ_DEFAULT,
+  DMX_REFRESH_HZ_MIN,
+  DMX_REFRESH_HZ_MAX,
+  normalizeDmxProtocol,
+  normalizeDmxChannelType,
+  resolveDmxProfile,
+  normalizeDmxPatch,
+  isDmxPatchConfigured,
+  getSacnMulticastAddress,
+  buildArtDmxPacket,
+  buildSacnPacket,
+  renderDmxChannels
+};
@@ -3,7 +3,7 @@
 // [TITLE] Functionality Index:
 // [TITLE] - Core Constants + Allowed Routes
 // [TITLE] - Fixture Normalization + Validation
-// [TITLE] - Transport Readiness Guards (Hue/WiZ)
+// [TITLE] - Transport Readiness Guards (Hue/WiZ/DMX/WLED/LIFX)
 // [TITLE] - Config Load/Persist + Backup Rotation
 // [TITLE] - Registry Query APIs
 // [TITLE] - Mutation APIs (upsert/remove)
@@ -20,12 +20,17 @@ const net = require("net");
 const path = require("path");
 const { normalizePrivateOrLoopbackIpv4 } = require("./utils/private-ipv4");
 const { parseBooleanLoose } = require("./utils/booleans");
+const { normalizeMacAddress } = require("./utils/mac-address");
+const { normalizeHueV2ResourceId } = require("./hue-clip-v2");
+const { normalizeDmxPatch, isDmxPatchConfigured } = require("./dmx/dmx-protocol");
+const { normalizeWledPatch, isWledPatchConfigured } = require("./wled/wled-protocol");
+const { normalizeLifxPatch, isLifxPatchConfigured } = require("./lifx/lifx-protocol");
 
 // [TITLE] Section: Core Constants + Route Bindings
 const CONFIG_PATH = path.join(__dirname, "fixtures.config.json");
 const BACKUP_DIR = path.join(__dirname, "backups", "fixtures");
 const MAX_BACKUPS = 40;
-const BUILTIN_BRANDS = new Set(["hue", "wiz"]);
+const BUILTIN_BRANDS = new Set(["hue", "wiz", "dmx", "wled", "lifx"]);
 const ALLOWED_CONTROL_MODES = new Set(["engine", "standalone"]);
 const MOD_BRAND_RE = /^[a-z][a-z0-9_-]{1,31}$/;
 const INTENT_ROUTE_BINDINGS = {
@@ -34,6 +39,12 @@ const INTENT_ROUTE_BINDINGS = {
   TWITCH_HUE: { brand: "hue", mode: "twitch" },
   TWITCH_WIZ: { brand: "wiz", mode: "twitch" }
 };
+// DMX, WLED and LIFX fixtures take WiZ-style states, so they share the WiZ intent routes.
+const INTENT_ROUTE_BRAND_ALIASES = Object.freeze({
+  dmx: "wiz",
+  wled: "wiz",
+  lifx: "wiz"
+});
 const INTENT_ROUTE_ENV_OVERRIDES = {
   HUE_STATE: "ROUTE_HUE_STATE_ZONE",
   WIZ_PULSE: "ROUTE_WIZ_PULSE_ZONE",
@@ -44,6 +55,7 @@ const FIXTURE_CORE_FIELDS = new Set([
   "id",
   "brand",
   "zone",
+  "side",
   "enabled",
   "controlMode",
   "engineBinding",
@@ -58,13 +70,20 @@ const FIXTURE_CORE_FIELDS = new Set([
   "lightId",
   "ip"
 ]);
+const FIXTURE_SIDES = Object.freeze(["left", "center", "right"]);
 const CANONICAL_ZONE_BY_BRAND = Object.freeze({
   hue: "hue",
-  wiz: "wiz"
+  wiz: "wiz",
+  dmx: "dmx",
+  wled: "wled",
+  lifx: "lifx"
 });
 const DERIVED_ZONE_BY_BRAND_MODE = Object.freeze({
   hue: Object.freeze({ engine: "hue", twitch: "hue", custom: "hue" }),
-  wiz: Object.freeze({ engine: "wiz", twitch: "wiz", custom: "custom" })
+  wiz: Object.freeze({ engine: "wiz", twitch: "wiz", custom: "custom" }),
+  dmx: Object.freeze({ engine: "wiz", twitch: "wiz", custom: "custom" }),
+  wled: Object.freeze({ engine: "wiz", twitch: "wiz", custom: "custom" }),
+  lifx: Object.freeze({ engine: "wiz", twitch: "wiz", custom: "custom" })
 });
 
 // [TITLE] Section: Utility Helpers
@@ -188,6 +207,15 @@ function normalizeZone(value, fallback = "custom") {
   return zone || fallback;
 }
 
+// Stereo placement: left/right fixtures follow that channel's level.
+function normalizeFixtureSide(value, fallback = "center") {
+  const side = String(value || "").trim().toLowerCase();
+  if (FIXTURE_SIDES.includes(side)) return side;
+  if (side === "l") return "left";
+  if (side === "r") return "right";
+  return fallback;
+}
+
 function getCanonicalZoneForBrand(brand, fallback = "custom") {
   const key = normalizeBrand(brand);
   const canonical = CANONICAL_ZONE_BY_BRAND[key];
@@ -245,11 +273,36 @@ function isLikelyNetworkHost(value) {
 }
 
 // [TITLE] Section: Private LAN IP Guards
+const HUE_SEGMENT_COUNT_MAX = 16;
+
+// Gradient strips/tubes: how many segments the palette is spread over.
+function normalizeHueSegmentCount(value) {
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.min(HUE_SEGMENT_COUNT_MAX, n);
+}
+
+// Optional explicit entertainment channel ids, one per segment.
+function normalizeHueSegmentChannels(value) {
+  const list = Array.isArray(value)
+    ? value
+    : String(value || "").split(/[,\s]+/);
+  const out = [];
+  for (const item of list) {
+    if (item === "" || item === null || item === undefined) continue;
+    const n = Number(item);
+    if (!Number.isInteger(n) || n < 0 || n > 255 || out.includes(n)) continue;
+    out.push(n);
+    if (out.length >= HUE_SEGMENT_COUNT_MAX) break;
+  }
+  return out;
+}
+
 function normalizePrivateLanIpv4(value) {
   return normalizePrivateOrLoopbackIpv4(value);
 }
 
-// [TITLE] Section: Transport Readiness (Hue/WiZ)
+// [TITLE] Section: Transport Readiness (Hue/WiZ/DMX/WLED/LIFX)
 function isHueFixtureConfigured(fixture = {}) {
   const bridgeIp = String(fixture.bridgeIp || "").trim();
   const username = String(fixture.username || "").trim();
@@ -280,9 +333,24 @@ function isWizFixtureConfigured(fixture = {}) {
   return Boolean(normalizePrivateLanIpv4(ip));
 }
 
+function isDmxFixtureConfigured(fixture = {}) {
+  return !fixture.dmxError && isDmxPatchConfigured(fixture);
+}
+
+function isWledFixtureConfigured(fixture = {}) {
+  return !fixture.wledError && isWledPatchConfigured(fixture);
+}
+
+function isLifxFixtureConfigured(fixture = {}) {
+  return !fixture.lifxError && isLifxPatchConfigured(fixture);
+}
+
 const TRANSPORT_CONFIG_BY_BRAND = Object.freeze({
   hue: isHueFixtureConfigured,
-  wiz: isWizFixtureConfigured
+  wiz: isWizFixtureConfigured,
+  dmx: isDmxFixtureConfigured,
+  wled: isWledFixtureConfigured,
+  lifx: isLifxFixtureConfigured
 });
 
 function isFixtureConfiguredForTransport(fixture = {}) {
@@ -379,6 +447,7 @@ function normalizeFixture(fixture, index) {
     id: fixture.id || `${brand}-${index + 1}`,
     brand,
     zone: normalizeZone(fixture.zone, getCanonicalZoneForBrand(brand, "custom")),
+    side: normalizeFixtureSide(fixture.side),
     enabled: fixture.enabled !== false,
     controlMode,
     engineBinding,
@@ -394,6 +463,10 @@ function normalizeFixture(fixture, index) {
       bridgeIp: normalizedBridgeIp,
       username: fixture.username || process.env.HUE_USERNAME || "",
       lightId: Number(fixture.lightId || process.env.HUE_LIGHT_ID || 1),
+      // Optional CLIP v2 light resource id; resolved from lightId when empty.
+      lightRid: normalizeHueV2ResourceId(fixture.lightRid),
+      segmentCount: normalizeHueSegmentCount(fixture.segmentCount),
+      segmentChannels: normalizeHueSegmentChannels(fixture.segmentChannels),
       // Optional Hue Entertainment fields (per bridge / area).
       bridgeId: fixture.bridgeId || process.env.HUE_BRIDGE_ID || "",
       clientKey: fixture.clientKey || process.env.HUE_CLIENT_KEY || "",
@@ -406,7 +479,38 @@ function normalizeFixture(fixture, index) {
     const normalizedWizIp = normalizePrivateLanIpv4(fixture.ip || process.env.WIZ_BACKGROUND_IP || "");
     return {
       ...base,
-      ip: normalizedWizIp
+      ip: normalizedWizIp,
+      // Optional: lets the bridge re-resolve the IP after DHCP reshuffles.
+      mac: normalizeMacAddress(fixture.mac)
+    };
+  }
+
+  if (brand === "dmx") {
+    // Out-of-range patches fall back to defaults but keep their error, so
+    // isDmxFixtureConfigured keeps them off the wire.
+    const { patch, error } = normalizeDmxPatch(fixture);
+    return {
+      ...base,
+      ...patch,
+      dmxError: error
+    };
+  }
+
+  if (brand === "wled") {
+    const { patch, error } = normalizeWledPatch(fixture);
+    return {
+      ...base,
+      ...patch,
+      wledError: error
+    };
+  }
+
+  if (brand === "lifx") {
+    const { patch, error } = normalizeLifxPatch(fixture);
+    return {
+      ...base,
+      ...patch,
+      lifxError: error
     };
   }
 
@@ -425,7 +529,8 @@ function getDerivedIntentZones(fixtures, binding) {
   const zones = [];
   for (const fixture of fixtures || []) {
     if (!fixture || fixture.enabled === false) continue;
-    if (normalizeBrand(fixture.brand) !== targetBrand) continue;
+    const fixtureBrand = normalizeBrand(fixture.brand);
+    if ((INTENT_ROUTE_BRAND_ALIASES[fixtureBrand] || fixtureBrand) !== targetBrand) continue;
 
     const modeFlags = normalizeFixtureModeFlags(fixture);
     const modeEnabled = mode === "twitch"
@@ -620,6 +725,12 @@ function summary() {
   const hueTwitchReadyCount = listTwitchBy("hue", "", { requireConfigured: true }).length;
   const wizTwitchReadyCount = listTwitchBy("wiz", "", { requireConfigured: true }).length;
   const hueEntertainmentReadyCount = listBy("hue", "").filter(isHueEntertainmentConfigured).length;
+  const dmxCount = listBy("dmx").length;
+  const dmxReadyCount = listBy("dmx", "", { requireConfigured: true }).length;
+  const wledCount = listBy("wled").length;
+  const wledReadyCount = listBy("wled", "", { requireConfigured: true }).length;
+  const lifxCount = listBy("lifx").length;
+  const lifxReadyCount = listBy("lifx", "", { requireConfigured: true }).length;
   const modBrandSet = new Set(
     registry.fixtures
       .map(f => normalizeBrand(f.brand))
@@ -644,6 +755,21 @@ function summary() {
     hueTwitchReady: hueTwitchReadyCount,
     wizTwitchReady: wizTwitchReadyCount,
     hueEntertainmentReady: hueEntertainmentReadyCount,
+    dmx: dmxCount,
+    dmxEngine: listEngineBy("dmx").length,
+    dmxTwitch: listTwitchBy("dmx").length,
+    dmxCustom: listCustomBy("dmx").length,
+    dmxReady: dmxReadyCount,
+    wled: wledCount,
+    wledEngine: listEngineBy("wled").length,
+    wledTwitch: listTwitchBy("wled").length,
+    wledCustom: listCustomBy("wled").length,
+    wledReady: wledReadyCount,
+    lifx: lifxCount,
+    lifxEngine: listEngineBy("lifx").length,
+    lifxTwitch: listTwitchBy("lifx").length,
+    lifxCustom: listCustomBy("lifx").length,
+    lifxReady: lifxReadyCount,
     hueStandalone: hueCustomCount,
     wizStandalone: wizCustomCount,
     modBrandCount: modBrandSet.size,
@@ -655,11 +781,19 @@ function sanitizeFixtureForConfig(input = {}, fallbackIndex = 0, options = {}) {
   const strict = Boolean(options.strict);
   const brand = normalizeBrand(input.brand);
   if (!isValidBrand(brand)) {
-    return { ok: false, error: "invalid fixture brand (use hue, wiz, or a lowercase mod-brand id)" };
+    return { ok: false, error: "invalid fixture brand (use hue, wiz, dmx, wled, lifx, or a lowercase mod-brand id)" };
   }
 
   const id = String(input.id || `${brand}-${Date.now()}-${fallbackIndex}`).trim();
   const zone = normalizeZone(input.zone, getCanonicalZoneForBrand(brand, "custom"));
+  const side = normalizeFixtureSide(input.side, "");
+  if (strict && !side && String(input.side ?? "").trim()) {
+    return { ok: false, error: "fixture side must be left, center or right" };
+  }
+  // Omitted side keeps the stored one on upsert; an explicit value replaces it.
+  const sideField = side && (side !== "center" || Object.prototype.hasOwnProperty.call(input, "side"))
+    ? { side }
+    : {};
   const enabled = input.enabled !== false;
   const modeFlags = normalizeFixtureModeFlags(input);
   const controlMode = modeFlags.engineEnabled ? "engine" : "standalone";
@@ -692,6 +826,10 @@ function sanitizeFixtureForConfig(input = {}, fallbackIndex = 0, options = {}) {
     const clientKey = String(input.clientKey || "").trim();
     const entertainmentAreaId = String(input.entertainmentAreaId || "").trim();
     const lightId = Math.max(1, Number(input.lightId || 1) || 1);
+    const lightRidRaw = String(input.lightRid || "").trim();
+    const lightRid = normalizeHueV2ResourceId(lightRidRaw);
+    const segmentCount = normalizeHueSegmentCount(input.segmentCount);
+    const segmentChannels = normalizeHueSegmentChannels(input.segmentChannels);
 
     const hasConfiguredBridgeTransport =
       Boolean(bridgeIp) &&
@@ -710,6 +848,13 @@ function sanitizeFixtureForConfig(input = {}, fallbackIndex = 0, options = {}) {
       };
     }
 
+    if (strict && lightRidRaw && !lightRid) {
+      return {
+        ok: false,
+        error: "hue lightRid must be a CLIP v2 light resource id (uuid)"
+      };
+    }
+
     if (strict && (hasConfiguredBridgeTransport || hasEntertainmentCredentials)) {
       if (!bridgeIp) {
         return {
@@ -731,6 +876,7 @@ function sanitizeFixtureForConfig(input = {}, fallbackIndex = 0, options = {}) {
         id,
         brand,
         zone,
+        ...sideField,
         enabled,
         controlMode,
         engineBinding,
@@ -742,7 +888,12 @@ function sanitizeFixtureForConfig(input = {}, fallbackIndex = 0, options = {}) {
         bridgeId,
         clientKey,
         entertainmentAreaId,
-        lightId
+        lightId,
+        lightRid,
+        segmentCount,
+        ...(segmentChannels.length || Object.prototype.hasOwnProperty.call(input, "segmentChannels")
+          ? { segmentChannels }
+          : {})
       }
     };
   }
@@ -756,19 +907,106 @@ function sanitizeFixtureForConfig(input = {}, fallbackIndex = 0, options = {}) {
         error: "wiz ip must be a private/local IPv4 address"
       };
     }
+    const wizMacRaw = String(input.mac || "").trim();
+    const wizMac = normalizeMacAddress(wizMacRaw);
+    if (strict && wizMacRaw && !wizMac) {
+      return {
+        ok: false,
+        error: "wiz mac must be a 12-digit hex MAC address"
+      };
+    }
     return {
       ok: true,
       fixture: {
         id,
         brand,
         zone,
+        ...sideField,
         enabled,
         controlMode,
         engineBinding,
         engineEnabled,
         twitchEnabled,
         customEnabled,
-        ip: wizIp
+        ip: wizIp,
+        // Omitted mac keeps the stored one on upsert; an explicit "" clears it.
+        ...(wizMac || Object.prototype.hasOwnProperty.call(input, "mac") ? { mac: wizMac } : {})
+      }
+    };
+  }
+
+  if (brand === "dmx") {
+    const { patch, error } = normalizeDmxPatch(input);
+    if (strict && error) {
+      return { ok: false, error };
+    }
+    const { channels, ...patchFields } = patch;
+    return {
+      ok: true,
+      fixture: {
+        id,
+        brand,
+        zone,
+        ...sideField,
+        enabled,
+        controlMode,
+        engineBinding,
+        engineEnabled,
+        twitchEnabled,
+        customEnabled,
+        ...patchFields,
+        // Named profiles are stored by name; only custom layouts keep the list
+        // (undefined drops a stale list on upsert).
+        channels: patch.profile === "custom" ? channels : undefined
+      }
+    };
+  }
+
+  if (brand === "wled") {
+    const { patch, error } = normalizeWledPatch(input);
+    if (strict && error) {
+      return { ok: false, error };
+    }
+    return {
+      ok: true,
+      fixture: {
+        id,
+        brand,
+        zone,
+        ...sideField,
+        enabled,
+        controlMode,
+        engineBinding,
+        engineEnabled,
+        twitchEnabled,
+        customEnabled,
+        ...patch
+      }
+    };
+  }
+
+  if (brand === "lifx") {
+    const { patch, error } = normalizeLifxPatch(input);
+    if (strict && error) {
+      return { ok: false, error };
+    }
+    const { mac, ...patchFields } = patch;
+    return {
+      ok: true,
+      fixture: {
+        id,
+        brand,
+        zone,
+        ...sideField,
+        enabled,
+        controlMode,
+        engineBinding,
+        engineEnabled,
+        twitchEnabled,
+        customEnabled,
+        ...patchFields,
+        // Same as WiZ: omitted mac keeps the stored one on upsert; "" clears it.
+        ...(mac || Object.prototype.hasOwnProperty.call(input, "mac") ? { mac } : {})
       }
     };
   }
@@ -779,6 +1017,7 @@ function sanitizeFixtureForConfig(input = {}, fallbackIndex = 0, options = {}) {
       id,
       brand,
       zone,
+      ...sideField,
       enabled,
       controlMode,
       engineBinding,
@@ -833,6 +1072,33 @@ function upsertFixture(fixtureInput, options = {}) {
   return { ok: true, fixture: next };
 }
 
+/**
+ * Rewrites the IP of a MAC-tracked WiZ fixture after rediscovery.
+ * Goes through persistConfig so the previous file lands in the backup rotation.
+ */
+function rebindWizFixtureIp(id, nextIp) {
+  const fixtureId = String(id || "").trim();
+  if (!fixtureId) return { ok: false, error: "missing id" };
+  const ip = normalizePrivateLanIpv4(nextIp);
+  if (!ip) return { ok: false, error: "wiz ip must be a private/local IPv4 address" };
+
+  const raw = getConfig();
+  const idx = raw.fixtures.findIndex(f => String(f.id) === fixtureId);
+  if (idx < 0) return { ok: false, error: "fixture not found" };
+  const current = raw.fixtures[idx];
+  if (normalizeBrand(current.brand) !== "wiz") {
+    return { ok: false, error: "fixture is not a wiz fixture" };
+  }
+
+  const previousIp = String(current.ip || "").trim();
+  if (previousIp === ip) {
+    return { ok: true, changed: false, previousIp, fixture: normalizeFixture(current, idx) };
+  }
+  raw.fixtures[idx] = { ...current, ip };
+  persistConfig(raw);
+  return { ok: true, changed: true, previousIp, fixture: normalizeFixture(raw.fixtures[idx], idx) };
+}
+
 function removeFixture(id) {
   const fixtureId = String(id || "").trim();
   if (!fixtureId) return { ok: false, error: "missing id" };
@@ -865,10 +1131,16 @@ module.exports = {
   isHueFixtureConfigured,
   isHueEntertainmentConfigured,
   isWizFixtureConfigured,
+  isDmxFixtureConfigured,
+  isWledFixtureConfigured,
+  isLifxFixtureConfigured,
   isFixtureConfiguredForTransport,
   isEngineCoupledFixture,
+  normalizeFixtureSide,
+  sanitizeFixtureForConfig,
   resolveZone,
   upsertFixture,
+  rebindWizFixtureIp,
   removeFixture,
   reload,
   summary
@@ -0,0 +1,505 @@
+// [TITLE] Module: core/hue-clip-v2.js
+// [TITLE] Purpose: Hue API v2 (CLIP v2) REST transport + bridge event stream
+// [TITLE] Functionality Index:
+// [TITLE] - Resource Id + Color Conversion
+// [TITLE] - v1 State -> v2 Light Payload
+// [TITLE] - Light Resource Resolution (v1 id -> v2 rid)
+// [TITLE] - Event Stream (SSE) Parsing
+// [TITLE] - Event Stream Lifecycle + Echo Filtering
+// [TITLE] - Status Surface
+
+/**
+ * CLIP v2 transport used when `hueTransportPreference` is `rest-v2`.
+ *
+ * Callers keep building v1-shaped states (`on/bri/hue/sat/ct/transitiontime`);
+ * this module converts them to `/clip/v2/resource/light/<rid>` payloads and
+ * resolves `lightId` to a v2 resource id when the fixture does not carry one.
+ */
+const { hsvToRgbUnit } = require("./utils/hsv-rgb");
+
+// [TITLE] Section: Resource Id + Color Conversion
+const HUE_V2_RID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const LIGHT_CACHE_TTL_MS = 60000;
+const ECHO_WINDOW_MS = 1500;
+const STREAM_RECONNECT_MIN_MS = 1000;
+const STREAM_RECONNECT_MAX_MS = 30000;
+// Largest unterminated SSE tail kept between chunks; bridge event batches are
+// a few KB, so anything past this is a stream that never delimits messages.
+const STREAM_MAX_BUFFER_BYTES = 1024 * 1024;
+const GRADIENT_POINTS_DEFAULT = 5;
+const MIREK_MIN = 153;
+const MIREK_MAX = 500;
+
+function normalizeHueV2ResourceId(value) {
+  const raw = String(value || "").trim().toLowerCase();
+  return HUE_V2_RID_RE.test(raw) ? raw : "";
+}
+
+function clampNumber(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+function roundTo(value, digits = 4) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+function srgbToLinear(channel) {
+  return channel > 0.04045
+    ? ((channel + 0.055) / 1.055) ** 2.4
+    : channel / 12.92;
+}
+
+/**
+ * sRGB (0..255) -> CIE xy. Bridge clamps to the lamp gamut itself, so no
+ * per-model gamut triangle is applied here.
+ */
+function rgbToXy(rgb = {}) {
+  const r = srgbToLinear(clampNumber(rgb.r, 0, 255, 0) / 255);
+  const g = srgbToLinear(clampNumber(rgb.g, 0, 255, 0) / 255);
+  const b = srgbToLinear(clampNumber(rgb.b, 0, 255, 0) / 255);
+  const X = r * 0.664511 + g * 0.154324 + b * 0.162028;
+  const Y = r * 0.283881 + g * 0.668433 + b * 0.047685;
+  const Z = r * 0.000088 + g * 0.07231 + b * 0.986039;
+  const sum = X + Y + Z;
+  if (sum <= 0) return { x: 0.3227, y: 0.329 };
+  return { x: roundTo(X / sum), y: roundTo(Y / sum) };
+}
+
+// [TITLE] Section: v1 State -> v2 Light Payload
+function toV2Brightness(bri) {
+  return roundTo(clampNumber((Number(bri) / 254) * 100, 0, 100, 100), 2);
+}
+
+function hasOwn(source, key) {
+  return Object.prototype.hasOwnProperty.call(source, key);
+}
+
+/**
+ * Converts a v1 light state to a CLIP v2 light body.
+ *
+ * Options:
+ * - gradient: `[{ r, g, b }]` colors for gradient-capable lights
+ * - gradientPoints: max points the light accepts (`gradient.points_capable`)
+ */
+function convertV1StateToV2(state = {}, options = {}) {
+  const source = state && typeof state === "object" ? state : {};
+  const opts = options && typeof options === "object" ? options : {};
+  const body = {};
+
+  if (hasOwn(source, "on")) {
+    body.on = { on: source.on !== false };
+  }
+  if (hasOwn(source, "bri")) {
+    body.dimming = { brightness: toV2Brightness(source.bri) };
+  }
+
+  if (Array.isArray(source.xy) && source.xy.length >= 2) {
+    body.color = {
+      xy: {
+        x: roundTo(clampNumber(source.xy[0], 0, 1, 0.3227)),
+        y: roundTo(clampNumber(source.xy[1], 0, 1, 0.329))
+      }
+    };
+  } else if (hasOwn(source, "hue") || hasOwn(source, "sat")) {
+    const hueDeg = (clampNumber(source.hue, 0, 65535, 0) / 65535) * 360;
+    const sat = clampNumber(source.sat, 0, 254, 254) / 254;
+    const rgb = hsvToRgbUnit(hueDeg, sat, 1);
+    body.color = { xy: rgbToXy({ r: rgb.r * 255, g: rgb.g * 255, b: rgb.b * 255 }) };
+  } else if (hasOwn(source, "ct")) {
+    body.color_temperature = {
+      mirek: Math.round(clampNumber(source.ct, MIREK_MIN, MIREK_MAX, 366))
+    };
+  }
+
+  if (hasOwn(source, "transitiontime")) {
+    // v1 transitiontime is in 100ms steps; v2 wants milliseconds.
+    body.dynamics = {
+      duration: Math.round(clampNumber(source.transitiontime, 0, 65535, 0) * 100)
+    };
+  }
+
+  const gradient = Array.isArray(opts.gradient) ? opts.gradient.filter(c => c && typeof c === "object") : [];
+  const maxPoints = Math.round(clampNumber(opts.gradientPoints, 2, 5, GRADIENT_POINTS_DEFAULT));
+  if (gradient.length >= 2 && source.on !== false) {
+    // More segments than the light takes: sample evenly so both ends survive.
+    const points = gradient.length <= maxPoints
+      ? gradient
+      : Array.from({ length: maxPoints }, (_, i) =>
+        gradient[Math.round((i * (gradient.length - 1)) / (maxPoints - 1))]);
+    body.gradient = {
+      points: points.map(color => ({ color: { xy: rgbToXy(color) } }))
+    };
+  }
+
+  return body;
+}
+
+// [TITLE] Section: Event Stream (SSE) Parsing
+/**
+ * Splits buffered SSE text into complete messages. Returns the parsed
+ * `data:` payloads (bridge sends JSON arrays of event envelopes) plus the
+ * unterminated tail to keep for the next chunk.
+ */
+function parseHueEventStreamBuffer(buffer = "") {
+  const text = String(buffer || "").replace(/\r\n/g, "\n");
+  const blocks = text.split("\n\n");
+  const rest = blocks.pop() || "";
+  const events = [];
+  for (const block of blocks) {
+    const dataLines = block
+      .split("\n")
+      .filter(line => line.startsWith("data:"))
+      .map(line => line.slice(5).trimStart());
+    if (!dataLines.length) continue;
+    try {
+      const parsed = JSON.parse(dataLines.join("\n"));
+      for (const envelope of Array.isArray(parsed) ? parsed : [parsed]) {
+        if (envelope && typeof envelope === "object") events.push(envelope);
+      }
+    } catch {}
+  }
+  return { events, rest };
+}
+
+function extractLightUpdates(envelopes = []) {
+  const updates = [];
+  for (const envelope of envelopes) {
+    if (String(envelope?.type || "") !== "update") continue;
+    for (const item of Array.isArray(envelope.data) ? envelope.data : []) {
+      if (String(item?.type || "") !== "light") continue;
+      const rid = normalizeHueV2ResourceId(item.id);
+      if (!rid) continue;
+      const update = { rid, v1Id: String(item.id_v1 || "") };
+      if (item.on && typeof item.on === "object") update.on = item.on.on !== false;
+      if (item.dimming && Number.isFinite(Number(item.dimming.brightness))) {
+        update.brightness = Number(item.dimming.brightness);
+      }
+      if (item.color?.xy && Number.isFinite(Number(item.color.xy.x))) {
+        update.xy = { x: Number(item.color.xy.x), y: Number(item.color.xy.y) };
+      }
+      if (Number.isFinite(Number(item.color_temperature?.mirek))) {
+        update.mirek = Number(item.color_temperature.mirek);
+      }
+      updates.push(update);
+    }
+  }
+  return updates;
+}
+
+// [TITLE] Section: Client Factory
+function createHueClipV2Client(deps = {}) {
+  const {
+    axios,
+    getHttpsAgent,
+    log = console
+  } = deps;
+  const maxStreamBufferBytes = Math.max(1024, Number(deps.maxStreamBufferBytes) || STREAM_MAX_BUFFER_BYTES);
+
+  if (!axios || typeof axios.put !== "function" || typeof axios.get !== "function") {
+    throw new Error("createHueClipV2Client requires axios");
+  }
+
+  const lightCacheByBridge = new Map();
+  const lightCacheInFlight = new Map();
+  const lastWriteAtByRid = new Map();
+  const streams = new Map();
+  const telemetry = {
+    puts: 0,
+    putErrors: 0,
+    resolveErrors: 0,
+    lastError: null,
+    externalChanges: 0,
+    lastExternalChange: null,
+    streamOverflows: 0
+  };
+
+  const bridgeKeyFor = target => `${String(target?.bridgeIp || "").trim()}|${String(target?.username || "").trim()}`;
+
+  const requestOptions = (target, extra = {}) => {
+    const options = {
+      timeout: 1800,
+      headers: { "hue-application-key": String(target?.username || "").trim() },
+      ...extra
+    };
+    const agent = typeof getHttpsAgent === "function" ? getHttpsAgent(target) : null;
+    if (agent) options.httpsAgent = agent;
+    return options;
+  };
+
+  // [TITLE] Section: Light Resource Resolution (v1 id -> v2 rid)
+  async function fetchLightIndex(target) {
+    const { data } = await axios.get(
+      `https://${target.bridgeIp}/clip/v2/resource/light`,
+      requestOptions(target, { timeout: 2500 })
+    );
+    const byRid = new Map();
+    const byV1Id = new Map();
+    for (const light of Array.isArray(data?.data) ? data.data : []) {
+      const rid = normalizeHueV2ResourceId(light?.id);
+      if (!rid) continue;
+      const entry = {
+        rid,
+        v1Id: String(light.id_v1 || ""),
+        name: String(light.metadata?.name || ""),
+        gradientPoints: Number(light.gradient?.points_capable || 0) || 0
+      };
+      byRid.set(rid, entry);
+      if (entry.v1Id) byV1Id.set(entry.v1Id, entry);
+    }
+    return { byRid, byV1Id, fetchedAt: Date.now() };
+  }
+
+  async function getLightIndex(target, options = {}) {
+    const key = bridgeKeyFor(target);
+    const cached = lightCacheByBridge.get(key);
+    if (!options.force && cached && (Date.now() - cached.fetchedAt) < LIGHT_CACHE_TTL_MS) {
+      return cached;
+    }
+    if (lightCacheInFlight.has(key)) return lightCacheInFlight.get(key);
+    const task = fetchLightIndex(target)
+      .then(index => {
+        lightCacheByBridge.set(key, index);
+        return index;
+      })
+      .finally(() => {
+        lightCacheInFlight.delete(key);
+      });
+    lightCacheInFlight.set(key, task);
+    return task;
+  }
+
+  async function resolveLight(target) {
+    const rid = normalizeHueV2ResourceId(target?.lightRid);
+    let index = null;
+    try {
+      index = await getLightIndex(target);
+    } catch (err) {
+      telemetry.resolveErrors += 1;
+      if (rid) return { rid, v1Id: "", gradientPoints: 0 };
+      throw err;
+    }
+    if (rid) return index.byRid.get(rid) || { rid, v1Id: "", gradientPoints: 0 };
+    const v1Id = `/lights/${Number(target?.lightId || 0)}`;
+    const entry = index.byV1Id.get(v1Id);
+    if (!entry) {
+      throw new Error(`no CLIP v2 light for ${v1Id}`);
+    }
+    return entry;
+  }
+
+  async function putLightState(target, state, options = {}) {
+    const light = await resolveLight(target);
+    const body = convertV1StateToV2(state, {
+      gradient: light.gradientPoints > 0 ? options.gradient : null,
+      gradientPoints: light.gradientPoints
+    });
+    lastWriteAtByRid.set(light.rid, Date.now());
+    try {
+      await axios.put(
+        `https://${target.bridgeIp}/clip/v2/resource/light/${light.rid}`,
+        body,
+        requestOptions(target, { timeout: Number(options.timeoutMs) || 1800 })
+      );
+      telemetry.puts += 1;
+      return { ok: true, rid: light.rid, transport: "rest-v2" };
+    } catch (err) {
+      telemetry.putErrors += 1;
+      telemetry.lastError = err.message || String(err);
+      throw err;
+    }
+  }
+
+  // [TITLE] Section: Event Stream Lifecycle + Echo Filtering
+  function isEcho(rid, now = Date.now()) {
+    const lastWriteAt = Number(lastWriteAtByRid.get(rid) || 0);
+    return lastWriteAt > 0 && (now - lastWriteAt) < ECHO_WINDOW_MS;
+  }
+
+  function handleStreamEvents(stream, envelopes) {
+    const now = Date.now();
+    stream.events += envelopes.length;
+    stream.lastEventAt = now;
+    for (const update of extractLightUpdates(envelopes)) {
+      const external = !isEcho(update.rid, now);
+      if (!external) continue;
+      stream.externalChanges += 1;
+      telemetry.externalChanges += 1;
+      const change = { bridgeIp: stream.target.bridgeIp, ...update, at: now };
+      telemetry.lastExternalChange = change;
+      try {
+        stream.onLightUpdate?.(change);
+      } catch (err) {
+        log.warn?.(`[HUE][V2] light update handler failed: ${err.message || err}`);
+      }
+    }
+  }
+
+  function scheduleReconnect(stream) {
+    if (stream.stopped) return;
+    const delayMs = Math.min(
+      STREAM_RECONNECT_MAX_MS,
+      STREAM_RECONNECT_MIN_MS * (2 ** Math.min(5, stream.failures))
+    );
+    stream.failures += 1;
+    stream.reconnectTimer = setTimeout(() => {
+      stream.reconnectTimer = null;
+      connectStream(stream);
+    }, delayMs);
+    stream.reconnectTimer.unref?.();
+  }
+
+  async function connectStream(stream) {
+    if (stream.stopped) return;
+    const controller = new AbortController();
+    stream.controller = controller;
+    try {
+      const response = await axios.get(
+        `https://${stream.target.bridgeIp}/eventstream/clip/v2`,
+        requestOptions(stream.target, {
+          timeout: 0,
+          responseType: "stream",
+          signal: controller.signal,
+          headers: {
+            "hue-application-key": String(stream.target.username || "").trim(),
+            Accept: "text/event-stream"
+          }
+        })
+      );
+      if (stream.stopped) {
+        controller.abort();
+        return;
+      }
+      stream.connected = true;
+      stream.failures = 0;
+      stream.connectedAt = Date.now();
+      let buffer = "";
+      const body = response.data;
+      body.setEncoding?.("utf8");
+      const onClose = err => {
+        if (!stream.connected) return;
+        stream.connected = false;
+        if (err) stream.lastError = err.message || String(err);
+        scheduleReconnect(stream);
+      };
+      body.on("data", chunk => {
+        if (!stream.connected) return;
+        buffer += String(chunk);
+        const parsed = parseHueEventStreamBuffer(buffer);
+        buffer = parsed.rest;
+        if (parsed.events.length) handleStreamEvents(stream, parsed.events);
+        if (Buffer.byteLength(buffer, "utf8") > maxStreamBufferBytes) {
+          // Drop the connection rather than buffer without bound.
+          buffer = "";
+          telemetry.streamOverflows += 1;
+          onClose(new Error(`event stream message exceeded ${maxStreamBufferBytes} bytes`));
+          controller.abort();
+          body.destroy?.();
+        }
+      });
+      body.on("error", onClose);
+      body.on("end", () => onClose(null));
+    } catch (err) {
+      stream.connected = false;
+      if (stream.stopped) return;
+      stream.lastError = err.message || String(err);
+      if (stream.failures === 0) {
+        log.warn?.(`[HUE][V2] event stream ${stream.target.bridgeIp} failed: ${stream.lastError}`);
+      }
+      scheduleReconnect(stream);
+    }
+  }
+
+  function stopStream(key) {
+    const stream = streams.get(key);
+    if (!stream) return;
+    stream.stopped = true;
+    stream.connected = false;
+    if (stream.reconnectTimer) clearTimeout(stream.reconnectTimer);
+    try {
+      stream.controller?.abort();
+    } catch {}
+    streams.delete(key);
+  }
+
+  /**
+   * Keeps exactly one event stream per bridge credential in `targets`.
+   */
+  function syncEventStreams(targets = [], onLightUpdate = null) {
+    const wanted = new Map();
+    for (const target of targets) {
+      if (!target?.bridgeIp || !target?.username) continue;
+      wanted.set(bridgeKeyFor(target), target);
+    }
+    for (const key of [...streams.keys()]) {
+      if (!wanted.has(key)) stopStream(key);
+    }
+    for (const [key, target] of wanted.entries()) {
+      const existing = streams.get(key);
+      if (existing) {
+        existing.onLightUpdate = onLightUpdate;
+        continue;
+      }
+      const stream = {
+        target: { bridgeIp: target.bridgeIp, username: target.username, bridgeId: target.bridgeId },
+        onLightUpdate,
+        connected: false,
+        connectedAt: 0,
+        events: 0,
+        externalChanges: 0,
+        failures: 0,
+        lastEventAt: 0,
+        lastError: null,
+        controller: null,
+        reconnectTimer: null,
+        stopped: false
+      };
+      streams.set(key, stream);
+      connectStream(stream);
+    }
+  }
+
+  function stopAllEventStreams() {
+    for (const key of [...streams.keys()]) stopStream(key);
+  }
+
+  function invalidateLightCache() {
+    lightCacheByBridge.clear();
+  }
+
+  // [TITLE] Section: Status Surface
+  function getTelemetry() {
+    return {
+      ...telemetry,
+      bridgesIndexed: lightCacheByBridge.size,
+      streams: [...streams.values()].map(stream => ({
+        bridgeIp: stream.target.bridgeIp,
+        connected: stream.connected,
+        events: stream.events,
+        externalChanges: stream.externalChanges,
+        lastEventAt: stream.lastEventAt,
+        lastError: stream.lastError
+      }))
+    };
+  }
+
+  return {
+    putLightState,
+    resolveLight,
+    syncEventStreams,
+    stopAllEventStreams,
+    invalidateLightCache,
+    getTelemetry
+  };
+}
+
+module.exports = {
+  createHueClipV2Client,
+  normalizeHueV2ResourceId,
+  rgbToXy,
+  convertV1StateToV2,
+  parseHueEventStreamBuffer,
+  extractLightUpdates
+};
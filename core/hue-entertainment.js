@@ -7,6 +7,7 @@
 // [TITLE] - Bridge Config Resolution + Area Selection
 // [TITLE] - Start/Stop Lifecycle + Auto-Retry
 // [TITLE] - Frame Send Path + Socket Failure Guards
+// [TITLE] - Spatial Channel Frames
 // [TITLE] - Status Surface
 
 /**
@@ -26,6 +27,12 @@ const axios = require("axios");
 const { isPrivateOrLoopbackIpv4 } = require("./utils/private-ipv4");
 const { redactSensitiveLogValue } = require("./utils/log-redaction");
 const { hsvToRgb255: convertHsvToRgb255 } = require("./utils/hsv-rgb");
+const {
+  buildChannelLayout,
+  buildSpatialFrame,
+  findGradientChannelGroups,
+  applySegmentColors
+} = require("./hue-entertainment/spatial-frame");
 
 // [TITLE] Section: Runtime State + Security Flags
 const nativeDnsLookup = dns.lookup.bind(dns);
@@ -380,6 +387,8 @@ module.exports = function createHueEntertainmentTransport({ fixtureRegistry, log
   let active = false;
   let areaRef = null;
   let streamChannelCount = 1;
+  let channelLayout = [];
+  let lastSpatialEffect = null;
   let unavailableReason = null;
   let lastStartDiagnostic = null;
   const bundledHueCaPath = resolveHueCaPath();
@@ -987,6 +996,8 @@ module.exports = function createHueEntertainmentTransport({ fixtureRegistry, log
       }
 
       streamChannelCount = Math.max(1, inferAreaChannelCount(nextArea));
+      channelLayout = buildChannelLayout(nextArea, streamChannelCount);
+      lastSpatialEffect = null;
       unavailableReason = null;
       active = true;
       log.log?.(
@@ -1000,6 +1011,7 @@ module.exports = function createHueEntertainmentTransport({ fixtureRegistry, log
       bridge = null;
       areaRef = null;
       streamChannelCount = 1;
+      channelLayout = [];
       unavailableReason = redactSensitiveLogValue(
         await diagnoseStartFailure(err, cfg),
         "entertainment start failed"
@@ -1029,11 +1041,52 @@ module.exports = function createHueEntertainmentTransport({ fixtureRegistry, log
       bridge = null;
       areaRef = null;
       streamChannelCount = 1;
+      channelLayout = [];
+      lastSpatialEffect = null;
     }
   }
 
+  // [TITLE] Subsection: Spatial Channel Frames
+  function buildChannelFrame(state, rgb, count, options = {}) {
+    const layout = channelLayout.length === count ? channelLayout : buildChannelLayout(areaRef, count);
+    const spatial = buildSpatialFrame({
+      layout,
+      baseRgb: rgb,
+      on: state.on !== false,
+      mode: options.spatialMode,
+      spatial: options.spatial
+    });
+    lastSpatialEffect = spatial ? spatial.effect : null;
+    // hue-sync expects per-channel tuples: [R, G, B]
+    const frame = spatial
+      ? spatial.frame
+      : Array.from(
+        { length: count },
+        () => [rgb.r, rgb.g, rgb.b]
+      );
+    // Gradient segments override the spatial/base color on their own channels.
+    return state.on === false ? frame : applySegmentColors(frame, layout, options.segments);
+  }
+
+  // Final per-channel frame (spatial effect + gradient segments) for `state`.
+  // The server runs it past the flash guard and hands it back to `send`.
+  function buildFrame(state = {}, lightCount = 1, options = {}) {
+    const rgb = state.on === false
+      ? { r: 0, g: 0, b: 0 }
+      : hueStateToRgb(state);
+    const requestedCount = Math.max(1, Number(lightCount || 1));
+    const count = Math.max(1, Number(streamChannelCount || requestedCount));
+    const frame = buildChannelFrame(state, rgb, count, options || {});
+    const layout = channelLayout.length === count ? channelLayout : buildChannelLayout(areaRef, count);
+    return {
+      area: getAreaIdentifier(areaRef) || getAreaDisplayName(areaRef),
+      frame,
+      channelIds: frame.map((_, index) => layout[index]?.channelId ?? index)
+    };
+  }
+
   // [TITLE] Subsection: Frame Send Path
-  function send(state = {}, lightCount = 1) {
+  function send(state = {}, lightCount = 1, options = {}) {
     if (!bridge) {
       throw new Error(unavailableReason || "entertainment bridge unavailable");
     }
@@ -1041,16 +1094,9 @@ module.exports = function createHueEntertainmentTransport({ fixtureRegistry, log
       throw new Error(unavailableReason || "entertainment stream inactive");
     }
 
-    const rgb = state.on === false
-      ? { r: 0, g: 0, b: 0 }
-      : hueStateToRgb(state);
-    const requestedCount = Math.max(1, Number(lightCount || 1));
-    const count = Math.max(1, Number(streamChannelCount || requestedCount));
-    // hue-sync expects per-channel tuples: [R, G, B]
-    const frame = Array.from(
-      { length: count },
-      () => [rgb.r, rgb.g, rgb.b]
-    );
+    const frame = Array.isArray(options?.frame)
+      ? options.frame
+      : buildFrame(state, lightCount, options).frame;
 
     const failHard = err => {
       const message = redactSensitiveLogValue(
@@ -1105,6 +1151,9 @@ module.exports = function createHueEntertainmentTransport({ fixtureRegistry, log
       active,
       reason: unavailableReason,
       channelCount: streamChannelCount,
+      channelsPositioned: channelLayout.filter(channel => channel.positioned).length,
+      gradientGroups: findGradientChannelGroups(channelLayout),
+      spatialEffect: lastSpatialEffect,
       startFallbackEnabled: HUE_ENT_ENABLE_ORIGINAL_START_FALLBACK,
       lastStart: lastStartDiagnostic
         ? { ...lastStartDiagnostic }
@@ -1118,6 +1167,7 @@ module.exports = function createHueEntertainmentTransport({ fixtureRegistry, log
   return {
     start,
     stop,
+    buildFrame,
     send,
     getStatus
   };
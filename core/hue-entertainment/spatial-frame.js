@@ -0,0 +1,230 @@
+// [TITLE] Module: core/hue-entertainment/spatial-frame.js
+// [TITLE] Purpose: per-channel spatial frame builder for Hue Entertainment streaming
+
+"use strict";
+
+const SPATIAL_MODE_ORDER = Object.freeze([
+  "off",
+  "auto",
+  "sweep",
+  "bass_center",
+  "palette_spread"
+]);
+const SPATIAL_MODES = new Set(SPATIAL_MODE_ORDER);
+const SPATIAL_DEFAULT_MODE = "auto";
+const SWEEP_FALLBACK_PERIOD_MS = 2000;
+const SWEEP_BEATS_PER_PASS = 4;
+const SWEEP_WIDTH = 0.55;
+const SWEEP_FLOOR = 0.18;
+const BASS_CENTER_FLOOR = 0.16;
+
+function clamp01(value, fallback = 0) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(0, Math.min(1, n));
+}
+
+function clampAxis(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return 0;
+  return Math.max(-1, Math.min(1, n));
+}
+
+function clamp255(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return 0;
+  return Math.max(0, Math.min(255, Math.round(n)));
+}
+
+function normalizeSpatialMode(value, fallback = SPATIAL_DEFAULT_MODE) {
+  const raw = String(value || "").trim().toLowerCase().replace(/-/g, "_");
+  if (SPATIAL_MODES.has(raw)) return raw;
+  const fallbackRaw = String(fallback || "").trim().toLowerCase();
+  return SPATIAL_MODES.has(fallbackRaw) ? fallbackRaw : SPATIAL_DEFAULT_MODE;
+}
+
+/**
+ * Reads channel positions from a CLIP v2 entertainment configuration.
+ * Channels without a usable position are spread evenly left-to-right so
+ * sweeps still travel across the room on partially configured areas.
+ */
+function buildChannelLayout(area, fallbackCount = 1) {
+  const channels = Array.isArray(area?.channels) ? area.channels : [];
+  const count = channels.length || Math.max(1, Math.round(Number(fallbackCount) || 1));
+  const layout = [];
+  for (let i = 0; i < count; i += 1) {
+    const channel = channels[i] && typeof channels[i] === "object" ? channels[i] : {};
+    const position = channel.position && typeof channel.position === "object"
+      ? channel.position
+      : null;
+    const evenX = count > 1 ? -1 + (2 * i) / (count - 1) : 0;
+    const channelId = Number(channel.channel_id);
+    const member = Array.isArray(channel.members) ? channel.members[0] : null;
+    const memberIndex = Number(member?.index);
+    layout.push({
+      channelId: Number.isInteger(channelId) && channelId >= 0 ? channelId : i,
+      x: position ? clampAxis(position.x) : evenX,
+      y: position ? clampAxis(position.y) : 0,
+      z: position ? clampAxis(position.z) : 0,
+      positioned: Boolean(position),
+      serviceRid: String(member?.service?.rid || ""),
+      memberIndex: Number.isInteger(memberIndex) && memberIndex >= 0 ? memberIndex : 0
+    });
+  }
+  return layout;
+}
+
+function normalizePaletteRgbList(palette) {
+  if (!Array.isArray(palette)) return [];
+  return palette
+    .filter(color => color && typeof color === "object")
+    .map(color => ({ r: clamp255(color.r), g: clamp255(color.g), b: clamp255(color.b) }));
+}
+
+function resolveSpatialEffect(mode, spatial = {}) {
+  const normalized = normalizeSpatialMode(mode);
+  if (normalized !== "auto") return normalized;
+  const scene = String(spatial.scene || "").trim().toLowerCase();
+  if (scene.startsWith("pulse_")) return "bass_center";
+  if (normalizePaletteRgbList(spatial.palette).length > 1) return "palette_spread";
+  return "sweep";
+}
+
+function scaleRgb(rgb, amount) {
+  const k = clamp01(amount, 1);
+  return [clamp255(rgb.r * k), clamp255(rgb.g * k), clamp255(rgb.b * k)];
+}
+
+function computeSweepHeadX(spatial = {}, now = Date.now()) {
+  const bpm = Number(spatial.bpm);
+  const periodMs = Number.isFinite(bpm) && bpm >= 40
+    ? (60000 / bpm) * SWEEP_BEATS_PER_PASS
+    : SWEEP_FALLBACK_PERIOD_MS;
+  const t = ((Number(now) || 0) % periodMs) / periodMs;
+  // Ping-pong so the head never jumps from the right edge back to the left.
+  const tri = t < 0.5 ? t * 2 : 2 - (t * 2);
+  return -1 + tri * 2;
+}
+
+function buildSweepFrame(layout, baseRgb, spatial, now) {
+  const headX = computeSweepHeadX(spatial, now);
+  const lift = spatial.drop ? 0.3 : (spatial.beat ? 0.14 : 0);
+  return layout.map(channel => {
+    const dx = channel.x - headX;
+    const falloff = Math.exp(-(dx * dx) / (2 * SWEEP_WIDTH * SWEEP_WIDTH));
+    return scaleRgb(baseRgb, SWEEP_FLOOR + (1 - SWEEP_FLOOR) * Math.min(1, falloff + lift));
+  });
+}
+
+function buildBassCenterFrame(layout, baseRgb, spatial) {
+  const low = clamp01(spatial.bandLow);
+  const high = clamp01(spatial.bandHigh);
+  const radii = layout.map(channel => Math.sqrt(channel.x * channel.x + channel.y * channel.y));
+  const maxRadius = Math.max(...radii, 0);
+  const palette = normalizePaletteRgbList(spatial.palette);
+  const edgeRgb = palette.length > 1 ? palette[palette.length - 1] : baseRgb;
+  return layout.map((channel, index) => {
+    const edge = maxRadius > 0 ? radii[index] / maxRadius : 0.5;
+    const drive = (low * (1 - edge)) + (high * edge) + (spatial.drop ? 0.25 : 0);
+    const rgb = edge >= 0.5 ? edgeRgb : baseRgb;
+    return scaleRgb(rgb, BASS_CENTER_FLOOR + (1 - BASS_CENTER_FLOOR) * clamp01(drive));
+  });
+}
+
+function buildPaletteSpreadFrame(layout, baseRgb, spatial, level) {
+  const palette = normalizePaletteRgbList(spatial.palette);
+  if (!palette.length) return layout.map(() => [baseRgb.r, baseRgb.g, baseRgb.b]);
+  const offset = Math.max(0, Math.round(Number(spatial.paletteOffset) || 0));
+  // Assign colors by physical left-to-right order, not by channel id.
+  const order = layout
+    .map((channel, index) => ({ index, x: channel.x, y: channel.y }))
+    .sort((a, b) => (a.x - b.x) || (a.y - b.y));
+  const frame = new Array(layout.length);
+  order.forEach((entry, rank) => {
+    const color = palette[(rank + offset) % palette.length];
+    frame[entry.index] = scaleRgb(color, level);
+  });
+  return frame;
+}
+
+function rgbLevel(rgb = {}) {
+  return Math.max(clamp255(rgb.r), clamp255(rgb.g), clamp255(rgb.b)) / 255;
+}
+
+/**
+ * Builds one `[r, g, b]` tuple per channel. Returns null when the frame
+ * should stay single-color (spatial off, no layout, or blackout).
+ */
+function buildSpatialFrame(options = {}) {
+  const layout = Array.isArray(options.layout) ? options.layout : [];
+  const baseRgb = options.baseRgb && typeof options.baseRgb === "object"
+    ? options.baseRgb
+    : { r: 0, g: 0, b: 0 };
+  const spatial = options.spatial && typeof options.spatial === "object" ? options.spatial : null;
+  if (!spatial || layout.length < 2) return null;
+  if (options.on === false) return null;
+
+  const effect = resolveSpatialEffect(options.mode, spatial);
+  const now = Number.isFinite(Number(options.now)) ? Number(options.now) : Date.now();
+  let frame = null;
+  if (effect === "sweep") {
+    frame = buildSweepFrame(layout, baseRgb, spatial, now);
+  } else if (effect === "bass_center") {
+    frame = buildBassCenterFrame(layout, baseRgb, spatial);
+  } else if (effect === "palette_spread") {
+    frame = buildPaletteSpreadFrame(layout, baseRgb, spatial, rgbLevel(baseRgb));
+  }
+  return frame ? { effect, frame } : null;
+}
+
+/**
+ * Gradient strips/tubes expose one entertainment service with several
+ * channel members. Returns their channel ids in segment order.
+ */
+function findGradientChannelGroups(layout = []) {
+  const byService = new Map();
+  for (const channel of Array.isArray(layout) ? layout : []) {
+    if (!channel?.serviceRid) continue;
+    if (!byService.has(channel.serviceRid)) byService.set(channel.serviceRid, []);
+    byService.get(channel.serviceRid).push(channel);
+  }
+  return [...byService.values()]
+    .filter(group => group.length > 1)
+    .map(group => group
+      .slice()
+      .sort((a, b) => a.memberIndex - b.memberIndex)
+      .map(channel => channel.channelId));
+}
+
+/**
+ * Paints per-segment colors onto an existing frame.
+ * `segments`: `[{ channelIds: [..], colors: [{ r, g, b }, ..] }]`
+ */
+function applySegmentColors(frame, layout = [], segments = []) {
+  if (!Array.isArray(frame) || !Array.isArray(segments) || !segments.length) return frame;
+  const indexByChannelId = new Map();
+  layout.forEach((channel, index) => indexByChannelId.set(channel.channelId, index));
+  for (const segment of segments) {
+    const channelIds = Array.isArray(segment?.channelIds) ? segment.channelIds : [];
+    const colors = normalizePaletteRgbList(segment?.colors);
+    if (!channelIds.length || !colors.length) continue;
+    channelIds.forEach((channelId, i) => {
+      const index = indexByChannelId.get(Number(channelId));
+      if (index === undefined || index >= frame.length) return;
+      const color = colors[i % colors.length];
+      frame[index] = [color.r, color.g, color.b];
+    });
+  }
+  return frame;
+}
+
+module.exports = {
+  SPATIAL_MODE_ORDER,
+  SPATIAL_DEFAULT_MODE,
+  normalizeSpatialMode,
+  buildChannelLayout,
+  resolveSpatialEffect,
+  buildSpatialFrame,
+  findGradientChannelGroups,
+  applySegmentColors
+};
@@ -0,0 +1,282 @@
+// [TITLE] Module: core/lifx/lifx-protocol.js
+// [TITLE] Purpose: LIFX fixture patch validation, HSBK conversion, LAN protocol packets
+
+const { normalizePrivateOrLoopbackIpv4 } = require("../utils/private-ipv4");
+const { normalizeMacAddress } = require("../utils/mac-address");
+
+const LIFX_UDP_PORT = 56700;
+const LIFX_HEADER_SIZE = 36;
+const LIFX_PROTOCOL = 1024;
+const LIFX_MESSAGE_TYPES = Object.freeze({
+  GetService: 2,
+  StateService: 3,
+  GetLabel: 23,
+  StateLabel: 25,
+  GetVersion: 32,
+  StateVersion: 33,
+  SetColor: 102,
+  SetWaveform: 103,
+  SetLightPower: 117,
+  StateUnhandled: 223,
+  SetExtendedColorZones: 510,
+  GetExtendedColorZones: 511,
+  StateExtendedColorZones: 512
+});
+const LIFX_WAVEFORMS = Object.freeze({
+  saw: 0,
+  sine: 1,
+  halfSine: 2,
+  triangle: 3,
+  pulse: 4
+});
+// One SetExtendedColorZones message carries up to 82 zones; longer strips take several.
+const LIFX_EXTENDED_ZONES_PER_MESSAGE = 82;
+const LIFX_MAX_ZONES = 255;
+const LIFX_KELVIN_MIN = 1500;
+const LIFX_KELVIN_MAX = 9000;
+// Kelvin sent with saturated colors (the bulb ignores it at full saturation).
+const LIFX_DEFAULT_KELVIN = 3500;
+const LIFX_MULTIZONE_APPLY = Object.freeze({ noApply: 0, apply: 1, applyOnly: 2 });
+
+function toInteger(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+function clampU16(value) {
+  return Math.max(0, Math.min(65535, Math.round(Number(value) || 0)));
+}
+
+/**
+ * Validates a LIFX fixture patch. Always returns a usable `patch`; `error`
+ * names the first invalid field for strict callers. `zoneCount` of 0 means
+ * "single color, or whatever discovery reports".
+ */
+function normalizeLifxPatch(source = {}) {
+  const input = source && typeof source === "object" ? source : {};
+  const errors = [];
+
+  const ipRaw = String(input.ip || "").trim();
+  const ip = normalizePrivateOrLoopbackIpv4(ipRaw);
+  if (ipRaw && !ip) errors.push("lifx ip must be a private/local IPv4 address");
+
+  const macRaw = String(input.mac || "").trim();
+  const mac = normalizeMacAddress(macRaw);
+  if (macRaw && !mac) errors.push("lifx mac must be a 12-digit hex MAC address");
+
+  let port = LIFX_UDP_PORT;
+  if (String(input.port ?? "").trim() !== "") {
+    const raw = toInteger(input.port);
+    if (raw === null || raw < 1 || raw > 65535) errors.push("lifx port must be 1-65535");
+    else port = raw;
+  }
+
+  let zoneCount = 0;
+  if (String(input.zoneCount ?? "").trim() !== "") {
+    const raw = toInteger(input.zoneCount);
+    if (raw === null || raw < 1 || raw > LIFX_MAX_ZONES) {
+      errors.push(`lifx zoneCount must be 1-${LIFX_MAX_ZONES} (or omit for single-color bulbs)`);
+    } else {
+      zoneCount = raw;
+    }
+  }
+
+  return {
+    patch: { ip, mac, port, zoneCount },
+    error: errors[0] || ""
+  };
+}
+
+function isLifxPatchConfigured(source = {}) {
+  const { patch, error } = normalizeLifxPatch(source);
+  return !error && Boolean(patch.ip);
+}
+
+function rgbToHsbk(r, g, b, level = 1, kelvin = LIFX_DEFAULT_KELVIN) {
+  const R = Math.max(0, Math.min(255, Number(r) || 0)) / 255;
+  const G = Math.max(0, Math.min(255, Number(g) || 0)) / 255;
+  const B = Math.max(0, Math.min(255, Number(b) || 0)) / 255;
+  const max = Math.max(R, G, B);
+  const min = Math.min(R, G, B);
+  const delta = max - min;
+  let hue = 0;
+  if (delta > 0) {
+    if (max === R) hue = ((G - B) / delta) % 6;
+    else if (max === G) hue = ((B - R) / delta) + 2;
+    else hue = ((R - G) / delta) + 4;
+    hue = (hue * 60 + 360) % 360;
+  }
+  const scale = Math.max(0, Math.min(1, Number(level)));
+  return {
+    hue: clampU16((hue / 360) * 65535),
+    saturation: clampU16(max > 0 ? (delta / max) * 65535 : 0),
+    brightness: clampU16(max * scale * 65535),
+    kelvin: Math.max(LIFX_KELVIN_MIN, Math.min(LIFX_KELVIN_MAX, Math.round(Number(kelvin) || LIFX_DEFAULT_KELVIN)))
+  };
+}
+
+// WiZ-style state -> HSBK. `temp` wins like on WiZ; `dimming` scales brightness.
+function wizStateToHsbk(state = {}) {
+  const source = state && typeof state === "object" ? state : {};
+  const level = Number.isFinite(Number(source.dimming))
+    ? Math.max(0.01, Math.min(1, Number(source.dimming) / 100))
+    : 1;
+  if (Number.isFinite(Number(source.temp))) {
+    return {
+      hue: 0,
+      saturation: 0,
+      brightness: clampU16(level * 65535),
+      kelvin: Math.max(LIFX_KELVIN_MIN, Math.min(LIFX_KELVIN_MAX, Math.round(Number(source.temp))))
+    };
+  }
+  if (!["r", "g", "b"].every(key => Number.isFinite(Number(source[key])))) {
+    return { hue: 0, saturation: 0, brightness: clampU16(level * 65535), kelvin: LIFX_DEFAULT_KELVIN };
+  }
+  return rgbToHsbk(source.r, source.g, source.b, level);
+}
+
+function writeHsbk(buffer, offset, hsbk = {}) {
+  buffer.writeUInt16LE(clampU16(hsbk.hue), offset);
+  buffer.writeUInt16LE(clampU16(hsbk.saturation), offset + 2);
+  buffer.writeUInt16LE(clampU16(hsbk.brightness), offset + 4);
+  buffer.writeUInt16LE(
+    Math.max(LIFX_KELVIN_MIN, Math.min(LIFX_KELVIN_MAX, Math.round(Number(hsbk.kelvin) || LIFX_DEFAULT_KELVIN))),
+    offset + 6
+  );
+}
+
+function readHsbk(buffer, offset) {
+  return {
+    hue: buffer.readUInt16LE(offset),
+    saturation: buffer.readUInt16LE(offset + 2),
+    brightness: buffer.readUInt16LE(offset + 4),
+    kelvin: buffer.readUInt16LE(offset + 6)
+  };
+}
+
+/**
+ * Frame header + frame address + protocol header, then the payload.
+ * Without a `target` MAC the packet is tagged (every device on the address answers).
+ */
+function buildLifxPacket(type, payload = Buffer.alloc(0), options = {}) {
+  const body = Buffer.isBuffer(payload) ? payload : Buffer.alloc(0);
+  const packet = Buffer.alloc(LIFX_HEADER_SIZE + body.length);
+  const mac = normalizeMacAddress(options.target);
+  const tagged = !mac;
+  packet.writeUInt16LE(packet.length, 0);
+  packet.writeUInt16LE(LIFX_PROTOCOL | 0x1000 | (tagged ? 0x2000 : 0), 2);
+  packet.writeUInt32LE((Number(options.source) >>> 0) || 0, 4);
+  if (mac) Buffer.from(mac, "hex").copy(packet, 8);
+  packet.writeUInt8((options.resRequired ? 0x01 : 0) | (options.ackRequired ? 0x02 : 0), 22);
+  packet.writeUInt8((Math.round(Number(options.sequence) || 0) % 256 + 256) % 256, 23);
+  packet.writeUInt16LE(type, 32);
+  body.copy(packet, LIFX_HEADER_SIZE);
+  return packet;
+}
+
+function encodeSetColor(hsbk, durationMs = 0) {
+  const payload = Buffer.alloc(13);
+  writeHsbk(payload, 1, hsbk);
+  payload.writeUInt32LE(Math.max(0, Math.round(Number(durationMs) || 0)), 9);
+  return payload;
+}
+
+function encodeSetWaveform(hsbk, options = {}) {
+  const payload = Buffer.alloc(21);
+  payload.writeUInt8(options.transient ? 1 : 0, 1);
+  writeHsbk(payload, 2, hsbk);
+  payload.writeUInt32LE(Math.max(1, Math.round(Number(options.periodMs) || 1)), 10);
+  payload.writeFloatLE(Math.max(0, Number(options.cycles) || 1), 14);
+  payload.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(Number(options.skewRatio) || 0))), 18);
+  const waveform = LIFX_WAVEFORMS[options.waveform] ?? Number(options.waveform);
+  payload.writeUInt8(Number.isInteger(waveform) ? waveform : LIFX_WAVEFORMS.saw, 20);
+  return payload;
+}
+
+function encodeSetLightPower(on, durationMs = 0) {
+  const payload = Buffer.alloc(6);
+  payload.writeUInt16LE(on ? 65535 : 0, 0);
+  payload.writeUInt32LE(Math.max(0, Math.round(Number(durationMs) || 0)), 2);
+  return payload;
+}
+
+/**
+ * SetExtendedColorZones payloads for a whole strip. Only the last chunk
+ * applies, so the strip changes in one step.
+ */
+function encodeSetExtendedColorZones(colors = [], durationMs = 0) {
+  const list = (Array.isArray(colors) ? colors : []).slice(0, LIFX_MAX_ZONES);
+  const payloads = [];
+  for (let index = 0; index < list.length; index += LIFX_EXTENDED_ZONES_PER_MESSAGE) {
+    const chunk = list.slice(index, index + LIFX_EXTENDED_ZONES_PER_MESSAGE);
+    const last = index + chunk.length >= list.length;
+    const payload = Buffer.alloc(8 + (LIFX_EXTENDED_ZONES_PER_MESSAGE * 8));
+    payload.writeUInt32LE(Math.max(0, Math.round(Number(durationMs) || 0)), 0);
+    payload.writeUInt8(last ? LIFX_MULTIZONE_APPLY.apply : LIFX_MULTIZONE_APPLY.noApply, 4);
+    payload.writeUInt16LE(index, 5);
+    payload.writeUInt8(chunk.length, 7);
+    chunk.forEach((hsbk, i) => writeHsbk(payload, 8 + (i * 8), hsbk));
+    payloads.push(payload);
+  }
+  return payloads;
+}
+
+// Returns null for anything too short or not speaking protocol 1024.
+function parseLifxPacket(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < LIFX_HEADER_SIZE) return null;
+  const size = buffer.readUInt16LE(0);
+  const flags = buffer.readUInt16LE(2);
+  if ((flags & 0x0fff) !== LIFX_PROTOCOL || size > buffer.length) return null;
+  return {
+    size,
+    tagged: Boolean(flags & 0x2000),
+    source: buffer.readUInt32LE(4),
+    target: buffer.subarray(8, 14).toString("hex"),
+    sequence: buffer.readUInt8(23),
+    type: buffer.readUInt16LE(32),
+    payload: buffer.subarray(LIFX_HEADER_SIZE, size)
+  };
+}
+
+// Decodes the state replies discovery and probes ask for; other types return null.
+function parseLifxStatePayload(type, payload = Buffer.alloc(0)) {
+  if (type === LIFX_MESSAGE_TYPES.StateService && payload.length >= 5) {
+    return { service: payload.readUInt8(0), port: payload.readUInt32LE(1) };
+  }
+  if (type === LIFX_MESSAGE_TYPES.StateLabel && payload.length >= 32) {
+    return { label: payload.subarray(0, 32).toString("utf8").replace(/\0[\s\S]*$/, "").trim() };
+  }
+  if (type === LIFX_MESSAGE_TYPES.StateVersion && payload.length >= 8) {
+    return { vendor: payload.readUInt32LE(0), product: payload.readUInt32LE(4) };
+  }
+  if (type === LIFX_MESSAGE_TYPES.StateExtendedColorZones && payload.length >= 5) {
+    const count = Math.min(payload.readUInt8(4), Math.floor((payload.length - 5) / 8));
+    return {
+      zoneCount: payload.readUInt16LE(0),
+      zoneIndex: payload.readUInt16LE(2),
+      colors: Array.from({ length: count }, (_, i) => readHsbk(payload, 5 + (i * 8)))
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  LIFX_UDP_PORT,
+  LIFX_HEADER_SIZE,
+  LIFX_MESSAGE_TYPES,
+  LIFX_WAVEFORMS,
+  LIFX_EXTENDED_ZONES_PER_MESSAGE,
+  LIFX_MAX_ZONES,
+  normalizeLifxPatch,
+  isLifxPatchConfigured,
+  rgbToHsbk,
+  wizStateToHsbk,
+  buildLifxPacket,
+  encodeSetColor,
+  encodeSetWaveform,
+  encodeSetLightPower,
+  encodeSetExtendedColorZones,
+  parseLifxPacket,
+  parseLifxStatePayload
+};
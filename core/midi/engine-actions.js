@@ -0,0 +1,272 @@
+// [TITLE] Module: core/midi/engine-actions.js
+// [TITLE] Purpose: shared engine action table (MIDI/OSC triggers)
+
+const { normalizeMidiActionAlias } = require("./action-normalizer");
+const {
+  PALETTE_FAMILY_ORDER,
+  PALETTE_FAMILY_ALIASES,
+  PALETTE_PRESETS: SHARED_PALETTE_PRESETS
+} = require("../palette/family-spec");
+const PALETTE_FAMILIES = PALETTE_FAMILY_ORDER;
+const PALETTE_PRESETS = Object.freeze({
+  palette_preset_all_1: SHARED_PALETTE_PRESETS.all_1,
+  palette_preset_all_3: SHARED_PALETTE_PRESETS.all_3,
+  palette_preset_duo_cool: SHARED_PALETTE_PRESETS.duo_cool,
+  palette_preset_duo_warm: SHARED_PALETTE_PRESETS.duo_warm
+});
+const FLOW_INTENSITY_STEP = 0.1;
+const FLOW_INTENSITY_DEFAULT = 1;
+
+function normalizeAction(action) {
+  return normalizeMidiActionAlias(action);
+}
+
+function normalizePaletteFamilies(families) {
+  if (!Array.isArray(families) || !families.length) return [];
+  const normalizedRaw = Array.from(
+    new Set(
+      families
+        .map(item => {
+          const key = String(item || "").trim().toLowerCase();
+          return PALETTE_FAMILY_ALIASES[key] || key;
+        })
+        .filter(item => PALETTE_FAMILIES.includes(item))
+    )
+  );
+  return PALETTE_FAMILIES.filter(family => normalizedRaw.includes(family));
+}
+
+// `options.cues` is the server's cue transport (go/pause/stop), when present.
+function createEngineActionRunner(engine, options = {}) {
+  const cues = options.cues || null;
+
+  function applyAction(action) {
+    const key = normalizeAction(action);
+    if (!key) return false;
+
+    const telemetry = engine?.getTelemetry?.() || {};
+    const currentOverclock = Number(telemetry.overclockLevel || 0);
+    const disableMetaAutoForManual = () => {
+      if (telemetry.metaAutoEnabled) {
+        engine?.setMetaAutoEnabled?.(false);
+      }
+    };
+    const getPaletteConfig = () => {
+      const cfg = engine?.getPaletteConfig?.();
+      return cfg && typeof cfg === "object" ? cfg : null;
+    };
+    const setPaletteConfig = patch => {
+      if (!patch || typeof patch !== "object") return false;
+      const next = engine?.setPaletteConfig?.(patch);
+      return Boolean(next);
+    };
+    const setPaletteFamilies = families => {
+      const normalized = normalizePaletteFamilies(families);
+      if (!normalized.length) return false;
+      return setPaletteConfig({ families: normalized });
+    };
+    const togglePaletteFamily = familyId => {
+      const familyRaw = String(familyId || "").trim().toLowerCase();
+      const family = PALETTE_FAMILY_ALIASES[familyRaw] || familyRaw;
+      if (!PALETTE_FAMILIES.includes(family)) return false;
+      const current = getPaletteConfig();
+      const currentFamilies = Array.isArray(current?.families)
+        ? current.families
+            .map(name => {
+              const key = String(name || "").trim().toLowerCase();
+              return PALETTE_FAMILY_ALIASES[key] || key;
+            })
+            .filter(Boolean)
+        : ["red", "green", "blue"];
+      const next = currentFamilies.includes(family)
+        ? currentFamilies.filter(item => item !== family)
+        : [...currentFamilies, family];
+      const safe = next.length ? next : [family];
+      return setPaletteFamilies(safe);
+    };
+    const setFlowIntensityOffset = delta => {
+      const current = Number(engine?.getFlowIntensity?.());
+      const base = Number.isFinite(current) ? current : FLOW_INTENSITY_DEFAULT;
+      return Boolean(engine?.setFlowIntensity?.(base + Number(delta || 0)));
+    };
+    const setPalettePreset = actionKey => {
+      const preset = PALETTE_PRESETS[actionKey];
+      if (!preset) return false;
+      const patch = {};
+      if (Array.isArray(preset.families)) patch.families = [...preset.families];
+      if (Number.isFinite(Number(preset.colorsPerFamily))) patch.colorsPerFamily = Number(preset.colorsPerFamily);
+      if (preset.familyColorCounts && typeof preset.familyColorCounts === "object") {
+        patch.familyColorCounts = { ...preset.familyColorCounts };
+      }
+      return setPaletteConfig(patch);
+    };
+
+    switch (key) {
+      case "drop":
+        engine?.forceDrop?.();
+        return true;
+
+      case "overclock_toggle":
+        engine?.setOverclock?.(currentOverclock > 0 ? 0 : 2);
+        return true;
+
+      case "overclock_on":
+        engine?.setOverclock?.(2);
+        return true;
+
+      case "overclock_off":
+        engine?.setOverclock?.(0);
+        return true;
+
+      case "overclock_up": {
+        const next = Math.max(0, Math.min(7, currentOverclock + 1));
+        engine?.setOverclock?.(next);
+        return true;
+      }
+
+      case "overclock_down": {
+        const next = Math.max(0, Math.min(7, currentOverclock - 1));
+        engine?.setOverclock?.(next);
+        return true;
+      }
+
+      case "overclock_auto_toggle":
+        engine?.setOverclockAutoEnabled?.(!Boolean(engine?.getOverclockAutoEnabled?.()));
+        return true;
+
+      case "overclock_auto_on":
+        engine?.setOverclockAutoEnabled?.(true);
+        return true;
+
+      case "overclock_auto_off":
+        engine?.setOverclockAutoEnabled?.(false);
+        return true;
+
+      case "behavior_interpret":
+        engine?.setBehavior?.("interpret");
+        return true;
+
+      case "scene_auto":
+        engine?.setScene?.(null);
+        return true;
+
+      case "scene_idle":
+        engine?.setScene?.("idle_soft");
+        return true;
+
+      case "scene_flow":
+        engine?.setScene?.("flow");
+        return true;
+
+      case "scene_pulse":
+        engine?.setScene?.("pulse_drive");
+        return true;
+
+      case "auto_profile_reactive":
+        disableMetaAutoForManual();
+        engine?.setAutoProfile?.("reactive");
+        return true;
+
+      case "auto_profile_balanced":
+        disableMetaAutoForManual();
+        engine?.setAutoProfile?.("balanced");
+        return true;
+
+      case "auto_profile_cinematic":
+        disableMetaAutoForManual();
+        engine?.setAutoProfile?.("cinematic");
+        return true;
+
+      case "audio_reactivity_balanced":
+        disableMetaAutoForManual();
+        engine?.setAudioReactivityPreset?.("balanced");
+        return true;
+
+      case "audio_reactivity_aggressive":
+        disableMetaAutoForManual();
+        engine?.setAudioReactivityPreset?.("aggressive");
+        return true;
+
+      case "audio_reactivity_precision":
+        disableMetaAutoForManual();
+        engine?.setAudioReactivityPreset?.("precision");
+        return true;
+
+      case "meta_auto_toggle":
+        engine?.setMetaAutoEnabled?.(!Boolean(telemetry.metaAutoEnabled));
+        return true;
+
+      case "meta_auto_on":
+        engine?.setMetaAutoEnabled?.(true);
+        return true;
+
+      case "meta_auto_off":
+        engine?.setMetaAutoEnabled?.(false);
+        return true;
+
+      case "flow_intensity_up":
+        return setFlowIntensityOffset(FLOW_INTENSITY_STEP);
+
+      case "flow_intensity_down":
+        return setFlowIntensityOffset(-FLOW_INTENSITY_STEP);
+
+      case "flow_intensity_reset":
+        return Boolean(engine?.setFlowIntensity?.(FLOW_INTENSITY_DEFAULT));
+
+      case "palette_ordered":
+        return setPaletteConfig({ disorder: false });
+
+      case "palette_disorder":
+        return setPaletteConfig({ disorder: true });
+
+      case "palette_colors_1":
+        return setPaletteConfig({ colorsPerFamily: 1 });
+
+      case "palette_colors_3":
+        return setPaletteConfig({ colorsPerFamily: 3 });
+
+      case "palette_colors_5":
+        return setPaletteConfig({ colorsPerFamily: 5 });
+
+      case "palette_colors_8":
+        return setPaletteConfig({ colorsPerFamily: 8 });
+
+      case "palette_colors_12":
+        return setPaletteConfig({ colorsPerFamily: 12 });
+
+      case "palette_family_blue":
+      case "palette_family_purple":
+      case "palette_family_red":
+      case "palette_family_green":
+      case "palette_family_cyan":
+      case "palette_family_yellow":
+        return togglePaletteFamily(key.replace("palette_family_", ""));
+
+      case "palette_preset_all_1":
+      case "palette_preset_all_3":
+      case "palette_preset_duo_cool":
+      case "palette_preset_duo_warm":
+        return setPalettePreset(key);
+
+      case "cue_go":
+        return Boolean(cues?.go?.());
+
+      case "cue_pause":
+        return Boolean(cues?.pause?.());
+
+      case "cue_stop":
+        return Boolean(cues?.stop?.());
+
+      default:
+        return false;
+    }
+  }
+
+  return applyAction;
+}
+
+module.exports = {
+  PALETTE_PRESETS,
+  normalizePaletteFamilies,
+  createEngineActionRunner
+};
@@ -0,0 +1,118 @@
+// [TITLE] Module: core/midi/midi-clock.js
+// [TITLE] Purpose: MIDI clock (0xF8/FA/FB/FC + SPP) tempo and beat-phase tracker
+
+const MIDI_CLOCK_TICK = 0xf8;
+const MIDI_CLOCK_START = 0xfa;
+const MIDI_CLOCK_CONTINUE = 0xfb;
+const MIDI_CLOCK_STOP = 0xfc;
+const MIDI_SONG_POSITION = 0xf2;
+
+const TICKS_PER_BEAT = 24;
+// One song-position unit is a MIDI sixteenth = 6 clock ticks.
+const TICKS_PER_SPP_UNIT = 6;
+const BPM_WINDOW_TICKS = TICKS_PER_BEAT;
+// A gap longer than this between ticks means the clock paused (~10 BPM).
+const TICK_GAP_RESET_MS = 250;
+
+function createMidiClockTracker(options = {}) {
+  const now = typeof options.now === "function" ? options.now : Date.now;
+
+  let running = false;
+  let nextTick = 0;
+  let currentTick = -1;
+  let tickIntervals = [];
+  let lastTickAt = 0;
+  let bpm = 0;
+  let ticks = 0;
+
+  function estimateBpm() {
+    if (tickIntervals.length < TICKS_PER_BEAT / 2) return 0;
+    const sum = tickIntervals.reduce((acc, value) => acc + value, 0);
+    const avg = sum / tickIntervals.length;
+    if (!(avg > 0)) return 0;
+    return Math.round((60000 / (avg * TICKS_PER_BEAT)) * 10) / 10;
+  }
+
+  function onTick(at) {
+    ticks += 1;
+    if (lastTickAt > 0) {
+      const interval = at - lastTickAt;
+      if (interval > TICK_GAP_RESET_MS) {
+        tickIntervals = [];
+      } else if (interval > 0) {
+        tickIntervals.push(interval);
+        if (tickIntervals.length > BPM_WINDOW_TICKS) tickIntervals.shift();
+      }
+    }
+    lastTickAt = at;
+    bpm = estimateBpm() || bpm;
+    if (running) {
+      currentTick = nextTick;
+      nextTick += 1;
+    }
+  }
+
+  function getSnapshot() {
+    const position = Math.max(0, currentTick);
+    return {
+      running,
+      bpm,
+      ticks,
+      beatIndex: Math.floor(position / TICKS_PER_BEAT),
+      beatPhase: (position % TICKS_PER_BEAT) / TICKS_PER_BEAT,
+      lastTickAt
+    };
+  }
+
+  return {
+    // Returns the snapshot for realtime clock/SPP payloads, null for anything else.
+    handle(payload) {
+      if (!Array.isArray(payload) || !payload.length) return null;
+      const status = Number(payload[0]);
+      const at = now();
+      switch (status) {
+        case MIDI_CLOCK_TICK:
+          onTick(at);
+          break;
+        case MIDI_CLOCK_START:
+          running = true;
+          nextTick = 0;
+          currentTick = -1;
+          break;
+        case MIDI_CLOCK_CONTINUE:
+          running = true;
+          break;
+        case MIDI_CLOCK_STOP:
+          running = false;
+          break;
+        case MIDI_SONG_POSITION: {
+          if (payload.length < 3) return null;
+          const spp = ((Number(payload[2]) & 0x7f) << 7) | (Number(payload[1]) & 0x7f);
+          nextTick = spp * TICKS_PER_SPP_UNIT;
+          currentTick = nextTick - 1;
+          break;
+        }
+        default:
+          return null;
+      }
+      return getSnapshot();
+    },
+
+    getSnapshot,
+
+    reset() {
+      running = false;
+      nextTick = 0;
+      currentTick = -1;
+      tickIntervals = [];
+      lastTickAt = 0;
+      bpm = 0;
+      ticks = 0;
+    }
+  };
+}
+
+module.exports = {
+  TICKS_PER_BEAT,
+  createMidiClockTracker
+};
@@ -0,0 +1,209 @@
+// [TITLE] Module: core/midi/midi-feedback.js
+// [TITLE] Purpose: controller LED feedback (bound action state + beat blink) over MIDI out
+
+const FEEDBACK_TICK_MS = 50;
+const MIDI_STATUS_BY_TYPE = Object.freeze({
+  note: 0x90,
+  cc: 0xb0
+});
+const SCENE_LOCK_BY_ACTION = Object.freeze({
+  scene_auto: null,
+  scene_idle: "idle_soft",
+  scene_flow: "flow",
+  scene_pulse: "pulse_drive"
+});
+
+// true/false for actions that map to on/off engine state, null for one-shot
+// actions (drop, nudges, presets) whose pads are left dark.
+function resolveActionState(action, state = {}) {
+  const overclockLevel = Number(state.overclockLevel || 0);
+  const families = Array.isArray(state.paletteFamilies) ? state.paletteFamilies : [];
+
+  switch (action) {
+    case "overclock_toggle":
+    case "overclock_on":
+      return overclockLevel > 0;
+    case "overclock_off":
+      return overclockLevel <= 0;
+    case "overclock_auto_toggle":
+    case "overclock_auto_on":
+      return Boolean(state.overclockAutoEnabled);
+    case "overclock_auto_off":
+      return !state.overclockAutoEnabled;
+    case "meta_auto_toggle":
+    case "meta_auto_on":
+      return Boolean(state.metaAutoEnabled);
+    case "meta_auto_off":
+      return !state.metaAutoEnabled;
+    case "palette_ordered":
+      return !state.paletteDisorder;
+    case "palette_disorder":
+      return Boolean(state.paletteDisorder);
+    default:
+      break;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(SCENE_LOCK_BY_ACTION, action)) {
+    return (state.sceneLock || null) === SCENE_LOCK_BY_ACTION[action];
+  }
+  if (action.startsWith("palette_family_")) {
+    return families.includes(action.slice("palette_family_".length));
+  }
+  if (action.startsWith("palette_colors_")) {
+    return Number(state.colorsPerFamily) === Number(action.slice("palette_colors_".length));
+  }
+  return null;
+}
+
+function targetKey(target) {
+  return `${target.type}:${target.channel}:${target.number}`;
+}
+
+function encodeFeedbackMessage(target, value) {
+  const status = MIDI_STATUS_BY_TYPE[target.type];
+  if (!status) return null;
+  return [status | (target.channel & 0x0f), target.number & 0x7f, value & 0x7f];
+}
+
+function resolveFeedbackTargets(config = {}) {
+  const output = config.output && typeof config.output === "object" ? config.output : {};
+  const bindings = config.bindings && typeof config.bindings === "object" ? config.bindings : {};
+  const overrides = output.feedback && typeof output.feedback === "object" ? output.feedback : {};
+  const onValue = Number.isInteger(output.onValue) ? output.onValue : 127;
+  const offValue = Number.isInteger(output.offValue) ? output.offValue : 0;
+  const targets = [];
+
+  for (const action of new Set([...Object.keys(bindings), ...Object.keys(overrides)])) {
+    const source = overrides[action] || bindings[action];
+    if (!source || !MIDI_STATUS_BY_TYPE[source.type]) continue;
+    targets.push({
+      action,
+      type: source.type,
+      number: Number(source.number),
+      channel: Number.isInteger(source.channel) ? source.channel : 0,
+      onValue: Number.isInteger(source.onValue) ? source.onValue : onValue,
+      offValue: Number.isInteger(source.offValue) ? source.offValue : offValue
+    });
+  }
+  return targets;
+}
+
+function createMidiFeedback(options = {}) {
+  const getConfig = typeof options.getConfig === "function" ? options.getConfig : () => ({});
+  const getState = typeof options.getState === "function" ? options.getState : () => ({});
+  const send = typeof options.send === "function" ? options.send : () => {};
+  const now = typeof options.now === "function" ? options.now : Date.now;
+
+  const sentValues = new Map();
+  const stats = {
+    messages: 0,
+    sendErrors: 0,
+    lastError: "",
+    beats: 0
+  };
+  let beatOnUntil = 0;
+  let beatLit = false;
+  let timer = null;
+
+  function sendValue(target, value, force = false) {
+    const key = targetKey(target);
+    if (!force && sentValues.get(key)?.value === value) return false;
+    const message = encodeFeedbackMessage(target, value);
+    if (!message) return false;
+    try {
+      send(message);
+      sentValues.set(key, { target, value });
+      stats.messages += 1;
+      return true;
+    } catch (err) {
+      stats.sendErrors += 1;
+      stats.lastError = err?.message || String(err);
+      return false;
+    }
+  }
+
+  function getBeatTarget(config) {
+    const beat = config.output?.beat;
+    if (!beat || !MIDI_STATUS_BY_TYPE[beat.type]) return null;
+    return {
+      type: beat.type,
+      number: Number(beat.number),
+      channel: Number.isInteger(beat.channel) ? beat.channel : 0,
+      onValue: Number.isInteger(beat.onValue) ? beat.onValue : 127,
+      offValue: Number.isInteger(beat.offValue) ? beat.offValue : 0,
+      holdMs: Number(beat.holdMs) || 100
+    };
+  }
+
+  function refresh() {
+    const config = getConfig() || {};
+    const state = getState() || {};
+    const beatTarget = getBeatTarget(config);
+    const beatKey = beatTarget ? targetKey(beatTarget) : "";
+    for (const target of resolveFeedbackTargets(config)) {
+      // The beat pad owns its LED; skip an action bound to the same pad.
+      if (targetKey(target) === beatKey) continue;
+      const active = resolveActionState(target.action, state);
+      if (active === null) continue;
+      sendValue(target, active ? target.onValue : target.offValue);
+    }
+    if (beatTarget && beatLit && now() >= beatOnUntil) {
+      beatLit = false;
+      sendValue(beatTarget, beatTarget.offValue, true);
+    }
+  }
+
+  function pulse(event = {}) {
+    if (!event.beat) return false;
+    const beatTarget = getBeatTarget(getConfig() || {});
+    if (!beatTarget) return false;
+    stats.beats += 1;
+    beatOnUntil = now() + beatTarget.holdMs;
+    beatLit = true;
+    return sendValue(beatTarget, beatTarget.onValue, true);
+  }
+
+  // Turns every LED we lit off again, e.g. before the port closes. Works
+  // from what was sent so pads dropped from the config go dark too.
+  function blackout() {
+    for (const { target, value } of [...sentValues.values()]) {
+      if (value !== target.offValue) sendValue(target, target.offValue, true);
+    }
+    beatLit = false;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      sentValues.clear();
+      refresh();
+      timer = setInterval(refresh, FEEDBACK_TICK_MS);
+      timer.unref?.();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      blackout();
+      sentValues.clear();
+    },
+
+    refresh,
+    pulse,
+
+    getStatus() {
+      return {
+        running: Boolean(timer),
+        targets: resolveFeedbackTargets(getConfig() || {}).length,
+        ...stats
+      };
+    }
+  };
+}
+
+module.exports = {
+  FEEDBACK_TICK_MS,
+  resolveActionState,
+  resolveFeedbackTargets,
+  createMidiFeedback
+};
@@ -49,7 +49,10 @@ const ACTIONS = Object.freeze([
   "palette_preset_all_1",
   "palette_preset_all_3",
   "palette_preset_duo_cool",
-  "palette_preset_duo_warm"
+  "palette_preset_duo_warm",
+  "cue_go",
+  "cue_pause",
+  "cue_stop"
 ]);
 const ACTION_SET = new Set(ACTIONS);
 const TYPE_SET = new Set(["note", "cc"]);
@@ -65,7 +68,17 @@ const DEFAULT_CONFIG = Object.freeze({
   deviceIndex: null,
   deviceMatch: "",
   velocityThreshold: 1,
-  bindings: DEFAULT_BINDINGS
+  clockSync: true,
+  bindings: DEFAULT_BINDINGS,
+  output: Object.freeze({
+    enabled: false,
+    deviceIndex: null,
+    deviceMatch: "",
+    onValue: 127,
+    offValue: 0,
+    feedback: Object.freeze({}),
+    beat: null
+  })
 });
 
 let learnState = {
@@ -125,6 +138,51 @@ function normalizeBinding(binding, fallback = null) {
   };
 }
 
+// LED target on the output port. Channel defaults to 0 because an output
+// message needs a concrete channel; on/off values fall back to output-wide ones.
+function normalizeOutputTarget(target, extra = {}) {
+  if (!target || typeof target !== "object") return null;
+  const type = normalizeType(target.type, "");
+  const number = toInt(target.number, 0, 127, null);
+  if (!type || number === null) return null;
+  const normalized = {
+    type,
+    number,
+    channel: toInt(target.channel, 0, 15, 0)
+  };
+  if (target.onValue !== undefined && target.onValue !== null) {
+    normalized.onValue = toInt(target.onValue, 0, 127, 127);
+  }
+  if (target.offValue !== undefined && target.offValue !== null) {
+    normalized.offValue = toInt(target.offValue, 0, 127, 0);
+  }
+  if (extra.holdMs) {
+    normalized.holdMs = toInt(target.holdMs, 20, 1000, extra.holdMs);
+  }
+  return normalized;
+}
+
+function normalizeOutputConfig(rawOutput) {
+  const raw = rawOutput && typeof rawOutput === "object" ? rawOutput : {};
+  const base = DEFAULT_CONFIG.output;
+  const output = {
+    enabled: raw.enabled === true,
+    deviceIndex: normalizeDeviceIndex(raw.deviceIndex),
+    deviceMatch: String(raw.deviceMatch || "").trim(),
+    onValue: toInt(raw.onValue, 0, 127, base.onValue),
+    offValue: toInt(raw.offValue, 0, 127, base.offValue),
+    feedback: {},
+    beat: normalizeOutputTarget(raw.beat, { holdMs: 100 })
+  };
+  const rawFeedback = raw.feedback && typeof raw.feedback === "object" ? raw.feedback : {};
+  for (const [action, value] of Object.entries(rawFeedback)) {
+    const key = normalizeAction(action);
+    const target = key ? normalizeOutputTarget(value) : null;
+    if (target) output.feedback[key] = target;
+  }
+  return output;
+}
+
 function normalizeDeviceIndex(value) {
   if (value === null || value === undefined || value === "") return null;
   const parsed = Number(value);
@@ -142,7 +200,9 @@ function normalizeConfig(rawConfig) {
     deviceIndex: normalizeDeviceIndex(raw.deviceIndex),
     deviceMatch: String(raw.deviceMatch || "").trim(),
     velocityThreshold: toInt(raw.velocityThreshold, 0, 127, base.velocityThreshold),
-    bindings: {}
+    clockSync: raw.clockSync === undefined ? base.clockSync : Boolean(raw.clockSync),
+    bindings: {},
+    output: normalizeOutputConfig(raw.output)
   };
 
   const defaultBindings = safeClone(DEFAULT_BINDINGS);
@@ -199,10 +259,14 @@ module.exports = {
   },
 
   patchConfig(patch = {}) {
+    const next = patch && typeof patch === "object" ? patch : {};
     const candidate = {
       ...config,
-      ...(patch && typeof patch === "object" ? patch : {})
+      ...next
     };
+    if (next.output && typeof next.output === "object") {
+      candidate.output = { ...(config.output || {}), ...next.output };
+    }
     config = normalizeConfig(candidate);
     saveConfig();
     return safeClone(config);
@@ -11,20 +11,9 @@ try {
 
 const midiLearn = require("./midi-learn");
 const { normalizeMidiActionAlias } = require("./action-normalizer");
-const {
-  PALETTE_FAMILY_ORDER,
-  PALETTE_FAMILY_ALIASES,
-  PALETTE_PRESETS: SHARED_PALETTE_PRESETS
-} = require("../palette/family-spec");
-const PALETTE_FAMILIES = PALETTE_FAMILY_ORDER;
-const PALETTE_PRESETS = Object.freeze({
-  palette_preset_all_1: SHARED_PALETTE_PRESETS.all_1,
-  palette_preset_all_3: SHARED_PALETTE_PRESETS.all_3,
-  palette_preset_duo_cool: SHARED_PALETTE_PRESETS.duo_cool,
-  palette_preset_duo_warm: SHARED_PALETTE_PRESETS.duo_warm
-});
-const FLOW_INTENSITY_STEP = 0.1;
-const FLOW_INTENSITY_DEFAULT = 1;
+const { createEngineActionRunner } = require("./engine-actions");
+const { createMidiClockTracker } = require("./midi-clock");
+const { createMidiFeedback } = require("./midi-feedback");
 const MIDI_CC_REPEAT_MIN_MS = 90;
 const MIDI_COMMAND_TYPE_MAP = Object.freeze({
   0xb0: "cc",
@@ -70,7 +59,7 @@ function parseMidiMessage(payload) {
   };
 }
 
-module.exports = function createMidiManager(engine) {
+module.exports = function createMidiManager(engine, options = {}) {
   const moduleAvailable = Boolean(midi);
   const moduleError = moduleAvailable ? "" : (midiLoadError?.message || String(midiLoadError || "module unavailable"));
 
@@ -84,20 +73,49 @@ module.exports = function createMidiManager(engine) {
     lastMessage: null,
     lastAction: "",
     lastActionAt: "",
-    reason: moduleAvailable ? "" : moduleError
+    reason: moduleAvailable ? "" : moduleError,
+    output: {
+      connected: false,
+      portIndex: null,
+      portName: "",
+      ports: [],
+      reason: "output disabled in config"
+    }
   };
 
+  const applyAction = createEngineActionRunner(engine, { cues: options.cues });
+  const clock = createMidiClockTracker();
   let disposed = false;
   let input = null;
+  let output = null;
   let onMessageHandler = null;
   const triggerStateByBinding = new Map();
+  const feedback = createMidiFeedback({
+    getConfig: () => midiLearn.getConfig(),
+    getState: readFeedbackState,
+    send: message => output?.sendMessage(message)
+  });
+
+  function readFeedbackState() {
+    const telemetry = engine?.getTelemetry?.() || {};
+    const palette = engine?.getPaletteConfig?.() || {};
+    return {
+      overclockLevel: telemetry.overclockLevel,
+      overclockAutoEnabled: Boolean(engine?.getOverclockAutoEnabled?.()),
+      metaAutoEnabled: Boolean(telemetry.metaAutoEnabled),
+      sceneLock: engine?.getSceneLock?.() ?? null,
+      paletteFamilies: palette.families,
+      paletteDisorder: Boolean(palette.disorder),
+      colorsPerFamily: palette.colorsPerFamily
+    };
+  }
 
-  function listPorts() {
+  function listPorts(direction = "input") {
     if (!moduleAvailable) return [];
 
     let probe = null;
     try {
-      probe = new midi.Input();
+      probe = direction === "output" ? new midi.Output() : new midi.Input();
       const count = Number(probe.getPortCount() || 0);
       const out = [];
       for (let i = 0; i < count; i += 1) {
@@ -127,7 +145,68 @@ module.exports = function createMidiManager(engine) {
     state.lastActionAt = new Date().toISOString();
   }
 
+  function closeOutput() {
+    feedback.stop();
+    try {
+      output?.closePort?.();
+    } catch {}
+    output = null;
+    state.output.connected = false;
+    state.output.portIndex = null;
+    state.output.portName = "";
+  }
+
+  // No fallback to the first port: LED feedback sent to the wrong device
+  // shows up as stray notes, so output needs a name match or explicit index.
+  function resolveOutputPortIndex(ports, outputConfig) {
+    const matchName = String(outputConfig?.deviceMatch || state.activePortName || "").trim().toLowerCase();
+    if (matchName) {
+      const match = ports.find(port => String(port.name || "").toLowerCase().includes(matchName));
+      if (match) return match.index;
+    }
+    const preferredIndex = Number(outputConfig?.deviceIndex);
+    if (Number.isInteger(preferredIndex) && preferredIndex >= 0) {
+      const exact = ports.find(port => Number(port.index) === preferredIndex);
+      if (exact) return exact.index;
+    }
+    return null;
+  }
+
+  function connectOutput(config) {
+    closeOutput();
+    const outputConfig = config?.output || {};
+    if (!outputConfig.enabled) {
+      state.output.ports = [];
+      state.output.reason = "output disabled in config";
+      return false;
+    }
+
+    state.output.ports = listPorts("output");
+    const selectedIndex = resolveOutputPortIndex(state.output.ports, outputConfig);
+    if (!Number.isInteger(selectedIndex)) {
+      state.output.reason = "no matching midi output port";
+      return false;
+    }
+
+    try {
+      output = new midi.Output();
+      output.openPort(selectedIndex);
+      state.output.connected = true;
+      state.output.portIndex = selectedIndex;
+      state.output.portName = state.output.ports.find(p => p.index === selectedIndex)?.name || "";
+      state.output.reason = "sending feedback";
+      feedback.start();
+      console.log("[MIDI] feedback output on:", state.output.portName || `port ${selectedIndex}`);
+      return true;
+    } catch (err) {
+      state.output.reason = `failed to open midi output: ${err?.message || err}`;
+      closeOutput();
+      return false;
+    }
+  }
+
   function clearConnection() {
+    closeOutput();
     if (input && onMessageHandler) {
       try {
         input.removeListener("message", onMessageHandler);
@@ -146,6 +225,8 @@ module.exports = function createMidiManager(engine) {
     state.activePortIndex = null;
     state.activePortName = "";
     triggerStateByBinding.clear();
+    clock.reset();
+    engine?.clearExternalTempo?.("midi_clock");
   }
 
   function resolvePortIndex(ports, config) {
@@ -164,230 +245,6 @@ module.exports = function createMidiManager(engine) {
     return ports.length ? ports[0].index : null;
   }
 
-  function applyAction(action, message = null) {
-    const key = normalizeAction(action);
-    if (!key) return false;
-
-    const telemetry = engine?.getTelemetry?.() || {};
-    const currentOverclock = Number(telemetry.overclockLevel || 0);
-    const disableMetaAutoForManual = () => {
-      if (telemetry.metaAutoEnabled) {
-        engine?.setMetaAutoEnabled?.(false);
-      }
-    };
-    const getPaletteConfig = () => {
-      const cfg = engine?.getPaletteConfig?.();
-      return cfg && typeof cfg === "object" ? cfg : null;
-    };
-    const setPaletteConfig = patch => {
-      if (!patch || typeof patch !== "object") return false;
-      const next = engine?.setPaletteConfig?.(patch);
-      return Boolean(next);
-    };
-    const setPaletteFamilies = families => {
-      if (!Array.isArray(families) || !families.length) return false;
-      const normalizedRaw = Array.from(
-        new Set(
-          families
-            .map(item => {
-              const key = String(item || "").trim().toLowerCase();
-              return PALETTE_FAMILY_ALIASES[key] || key;
-            })
-            .filter(item => PALETTE_FAMILIES.includes(item))
-        )
-      );
-      const normalized = PALETTE_FAMILIES.filter(family => normalizedRaw.includes(family));
-      if (!normalized.length) return false;
-      return setPaletteConfig({ families: normalized });
-    };
-    const togglePaletteFamily = familyId => {
-      const familyRaw = String(familyId || "").trim().toLowerCase();
-      const family = PALETTE_FAMILY_ALIASES[familyRaw] || familyRaw;
-      if (!PALETTE_FAMILIES.includes(family)) return false;
-      const current = getPaletteConfig();
-      const currentFamilies = Array.isArray(current?.families)
-        ? current.families
-            .map(name => {
-              const key = String(name || "").trim().toLowerCase();
-              return PALETTE_FAMILY_ALIASES[key] || key;
-            })
-            .filter(Boolean)
-        : ["red", "green", "blue"];
-      const next = currentFamilies.includes(family)
-        ? currentFamilies.filter(item => item !== family)
-        : [...currentFamilies, family];
-      const safe = next.length ? next : [family];
-      return setPaletteFamilies(safe);
-    };
-    const setFlowIntensityOffset = delta => {
-      const current = Number(engine?.getFlowIntensity?.());
-      const base = Number.isFinite(current) ? current : FLOW_INTENSITY_DEFAULT;
-      return Boolean(engine?.setFlowIntensity?.(base + Number(delta || 0)));
-    };
-    const setPalettePreset = actionKey => {
-      const preset = PALETTE_PRESETS[actionKey];
-      if (!preset) return false;
-      const patch = {};
-      if (Array.isArray(preset.families)) patch.families = [...preset.families];
-      if (Number.isFinite(Number(preset.colorsPerFamily))) patch.colorsPerFamily = Number(preset.colorsPerFamily);
-      if (preset.familyColorCounts && typeof preset.familyColorCounts === "object") {
-        patch.familyColorCounts = { ...preset.familyColorCounts };
-      }
-      return setPaletteConfig(patch);
-    };
-
-    switch (key) {
-      case "drop":
-        engine?.forceDrop?.();
-        return true;
-
-      case "overclock_toggle":
-        engine?.setOverclock?.(currentOverclock > 0 ? 0 : 2);
-        return true;
-
-      case "overclock_on":
-        engine?.setOverclock?.(2);
-        return true;
-
-      case "overclock_off":
-        engine?.setOverclock?.(0);
-        return true;
-
-      case "overclock_up": {
-        const next = Math.max(0, Math.min(7, currentOverclock + 1));
-        engine?.setOverclock?.(next);
-        return true;
-      }
-
-      case "overclock_down": {
-        const next = Math.max(0, Math.min(7, currentOverclock - 1));
-        engine?.setOverclock?.(next);
-        return true;
-      }
-
-      case "overclock_auto_toggle":
-        engine?.setOverclockAutoEnabled?.(!Boolean(engine?.getOverclockAutoEnabled?.()));
-        return true;
-
-      case "overclock_auto_on":
-        engine?.setOverclockAutoEnabled?.(true);
-        return true;
-
-      case "overclock_auto_off":
-        engine?.setOverclockAutoEnabled?.(false);
-        return true;
-
-      case "behavior_interpret":
-        engine?.setBehavior?.("interpret");
-        return true;
-
-      case "scene_auto":
-        engine?.setScene?.(null);
-        return true;
-
-      case "scene_idle":
-        engine?.setScene?.("idle_soft");
-        return true;
-
-      case "scene_flow":
-        engine?.setScene?.("flow");
-        return true;
-
-      case "scene_pulse":
-        engine?.setScene?.("pulse_drive");
-        return true;
-
-      case "auto_profile_reactive":
-        disableMetaAutoForManual();
-        engine?.setAutoProfile?.("reactive");
-        return true;
-
-      case "auto_profile_balanced":
-        disableMetaAutoForManual();
-        engine?.setAutoProfile?.("balanced");
-        return true;
-
-      case "auto_profile_cinematic":
-        disableMetaAutoForManual();
-        engine?.setAutoProfile?.("cinematic");
-        return true;
-
-      case "audio_reactivity_balanced":
-        disableMetaAutoForManual();
-        engine?.setAudioReactivityPreset?.("balanced");
-        return true;
-
-      case "audio_reactivity_aggressive":
-        disableMetaAutoForManual();
-        engine?.setAudioReactivityPreset?.("aggressive");
-        return true;
-
-      case "audio_reactivity_precision":
-        disableMetaAutoForManual();
-        engine?.setAudioReactivityPreset?.("precision");
-        return true;
-
-      case "meta_auto_toggle":
-        engine?.setMetaAutoEnabled?.(!Boolean(telemetry.metaAutoEnabled));
-        return true;
-
-      case "meta_auto_on":
-        engine?.setMetaAutoEnabled?.(true);
-        return true;
-
-      case "meta_auto_off":
-        engine?.setMetaAutoEnabled?.(false);
-        return true;
-
-      case "flow_intensity_up":
-        return setFlowIntensityOffset(FLOW_INTENSITY_STEP);
-
-      case "flow_intensity_down":
-        return setFlowIntensityOffset(-FLOW_INTENSITY_STEP);
-
-      case "flow_intensity_reset":
-        return Boolean(engine?.setFlowIntensity?.(FLOW_INTENSITY_DEFAULT));
-
-      case "palette_ordered":
-        return setPaletteConfig({ disorder: false });
-
-      case "palette_disorder":
-        return setPaletteConfig({ disorder: true });
-
-      case "palette_colors_1":
-        return setPaletteConfig({ colorsPerFamily: 1 });
-
-      case "palette_colors_3":
-        return setPaletteConfig({ colorsPerFamily: 3 });
-
-      case "palette_colors_5":
-        return setPaletteConfig({ colorsPerFamily: 5 });
-
-      case "palette_colors_8":
-        return setPaletteConfig({ colorsPerFamily: 8 });
-
-      case "palette_colors_12":
-        return setPaletteConfig({ colorsPerFamily: 12 });
-
-      case "palette_family_blue":
-      case "palette_family_purple":
-      case "palette_family_red":
-      case "palette_family_green":
-      case "palette_family_cyan":
-      case "palette_family_yellow":
-        return togglePaletteFamily(key.replace("palette_family_", ""));
-
-      case "palette_preset_all_1":
-      case "palette_preset_all_3":
-      case "palette_preset_duo_cool":
-      case "palette_preset_duo_warm":
-        return setPalettePreset(key);
-
-      default:
-        return false;
-    }
-  }
-
   function bindingMatchesMessage(binding, message) {
     if (!binding || typeof binding !== "object") return false;
 
@@ -416,7 +273,26 @@ module.exports = function createMidiManager(engine) {
     return Number(message.value) >= minValue;
   }
 
+  // Clock ticks arrive 24x per beat; they only feed the tempo lock and never
+  // reach learn/bindings or lastMessage.
+  function handleClockMessage(payload) {
+    const snapshot = clock.handle(payload);
+    if (!snapshot) return false;
+    if (midiLearn.getConfig()?.clockSync === false) return true;
+    if (snapshot.bpm > 0) {
+      engine?.setExternalTempo?.({
+        source: "midi_clock",
+        bpm: snapshot.bpm,
+        running: snapshot.running,
+        beatIndex: snapshot.beatIndex,
+        beatPhase: snapshot.beatPhase
+      });
+    }
+    return true;
+  }
+
   function onMessage(_deltaTime, payload) {
+    if (handleClockMessage(payload)) return;
     const parsed = parseMidiMessage(payload);
     if (!parsed) return;
 
@@ -478,7 +354,7 @@ module.exports = function createMidiManager(engine) {
         triggerStateByBinding.set(bindingKey, prev);
       }
 
-      const ok = applyAction(actionKey, parsed);
+      const ok = applyAction(actionKey);
       if (ok) {
         setLastAction(`MIDI ${actionLabel(actionKey)}`);
       }
@@ -526,6 +402,7 @@ module.exports = function createMidiManager(engine) {
       state.activePortName = safePortName(input, selectedIndex) || (state.ports.find(p => p.index === selectedIndex)?.name || "");
       state.reason = "listening";
       console.log("[MIDI] listening on:", state.activePortName || `port ${selectedIndex}`);
+      connectOutput(config);
       return true;
     } catch (err) {
       state.reason = `failed to open midi port: ${err?.message || err}`;
@@ -549,6 +426,11 @@ module.exports = function createMidiManager(engine) {
       actions: midiLearn.getActions(),
       learn: midiLearn.getLearnState(),
       lastMessage: state.lastMessage,
+      clock: clock.getSnapshot(),
+      output: {
+        ...state.output,
+        ...feedback.getStatus()
+      },
       lastAction: state.lastAction,
       lastActionAt: state.lastActionAt,
       reason: state.reason
@@ -607,6 +489,12 @@ module.exports = function createMidiManager(engine) {
       return getStatus();
     },
 
+    // Engine beat/drop ticks; drives the beat-synced feedback pad.
+    handlePulse(pulse = {}) {
+      if (!output) return false;
+      return feedback.pulse(pulse);
+    },
+
     triggerAction(action) {
       const ok = applyAction(action);
       if (ok) {
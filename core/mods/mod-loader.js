@@ -5,10 +5,12 @@ const fs = require("fs");
 const path = require("path");
 const { parseBooleanLoose } = require("../utils/booleans");
 
+const DEFAULT_TRANSFORM_BUDGET_MS = 4;
 const DEFAULT_CONFIG = {
   enabled: [],
   order: [],
-  disabled: []
+  disabled: [],
+  transformBudgetMs: DEFAULT_TRANSFORM_BUDGET_MS
 };
 
 const SUPPORTED_HOOKS = new Set([
@@ -17,7 +19,11 @@ const SUPPORTED_HOOKS = new Set([
   "onRaveStart",
   "onRaveStop",
   "onIntent",
+  "transformIntent",
   "onTelemetry",
+  "onBar",
+  "onPhrase",
+  "onOwnership",
   "onShutdown",
   "onUnload",
   "onHttp"
@@ -37,6 +43,14 @@ const DEFAULT_MOD_DEBUG_PAYLOAD_CHARS = 2400;
 const DEFAULT_MOD_DEBUG_MAX_DEPTH = 5;
 const DEFAULT_MOD_TELEMETRY_DEBUG_SAMPLE_MS = 4000;
 const DEFAULT_MOD_TELEMETRY_NO_HANDLER_DEBUG_MS = 0;
+const DEFAULT_MOD_TRANSFORM_DEBUG_SAMPLE_MS = 1000;
+// transformIntent runs inline on the engine tick: hooks are sync only, and a
+// mod that blows its budget this many calls in a row is skipped until reload.
+const TRANSFORM_OVERRUN_SUSPEND_COUNT = 3;
+const TRANSFORM_MAX_OUTPUT_INTENTS = 8;
+const TRANSFORM_DIFF_MAX_CHANGES = 24;
+// Hooks that are not invokable through invokeHook()/POST /mods/hooks/:hook.
+const DIRECT_ONLY_HOOKS = new Set(["onHttp", "transformIntent"]);
 const DEBUG_REDACT_KEY_RE = /(secret|token|password|passwd|clientkey|api[_-]?key|authorization|cookie|session|bearer)/i;
 const FIXTURE_MODE_FILTERS = {
   engine: fixture => fixture.engineEnabled === true,
@@ -45,7 +59,10 @@ const FIXTURE_MODE_FILTERS = {
 };
 const FIXTURE_CONFIGURED_BY_BRAND = {
   hue: fixture => Boolean(fixture.bridgeIp) && Boolean(fixture.username) && Number(fixture.lightId) > 0,
-  wiz: fixture => Boolean(fixture.ip)
+  wiz: fixture => Boolean(fixture.ip),
+  dmx: fixture => !fixture.dmxError && (Boolean(fixture.host) || fixture.protocol === "sacn"),
+  wled: fixture => !fixture.wledError && Boolean(fixture.host),
+  lifx: fixture => !fixture.lifxError && Boolean(fixture.ip)
 };
 const DEBUG_EXPLANATION_FACTORIES = {
   "mods.hook.call": ({ hook, modId }) =>
@@ -70,7 +87,15 @@ const DEBUG_EXPLANATION_FACTORIES = {
   "mods.config.invalid": () => "mods.config.json could not be parsed and defaults were applied.",
   "mods.http.call": () => "Forwarding incoming mod HTTP request to target mod onHttp handler.",
   "mods.http.ok": () => "Mod HTTP handler returned a valid response.",
-  "mods.http.error": () => "Mod HTTP handler threw an exception while processing request."
+  "mods.http.error": () => "Mod HTTP handler threw an exception while processing request.",
+  "mods.transform.diff": ({ modId }) =>
+    `Mod${modId ? ` '${modId}'` : ""} changed an intent in transformIntent.`,
+  "mods.transform.error": ({ modId }) =>
+    `transformIntent${modId ? ` on mod '${modId}'` : ""} failed; the intent passed through unchanged.`,
+  "mods.transform.over_budget": ({ modId }) =>
+    `transformIntent${modId ? ` on mod '${modId}'` : ""} exceeded its time budget; its result was discarded.`,
+  "mods.transform.suspended": ({ modId }) =>
+    `transformIntent${modId ? ` on mod '${modId}'` : ""} kept exceeding its budget and is skipped until reload.`
 };
 const DEBUG_SECTION_PREFIX_RULES = [
   { prefix: "mods.config.", title: "CONFIG" },
@@ -78,6 +103,7 @@ const DEBUG_SECTION_PREFIX_RULES = [
   { prefixes: ["mods.instantiate.", "mods.load.", "mods.teardown."], title: "LIFECYCLE" },
   { prefix: "mods.hook.", title: "HOOKS" },
   { prefix: "mods.http.", title: "HTTP" },
+  { prefix: "mods.transform.", title: "TRANSFORM" },
   { prefix: "debug.", title: "DEBUG" },
   { prefix: "mod.user.", title: "MOD USER" }
 ];
@@ -171,10 +197,54 @@ function normalizeConfig(raw = {}) {
   return {
     enabled: normalizeStringArray(raw.enabled),
     order: normalizeStringArray(raw.order),
-    disabled: normalizeStringArray(raw.disabled)
+    disabled: normalizeStringArray(raw.disabled),
+    transformBudgetMs: parseIntRange(raw.transformBudgetMs, 1, 50, DEFAULT_TRANSFORM_BUDGET_MS)
   };
 }
 
+// Leaf-level before/after list for transformIntent debug events.
+function diffIntentValues(before, after, pathPrefix = "", out = []) {
+  if (out.length >= TRANSFORM_DIFF_MAX_CHANGES) return out;
+  const isPlainObject = value => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      diffIntentValues(before[key], after[key], pathPrefix ? `${pathPrefix}.${key}` : key, out);
+    }
+    return out;
+  }
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    out.push({ path: pathPrefix || "(intent)", before, after });
+  }
+  return out;
+}
+
+function isIntentObject(value) {
+  return Boolean(value) &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    typeof value.type === "string" &&
+    value.type.trim().length > 0;
+}
+
+// undefined keeps the (possibly mutated) input, null/false drops it, an
+// object replaces it and an array splits it. Anything else is invalid.
+function normalizeTransformOutput(output, input) {
+  if (output === undefined) return { ok: true, intents: [input], kind: "keep" };
+  if (output === null || output === false) return { ok: true, intents: [], kind: "drop" };
+  if (Array.isArray(output)) {
+    if (!output.length) return { ok: true, intents: [], kind: "drop" };
+    if (output.length > TRANSFORM_MAX_OUTPUT_INTENTS || !output.every(isIntentObject)) {
+      return { ok: false, error: `split must return 1-${TRANSFORM_MAX_OUTPUT_INTENTS} intent objects with a type` };
+    }
+    return { ok: true, intents: output, kind: "split" };
+  }
+  if (isIntentObject(output)) {
+    return { ok: true, intents: [output], kind: output === input ? "keep" : "replace" };
+  }
+  return { ok: false, error: "transformIntent must return undefined, null, an intent or an array of intents" };
+}
+
 function asErrorMessage(err) {
   if (!err) return "unknown error";
   if (err instanceof Error) return err.message || String(err);
@@ -609,6 +679,12 @@ module.exports = function createModLoader(options = {}) {
     60000,
     DEFAULT_MOD_TELEMETRY_DEBUG_SAMPLE_MS
   );
+  const transformDebugSampleMs = parseIntRange(
+    options.transformDebugSampleMs ?? process.env.RAVELINK_MOD_TRANSFORM_DEBUG_SAMPLE_MS,
+    0,
+    60000,
+    DEFAULT_MOD_TRANSFORM_DEBUG_SAMPLE_MS
+  );
   const initialTelemetryNoHandlerDebugMs = parseIntRange(
     options.telemetryNoHandlerDebugMs ?? process.env.RAVELINK_MOD_TELEMETRY_NO_HANDLER_DEBUG_MS,
     0,
@@ -1013,7 +1089,10 @@ module.exports = function createModLoader(options = {}) {
         error: modulePathError || null,
         hooks: [],
         ui,
-        order: orderIndex.has(id) ? orderIndex.get(id) : Number.MAX_SAFE_INTEGER
+        order: orderIndex.has(id) ? orderIndex.get(id) : Number.MAX_SAFE_INTEGER,
+        transformApi: null,
+        transformOverruns: 0,
+        transformSuspended: false
       });
 
       appendDebugEvent("mods.discover.entry", {
@@ -1141,6 +1220,16 @@ module.exports = function createModLoader(options = {}) {
       },
       getState() {
         return cloneJsonSafe(actions.getState?.(), null);
+      },
+      getOwnership(target = {}) {
+        return cloneJsonSafe(actions.getOwnership?.(cloneJsonSafe(target, {})), { owner: null, stack: [] });
+      },
+      // Mods lease as "mod:<id>"; options: scope, priority, ttlMs, reason.
+      acquireLease(options = {}) {
+        return cloneJsonSafe(actions.acquireLease?.(`mod:${entry.id}`, cloneJsonSafe(options, {})), null);
+      },
+      releaseLease(scope) {
+        return Number(actions.releaseLease?.(`mod:${entry.id}`, scope) || 0);
       }
     };
   }
@@ -1361,6 +1450,7 @@ module.exports = function createModLoader(options = {}) {
         enabled: Boolean(entry.enabled),
         loaded: Boolean(entry.loaded),
         hooks: [...entry.hooks],
+        transformSuspended: Boolean(entry.transformSuspended),
         ui: entry.ui
           ? {
               entry: entry.ui.entry,
@@ -1410,7 +1500,7 @@ module.exports = function createModLoader(options = {}) {
 
   async function invokeHook(hookName, payload = {}) {
     const hook = String(hookName || "").trim();
-    if (!SUPPORTED_HOOKS.has(hook) || hook === "onHttp") {
+    if (!SUPPORTED_HOOKS.has(hook) || DIRECT_ONLY_HOOKS.has(hook)) {
       appendDebugEvent(
         "mods.hook.batch.unsupported",
         {
@@ -1496,6 +1586,124 @@ module.exports = function createModLoader(options = {}) {
     };
   }
 
+  function shouldLogTransformDebug(modId) {
+    if (transformDebugSampleMs <= 0) return true;
+    const key = `transformIntent:${modId}`;
+    const now = Date.now();
+    if ((now - Number(hookDebugLastAt[key] || 0)) < transformDebugSampleMs) return false;
+    hookDebugLastAt[key] = now;
+    return true;
+  }
+
+  function runTransform(entry, intent) {
+    const input = cloneJsonSafe(intent, null);
+    if (!input) return [intent];
+    if (!entry.transformApi) entry.transformApi = makeApiFor(entry);
+    const context = {
+      hook: "transformIntent",
+      mod: {
+        id: entry.id,
+        name: entry.name,
+        version: entry.version
+      },
+      api: entry.transformApi,
+      now: Date.now()
+    };
+
+    const budgetMs = activeConfig.transformBudgetMs;
+    const startedAtNs = nowHrNs();
+    let output;
+    let error = "";
+    debugCounters.hookCalls += 1;
+    try {
+      output = entry.instance.transformIntent(input, context);
+      if (output && typeof output.then === "function") {
+        Promise.resolve(output).catch(() => {});
+        error = "transformIntent must be synchronous (returned a promise)";
+      }
+    } catch (err) {
+      error = asErrorMessage(err);
+    }
+    const durationMs = elapsedMsFromNs(startedAtNs);
+
+    if (!error && durationMs > budgetMs) {
+      entry.transformOverruns += 1;
+      recordHookStat("transformIntent", entry.id, durationMs, false, `over budget (${budgetMs}ms)`);
+      appendDebugEvent(
+        "mods.transform.over_budget",
+        { modId: entry.id, durationMs, budgetMs, overruns: entry.transformOverruns },
+        { level: "warn" }
+      );
+      if (entry.transformOverruns >= TRANSFORM_OVERRUN_SUSPEND_COUNT) {
+        entry.transformSuspended = true;
+        logger.warn?.(`[MODS] ${entry.id} transformIntent suspended after ${entry.transformOverruns} budget overruns`);
+        appendDebugEvent(
+          "mods.transform.suspended",
+          { modId: entry.id, budgetMs, overruns: entry.transformOverruns },
+          { level: "warn" }
+        );
+      }
+      return [intent];
+    }
+
+    const normalized = error ? null : normalizeTransformOutput(output, input);
+    if (!normalized || !normalized.ok) {
+      const message = error || normalized.error;
+      debugCounters.hookFailures += 1;
+      recordHookStat("transformIntent", entry.id, durationMs, false, message);
+      appendDebugEvent(
+        "mods.transform.error",
+        { modId: entry.id, durationMs, error: message, intentType: intent.type },
+        { level: "warn" }
+      );
+      return [intent];
+    }
+
+    entry.transformOverruns = 0;
+    recordHookStat("transformIntent", entry.id, durationMs, true);
+    if (normalized.kind !== "keep" || diffIntentValues(intent, input).length) {
+      if (shouldLogTransformDebug(entry.id)) {
+        appendDebugEvent("mods.transform.diff", {
+          modId: entry.id,
+          kind: normalized.kind,
+          durationMs,
+          intentType: intent.type,
+          outputCount: normalized.intents.length,
+          changes: normalized.intents.length === 1
+            ? diffIntentValues(intent, normalized.intents[0])
+            : normalized.intents.map(item => ({ type: item.type }))
+        });
+      }
+    }
+    return normalized.intents;
+  }
+
+  // Synchronous middleware over one engine intent. Mods run in config order;
+  // each output intent of one mod is fed separately to the next. Returns the
+  // intents to dispatch (empty when dropped).
+  function transformIntent(intent) {
+    if (!isIntentObject(intent)) return [];
+    const handlers = entries.filter(entry => (
+      entry &&
+      entry.loaded &&
+      entry.instance &&
+      !entry.transformSuspended &&
+      typeof entry.instance.transformIntent === "function"
+    ));
+    if (!handlers.length) return [intent];
+
+    let current = [intent];
+    for (const entry of handlers) {
+      const next = [];
+      for (const item of current) {
+        next.push(...runTransform(entry, item));
+      }
+      current = next;
+      if (!current.length) break;
+    }
+    return current;
+  }
+
   async function handleHttp(request = {}) {
     const modId = String(request.modId || "").trim();
     const action = String(request.action || "").trim();
@@ -1638,6 +1846,7 @@ module.exports = function createModLoader(options = {}) {
     getModUi,
     listModUis,
     invokeHook,
+    transformIntent,
     handleHttp
   };
 };
@@ -0,0 +1,591 @@
+// [TITLE] Module: core/mqtt/mqtt-bridge.js
+// [TITLE] Purpose: Home Assistant MQTT bridge (retained state + discovery out, command topics in)
+
+const fs = require("fs");
+const path = require("path");
+const { createMqttClient } = require("./mqtt-client");
+
+const CONFIG_PATH = path.join(__dirname, "..", "mqtt.config.json");
+const MQTT_STATE_TICK_MS = 1000;
+// Connectivity probes are cached server-side for 30s; asking every minute keeps HA current.
+const MQTT_CONNECTIVITY_REFRESH_MS = 60000;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const MAX_SCENE_OPTIONS = 128;
+const COMMAND_KEYS = Object.freeze(["rave", "scene", "palette", "color"]);
+
+const DEFAULT_CONFIG = Object.freeze({
+  version: 1,
+  enabled: false,
+  host: "",
+  port: 1883,
+  tls: false,
+  rejectUnauthorized: true,
+  username: "",
+  password: "",
+  clientId: "ravelink-bridge",
+  baseTopic: "ravelink",
+  discoveryPrefix: "homeassistant",
+  discovery: true,
+  commands: false,
+  keepAliveSec: 30
+});
+
+function toInt(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, Math.round(n)));
+}
+
+function normalizeHost(value) {
+  const host = String(value ?? "").trim();
+  return /^[a-zA-Z0-9.\-:[\]]{1,253}$/.test(host) ? host : "";
+}
+
+// Topic roots: no wildcards, no leading/trailing slash, no empty levels.
+function normalizeTopicRoot(value) {
+  const topic = String(value ?? "").trim().replace(/^\/+|\/+$/g, "");
+  if (!topic || topic.length > 128 || /[#+\s]/.test(topic) || topic.includes("//")) return "";
+  return topic;
+}
+
+function normalizeClientId(value) {
+  const id = String(value ?? "").trim();
+  return /^[a-zA-Z0-9_.-]{1,64}$/.test(id) ? id : "";
+}
+
+function normalizeMqttConfig(rawConfig) {
+  const raw = rawConfig && typeof rawConfig === "object" ? rawConfig : {};
+  return {
+    version: 1,
+    enabled: raw.enabled === true,
+    host: normalizeHost(raw.host),
+    port: toInt(raw.port, 1, 65535, DEFAULT_CONFIG.port),
+    tls: raw.tls === true,
+    rejectUnauthorized: raw.rejectUnauthorized !== false,
+    username: String(raw.username ?? "").trim().slice(0, 256),
+    password: String(raw.password ?? "").slice(0, 256),
+    clientId: normalizeClientId(raw.clientId) || DEFAULT_CONFIG.clientId,
+    baseTopic: normalizeTopicRoot(raw.baseTopic) || DEFAULT_CONFIG.baseTopic,
+    discoveryPrefix: normalizeTopicRoot(raw.discoveryPrefix) || DEFAULT_CONFIG.discoveryPrefix,
+    discovery: raw.discovery !== false,
+    commands: raw.commands === true,
+    keepAliveSec: toInt(raw.keepAliveSec, 5, 3600, DEFAULT_CONFIG.keepAliveSec)
+  };
+}
+
+// Explicit bad values are rejected instead of silently falling back, so a typo
+// in the UI does not quietly point the bridge somewhere else.
+function validateMqttConfigPatch(patch = {}) {
+  const has = key => Object.prototype.hasOwnProperty.call(patch, key);
+  if (has("host") && String(patch.host ?? "").trim() && !normalizeHost(patch.host)) return "invalid host";
+  if (has("port")) {
+    const port = Number(patch.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return "invalid port";
+  }
+  if (has("baseTopic") && !normalizeTopicRoot(patch.baseTopic)) return "invalid baseTopic";
+  if (has("discoveryPrefix") && !normalizeTopicRoot(patch.discoveryPrefix)) return "invalid discoveryPrefix";
+  if (has("clientId") && !normalizeClientId(patch.clientId)) return "invalid clientId";
+  return "";
+}
+
+function toObjectId(value) {
+  return String(value || "").replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64) || "unnamed";
+}
+
+function formatBpm(value) {
+  const bpm = Number(value);
+  return Number.isFinite(bpm) && bpm > 0 ? String(Math.round(bpm)) : "0";
+}
+
+function parseSwitchPayload(text) {
+  const value = String(text || "").trim().toLowerCase();
+  if (["on", "1", "true", "start"].includes(value)) return true;
+  if (["off", "0", "false", "stop"].includes(value)) return false;
+  return null;
+}
+
+/**
+ * Bridge runtime. `getSnapshot()` returns the state that is mirrored to MQTT:
+ *   { rave, scene, scenes[], bpm, palette, overclock, fixtures[{ id, brand, status, reachable, detail }] }
+ * `commands` holds raveOn/raveOff/setScene/setPalette/color; each may return a
+ * promise and should resolve to `{ ok, error? }`.
+ */
+function createMqttBridge(options = {}) {
+  const configPath = String(options.configPath || CONFIG_PATH);
+  const getSnapshot = typeof options.getSnapshot === "function" ? options.getSnapshot : () => ({});
+  const refreshConnectivity = typeof options.refreshConnectivity === "function" ? options.refreshConnectivity : null;
+  const commands = options.commands && typeof options.commands === "object" ? options.commands : {};
+  const log = options.log || console;
+  const version = String(options.version || "");
+  const createClient = typeof options.createClient === "function" ? options.createClient : createMqttClient;
+  const stateTickMs = Math.max(50, Number(options.stateTickMs) || MQTT_STATE_TICK_MS);
+
+  const stats = {
+    published: 0,
+    received: 0,
+    commands: 0,
+    commandErrors: 0,
+    connects: 0,
+    lastError: "",
+    lastConnectedAt: 0,
+    lastCommand: null
+  };
+  // Retained payload last written per topic; cleared on every (re)connect.
+  const publishedByTopic = new Map();
+  const discoveredFixtureIds = new Set();
+  let client = null;
+  let connected = false;
+  let reconnectTimer = null;
+  let reconnectDelayMs = RECONNECT_MIN_MS;
+  let stateTimer = null;
+  let connectivityTimer = null;
+  let discoveryKey = "";
+  let disposed = false;
+
+  function loadConfig() {
+    try {
+      return normalizeMqttConfig(JSON.parse(fs.readFileSync(configPath, "utf8")));
+    } catch {
+      return normalizeMqttConfig(DEFAULT_CONFIG);
+    }
+  }
+
+  let config = loadConfig();
+
+  function saveConfig() {
+    try {
+      fs.mkdirSync(path.dirname(configPath), { recursive: true });
+      fs.writeFileSync(configPath, `${JSON.stringify(config, null, 2)}\n`, "utf8");
+    } catch (err) {
+      log.warn?.("[MQTT] failed to save config:", err?.message || err);
+    }
+  }
+
+  function isActive() {
+    return config.enabled && Boolean(config.host);
+  }
+
+  function topic(suffix) {
+    return `${config.baseTopic}/${suffix}`;
+  }
+
+  function getTopics() {
+    return {
+      availability: topic("status"),
+      state: {
+        rave: topic("rave/state"),
+        scene: topic("scene/state"),
+        bpm: topic("bpm/state"),
+        palette: topic("palette/state"),
+        overclock: topic("overclock/state"),
+        fixture: topic("fixture/<id>/state")
+      },
+      commands: COMMAND_KEYS.reduce((acc, key) => {
+        acc[key] = topic(`${key}/set`);
+        return acc;
+      }, {})
+    };
+  }
+
+  function publish(topicName, payload, retain = true) {
+    if (!client || !connected) return false;
+    const ok = client.publish(topicName, payload, { retain });
+    if (ok) stats.published += 1;
+    return ok;
+  }
+
+  // Retained topics only go out when their payload moved.
+  function publishIfChanged(topicName, payload) {
+    if (publishedByTopic.get(topicName) === payload) return false;
+    if (!publish(topicName, payload)) return false;
+    publishedByTopic.set(topicName, payload);
+    return true;
+  }
+
+  function readSnapshot() {
+    try {
+      const snapshot = getSnapshot();
+      return snapshot && typeof snapshot === "object" ? snapshot : {};
+    } catch (err) {
+      stats.lastError = err?.message || String(err);
+      return {};
+    }
+  }
+
+  function listFixtures(snapshot) {
+    return (Array.isArray(snapshot.fixtures) ? snapshot.fixtures : [])
+      .filter(item => item && String(item.id || "").trim());
+  }
+
+  function buildDevice() {
+    return {
+      identifiers: [`ravelink_${toObjectId(config.baseTopic)}`],
+      name: "RaveLink Bridge",
+      manufacturer: "RaveLink",
+      model: "RaveLink Bridge",
+      ...(version ? { sw_version: version } : {})
+    };
+  }
+
+  function buildSceneOptions(snapshot) {
+    const options = ["auto"];
+    const names = Array.isArray(snapshot.scenes) ? snapshot.scenes : [];
+    for (const name of [...names, snapshot.scene]) {
+      const value = String(name || "").trim();
+      if (value && !options.includes(value)) options.push(value);
+      if (options.length >= MAX_SCENE_OPTIONS) break;
+    }
+    return options;
+  }
+
+  // HA discovery documents, keyed by config topic.
+  function buildDiscoveryEntries(snapshot) {
+    const nodeId = toObjectId(config.baseTopic);
+    const device = buildDevice();
+    const topics = getTopics();
+    const base = {
+      availability_topic: topics.availability,
+      payload_available: "online",
+      payload_not_available: "offline",
+      device
+    };
+    const entry = (component, objectId, body) => [
+      `${config.discoveryPrefix}/${component}/${nodeId}/${objectId}/config`,
+      { ...base, unique_id: `${nodeId}_${objectId}`, object_id: `${nodeId}_${objectId}`, ...body }
+    ];
+    const commandTopic = key => (config.commands ? { command_topic: topics.commands[key] } : {});
+
+    const entries = [
+      entry(config.commands ? "switch" : "binary_sensor", "rave", {
+        name: "Rave",
+        state_topic: topics.state.rave,
+        payload_on: "ON",
+        payload_off: "OFF",
+        ...(config.commands ? { state_on: "ON", state_off: "OFF" } : {}),
+        ...commandTopic("rave"),
+        icon: "mdi:party-popper"
+      }),
+      entry("sensor", "bpm", {
+        name: "BPM",
+        state_topic: topics.state.bpm,
+        unit_of_measurement: "BPM",
+        state_class: "measurement",
+        icon: "mdi:metronome"
+      }),
+      entry("sensor", "overclock", {
+        name: "Overclock",
+        state_topic: topics.state.overclock,
+        state_class: "measurement",
+        icon: "mdi:speedometer"
+      }),
+      entry(config.commands ? "select" : "sensor", "scene", {
+        name: "Scene",
+        state_topic: topics.state.scene,
+        ...(config.commands ? { options: buildSceneOptions(snapshot) } : {}),
+        ...commandTopic("scene"),
+        icon: "mdi:movie-open"
+      }),
+      entry(config.commands ? "text" : "sensor", "palette", {
+        name: "Palette",
+        state_topic: topics.state.palette,
+        ...commandTopic("palette"),
+        icon: "mdi:palette"
+      })
+    ];
+    if (config.commands) {
+      entries.push(entry("text", "color", {
+        name: "Color",
+        ...commandTopic("color"),
+        icon: "mdi:format-color-fill"
+      }));
+    }
+    for (const fixture of listFixtures(snapshot)) {
+      const id = String(fixture.id).trim();
+      entries.push(entry("binary_sensor", `fixture_${toObjectId(id)}`, {
+        name: `${fixture.name || id} connectivity`,
+        device_class: "connectivity",
+        state_topic: fixtureStateTopic(id),
+        value_template: "{{ 'ON' if value_json.reachable else 'OFF' }}",
+        json_attributes_topic: fixtureStateTopic(id)
+      }));
+    }
+    return entries;
+  }
+
+  function fixtureStateTopic(id) {
+    return topic(`fixture/${toObjectId(id)}/state`);
+  }
+
+  function buildFixtureConfigTopic(id) {
+    return `${config.discoveryPrefix}/binary_sensor/${toObjectId(config.baseTopic)}/fixture_${toObjectId(id)}/config`;
+  }
+
+  // Discovery goes out on connect and again whenever the scene list or
+  // fixture set changes; removed fixtures get an empty retained config so
+  // HA drops the entity.
+  function syncDiscovery(snapshot) {
+    if (!config.discovery) return;
+    const fixtureIds = listFixtures(snapshot).map(item => String(item.id).trim());
+    const key = JSON.stringify([buildSceneOptions(snapshot), fixtureIds, listFixtures(snapshot).map(item => item.name || "")]);
+    if (key === discoveryKey) return;
+    discoveryKey = key;
+    for (const [configTopic, body] of buildDiscoveryEntries(snapshot)) {
+      publishIfChanged(configTopic, JSON.stringify(body));
+    }
+    // Toggling `commands` swaps component types; clear the other variant.
+    const nodeId = toObjectId(config.baseTopic);
+    const staleComponents = config.commands
+      ? [["binary_sensor", "rave"], ["sensor", "scene"], ["sensor", "palette"]]
+      : [["switch", "rave"], ["select", "scene"], ["text", "palette"], ["text", "color"]];
+    for (const [component, objectId] of staleComponents) {
+      publishIfChanged(`${config.discoveryPrefix}/${component}/${nodeId}/${objectId}/config`, "");
+    }
+    for (const id of discoveredFixtureIds) {
+      if (fixtureIds.includes(id)) continue;
+      publishIfChanged(buildFixtureConfigTopic(id), "");
+      publishIfChanged(fixtureStateTopic(id), "");
+    }
+    discoveredFixtureIds.clear();
+    for (const id of fixtureIds) discoveredFixtureIds.add(id);
+  }
+
+  function publishState() {
+    if (!connected) return;
+    const snapshot = readSnapshot();
+    syncDiscovery(snapshot);
+    const topics = getTopics();
+    publishIfChanged(topics.state.rave, snapshot.rave ? "ON" : "OFF");
+    publishIfChanged(topics.state.scene, String(snapshot.scene || "auto"));
+    publishIfChanged(topics.state.bpm, formatBpm(snapshot.bpm));
+    publishIfChanged(topics.state.palette, String(snapshot.palette || ""));
+    publishIfChanged(topics.state.overclock, String(Math.round(Number(snapshot.overclock) || 0)));
+    for (const fixture of listFixtures(snapshot)) {
+      const id = String(fixture.id).trim();
+      publishIfChanged(fixtureStateTopic(id), JSON.stringify({
+        reachable: fixture.reachable === true,
+        status: String(fixture.status || "unknown"),
+        brand: String(fixture.brand || ""),
+        detail: String(fixture.detail || "")
+      }));
+    }
+  }
+
+  function parsePalettePayload(text) {
+    const raw = String(text || "").trim();
+    if (raw.startsWith("{")) {
+      try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+      } catch {
+        return null;
+      }
+    }
+    const families = raw.split(/[,+\s]+/).map(item => item.trim().toLowerCase()).filter(Boolean);
+    return families.length ? { families } : null;
+  }
+
+  function runCommand(key, text) {
+    if (key === "rave") {
+      const on = parseSwitchPayload(text);
+      if (on === null) return { ok: false, error: "expected ON or OFF" };
+      const handler = on ? commands.raveOn : commands.raveOff;
+      return typeof handler === "function" ? handler() : { ok: false, error: "rave control unavailable" };
+    }
+    if (key === "scene") {
+      if (typeof commands.setScene !== "function") return { ok: false, error: "scene control unavailable" };
+      const name = String(text || "").trim();
+      return commands.setScene(!name || name.toLowerCase() === "auto" ? null : name);
+    }
+    if (key === "palette") {
+      if (typeof commands.setPalette !== "function") return { ok: false, error: "palette control unavailable" };
+      const patch = parsePalettePayload(text);
+      if (!patch) return { ok: false, error: "expected families list or JSON palette patch" };
+      return commands.setPalette(patch);
+    }
+    if (key === "color") {
+      if (typeof commands.color !== "function") return { ok: false, error: "color control unavailable" };
+      const colorText = String(text || "").trim();
+      if (!colorText) return { ok: false, error: "missing color" };
+      return commands.color(colorText);
+    }
+    return { ok: false, error: "unknown command" };
+  }
+
+  function recordCommand(key, text, result) {
+    const ok = result?.ok !== false;
+    stats.commands += 1;
+    if (!ok) stats.commandErrors += 1;
+    stats.lastCommand = {
+      command: key,
+      payload: String(text || "").slice(0, 200),
+      ok,
+      ...(ok ? {} : { error: String(result?.error || "command failed") }),
+      at: Date.now()
+    };
+    if (!ok) log.warn?.(`[MQTT] ${key} command failed: ${stats.lastCommand.error}`);
+    // Push the new state without waiting for the next tick.
+    setImmediate(publishState);
+  }
+
+  function handleMessage(topicName, payload, packet) {
+    stats.received += 1;
+    if (!config.commands) return;
+    const prefix = `${config.baseTopic}/`;
+    if (!topicName.startsWith(prefix) || !topicName.endsWith("/set")) return;
+    const key = topicName.slice(prefix.length, -"/set".length);
+    if (!COMMAND_KEYS.includes(key)) return;
+    // A retained command would replay on every reconnect; HA never retains these.
+    if (packet?.retain) return;
+    const text = Buffer.isBuffer(payload) ? payload.toString("utf8") : String(payload ?? "");
+    let result;
+    try {
+      result = runCommand(key, text);
+    } catch (err) {
+      recordCommand(key, text, { ok: false, error: err?.message || String(err) });
+      return;
+    }
+    Promise.resolve(result)
+      .then(value => recordCommand(key, text, value))
+      .catch(err => recordCommand(key, text, { ok: false, error: err?.message || String(err) }));
+  }
+
+  function requestConnectivityRefresh() {
+    if (!refreshConnectivity) return;
+    Promise.resolve()
+      .then(() => refreshConnectivity())
+      .catch(err => {
+        stats.lastError = err?.message || String(err);
+      });
+  }
+
+  function stopTimers() {
+    if (stateTimer) clearInterval(stateTimer);
+    if (connectivityTimer) clearInterval(connectivityTimer);
+    stateTimer = null;
+    connectivityTimer = null;
+  }
+
+  function scheduleReconnect() {
+    if (disposed || !isActive() || reconnectTimer) return;
+    const delayMs = reconnectDelayMs;
+    reconnectDelayMs = Math.min(RECONNECT_MAX_MS, reconnectDelayMs * 2);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delayMs);
+    reconnectTimer.unref?.();
+  }
+
+  function connect() {
+    if (disposed || !isActive() || client) return;
+    const availability = topic("status");
+    const nextClient = createClient({
+      host: config.host,
+      port: config.port,
+      tls: config.tls,
+      rejectUnauthorized: config.rejectUnauthorized,
+      clientId: config.clientId,
+      username: config.username,
+      password: config.password,
+      keepAliveSec: config.keepAliveSec,
+      will: { topic: availability, payload: "offline", qos: 1, retain: true },
+      onConnect() {
+        if (client !== nextClient) return;
+        connected = true;
+        reconnectDelayMs = RECONNECT_MIN_MS;
+        stats.connects += 1;
+        stats.lastConnectedAt = Date.now();
+        stats.lastError = "";
+        publishedByTopic.clear();
+        discoveryKey = "";
+        log.log?.(`[MQTT] connected to ${config.host}:${config.port} as ${config.clientId}`);
+        if (config.commands) nextClient.subscribe([topic("+/set")]);
+        publishIfChanged(availability, "online");
+        publishState();
+        requestConnectivityRefresh();
+        stateTimer = setInterval(publishState, stateTickMs);
+        stateTimer.unref?.();
+        if (refreshConnectivity) {
+          connectivityTimer = setInterval(requestConnectivityRefresh, MQTT_CONNECTIVITY_REFRESH_MS);
+          connectivityTimer.unref?.();
+        }
+      },
+      onMessage: handleMessage,
+      onClose(reason) {
+        if (client !== nextClient) return;
+        const wasConnected = connected;
+        client = null;
+        connected = false;
+        stopTimers();
+        if (reason !== "disconnected") {
+          stats.lastError = String(reason || "connection closed");
+          if (wasConnected) log.warn?.(`[MQTT] connection lost: ${stats.lastError}`);
+        }
+        scheduleReconnect();
+      }
+    });
+    client = nextClient;
+    nextClient.connect();
+  }
+
+  // Publishes "offline" before the clean DISCONNECT, since the broker only
+  // sends the will on an unclean drop.
+  function disconnect() {
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    reconnectDelayMs = RECONNECT_MIN_MS;
+    stopTimers();
+    const current = client;
+    if (!current) return;
+    if (connected) publish(topic("status"), "offline");
+    client = null;
+    connected = false;
+    current.end();
+  }
+
+  function getStatus() {
+    const { password, ...safeConfig } = config;
+    return {
+      ok: true,
+      active: isActive(),
+      connected,
+      config: { ...safeConfig, passwordSet: Boolean(password) },
+      topics: getTopics(),
+      ...stats
+    };
+  }
+
+  connect();
+
+  return {
+    getStatus,
+    applyConfig(patch = {}) {
+      const next = patch && typeof patch === "object" ? patch : {};
+      const error = validateMqttConfigPatch(next);
+      if (error) return { ...getStatus(), ok: false, error };
+      // An omitted password keeps the stored one; send "" to clear it.
+      const merged = { ...config, ...next };
+      if (next.password === undefined || next.password === null) merged.password = config.password;
+      disconnect();
+      config = normalizeMqttConfig(merged);
+      saveConfig();
+      discoveredFixtureIds.clear();
+      connect();
+      return getStatus();
+    },
+    flush: publishState,
+    dispose() {
+      disposed = true;
+      disconnect();
+    }
+  };
+}
+
+module.exports = {
+  CONFIG_PATH,
+  DEFAULT_CONFIG,
+  normalizeMqttConfig,
+  validateMqttConfigPatch,
+  createMqttBridge
+};
@@ -0,0 +1,174 @@
+// [TITLE] Module: core/mqtt/mqtt-client.js
+// [TITLE] Purpose: minimal MQTT 3.1.1 client (TCP/TLS, QoS 0 out, QoS 0/1 in, keepalive)
+
+const net = require("net");
+const tls = require("tls");
+const {
+  MQTT_PACKET_TYPES,
+  MQTT_CONNACK_ERRORS,
+  encodeConnect,
+  encodePublish,
+  encodePuback,
+  encodeSubscribe,
+  encodePingreq,
+  encodeDisconnect,
+  createMqttPacketParser
+} = require("./mqtt-codec");
+
+const CONNECT_TIMEOUT_MS = 5000;
+
+/**
+ * One connection attempt per `connect()`. Reconnecting is the caller's job
+ * (the bridge backs off between attempts), so a closed client stays closed.
+ *
+ * Callbacks: onConnect(), onMessage(topic, payload, packet), onClose(reason).
+ */
+function createMqttClient(options = {}) {
+  const host = String(options.host || "").trim();
+  const port = Number(options.port) || (options.tls ? 8883 : 1883);
+  const keepAliveSec = Math.max(5, Math.min(3600, Math.round(Number(options.keepAliveSec) || 30)));
+  const onConnect = typeof options.onConnect === "function" ? options.onConnect : () => {};
+  const onMessage = typeof options.onMessage === "function" ? options.onMessage : () => {};
+  const onClose = typeof options.onClose === "function" ? options.onClose : () => {};
+
+  let socket = null;
+  let connected = false;
+  let closed = false;
+  let packetId = 0;
+  let lastInboundAt = 0;
+  let keepAliveTimer = null;
+  let connectTimer = null;
+
+  function nextPacketId() {
+    packetId = (packetId % 65535) + 1;
+    return packetId;
+  }
+
+  function write(buffer) {
+    if (!socket || socket.destroyed) return false;
+    try {
+      socket.write(buffer);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function close(reason = "closed", closeOptions = {}) {
+    if (closed) return;
+    closed = true;
+    connected = false;
+    if (keepAliveTimer) clearInterval(keepAliveTimer);
+    if (connectTimer) clearTimeout(connectTimer);
+    keepAliveTimer = null;
+    connectTimer = null;
+    if (socket) {
+      try {
+        // A clean end lets the queued DISCONNECT flush first.
+        if (closeOptions.graceful) socket.end();
+        else socket.destroy();
+      } catch {}
+    }
+    onClose(reason);
+  }
+
+  function startKeepAlive() {
+    keepAliveTimer = setInterval(() => {
+      // No PINGRESP (or any packet) for 1.5 keepalive periods: the link is dead.
+      if (Date.now() - lastInboundAt > keepAliveSec * 1500) {
+        close("keepalive timeout");
+        return;
+      }
+      write(encodePingreq());
+    }, keepAliveSec * 1000);
+    keepAliveTimer.unref?.();
+  }
+
+  function handlePacket(packet) {
+    lastInboundAt = Date.now();
+    if (packet.type === MQTT_PACKET_TYPES.CONNACK) {
+      if (connectTimer) clearTimeout(connectTimer);
+      connectTimer = null;
+      if (packet.returnCode !== 0) {
+        close(`connack refused: ${MQTT_CONNACK_ERRORS[packet.returnCode] || `code ${packet.returnCode}`}`);
+        return;
+      }
+      connected = true;
+      startKeepAlive();
+      onConnect();
+      return;
+    }
+    if (packet.type === MQTT_PACKET_TYPES.PUBLISH) {
+      if (packet.qos === 1) write(encodePuback(packet.packetId));
+      onMessage(packet.topic, packet.payload, packet);
+    }
+  }
+
+  function connect() {
+    if (socket || closed) return;
+    const parser = createMqttPacketParser();
+    const connectOptions = { host, port };
+    socket = options.tls
+      ? tls.connect({ ...connectOptions, servername: host, rejectUnauthorized: options.rejectUnauthorized !== false })
+      : net.connect(connectOptions);
+    socket.setNoDelay?.(true);
+    connectTimer = setTimeout(() => close("connect timeout"), Math.max(500, Number(options.connectTimeoutMs) || CONNECT_TIMEOUT_MS));
+    connectTimer.unref?.();
+
+    socket.once(options.tls ? "secureConnect" : "connect", () => {
+      lastInboundAt = Date.now();
+      write(encodeConnect({
+        clientId: options.clientId,
+        username: options.username,
+        password: options.password,
+        keepAliveSec,
+        will: options.will,
+        cleanSession: true
+      }));
+    });
+    socket.on("data", chunk => {
+      let packets = [];
+      try {
+        packets = parser.push(chunk);
+      } catch (err) {
+        close(err.message || "protocol error");
+        return;
+      }
+      for (const packet of packets) {
+        if (closed) return;
+        handlePacket(packet);
+      }
+    });
+    socket.on("error", err => close(err.code || err.message || "socket error"));
+    socket.on("close", () => close("connection closed"));
+  }
+
+  function publish(topic, payload, publishOptions = {}) {
+    if (!connected) return false;
+    return write(encodePublish({ topic, payload, retain: publishOptions.retain === true, qos: 0 }));
+  }
+
+  function subscribe(filters = []) {
+    const list = (Array.isArray(filters) ? filters : [filters]).filter(Boolean);
+    if (!connected || !list.length) return false;
+    return write(encodeSubscribe(nextPacketId(), list.map(topic => ({ topic, qos: 1 }))));
+  }
+
+  // Clean DISCONNECT: the broker drops the will instead of publishing it.
+  function end() {
+    if (connected) write(encodeDisconnect());
+    close("disconnected", { graceful: true });
+  }
+
+  return {
+    connect,
+    publish,
+    subscribe,
+    end,
+    isConnected: () => connected
+  };
+}
+
+module.exports = {
+  createMqttClient
+};
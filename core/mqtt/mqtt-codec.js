@@ -0,0 +1,222 @@
+// [TITLE] Module: core/mqtt/mqtt-codec.js
+// [TITLE] Purpose: MQTT 3.1.1 client-side packet encode/decode (stream framing)
+
+const MQTT_PACKET_TYPES = Object.freeze({
+  CONNECT: 1,
+  CONNACK: 2,
+  PUBLISH: 3,
+  PUBACK: 4,
+  SUBSCRIBE: 8,
+  SUBACK: 9,
+  PINGREQ: 12,
+  PINGRESP: 13,
+  DISCONNECT: 14
+});
+const MQTT_CONNACK_ERRORS = Object.freeze({
+  1: "unacceptable protocol version",
+  2: "client id rejected",
+  3: "server unavailable",
+  4: "bad username or password",
+  5: "not authorized"
+});
+const MQTT_MAX_REMAINING_LENGTH = 268435455;
+// Largest packet the parser buffers; the bridge only exchanges small state/command payloads.
+const MQTT_MAX_PACKET_BYTES = 1024 * 1024;
+
+function encodeRemainingLength(length) {
+  if (!Number.isInteger(length) || length < 0 || length > MQTT_MAX_REMAINING_LENGTH) {
+    throw new Error("mqtt remaining length out of range");
+  }
+  const bytes = [];
+  let value = length;
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+function encodeString(value) {
+  const body = Buffer.from(String(value ?? ""), "utf8");
+  if (body.length > 65535) throw new Error("mqtt string too long");
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(body.length, 0);
+  return Buffer.concat([length, body]);
+}
+
+function encodeBinary(value) {
+  const body = Buffer.isBuffer(value) ? value : Buffer.from(String(value ?? ""), "utf8");
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(body.length, 0);
+  return Buffer.concat([length, body]);
+}
+
+function encodeU16(value) {
+  const out = Buffer.alloc(2);
+  out.writeUInt16BE(Math.max(0, Math.min(65535, Math.round(Number(value) || 0))), 0);
+  return out;
+}
+
+function packet(type, flags, parts = []) {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from([(type << 4) | (flags & 0x0f)]), encodeRemainingLength(body.length), body]);
+}
+
+function encodeConnect(options = {}) {
+  const will = options.will && options.will.topic ? options.will : null;
+  const username = String(options.username || "");
+  const password = options.password === undefined || options.password === null ? "" : String(options.password);
+  let flags = options.cleanSession === false ? 0 : 0x02;
+  if (will) {
+    flags |= 0x04 | ((Math.max(0, Math.min(1, Number(will.qos) || 0))) << 3) | (will.retain ? 0x20 : 0);
+  }
+  if (username) flags |= 0x80;
+  if (username && password) flags |= 0x40;
+  const parts = [
+    encodeString("MQTT"),
+    Buffer.from([4, flags]),
+    encodeU16(options.keepAliveSec ?? 30),
+    encodeString(options.clientId || "")
+  ];
+  if (will) {
+    parts.push(encodeString(will.topic), encodeBinary(will.payload));
+  }
+  if (username) parts.push(encodeString(username));
+  if (username && password) parts.push(encodeBinary(password));
+  return packet(MQTT_PACKET_TYPES.CONNECT, 0, parts);
+}
+
+function encodePublish(options = {}) {
+  const qos = Math.max(0, Math.min(1, Number(options.qos) || 0));
+  const flags = (options.dup ? 0x08 : 0) | (qos << 1) | (options.retain ? 0x01 : 0);
+  const parts = [encodeString(options.topic)];
+  if (qos > 0) parts.push(encodeU16(options.packetId));
+  const payload = options.payload;
+  parts.push(Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload ?? ""), "utf8"));
+  return packet(MQTT_PACKET_TYPES.PUBLISH, flags, parts);
+}
+
+function encodePuback(packetId) {
+  return packet(MQTT_PACKET_TYPES.PUBACK, 0, [encodeU16(packetId)]);
+}
+
+function encodeSubscribe(packetId, subscriptions = []) {
+  const parts = [encodeU16(packetId)];
+  for (const entry of subscriptions) {
+    const topic = typeof entry === "string" ? entry : entry?.topic;
+    const qos = typeof entry === "string" ? 0 : Math.max(0, Math.min(1, Number(entry?.qos) || 0));
+    parts.push(encodeString(topic), Buffer.from([qos]));
+  }
+  return packet(MQTT_PACKET_TYPES.SUBSCRIBE, 0x02, parts);
+}
+
+function encodePingreq() {
+  return packet(MQTT_PACKET_TYPES.PINGREQ, 0);
+}
+
+function encodePingresp() {
+  return packet(MQTT_PACKET_TYPES.PINGRESP, 0);
+}
+
+function encodeDisconnect() {
+  return packet(MQTT_PACKET_TYPES.DISCONNECT, 0);
+}
+
+function readString(buffer, offset) {
+  if (offset + 2 > buffer.length) throw new Error("mqtt string truncated");
+  const length = buffer.readUInt16BE(offset);
+  const end = offset + 2 + length;
+  if (end > buffer.length) throw new Error("mqtt string truncated");
+  return { value: buffer.subarray(offset + 2, end), next: end };
+}
+
+function decodeBody(type, flags, body) {
+  switch (type) {
+    case MQTT_PACKET_TYPES.CONNACK:
+      return { sessionPresent: Boolean(body[0] & 0x01), returnCode: body[1] };
+    case MQTT_PACKET_TYPES.PUBLISH: {
+      const qos = (flags >> 1) & 0x03;
+      const topic = readString(body, 0);
+      let offset = topic.next;
+      let packetId = 0;
+      if (qos > 0) {
+        packetId = body.readUInt16BE(offset);
+        offset += 2;
+      }
+      return {
+        topic: topic.value.toString("utf8"),
+        payload: body.subarray(offset),
+        qos,
+        retain: Boolean(flags & 0x01),
+        dup: Boolean(flags & 0x08),
+        packetId
+      };
+    }
+    case MQTT_PACKET_TYPES.PUBACK:
+      return { packetId: body.readUInt16BE(0) };
+    case MQTT_PACKET_TYPES.SUBACK:
+      return { packetId: body.readUInt16BE(0), granted: [...body.subarray(2)] };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Stream parser: feed socket chunks with `push`, get back every complete
+ * packet as `{ type, flags, body, ...fields }`. Only packets a client
+ * receives are decoded into fields. Throws on malformed/oversized input.
+ */
+function createMqttPacketParser(options = {}) {
+  const maxPacketBytes = Math.max(16, Number(options.maxPacketBytes) || MQTT_MAX_PACKET_BYTES);
+  let pending = Buffer.alloc(0);
+
+  function push(chunk) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : Buffer.from(chunk);
+    const packets = [];
+    while (pending.length >= 2) {
+      let length = 0;
+      let multiplier = 1;
+      let index = 1;
+      let complete = false;
+      while (index < pending.length && index <= 4) {
+        const byte = pending[index];
+        length += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+        index += 1;
+        if ((byte & 0x80) === 0) {
+          complete = true;
+          break;
+        }
+      }
+      if (!complete) {
+        if (index > 4) throw new Error("mqtt remaining length malformed");
+        break;
+      }
+      if (index + length > maxPacketBytes) throw new Error("mqtt packet too large");
+      if (pending.length < index + length) break;
+      const type = pending[0] >> 4;
+      const flags = pending[0] & 0x0f;
+      const body = pending.subarray(index, index + length);
+      packets.push({ type, flags, body, ...decodeBody(type, flags, body) });
+      pending = pending.subarray(index + length);
+    }
+    return packets;
+  }
+
+  return { push };
+}
+
+module.exports = {
+  MQTT_PACKET_TYPES,
+  MQTT_CONNACK_ERRORS,
+  encodeConnect,
+  encodePublish,
+  encodePuback,
+  encodeSubscribe,
+  encodePingreq,
+  encodePingresp,
+  encodeDisconnect,
+  createMqttPacketParser
+};
@@ -0,0 +1,225 @@
+// [TITLE] Module: core/osc/osc-codec.js
+// [TITLE] Purpose: OSC 1.0 packet decode/encode (messages + bundles)
+
+const BUNDLE_TAG = "#bundle";
+const MAX_BUNDLE_DEPTH = 8;
+
+function pad4(length) {
+  return (length + 3) & ~3;
+}
+
+function readOscString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end < 0) throw new Error("unterminated OSC string");
+  const value = buffer.toString("utf8", offset, end);
+  return { value, next: pad4(end + 1) };
+}
+
+function readArgument(buffer, tag, offset) {
+  const ensure = size => {
+    if (offset + size > buffer.length) throw new Error(`truncated OSC argument '${tag}'`);
+  };
+  switch (tag) {
+    case "i":
+      ensure(4);
+      return { arg: { type: "i", value: buffer.readInt32BE(offset) }, next: offset + 4 };
+    case "f":
+      ensure(4);
+      return { arg: { type: "f", value: buffer.readFloatBE(offset) }, next: offset + 4 };
+    case "d":
+      ensure(8);
+      return { arg: { type: "d", value: buffer.readDoubleBE(offset) }, next: offset + 8 };
+    case "h":
+      ensure(8);
+      return { arg: { type: "h", value: Number(buffer.readBigInt64BE(offset)) }, next: offset + 8 };
+    case "t":
+      ensure(8);
+      return { arg: { type: "t", value: Number(buffer.readBigUInt64BE(offset)) }, next: offset + 8 };
+    case "s":
+    case "S": {
+      const str = readOscString(buffer, offset);
+      return { arg: { type: tag, value: str.value }, next: str.next };
+    }
+    case "c":
+      ensure(4);
+      return { arg: { type: "c", value: String.fromCharCode(buffer.readUInt32BE(offset)) }, next: offset + 4 };
+    case "r":
+      ensure(4);
+      return {
+        arg: {
+          type: "r",
+          value: {
+            r: buffer[offset],
+            g: buffer[offset + 1],
+            b: buffer[offset + 2],
+            a: buffer[offset + 3]
+          }
+        },
+        next: offset + 4
+      };
+    case "m":
+      ensure(4);
+      return { arg: { type: "m", value: [...buffer.subarray(offset, offset + 4)] }, next: offset + 4 };
+    case "b": {
+      ensure(4);
+      const size = buffer.readInt32BE(offset);
+      if (size < 0 || offset + 4 + size > buffer.length) throw new Error("truncated OSC blob");
+      const value = Buffer.from(buffer.subarray(offset + 4, offset + 4 + size));
+      return { arg: { type: "b", value }, next: pad4(offset + 4 + size) };
+    }
+    case "T":
+      return { arg: { type: "T", value: true }, next: offset };
+    case "F":
+      return { arg: { type: "F", value: false }, next: offset };
+    case "N":
+      return { arg: { type: "N", value: null }, next: offset };
+    case "I":
+      return { arg: { type: "I", value: Infinity }, next: offset };
+    default:
+      throw new Error(`unsupported OSC type tag '${tag}'`);
+  }
+}
+
+function decodeOscMessage(buffer) {
+  const address = readOscString(buffer, 0);
+  if (!address.value.startsWith("/")) throw new Error("invalid OSC address");
+  const args = [];
+  if (address.next >= buffer.length) {
+    return { address: address.value, args };
+  }
+  const typeTags = readOscString(buffer, address.next);
+  if (!typeTags.value.startsWith(",")) throw new Error("missing OSC type tag string");
+  let offset = typeTags.next;
+  for (const tag of typeTags.value.slice(1)) {
+    // Array brackets carry no payload; flatten their contents.
+    if (tag === "[" || tag === "]") continue;
+    const read = readArgument(buffer, tag, offset);
+    args.push(read.arg);
+    offset = read.next;
+  }
+  return { address: address.value, args };
+}
+
+function collectPacketMessages(buffer, out, depth) {
+  if (depth > MAX_BUNDLE_DEPTH) throw new Error("OSC bundle nesting too deep");
+  if (buffer.length >= 16 && buffer.toString("ascii", 0, 7) === BUNDLE_TAG && buffer[7] === 0) {
+    let offset = 16;
+    while (offset + 4 <= buffer.length) {
+      const size = buffer.readInt32BE(offset);
+      offset += 4;
+      if (size <= 0 || offset + size > buffer.length) throw new Error("truncated OSC bundle element");
+      collectPacketMessages(buffer.subarray(offset, offset + size), out, depth + 1);
+      offset += size;
+    }
+    return out;
+  }
+  out.push(decodeOscMessage(buffer));
+  return out;
+}
+
+// Bundles are flattened; time tags are ignored and every message is handled on arrival.
+function decodeOscPacket(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) throw new Error("OSC packet too short");
+  return collectPacketMessages(buffer, [], 0);
+}
+
+function encodeOscString(value) {
+  const raw = Buffer.from(String(value ?? ""), "utf8");
+  const out = Buffer.alloc(pad4(raw.length + 1));
+  raw.copy(out);
+  return out;
+}
+
+function inferArgument(value) {
+  if (value && typeof value === "object" && typeof value.type === "string") return value;
+  if (typeof value === "boolean") return { type: value ? "T" : "F", value };
+  if (value === null || value === undefined) return { type: "N", value: null };
+  if (typeof value === "number") {
+    return Number.isInteger(value) && Math.abs(value) <= 0x7fffffff
+      ? { type: "i", value }
+      : { type: "f", value };
+  }
+  if (Buffer.isBuffer(value)) return { type: "b", value };
+  return { type: "s", value: String(value) };
+}
+
+function encodeArgument(arg) {
+  switch (arg.type) {
+    case "i": {
+      const out = Buffer.alloc(4);
+      out.writeInt32BE(Math.round(Number(arg.value) || 0));
+      return out;
+    }
+    case "f": {
+      const out = Buffer.alloc(4);
+      out.writeFloatBE(Number(arg.value) || 0);
+      return out;
+    }
+    case "d": {
+      const out = Buffer.alloc(8);
+      out.writeDoubleBE(Number(arg.value) || 0);
+      return out;
+    }
+    case "s":
+    case "S":
+      return encodeOscString(arg.value);
+    case "r": {
+      const color = arg.value && typeof arg.value === "object" ? arg.value : {};
+      return Buffer.from([color.r, color.g, color.b, color.a ?? 255].map(v => Math.max(0, Math.min(255, Math.round(Number(v) || 0)))));
+    }
+    case "b": {
+      const blob = Buffer.isBuffer(arg.value) ? arg.value : Buffer.from(String(arg.value ?? ""), "utf8");
+      const out = Buffer.alloc(4 + pad4(blob.length));
+      out.writeInt32BE(blob.length);
+      blob.copy(out, 4);
+      return out;
+    }
+    case "T":
+    case "F":
+    case "N":
+    case "I":
+      return Buffer.alloc(0);
+    default:
+      throw new Error(`unsupported OSC type tag '${arg.type}'`);
+  }
+}
+
+function encodeOscMessage(address, args = []) {
+  const path = String(address || "").trim();
+  if (!path.startsWith("/")) throw new Error("invalid OSC address");
+  const typed = (Array.isArray(args) ? args : [args]).map(inferArgument);
+  return Buffer.concat([
+    encodeOscString(path),
+    encodeOscString(`,${typed.map(arg => arg.type).join("")}`),
+    ...typed.map(encodeArgument)
+  ]);
+}
+
+function encodeOscBundle(packets = []) {
+  const parts = [encodeOscString(BUNDLE_TAG), Buffer.from([0, 0, 0, 0, 0, 0, 0, 1])];
+  for (const packet of packets) {
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(packet.length);
+    parts.push(size, packet);
+  }
+  return Buffer.concat(parts);
+}
+
+// Collapse an argument to a number for threshold checks: numbers as-is,
+// booleans/impulses as 1/0, strings when numeric. Missing args read as 1 so
+// bare address hits (no payload) still trigger.
+function oscArgNumber(arg, fallback = 1) {
+  if (!arg) return fallback;
+  if (arg.type === "T" || arg.type === "I") return 1;
+  if (arg.type === "F" || arg.type === "N") return 0;
+  const n = Number(arg.value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+module.exports = {
+  decodeOscPacket,
+  decodeOscMessage,
+  encodeOscMessage,
+  encodeOscBundle,
+  oscArgNumber
+};
@@ -0,0 +1,218 @@
+// [TITLE] Module: core/osc/osc-learn.js
+// [TITLE] Purpose: OSC listener config, address bindings and learn mode
+
+const fs = require("fs");
+const path = require("path");
+const midiLearn = require("../midi/midi-learn");
+const { normalizeMidiActionAlias } = require("../midi/action-normalizer");
+
+const MAP_PATH = path.join(__dirname, "..", "osc-map.json");
+const DEFAULT_BINDING_MIN_VALUE = 0.5;
+const ADDRESS_MAX_LENGTH = 200;
+
+const DEFAULT_CONFIG = Object.freeze({
+  version: 1,
+  enabled: false,
+  host: "0.0.0.0",
+  port: 9000,
+  addressPrefix: "/ravelink",
+  allowPublicSources: false,
+  bindings: Object.freeze({})
+});
+
+function safeClone(obj) {
+  return JSON.parse(JSON.stringify(obj || {}));
+}
+
+function toInt(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, Math.round(n)));
+}
+
+function toNumber(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+function normalizeOscAddress(value) {
+  const raw = String(value || "").trim();
+  if (!raw.startsWith("/") || raw.length > ADDRESS_MAX_LENGTH) return "";
+  if (/[\s#*,?[\]{}]/.test(raw)) return "";
+  return raw.length > 1 ? raw.replace(/\/+$/, "") : "";
+}
+
+function normalizeHost(value, fallback) {
+  const raw = String(value || "").trim();
+  if (!raw) return fallback;
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(raw) && raw.split(".").every(part => Number(part) <= 255)
+    ? raw
+    : fallback;
+}
+
+function normalizeBinding(binding) {
+  if (!binding || typeof binding !== "object") return null;
+  const address = normalizeOscAddress(binding.address);
+  if (!address) return null;
+  return {
+    address,
+    minValue: toNumber(binding.minValue, 0, 100000, DEFAULT_BINDING_MIN_VALUE)
+  };
+}
+
+function createOscLearn(options = {}) {
+  const mapPath = String(options.mapPath || MAP_PATH);
+  const log = options.log || console;
+  const actionSet = new Set(midiLearn.getActions());
+
+  let learnState = {
+    target: null,
+    startedAt: 0,
+    expiresAt: 0
+  };
+
+  function normalizeAction(action) {
+    const key = normalizeMidiActionAlias(action);
+    return actionSet.has(key) ? key : "";
+  }
+
+  function normalizeConfig(rawConfig) {
+    const raw = rawConfig && typeof rawConfig === "object" ? rawConfig : {};
+    const normalized = {
+      version: 1,
+      enabled: raw.enabled === undefined ? DEFAULT_CONFIG.enabled : Boolean(raw.enabled),
+      host: normalizeHost(raw.host, DEFAULT_CONFIG.host),
+      port: toInt(raw.port, 1, 65535, DEFAULT_CONFIG.port),
+      addressPrefix: normalizeOscAddress(raw.addressPrefix) || DEFAULT_CONFIG.addressPrefix,
+      allowPublicSources: raw.allowPublicSources === true,
+      bindings: {}
+    };
+    const rawBindings = raw.bindings && typeof raw.bindings === "object" ? raw.bindings : {};
+    for (const [action, value] of Object.entries(rawBindings)) {
+      const key = normalizeAction(action);
+      const binding = key ? normalizeBinding(value) : null;
+      if (binding) normalized.bindings[key] = binding;
+    }
+    return normalized;
+  }
+
+  function loadConfig() {
+    try {
+      return normalizeConfig(JSON.parse(fs.readFileSync(mapPath, "utf8")));
+    } catch {
+      return normalizeConfig(DEFAULT_CONFIG);
+    }
+  }
+
+  let config = loadConfig();
+
+  function saveConfig() {
+    try {
+      fs.writeFileSync(mapPath, `${JSON.stringify(config, null, 2)}\n`, "utf8");
+    } catch (err) {
+      log.warn?.("[OSC] failed to save map:", err?.message || err);
+    }
+  }
+
+  function cancelLearn() {
+    learnState = {
+      target: null,
+      startedAt: 0,
+      expiresAt: 0
+    };
+  }
+
+  return {
+    getActions() {
+      return [...actionSet];
+    },
+
+    normalizeAction,
+
+    getConfig() {
+      return safeClone(config);
+    },
+
+    patchConfig(patch = {}) {
+      const candidate = {
+        ...config,
+        ...(patch && typeof patch === "object" ? patch : {})
+      };
+      config = normalizeConfig(candidate);
+      saveConfig();
+      return safeClone(config);
+    },
+
+    setBinding(action, binding = {}) {
+      const key = normalizeAction(action);
+      const normalized = key ? normalizeBinding(binding) : null;
+      if (!normalized) return null;
+      config.bindings = { ...(config.bindings || {}), [key]: normalized };
+      saveConfig();
+      return safeClone(normalized);
+    },
+
+    clearBinding(action) {
+      const key = normalizeAction(action);
+      if (!key || !config.bindings?.[key]) return false;
+      config.bindings = { ...config.bindings };
+      delete config.bindings[key];
+      saveConfig();
+      return true;
+    },
+
+    resetBindings() {
+      config.bindings = {};
+      saveConfig();
+      return {};
+    },
+
+    startLearn(target, learnOptions = {}) {
+      const action = normalizeAction(target);
+      if (!action) return false;
+      const timeoutMs = toInt(learnOptions.timeoutMs, 1000, 300000, 30000);
+      const now = Date.now();
+      learnState = {
+        target: action,
+        startedAt: now,
+        expiresAt: now + timeoutMs
+      };
+      log.log?.("[OSC] learn started:", action);
+      return true;
+    },
+
+    cancelLearn,
+
+    getLearnState() {
+      return { ...learnState };
+    },
+
+    // Binds the armed action to the next address that arrives with an active
+    // value (button releases sending 0 are skipped).
+    handleMessage(message = {}, value = 1) {
+      const target = normalizeAction(learnState.target);
+      if (!target) return null;
+      if (learnState.expiresAt > 0 && Date.now() > learnState.expiresAt) {
+        cancelLearn();
+        return null;
+      }
+      if (!(Number(value) >= DEFAULT_BINDING_MIN_VALUE)) return null;
+      const binding = normalizeBinding({ address: message.address, minValue: DEFAULT_BINDING_MIN_VALUE });
+      if (!binding) return null;
+
+      config.bindings = { ...(config.bindings || {}), [target]: binding };
+      saveConfig();
+      log.log?.("[OSC] learned", target, binding);
+      cancelLearn();
+      return { action: target, binding: safeClone(binding) };
+    }
+  };
+}
+
+module.exports = {
+  MAP_PATH,
+  DEFAULT_CONFIG,
+  normalizeOscAddress,
+  createOscLearn
+};
@@ -0,0 +1,305 @@
+// [TITLE] Module: core/osc/osc-manager.js
+// [TITLE] Purpose: UDP OSC listener mapped onto engine OSC intents + MIDI action table
+
+const dgram = require("dgram");
+const { decodeOscPacket, oscArgNumber } = require("./osc-codec");
+const { createOscLearn } = require("./osc-learn");
+const { createEngineActionRunner, PALETTE_PRESETS, normalizePaletteFamilies } = require("../midi/engine-actions");
+const { isPrivateOrLoopbackIpv4 } = require("../utils/private-ipv4");
+
+const OSC_BUILTIN_ADDRESSES = Object.freeze([
+  "beat",
+  "drop",
+  "energy",
+  "scene",
+  "palette",
+  "action"
+]);
+
+function actionLabel(action) {
+  return String(action || "").replace(/_/g, " ").toUpperCase();
+}
+
+function firstStringArg(args = []) {
+  const arg = args.find(item => item && (item.type === "s" || item.type === "S"));
+  return arg ? String(arg.value || "").trim().toLowerCase() : "";
+}
+
+module.exports = function createOscManager(engine, options = {}) {
+  const learn = options.learn || createOscLearn({ mapPath: options.mapPath });
+  const log = options.log || console;
+  const applyAction = createEngineActionRunner(engine, { cues: options.cues });
+
+  const state = {
+    listening: false,
+    boundHost: "",
+    boundPort: 0,
+    messages: 0,
+    matched: 0,
+    rejectedSources: 0,
+    decodeErrors: 0,
+    lastMessage: null,
+    lastAction: "",
+    lastActionAt: "",
+    reason: "not started"
+  };
+
+  let disposed = false;
+  let socket = null;
+  const latchedBindings = new Set();
+
+  function setLastAction(text) {
+    const label = String(text || "").trim();
+    if (!label) return;
+    state.lastAction = label;
+    state.lastActionAt = new Date().toISOString();
+  }
+
+  function closeSocket() {
+    if (socket) {
+      try {
+        socket.removeAllListeners("message");
+        socket.close();
+      } catch {}
+    }
+    socket = null;
+    state.listening = false;
+    state.boundHost = "";
+    state.boundPort = 0;
+    latchedBindings.clear();
+  }
+
+  function applyPalette(args) {
+    const numeric = args.find(arg => arg && arg.type !== "s" && arg.type !== "S");
+    if (numeric) {
+      return applyAction(`palette_colors_${Math.round(oscArgNumber(numeric, 0))}`)
+        ? "palette_colors"
+        : "";
+    }
+    const token = firstStringArg(args).replace(/^palette_preset_/, "");
+    if (!token) return "";
+    if (PALETTE_PRESETS[`palette_preset_${token}`]) {
+      return applyAction(`palette_preset_${token}`) ? `palette_preset_${token}` : "";
+    }
+    const families = normalizePaletteFamilies(token.split(/[\s,+]+/));
+    if (!families.length) return "";
+    return engine?.setPaletteConfig?.({ families }) ? "palette_families" : "";
+  }
+
+  // Returns a label for the handled built-in address, "" when the address is
+  // in the namespace but carried nothing usable, or null when it is not ours.
+  function handleBuiltinAddress(message) {
+    const prefix = `${learn.getConfig().addressPrefix}/`;
+    if (!message.address.startsWith(prefix)) return null;
+    const [name, ...rest] = message.address.slice(prefix.length).split("/");
+    const args = message.args || [];
+    const value = oscArgNumber(args[0]);
+
+    switch (name) {
+      case "beat":
+        if (value < 0.5) return "";
+        engine?.setIntent?.({ type: "OSC_BEAT" });
+        return "beat";
+
+      case "drop":
+        if (value < 0.5) return "";
+        engine?.setIntent?.({ type: "OSC_DROP" });
+        return "drop";
+
+      case "energy":
+        engine?.setIntent?.({ type: "OSC_ENERGY", value: Math.max(0, Math.min(1, oscArgNumber(args[0], 0))) });
+        return "energy";
+
+      case "scene": {
+        const scene = rest[0] || firstStringArg(args);
+        if (!scene) return "";
+        return engine?.setScene?.(scene === "auto" ? null : scene) === false ? "" : `scene ${scene}`;
+      }
+
+      case "palette":
+        return applyPalette(rest[0] ? [{ type: "s", value: rest[0] }] : args);
+
+      case "action": {
+        const action = learn.normalizeAction(rest[0] || firstStringArg(args));
+        if (!action || (rest[0] && value < 0.5)) return "";
+        return applyAction(action) ? action : "";
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  function handleBindings(message) {
+    const bindings = learn.getConfig().bindings || {};
+    const value = oscArgNumber(message.args?.[0]);
+    let fired = 0;
+    for (const [action, binding] of Object.entries(bindings)) {
+      if (binding?.address !== message.address) continue;
+      if (value < Number(binding.minValue)) {
+        latchedBindings.delete(action);
+        continue;
+      }
+      if (latchedBindings.has(action)) continue;
+      latchedBindings.add(action);
+      if (applyAction(action)) {
+        fired += 1;
+        setLastAction(`OSC ${actionLabel(action)}`);
+      }
+    }
+    return fired;
+  }
+
+  function handleMessage(message, rinfo = {}) {
+    state.messages += 1;
+    state.lastMessage = {
+      address: message.address,
+      args: (message.args || []).map(arg => arg.value),
+      from: rinfo.address || "",
+      at: new Date().toISOString()
+    };
+
+    const learned = learn.handleMessage(message, oscArgNumber(message.args?.[0]));
+    if (learned && learned.action) {
+      setLastAction(`LEARNED ${actionLabel(learned.action)}`);
+      return;
+    }
+
+    const fired = handleBindings(message);
+    const builtin = fired > 0 ? null : handleBuiltinAddress(message);
+    if (builtin) setLastAction(`OSC ${actionLabel(builtin)}`);
+    if (fired > 0 || builtin) state.matched += 1;
+  }
+
+  function onPacket(buffer, rinfo) {
+    const config = learn.getConfig();
+    if (!config.allowPublicSources && !isPrivateOrLoopbackIpv4(rinfo?.address)) {
+      state.rejectedSources += 1;
+      return;
+    }
+    let messages = [];
+    try {
+      messages = decodeOscPacket(buffer);
+    } catch (err) {
+      state.decodeErrors += 1;
+      state.reason = `decode failed: ${err.message || err}`;
+      return;
+    }
+    for (const message of messages) {
+      handleMessage(message, rinfo);
+    }
+  }
+
+  function connect() {
+    closeSocket();
+    if (disposed) return false;
+
+    const config = learn.getConfig();
+    if (!config.enabled) {
+      state.reason = "osc disabled in config";
+      return false;
+    }
+
+    const next = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    socket = next;
+    state.reason = "binding";
+    next.on("message", onPacket);
+    next.on("error", err => {
+      state.reason = `osc socket error: ${err?.message || err}`;
+      log.warn?.("[OSC] socket error:", err?.message || err);
+      if (socket === next) closeSocket();
+    });
+    next.bind(config.port, config.host, () => {
+      if (socket !== next) return;
+      state.listening = true;
+      state.boundHost = config.host;
+      state.boundPort = next.address().port;
+      state.reason = "listening";
+      log.log?.(`[OSC] listening on ${config.host}:${state.boundPort} (${config.addressPrefix}/*)`);
+    });
+    return true;
+  }
+
+  function getStatus() {
+    return {
+      ok: true,
+      listening: state.listening,
+      boundHost: state.boundHost,
+      boundPort: state.boundPort,
+      config: learn.getConfig(),
+      actions: learn.getActions(),
+      builtinAddresses: OSC_BUILTIN_ADDRESSES.map(name => `${learn.getConfig().addressPrefix}/${name}`),
+      learn: learn.getLearnState(),
+      messages: state.messages,
+      matched: state.matched,
+      rejectedSources: state.rejectedSources,
+      decodeErrors: state.decodeErrors,
+      lastMessage: state.lastMessage,
+      lastAction: state.lastAction,
+      lastActionAt: state.lastActionAt,
+      reason: state.reason
+    };
+  }
+
+  connect();
+
+  return {
+    getStatus() {
+      return getStatus();
+    },
+
+    refresh() {
+      connect();
+      return getStatus();
+    },
+
+    applyConfig(patch = {}) {
+      learn.patchConfig(patch);
+      connect();
+      return getStatus();
+    },
+
+    startLearn(action) {
+      const ok = learn.startLearn(action);
+      if (ok) setLastAction(`OSC LEARN ARM ${actionLabel(learn.normalizeAction(action))}`);
+      return { ok, status: getStatus() };
+    },
+
+    cancelLearn() {
+      learn.cancelLearn();
+      setLastAction("OSC LEARN CANCELED");
+      return getStatus();
+    },
+
+    setBinding(action, binding = {}) {
+      const saved = learn.setBinding(action, binding);
+      if (saved) setLastAction(`OSC BINDING SAVED ${actionLabel(learn.normalizeAction(action))}`);
+      return { ok: Boolean(saved), status: getStatus() };
+    },
+
+    clearBinding(action) {
+      const removed = learn.clearBinding(action);
+      if (removed) setLastAction(`OSC BINDING CLEARED ${actionLabel(learn.normalizeAction(action))}`);
+      return { ok: removed, status: getStatus() };
+    },
+
+    resetBindings() {
+      learn.resetBindings();
+      setLastAction("OSC BINDINGS CLEARED");
+      return getStatus();
+    },
+
+    triggerAction(action) {
+      const ok = applyAction(learn.normalizeAction(action));
+      if (ok) setLastAction(`OSC TRIGGER ${actionLabel(learn.normalizeAction(action))}`);
+      return { ok, status: getStatus() };
+    },
+
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+      closeSocket();
+      state.reason = "disposed";
+    }
+  };
+};
@@ -0,0 +1,318 @@
+// [TITLE] Module: core/osc/osc-output.js
+// [TITLE] Purpose: broadcast engine analysis (bpm/beat/drop/bands/scene/palette) as OSC
+
+const fs = require("fs");
+const path = require("path");
+const dgram = require("dgram");
+const { encodeOscMessage, encodeOscBundle } = require("./osc-codec");
+const { normalizeOscAddress } = require("./osc-learn");
+const { normalizePrivateOrLoopbackIpv4 } = require("../utils/private-ipv4");
+
+const CONFIG_PATH = path.join(__dirname, "..", "osc.output.config.json");
+const OSC_OUTPUT_TICK_MS = 20;
+const MAX_TARGETS = 8;
+const MAX_PALETTE_COLORS = 16;
+
+// Minimum interval per address group in ms; 0 sends every change/hit, -1 mutes the group.
+const DEFAULT_RATES = Object.freeze({
+  bpm: 500,
+  beat: 0,
+  drop: 0,
+  bands: 50,
+  energy: 50,
+  scene: 1000,
+  color: 50,
+  palette: 1000
+});
+const RATE_GROUPS = Object.freeze(Object.keys(DEFAULT_RATES));
+
+const DEFAULT_CONFIG = Object.freeze({
+  version: 1,
+  enabled: false,
+  addressPrefix: "/ravelink/out",
+  targets: Object.freeze([]),
+  rates: DEFAULT_RATES
+});
+
+function clamp01(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : 0;
+}
+
+function toInt(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, Math.round(n)));
+}
+
+function normalizeTarget(raw) {
+  let host = "";
+  let port = 0;
+  if (typeof raw === "string") {
+    const match = raw.trim().match(/^([^:\s]+):(\d{1,5})$/);
+    if (!match) return null;
+    host = match[1];
+    port = Number(match[2]);
+  } else if (raw && typeof raw === "object") {
+    host = String(raw.host || "").trim();
+    port = Number(raw.port);
+  }
+  // Analysis stays on the LAN: private or loopback IPv4 receivers only.
+  host = normalizePrivateOrLoopbackIpv4(host);
+  if (!host || !Number.isInteger(port) || port < 1 || port > 65535) return null;
+  return { host, port };
+}
+
+function normalizeOscOutputConfig(rawConfig) {
+  const raw = rawConfig && typeof rawConfig === "object" ? rawConfig : {};
+  const targets = [];
+  for (const entry of Array.isArray(raw.targets) ? raw.targets : []) {
+    const target = normalizeTarget(entry);
+    if (!target || targets.some(item => item.host === target.host && item.port === target.port)) continue;
+    targets.push(target);
+    if (targets.length >= MAX_TARGETS) break;
+  }
+  const rawRates = raw.rates && typeof raw.rates === "object" ? raw.rates : {};
+  const rates = {};
+  for (const group of RATE_GROUPS) {
+    rates[group] = toInt(rawRates[group], -1, 60000, DEFAULT_RATES[group]);
+  }
+  return {
+    version: 1,
+    enabled: raw.enabled === true,
+    addressPrefix: normalizeOscAddress(raw.addressPrefix) || DEFAULT_CONFIG.addressPrefix,
+    targets,
+    rates
+  };
+}
+
+function createOscOutput(options = {}) {
+  const configPath = String(options.configPath || CONFIG_PATH);
+  const getTelemetry = typeof options.getTelemetry === "function" ? options.getTelemetry : () => ({});
+  // Resolved engine palette ([{ r, g, b }]); telemetry only carries it while
+  // a manual palette drives the lights.
+  const getPaletteColors = typeof options.getPaletteColors === "function" ? options.getPaletteColors : () => [];
+  const log = options.log || console;
+
+  const stats = {
+    packets: 0,
+    messages: 0,
+    sendErrors: 0,
+    lastError: "",
+    lastSentAt: 0
+  };
+  const lastSentAtByGroup = new Map();
+  const lastValueByGroup = new Map();
+  let beatCount = 0;
+  let dropCount = 0;
+  let socket = null;
+  let timer = null;
+
+  function loadConfig() {
+    try {
+      return normalizeOscOutputConfig(JSON.parse(fs.readFileSync(configPath, "utf8")));
+    } catch {
+      return normalizeOscOutputConfig(DEFAULT_CONFIG);
+    }
+  }
+
+  let config = loadConfig();
+
+  function saveConfig() {
+    try {
+      fs.mkdirSync(path.dirname(configPath), { recursive: true });
+      fs.writeFileSync(configPath, `${JSON.stringify(config, null, 2)}\n`, "utf8");
+    } catch (err) {
+      log.warn?.("[OSC][OUT] failed to save config:", err?.message || err);
+    }
+  }
+
+  function isActive() {
+    return config.enabled && config.targets.length > 0;
+  }
+
+  function ensureSocket() {
+    if (socket) return socket;
+    socket = dgram.createSocket("udp4");
+    socket.on("error", err => {
+      stats.sendErrors += 1;
+      stats.lastError = err?.message || String(err);
+    });
+    socket.unref?.();
+    return socket;
+  }
+
+  function closeSocket() {
+    if (!socket) return;
+    try {
+      socket.close();
+    } catch {}
+    socket = null;
+  }
+
+  function sendMessages(messages) {
+    if (!messages.length || !isActive()) return 0;
+    let packet = null;
+    try {
+      const encoded = messages.map(([address, args]) => encodeOscMessage(`${config.addressPrefix}${address}`, args));
+      packet = encoded.length === 1 ? encoded[0] : encodeOscBundle(encoded);
+    } catch (err) {
+      stats.sendErrors += 1;
+      stats.lastError = err?.message || String(err);
+      return 0;
+    }
+    const out = ensureSocket();
+    for (const target of config.targets) {
+      out.send(packet, target.port, target.host, err => {
+        if (!err) return;
+        stats.sendErrors += 1;
+        stats.lastError = err.message || String(err);
+      });
+    }
+    stats.packets += 1;
+    stats.messages += messages.length;
+    stats.lastSentAt = Date.now();
+    return messages.length;
+  }
+
+  // Rate gate per address group. `value` lets slow groups (scene) send as soon
+  // as they change instead of waiting out their resend interval.
+  function isGroupDue(group, now, value) {
+    const rate = config.rates[group];
+    if (rate < 0) return false;
+    const changed = value !== undefined && lastValueByGroup.get(group) !== value;
+    if (!changed && now - (lastSentAtByGroup.get(group) || 0) < rate) return false;
+    lastSentAtByGroup.set(group, now);
+    if (value !== undefined) lastValueByGroup.set(group, value);
+    return true;
+  }
+
+  function collectTelemetryMessages(telemetry = {}, now = Date.now()) {
+    const messages = [];
+    const bpm = Number(telemetry.bpm || 0);
+    if (isGroupDue("bpm", now)) {
+      messages.push(["/bpm", [{ type: "f", value: bpm }]]);
+    }
+    if (isGroupDue("bands", now)) {
+      const low = clamp01(telemetry.audioBandLow);
+      const mid = clamp01(telemetry.audioBandMid);
+      const high = clamp01(telemetry.audioBandHigh);
+      messages.push(["/band/low", [{ type: "f", value: low }]]);
+      messages.push(["/band/mid", [{ type: "f", value: mid }]]);
+      messages.push(["/band/high", [{ type: "f", value: high }]]);
+    }
+    if (isGroupDue("energy", now)) {
+      messages.push(["/energy", [{ type: "f", value: clamp01(telemetry.energy) }]]);
+    }
+    const scene = String(telemetry.scene || "");
+    if (scene && isGroupDue("scene", now, scene)) {
+      messages.push(["/scene", [{ type: "s", value: scene }]]);
+    }
+    const color = telemetry.hueColorOut && typeof telemetry.hueColorOut === "object"
+      ? telemetry.hueColorOut
+      : null;
+    if (color && isGroupDue("color", now)) {
+      messages.push(["/color", [color.r, color.g, color.b].map(v => ({ type: "f", value: clamp01(Number(v) / 255) }))]);
+    }
+    const paletteColors = getPaletteColors();
+    const palette = Array.isArray(paletteColors)
+      ? paletteColors.slice(0, MAX_PALETTE_COLORS)
+      : [];
+    const paletteKey = palette.map(c => `${c.r},${c.g},${c.b}`).join(";");
+    if (isGroupDue("palette", now, paletteKey)) {
+      messages.push(["/palette/count", [{ type: "i", value: palette.length }]]);
+      palette.forEach((entry, index) => {
+        messages.push([
+          `/palette/${index + 1}`,
+          [entry.r, entry.g, entry.b].map(v => ({ type: "f", value: clamp01(Number(v) / 255) }))
+        ]);
+      });
+    }
+    return messages;
+  }
+
+  function tick() {
+    if (!isActive()) return;
+    try {
+      sendMessages(collectTelemetryMessages(getTelemetry() || {}));
+    } catch (err) {
+      stats.sendErrors += 1;
+      stats.lastError = err?.message || String(err);
+    }
+  }
+
+  function syncTimer() {
+    if (isActive() && !timer) {
+      timer = setInterval(tick, OSC_OUTPUT_TICK_MS);
+      timer.unref?.();
+    } else if (!isActive() && timer) {
+      clearInterval(timer);
+      timer = null;
+      closeSocket();
+    }
+  }
+
+  // Beat/drop hits bypass the sampler so receivers see them on the engine tick they happen.
+  function sendPulse(pulse = {}) {
+    if (!isActive()) return 0;
+    const now = Number(pulse.at) || Date.now();
+    const messages = [];
+    if (pulse.beat) {
+      beatCount += 1;
+      if (isGroupDue("beat", now)) messages.push(["/beat", [{ type: "i", value: beatCount }]]);
+    }
+    if (pulse.drop) {
+      dropCount += 1;
+      if (isGroupDue("drop", now)) messages.push(["/drop", [{ type: "i", value: dropCount }]]);
+    }
+    return sendMessages(messages);
+  }
+
+  function getStatus() {
+    return {
+      ok: true,
+      active: isActive(),
+      config: JSON.parse(JSON.stringify(config)),
+      rateGroups: [...RATE_GROUPS],
+      beatCount,
+      dropCount,
+      ...stats
+    };
+  }
+
+  syncTimer();
+
+  return {
+    getStatus,
+    getConfig() {
+      return JSON.parse(JSON.stringify(config));
+    },
+    applyConfig(patch = {}) {
+      const next = patch && typeof patch === "object" ? patch : {};
+      config = normalizeOscOutputConfig({
+        ...config,
+        ...next,
+        rates: { ...config.rates, ...(next.rates && typeof next.rates === "object" ? next.rates : {}) }
+      });
+      saveConfig();
+      lastSentAtByGroup.clear();
+      lastValueByGroup.clear();
+      syncTimer();
+      return getStatus();
+    },
+    sendPulse,
+    flush: tick,
+    dispose() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      closeSocket();
+    }
+  };
+}
+
+module.exports = {
+  CONFIG_PATH,
+  DEFAULT_RATES,
+  normalizeOscOutputConfig,
+  createOscOutput
+};
@@ -0,0 +1,117 @@
+"use strict";
+
+const { PALETTE_FAMILY_ORDER, normalizePaletteFamilyId } = require("./family-spec");
+
+const KEY_COLOR_TONICS = Object.freeze(["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"]);
+const KEY_COLOR_VIVIDNESS_MIN = 0;
+const KEY_COLOR_VIVIDNESS_MAX = 4;
+// Neighbouring keys on the circle of fifths share a family, so a modulation
+// by a fifth stays in the same colour area and distant keys move across it.
+const KEY_COLOR_FAMILY_BY_TONIC = Object.freeze({
+  "A#": "red",
+  F: "red",
+  C: "red",
+  G: "yellow",
+  D: "yellow",
+  A: "green",
+  E: "green",
+  B: "cyan",
+  "F#": "cyan",
+  "C#": "blue",
+  "G#": "blue",
+  "D#": "blue"
+});
+const KEY_COLOR_VIVIDNESS_BY_MODE = Object.freeze({ major: 3, minor: 1 });
+
+function buildDefaultKeyColorMap() {
+  const map = {};
+  for (const tonic of KEY_COLOR_TONICS) {
+    const family = KEY_COLOR_FAMILY_BY_TONIC[tonic];
+    map[tonic] = Object.freeze({ family, vividness: KEY_COLOR_VIVIDNESS_BY_MODE.major });
+    map[`${tonic}m`] = Object.freeze({ family, vividness: KEY_COLOR_VIVIDNESS_BY_MODE.minor });
+  }
+  return Object.freeze(map);
+}
+
+const KEY_COLOR_MAP_DEFAULT = buildDefaultKeyColorMap();
+
+// "C", "c#m", "Bb minor", "A min" -> "C", "C#m", "A#m", "Am"; "" if unknown.
+function normalizeKeyColorMapKey(value) {
+  const match = /^([a-g])([#b]?)\s*(m|min|minor|maj|major)?$/i.exec(String(value || "").trim());
+  if (!match) return "";
+  const natural = KEY_COLOR_TONICS.indexOf(match[1].toUpperCase());
+  const shift = match[2] === "#" ? 1 : (match[2] ? -1 : 0);
+  const tonic = KEY_COLOR_TONICS[(natural + shift + 12) % 12];
+  const suffix = String(match[3] || "").toLowerCase();
+  return suffix === "m" || suffix.startsWith("min") ? `${tonic}m` : tonic;
+}
+
+function normalizeKeyColorEntry(raw, fallback) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const family = normalizePaletteFamilyId(source.family) || fallback.family;
+  const vividness = Number(source.vividness);
+  return {
+    family,
+    vividness: Number.isFinite(vividness)
+      ? Math.min(KEY_COLOR_VIVIDNESS_MAX, Math.max(KEY_COLOR_VIVIDNESS_MIN, Math.round(vividness)))
+      : fallback.vividness
+  };
+}
+
+// Full 24-key table; entries missing or invalid in the input keep the
+// fallback (default) mapping.
+function normalizeKeyColorMap(input, fallback = KEY_COLOR_MAP_DEFAULT) {
+  const base = fallback && typeof fallback === "object" ? fallback : KEY_COLOR_MAP_DEFAULT;
+  const raw = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  const patch = {};
+  for (const [rawKey, rawEntry] of Object.entries(raw)) {
+    const key = normalizeKeyColorMapKey(rawKey);
+    if (key) patch[key] = rawEntry;
+  }
+  const map = {};
+  for (const key of Object.keys(KEY_COLOR_MAP_DEFAULT)) {
+    const fallbackEntry = normalizeKeyColorEntry(base[key], KEY_COLOR_MAP_DEFAULT[key]);
+    map[key] = Object.prototype.hasOwnProperty.call(patch, key)
+      ? normalizeKeyColorEntry(patch[key], fallbackEntry)
+      : fallbackEntry;
+  }
+  return map;
+}
+
+function resolveKeyColor(map, key, mode) {
+  const name = normalizeKeyColorMapKey(`${key || ""}${mode === "minor" ? "m" : ""}`);
+  if (!name) return null;
+  const entry = (map && map[name]) || KEY_COLOR_MAP_DEFAULT[name];
+  return { key: name, family: entry.family, vividness: entry.vividness };
+}
+
+// Closest selected family to `family` along the red..blue order, so a key
+// mapped to an unselected family still lands on a neighbouring colour.
+function pickNearestKeyColorFamily(family, selectedFamilies = []) {
+  const selected = Array.isArray(selectedFamilies) ? selectedFamilies : [];
+  if (!selected.length) return "";
+  if (selected.includes(family)) return family;
+  const target = PALETTE_FAMILY_ORDER.indexOf(family);
+  let best = selected[0];
+  let bestDistance = Infinity;
+  for (const candidate of selected) {
+    const index = PALETTE_FAMILY_ORDER.indexOf(candidate);
+    const distance = Math.min(
+      Math.abs(index - target),
+      PALETTE_FAMILY_ORDER.length - Math.abs(index - target)
+    );
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  KEY_COLOR_MAP_DEFAULT,
+  normalizeKeyColorMapKey,
+  normalizeKeyColorMap,
+  resolveKeyColor,
+  pickNearestKeyColorFamily
+};
@@ -28,12 +28,23 @@
 const { parseBooleanLoose } = require("./utils/booleans");
 const { hsvToRgb255: convertHsvToRgb255 } = require("./utils/hsv-rgb");
 const { createRavePaletteColorTools } = require("./rave-engine/palette-color-tools");
+const { createBarTracker, normalizePhraseBars } = require("./rave-engine/bar-tracker");
 const {
   PALETTE_COLOR_COUNT_OPTIONS,
   PALETTE_FAMILY_DEFS,
   PALETTE_FAMILY_ALIASES,
   resolvePaletteFamilyIndexSpan
 } = require("./palette/family-spec");
+const {
+  normalizeKeyColorMap,
+  resolveKeyColor,
+  pickNearestKeyColorFamily
+} = require("./palette/key-color-map");
+const {
+  normalizeSceneList,
+  buildSceneRenderDef,
+  pickAutoScene
+} = require("./rave-engine/scene-spec");
 
 module.exports = function createRaveEngine(controls) {
   if (!controls || typeof controls.emit !== "function") {
@@ -273,13 +284,21 @@ module.exports = function createRaveEngine(controls) {
     brightnessSourceLevel: 0,
     hueBrightnessOut: 0,
     wizBrightnessOut: 0,
+    hueColorOut: { r: 0, g: 0, b: 0 },
+    paletteColors: [],
+    tempoSource: "audio",
+    beatPhase: 0,
+    externalTempoBpm: 0,
+    externalTempoRunning: false,
     onsetTempoBpm: 0,
     onsetTempoConfidence: 0,
     beatHintBpm: 0,
     phase: 0,
     behavior: "idle",
     scene: "idle_soft",
+    sceneBehavior: "idle",
     sceneAgeMs: 0,
+    userSceneCount: 0,
     genre: "auto",
     paletteFamilies: "red,green,blue",
     paletteColorsPerFamily: 3,
@@ -288,6 +307,7 @@ module.exports = function createRaveEngine(controls) {
     paletteDisorderAggression: 0.35,
     paletteCycleMode: "on_trigger",
     paletteTimedIntervalSec: 5,
+    paletteTimedIntervalBars: 0,
     paletteBeatLock: false,
     paletteBeatLockGraceSec: 2,
     paletteReactiveMargin: 28,
@@ -295,10 +315,22 @@ module.exports = function createRaveEngine(controls) {
     paletteBrightnessFollowAmount: 1,
     paletteSpectrumMapMode: "auto",
     paletteSpectrumFeatureMap: ["lows", "mids", "highs", "rms", "flux"],
+    paletteKey: "",
+    paletteKeyFamily: "",
+    paletteKeyVividness: 0,
     mode: "interpret",
     modeLock: "interpret",
     overclockLevel: DEFAULT_OVERCLOCK_LEVEL,
     phrase: "neutral",
+    beatInBar: 0,
+    barIndex: 0,
+    barInPhrase: 0,
+    phraseIndex: 0,
+    phraseBars: 16,
+    downbeat: false,
+    phraseStart: false,
+    barSource: "",
+    phraseReason: "",
     drop: false,
     dropDetectionEnabled: dropDetectionEnabled,
     intensity: 0,
@@ -309,6 +341,14 @@ module.exports = function createRaveEngine(controls) {
     audioBandMid: 0,
     audioBandHigh: 0,
     audioFlux: 0,
+    audioRanges: {},
+    audioCentroid: 0,
+    audioStereo: null,
+    audioBalance: 0,
+    audioWidth: 0,
+    audioKey: "",
+    audioKeyMode: "",
+    audioKeyConfidence: 0,
     audioProfile: "auto",
     genreRefTrack: "",
     genreRefBpm: 0,
@@ -371,6 +411,14 @@ module.exports = function createRaveEngine(controls) {
   let audioBandMid = 0;
   let audioBandHigh = 0;
   let audioFlux = 0;
+  let audioRanges = {};
+  let audioCentroid = 0;
+  let audioStereo = null;
+  let audioBalance = 0;
+  let audioWidth = 0;
+  let audioKey = "";
+  let audioKeyMode = "";
+  let audioKeyConfidence = 0;
   let energy = 0;
 
   function setAudioLevel(v) {
@@ -390,6 +438,37 @@ module.exports = function createRaveEngine(controls) {
       audioBandMid = clamp(v.bandMid ?? 0, 0, 1);
       audioBandHigh = clamp(v.bandHigh ?? 0, 0, 1);
       audioFlux = clamp(v.spectralFlux ?? 0, 0, 1);
+      // FFT named ranges (kick, hats, ...) and centroid when the audio
+      // engine runs its spectrum stage; absent otherwise.
+      const spectrum = v.spectrum && typeof v.spectrum === "object" && v.spectrum.enabled !== false
+        ? v.spectrum
+        : null;
+      audioRanges = {};
+      for (const [name, value] of Object.entries(spectrum?.ranges || {})) {
+        audioRanges[name] = clamp(Number(value) || 0, 0, 1);
+      }
+      audioCentroid = clamp(Number(spectrum?.centroid) || 0, 0, 1);
+      // Per-side levels and bands from the stereo stage; null for mono
+      // input so side-mapped fixtures fall back to the mixed signal.
+      const stereo = v.stereo && typeof v.stereo === "object" && Number(v.stereo.channels) > 1
+        ? v.stereo
+        : null;
+      const readSide = side => ({
+        level: clamp(Number(side?.level) || 0, 0, 1),
+        bandLow: clamp(Number(side?.bandLow) || 0, 0, 1),
+        bandMid: clamp(Number(side?.bandMid) || 0, 0, 1),
+        bandHigh: clamp(Number(side?.bandHigh) || 0, 0, 1)
+      });
+      audioStereo = stereo ? { left: readSide(stereo.left), right: readSide(stereo.right) } : null;
+      audioBalance = stereo ? clamp(Number(stereo.balance) || 0, -1, 1) : 0;
+      audioWidth = stereo ? clamp(Number(stereo.width) || 0, 0, 1) : 0;
+      // The key estimate is already held over its own window, so it is
+      // kept through quiet passages rather than cleared with the levels.
+      if (v.key && typeof v.key === "object") {
+        audioKey = typeof v.key.key === "string" ? v.key.key : "";
+        audioKeyMode = v.key.mode === "minor" ? "minor" : (audioKey ? "major" : "");
+        audioKeyConfidence = clamp(Number(v.key.confidence) || 0, 0, 1);
+      }
     } else {
       audio = 0;
       audioRms = 0;
@@ -400,6 +479,11 @@ module.exports = function createRaveEngine(controls) {
       audioBandMid = 0;
       audioBandHigh = 0;
       audioFlux = 0;
+      audioRanges = {};
+      audioCentroid = 0;
+      audioStereo = null;
+      audioBalance = 0;
+      audioWidth = 0;
     }
 
     // Near-silence deadzone to suppress interface/device noise floor.
@@ -423,6 +507,11 @@ module.exports = function createRaveEngine(controls) {
       audioBandMid = 0;
       audioBandHigh = 0;
       audioFlux = 0;
+      audioRanges = {};
+      audioCentroid = 0;
+      audioStereo = null;
+      audioBalance = 0;
+      audioWidth = 0;
     }
 
     telemetry.rms = audio;
@@ -435,6 +524,15 @@ module.exports = function createRaveEngine(controls) {
     telemetry.audioBandMid = audioBandMid;
     telemetry.audioBandHigh = audioBandHigh;
     telemetry.audioFlux = audioFlux;
+    telemetry.audioRanges = audioRanges;
+    telemetry.audioCentroid = audioCentroid;
+    telemetry.audioStereo = audioStereo;
+    telemetry.audioBalance = audioBalance;
+    telemetry.audioWidth = audioWidth;
+    telemetry.audioKey = audioKey;
+    telemetry.audioKeyMode = audioKeyMode;
+    telemetry.audioKeyConfidence = audioKeyConfidence;
+    applyManualPaletteKeyTelemetry();
   }
 
   /* =========================
@@ -2001,6 +2099,111 @@ module.exports = function createRaveEngine(controls) {
     );
   }
 
+  /* =========================
+    USER SCENES
+  ========================= */
+  // Authored scenes (core/scenes.config.json via the server). A user scene
+  // with a built-in id replaces it; `default` replaces BEHAVIOR_SCENE_DEFAULTS.
+  const BUILTIN_SCENE_TEMPLATES = Object.freeze({
+    idle: "idle_soft",
+    flow: "flow_wash",
+    pulse: "pulse_strobe"
+  });
+  let userScenes = new Map();
+  let userAutoFlowScenes = [];
+  let userBehaviorDefaults = {};
+
+  function buildUserSceneEntry(scene) {
+    const template = SCENES[BUILTIN_SCENE_TEMPLATES[scene.behavior]] || {};
+    const def = buildSceneRenderDef(scene, template);
+    const tuned = tunePaletteArrayVibrancy(scene.palette, {
+      satBoost: scene.behavior === "pulse" ? 0.62 : 0.44,
+      minSat: scene.behavior === "pulse" ? 0.9 : 0.78,
+      minValue: 0.28,
+      maxValue: 1,
+      softEvery: 0,
+      preserveNeutralBelow: 0.08
+    });
+    const wizPalette = reorderPaletteForContrast(
+      normalizeWizDistinctPalette(tuned, Math.max(3, tuned.length)),
+      true
+    );
+    // Flow hue walks the palette hues the same way FLOW_HUE_PALETTES anchors do.
+    const flowHue = {
+      anchors: scene.palette.map(color => Math.round((rgbToHsv(color).h / 360) * 65535) % 65535),
+      swing: Math.min(def.hueSwing || 3600, 3600),
+      stride: 4,
+      step: Math.max(40, Math.round((def.hueStep || 340) * 0.6)),
+      micro: 700,
+      drift: 480
+    };
+    return { scene, def, wizPalette, flowHue };
+  }
+
+  function setUserScenes(list) {
+    const { scenes } = normalizeSceneList(list);
+    userScenes = new Map(scenes.map(scene => [scene.id, buildUserSceneEntry(scene)]));
+    userAutoFlowScenes = scenes.filter(scene => scene.behavior === "flow" && scene.auto);
+    userBehaviorDefaults = {};
+    for (const scene of scenes) {
+      if (scene.default) userBehaviorDefaults[scene.behavior] = scene.id;
+    }
+    telemetry.userSceneCount = userScenes.size;
+    // Drop locks and held scenes that no longer exist.
+    if (forcedScene && forcedScene !== FLOW_DYNAMIC_LOCK && !getSceneDef(forcedScene)) {
+      forcedScene = null;
+      forcedSceneInput = null;
+    }
+    if (!getSceneDef(stableScene)) stableScene = getBehaviorDefaultScene(getSceneBehavior(stableScene));
+    if (!getSceneDef(sceneCandidate)) sceneCandidate = stableScene;
+    if (!getSceneDef(autoFlowStableScene)) autoFlowStableScene = getBehaviorDefaultScene("flow");
+    if (!getSceneDef(autoFlowCandidateScene)) autoFlowCandidateScene = autoFlowStableScene;
+    return scenes.length;
+  }
+
+  function getSceneDef(sceneName) {
+    const entry = userScenes.get(sceneName);
+    if (entry) return entry.def;
+    return SCENES[sceneName] || null;
+  }
+
+  function getSceneBehavior(sceneName) {
+    const name = String(sceneName || "").trim().toLowerCase();
+    const entry = userScenes.get(name);
+    if (entry) return entry.scene.behavior;
+    if (name === "pulse_strobe") return "pulse";
+    if (name.startsWith("flow_")) return "flow";
+    return "idle";
+  }
+
+  function getBehaviorDefaultScene(behavior) {
+    return userBehaviorDefaults[behavior] || BEHAVIOR_SCENE_DEFAULTS[behavior] || "idle_soft";
+  }
+
+  function getSceneFlowHue(sceneName) {
+    const entry = userScenes.get(sceneName);
+    return entry ? entry.flowHue : FLOW_HUE_PALETTES[sceneName];
+  }
+
+  function getSceneCatalog() {
+    const builtin = Object.keys(SCENES).map(id => ({
+      id,
+      behavior: getSceneBehavior(id),
+      source: userScenes.has(id) ? "user" : "builtin"
+    }));
+    const user = [...userScenes.keys()]
+      .filter(id => !SCENES[id])
+      .map(id => ({ id, behavior: userScenes.get(id).scene.behavior, source: "user" }));
+    return {
+      scenes: builtin.concat(user),
+      defaults: {
+        idle: getBehaviorDefaultScene("idle"),
+        flow: getBehaviorDefaultScene("flow"),
+        pulse: getBehaviorDefaultScene("pulse")
+      }
+    };
+  }
+
   const MANUAL_PALETTE_COLOR_COUNT_OPTIONS = PALETTE_COLOR_COUNT_OPTIONS;
   const MANUAL_PALETTE_FAMILY_DEFS = PALETTE_FAMILY_DEFS;
   const MANUAL_PALETTE_FAMILY_ALIASES = PALETTE_FAMILY_ALIASES;
@@ -2009,7 +2212,8 @@ module.exports = function createRaveEngine(controls) {
     "on_trigger",
     "timed_cycle",
     "reactive_shift",
-    "spectrum_mapper"
+    "spectrum_mapper",
+    "key_mapper"
   ]);
   const MANUAL_PALETTE_BRIGHTNESS_MODE_ORDER = Object.freeze(["legacy", "test"]);
   const MANUAL_PALETTE_SPECTRUM_MAP_MODE_ORDER = Object.freeze(["auto", "manual"]);
@@ -2044,6 +2248,8 @@ module.exports = function createRaveEngine(controls) {
   ]);
   const MANUAL_PALETTE_TIMED_INTERVAL_MIN_SEC = 2;
   const MANUAL_PALETTE_TIMED_INTERVAL_MAX_SEC = 60;
+  // 0 keeps timed_cycle on seconds; 1-64 advances on bar boundaries instead.
+  const MANUAL_PALETTE_TIMED_INTERVAL_MAX_BARS = 64;
   const MANUAL_PALETTE_BEAT_LOCK_GRACE_MIN_SEC = 0;
   const MANUAL_PALETTE_BEAT_LOCK_GRACE_MAX_SEC = 8;
   const MANUAL_PALETTE_REACTIVE_MARGIN_MIN = 5;
@@ -2065,6 +2271,7 @@ module.exports = function createRaveEngine(controls) {
     disorderAggression: 0.35,
     cycleMode: "on_trigger",
     timedIntervalSec: 5,
+    timedIntervalBars: 0,
     beatLock: false,
     beatLockGraceSec: 2,
     reactiveMargin: 28,
@@ -2165,6 +2372,18 @@ module.exports = function createRaveEngine(controls) {
     return DEFAULT_MANUAL_PALETTE_CONFIG.timedIntervalSec;
   }
 
+  function normalizeManualPaletteTimedIntervalBars(value, fallback = DEFAULT_MANUAL_PALETTE_CONFIG.timedIntervalBars) {
+    const parsed = Number(value);
+    if (Number.isFinite(parsed)) {
+      return clamp(Math.round(parsed), 0, MANUAL_PALETTE_TIMED_INTERVAL_MAX_BARS);
+    }
+    const fallbackNum = Number(fallback);
+    if (Number.isFinite(fallbackNum)) {
+      return clamp(Math.round(fallbackNum), 0, MANUAL_PALETTE_TIMED_INTERVAL_MAX_BARS);
+    }
+    return DEFAULT_MANUAL_PALETTE_CONFIG.timedIntervalBars;
+  }
+
   function normalizeManualPaletteBeatLockGraceSec(value, fallback = DEFAULT_MANUAL_PALETTE_CONFIG.beatLockGraceSec) {
     const parsed = Number(value);
     if (Number.isFinite(parsed)) {
@@ -2493,6 +2712,10 @@ module.exports = function createRaveEngine(controls) {
     process.env.RAVE_MANUAL_PALETTE_TIMED_INTERVAL_SEC,
     DEFAULT_MANUAL_PALETTE_CONFIG.timedIntervalSec
   );
+  let manualPaletteTimedIntervalBars = normalizeManualPaletteTimedIntervalBars(
+    process.env.RAVE_MANUAL_PALETTE_TIMED_INTERVAL_BARS,
+    DEFAULT_MANUAL_PALETTE_CONFIG.timedIntervalBars
+  );
   let manualPaletteBeatLock = parseBool(
     process.env.RAVE_MANUAL_PALETTE_BEAT_LOCK,
     DEFAULT_MANUAL_PALETTE_CONFIG.beatLock
@@ -2552,6 +2775,7 @@ module.exports = function createRaveEngine(controls) {
       disorderAggression: manualPaletteDisorderAggression,
       cycleMode: manualPaletteCycleMode,
       timedIntervalSec: manualPaletteTimedIntervalSec,
+      timedIntervalBars: manualPaletteTimedIntervalBars,
       beatLock: Boolean(manualPaletteBeatLock),
       beatLockGraceSec: manualPaletteBeatLockGraceSec,
       reactiveMargin: manualPaletteReactiveMargin,
@@ -2607,6 +2831,13 @@ module.exports = function createRaveEngine(controls) {
           DEFAULT_MANUAL_PALETTE_CONFIG.timedIntervalSec
         )
       ),
+      timedIntervalBars: normalizeManualPaletteTimedIntervalBars(
+        raw.timedIntervalBars,
+        normalizeManualPaletteTimedIntervalBars(
+          safeFallback.timedIntervalBars,
+          DEFAULT_MANUAL_PALETTE_CONFIG.timedIntervalBars
+        )
+      ),
       beatLock: Object.prototype.hasOwnProperty.call(raw, "beatLock")
         ? parseBool(raw.beatLock, Boolean(safeFallback.beatLock))
         : Boolean(safeFallback.beatLock),
@@ -2670,14 +2901,47 @@ module.exports = function createRaveEngine(controls) {
     return normalizeManualPaletteConfigSnapshot(override, base);
   }
 
+  // Key-to-colour table for the key_mapper cycle mode (see
+  // core/palette/key-color-map.js); the server persists and pushes it.
+  let manualPaletteKeyColorMap = normalizeKeyColorMap(null);
+
+  // Mapping for the audio engine's held key, or null until one is stable.
+  function getManualPaletteKeyColor() {
+    return telemetry.audioKey
+      ? resolveKeyColor(manualPaletteKeyColorMap, telemetry.audioKey, telemetry.audioKeyMode)
+      : null;
+  }
+
+  function applyManualPaletteKeyTelemetry() {
+    const keyColor = getManualPaletteKeyColor();
+    telemetry.paletteKey = keyColor ? keyColor.key : "";
+    telemetry.paletteKeyFamily = keyColor ? keyColor.family : "";
+    telemetry.paletteKeyVividness = keyColor ? keyColor.vividness : 0;
+  }
+
+  // key_mapper takes vividness from the key table rather than the config.
+  function applyManualPaletteKeyVividness(config) {
+    if (!config || config.cycleMode !== "key_mapper") return config;
+    const keyColor = getManualPaletteKeyColor();
+    return keyColor ? { ...config, vividness: keyColor.vividness } : config;
+  }
+
+  function setManualPaletteKeyColorMap(map) {
+    manualPaletteKeyColorMap = normalizeKeyColorMap(map, manualPaletteKeyColorMap);
+    applyManualPaletteKeyTelemetry();
+    return { ...manualPaletteKeyColorMap };
+  }
+
   function getManualPaletteConfig(brandKey = null) {
     const key = normalizeManualPaletteBrandKey(brandKey);
+    const keyColor = getManualPaletteKeyColor();
     if (key) {
       const resolved = getManualPaletteConfigForBrand(key);
       return {
         ...resolved,
         brand: key,
-        override: Boolean(manualPaletteBrandOverrides[key])
+        override: Boolean(manualPaletteBrandOverrides[key]),
+        keyColor
       };
     }
 
@@ -2692,7 +2956,8 @@ module.exports = function createRaveEngine(controls) {
 
     return {
       ...normalizeManualPaletteConfigSnapshot(globalConfig, DEFAULT_MANUAL_PALETTE_CONFIG),
-      brands
+      brands,
+      keyColor
     };
   }
 
@@ -2704,6 +2969,7 @@ module.exports = function createRaveEngine(controls) {
     telemetry.paletteDisorderAggression = manualPaletteDisorderAggression;
     telemetry.paletteCycleMode = manualPaletteCycleMode;
     telemetry.paletteTimedIntervalSec = manualPaletteTimedIntervalSec;
+    telemetry.paletteTimedIntervalBars = manualPaletteTimedIntervalBars;
     telemetry.paletteBeatLock = Boolean(manualPaletteBeatLock);
     telemetry.paletteBeatLockGraceSec = manualPaletteBeatLockGraceSec;
     telemetry.paletteReactiveMargin = manualPaletteReactiveMargin;
@@ -2757,6 +3023,12 @@ module.exports = function createRaveEngine(controls) {
         current.timedIntervalSec
       );
     }
+    if (hasOwn(patch, "timedIntervalBars")) {
+      updated.timedIntervalBars = normalizeManualPaletteTimedIntervalBars(
+        patch.timedIntervalBars,
+        current.timedIntervalBars
+      );
+    }
     if (hasOwn(patch, "beatLock")) {
       updated.beatLock = parseBool(patch.beatLock, Boolean(current.beatLock));
     }
@@ -2834,6 +3106,7 @@ module.exports = function createRaveEngine(controls) {
       disorderAggression: manualPaletteDisorderAggression,
       cycleMode: manualPaletteCycleMode,
       timedIntervalSec: manualPaletteTimedIntervalSec,
+      timedIntervalBars: manualPaletteTimedIntervalBars,
       beatLock: manualPaletteBeatLock,
       beatLockGraceSec: manualPaletteBeatLockGraceSec,
       reactiveMargin: manualPaletteReactiveMargin,
@@ -2851,6 +3124,7 @@ module.exports = function createRaveEngine(controls) {
     manualPaletteDisorderAggression = globalUpdated.disorderAggression;
     manualPaletteCycleMode = globalUpdated.cycleMode;
     manualPaletteTimedIntervalSec = globalUpdated.timedIntervalSec;
+    manualPaletteTimedIntervalBars = globalUpdated.timedIntervalBars;
     manualPaletteBeatLock = globalUpdated.beatLock;
     manualPaletteBeatLockGraceSec = globalUpdated.beatLockGraceSec;
     manualPaletteReactiveMargin = globalUpdated.reactiveMargin;
@@ -3195,6 +3469,7 @@ module.exports = function createRaveEngine(controls) {
       String(Math.round(normalizeManualPaletteDisorderAggression(normalized.disorderAggression, 0.35) * 1000)),
       normalizeManualPaletteCycleMode(normalized.cycleMode, DEFAULT_MANUAL_PALETTE_CONFIG.cycleMode),
       String(normalizeManualPaletteTimedIntervalSec(normalized.timedIntervalSec, DEFAULT_MANUAL_PALETTE_CONFIG.timedIntervalSec)),
+      String(normalizeManualPaletteTimedIntervalBars(normalized.timedIntervalBars, DEFAULT_MANUAL_PALETTE_CONFIG.timedIntervalBars)),
       normalized.beatLock ? "1" : "0",
       String(normalizeManualPaletteBeatLockGraceSec(normalized.beatLockGraceSec, DEFAULT_MANUAL_PALETTE_CONFIG.beatLockGraceSec)),
       String(normalizeManualPaletteReactiveMargin(normalized.reactiveMargin, DEFAULT_MANUAL_PALETTE_CONFIG.reactiveMargin)),
@@ -3241,6 +3516,9 @@ module.exports = function createRaveEngine(controls) {
         (isBeat || isDrop) ? 0.62 : 0
       ),
       phrase: String(telemetry.phrase || "").trim().toLowerCase(),
+      barSource: telemetry.barSource,
+      barIndex: telemetry.barIndex,
+      phraseIndex: telemetry.phraseIndex,
       scene: String(sceneName || telemetry.scene || "").trim().toLowerCase()
     };
   }
@@ -3316,8 +3594,33 @@ module.exports = function createRaveEngine(controls) {
     return bestIndex;
   }
 
+  // Bar mode: advance once `timedIntervalBars` bars have passed since the
+  // last change, re-aligning on every phrase start. Falls back to seconds
+  // until the bar tracker has a grid.
+  function shouldAdvanceManualPaletteTimedBars(state = {}, intervalBars = 1, signal = {}) {
+    const barIndex = Math.max(0, Math.floor(Number(signal.barIndex) || 0));
+    const phraseIndex = Math.max(0, Math.floor(Number(signal.phraseIndex) || 0));
+    if (!(Number(state.lastAdvanceBar) >= 0) || barIndex < Number(state.lastAdvanceBar)) {
+      state.lastAdvanceBar = barIndex;
+      state.lastAdvancePhrase = phraseIndex;
+      return false;
+    }
+    const barsSince = barIndex - Number(state.lastAdvanceBar);
+    const phraseTurned = phraseIndex !== Number(state.lastAdvancePhrase) && barsSince > 0;
+    if (barsSince < intervalBars && !phraseTurned) return false;
+    state.lastAdvanceBar = barIndex;
+    state.lastAdvancePhrase = phraseIndex;
+    state.lastAdvanceAt = Number(signal.nowMs || Date.now());
+    state.waitStartAt = 0;
+    return true;
+  }
+
   function shouldAdvanceManualPaletteTimed(state = {}, config = {}, options = {}, signal = {}) {
     const nowMs = Number(signal.nowMs || Date.now());
+    const intervalBars = normalizeManualPaletteTimedIntervalBars(config.timedIntervalBars, 0);
+    if (intervalBars > 0 && signal.barSource) {
+      return shouldAdvanceManualPaletteTimedBars(state, intervalBars, signal);
+    }
     const intervalMs = normalizeManualPaletteTimedIntervalSec(
       config.timedIntervalSec,
       DEFAULT_MANUAL_PALETTE_CONFIG.timedIntervalSec
@@ -3466,6 +3769,8 @@ module.exports = function createRaveEngine(controls) {
       state.lastSignal = null;
       state.lastSpectrumIndex = baseGroupIndex;
       state.lastSpectrumSwitchAt = 0;
+      state.lastAdvanceBar = -1;
+      state.lastAdvancePhrase = -1;
     }
     let index = getManualPaletteGroupBaseForLayout(
       getManualPaletteGroupIndexForLayout(state.index, groupLayout, len),
@@ -3518,6 +3823,27 @@ module.exports = function createRaveEngine(controls) {
       };
     }
 
+    if (mode === "key_mapper") {
+      // Jump to the group of the key's family (or its nearest selected
+      // neighbour); hold the current group until a key is stable.
+      const keyColor = getManualPaletteKeyColor();
+      const families = normalizeManualPaletteFamilies(config.families, DEFAULT_MANUAL_PALETTE_CONFIG.families);
+      const groupIndex = keyColor
+        ? families.indexOf(pickNearestKeyColorFamily(keyColor.family, families))
+        : -1;
+      if (groupIndex >= 0 && groupIndex < groupCount) {
+        index = getManualPaletteGroupBaseForLayout(groupIndex, groupLayout, len);
+        state.index = index;
+        state.lastSpectrumIndex = groupIndex;
+      }
+      const emitIndex = applyGroupColorOffset();
+      return {
+        emitIndex,
+        index,
+        advanced: index !== baseGroupStart
+      };
+    }
+
     if (mode === "timed_cycle") {
       const shouldAdvance = shouldAdvanceManualPaletteTimed(state, config, options, signal);
       if (shouldAdvance) {
@@ -6642,7 +6968,9 @@ module.exports = function createRaveEngine(controls) {
       waitStartAt: 0,
       lastSignal: null,
       lastSpectrumIndex: 0,
-      lastSpectrumSwitchAt: 0
+      lastSpectrumSwitchAt: 0,
+      lastAdvanceBar: -1,
+      lastAdvancePhrase: -1
     },
     wiz: {
       index: 0,
@@ -6653,7 +6981,9 @@ module.exports = function createRaveEngine(controls) {
       waitStartAt: 0,
       lastSignal: null,
       lastSpectrumIndex: 0,
-      lastSpectrumSwitchAt: 0
+      lastSpectrumSwitchAt: 0,
+      lastAdvanceBar: -1,
+      lastAdvancePhrase: -1
     }
   };
   const SCENE_LOCK_ALIASES = Object.freeze({
@@ -7167,6 +7497,18 @@ function pickAutoFlowScene() {
   );
   const drive = getEnergyDrive();
 
+  if (userAutoFlowScenes.length) {
+    const userScene = pickAutoScene(userAutoFlowScenes, {
+      drive,
+      motion,
+      intensity,
+      bandLow: audioBandLow,
+      bandMid: audioBandMid,
+      bandHigh: audioBandHigh
+    });
+    if (userScene) return userScene;
+  }
+
   if (
     telemetry.drop ||
     (audioFlux > 0.32 && drive > 0.28) ||
@@ -7186,7 +7528,7 @@ function pickAutoFlowScene() {
   if (drive < 0.12 && motion < 0.16) {
     return "flow_sunset";
   }
-  return "flow_wash";
+  return getBehaviorDefaultScene("flow");
 }
 
   function resolveFlowScene(now = Date.now()) {
@@ -7244,6 +7586,8 @@ function pickAutoFlowScene() {
 function normalizeSceneLock(sceneName) {
   const raw = String(sceneName || "").trim().toLowerCase();
   if (!raw || raw === "auto") return null;
+  if (raw === "idle" || raw === "pulse") return getBehaviorDefaultScene(raw);
+  if (userScenes.has(raw)) return raw;
   if (SCENE_LOCK_ALIASES[raw]) return SCENE_LOCK_ALIASES[raw];
   if (SCENES[raw]) return raw;
   return null;
@@ -7273,7 +7617,7 @@ function resolveWizScene(now = Date.now()) {
     return flowScene;
   }
 
-  return BEHAVIOR_SCENE_DEFAULTS[behavior] || "idle_soft";
+  return getBehaviorDefaultScene(behavior);
 }
 
 function updateMode() {
@@ -7467,6 +7811,17 @@ function getModeSwitchBias() {
   let lastBeatTime = 0;
   let beatIntervals = [];
   let beatEnergyAtLast = 0;
+  // External tempo (MIDI clock): authoritative while updates keep arriving.
+  const EXTERNAL_TEMPO_TIMEOUT_MS = 1000;
+  let externalTempo = {
+    source: "",
+    bpm: 0,
+    running: false,
+    beatIndex: 0,
+    beatPhase: 0,
+    updatedAt: 0
+  };
+  let externalTempoConsumedBeatIndex = -1;
   const BPM_INTERVAL_MIN_MS = 260;
   const BPM_INTERVAL_MAX_MS = 1500;
   const ONSET_TEMPO_MIN_BPM = 70;
@@ -7863,6 +8218,60 @@ function getModeSwitchBias() {
     return clamp(lerp(previousBpm, best, alpha), 55, 190);
   }
 
+  function getActiveExternalTempo(now = Date.now()) {
+    if (!(externalTempo.bpm > 0)) return null;
+    if ((now - externalTempo.updatedAt) > EXTERNAL_TEMPO_TIMEOUT_MS) return null;
+    return externalTempo;
+  }
+
+  function setExternalTempo(update = {}) {
+    const bpm = Number(update.bpm);
+    const source = String(update.source || externalTempo.source || "external").trim().toLowerCase();
+    externalTempo = {
+      source,
+      bpm: Number.isFinite(bpm) && bpm > 0 ? clamp(bpm, 20, 300) : externalTempo.bpm,
+      running: update.running === undefined ? externalTempo.running : Boolean(update.running),
+      beatIndex: Number.isInteger(update.beatIndex) ? update.beatIndex : externalTempo.beatIndex,
+      beatPhase: clamp(Number(update.beatPhase) || 0, 0, 1),
+      updatedAt: Date.now()
+    };
+    return { ...externalTempo };
+  }
+
+  function clearExternalTempo(source = "") {
+    const key = String(source || "").trim().toLowerCase();
+    if (key && externalTempo.source && key !== externalTempo.source) return false;
+    externalTempo = {
+      source: "",
+      bpm: 0,
+      running: false,
+      beatIndex: 0,
+      beatPhase: 0,
+      updatedAt: 0
+    };
+    externalTempoConsumedBeatIndex = -1;
+    return true;
+  }
+
+  function updateTempoSourceTelemetry(now) {
+    const clock = getActiveExternalTempo(now);
+    if (clock) {
+      telemetry.tempoSource = clock.source || "external";
+      telemetry.bpm = clock.bpm;
+      telemetry.externalTempoBpm = clock.bpm;
+      telemetry.externalTempoRunning = clock.running;
+      telemetry.beatPhase = clock.running ? clock.beatPhase : 0;
+      return;
+    }
+    telemetry.tempoSource = "audio";
+    telemetry.externalTempoBpm = 0;
+    telemetry.externalTempoRunning = false;
+    const bpm = Number(telemetry.bpm || 0);
+    telemetry.beatPhase = bpm > 0 && lastBeatTime > 0
+      ? clamp(((now - lastBeatTime) * bpm) / 60000, 0, 1)
+      : 0;
+  }
+
   function registerBeat(now, options = {}) {
     const gp = getGenreAudioProfile();
     const rawGapScale = Number(options?.gapScale ?? 1);
@@ -7879,7 +8288,8 @@ function getModeSwitchBias() {
       }
     }
 
-    const bpm = stabilizeBpmEstimate(estimateBpm());
+    const clock = getActiveExternalTempo(now);
+    const bpm = clock ? clock.bpm : stabilizeBpmEstimate(estimateBpm());
     telemetry.bpm = bpm;
     telemetry.beatIntervalMs = lastBeatTime > 0 ? normalizedIntervalMs : 0;
 
@@ -7908,6 +8318,15 @@ function getModeSwitchBias() {
       return true;
     }
 
+    // A running clock owns the beat grid: hit on each new quarter note only.
+    const clock = getActiveExternalTempo(now);
+    if (clock && clock.running) {
+      if (clock.beatIndex === externalTempoConsumedBeatIndex) return false;
+      externalTempoConsumedBeatIndex = clock.beatIndex;
+      registerBeat(now, { gapScale: 1 });
+      return true;
+    }
+
     const onsetTempo = estimateOnsetTempoBpm(now);
     const onsetBpm = clamp(Number(onsetTempo.bpm || 0), 0, 190);
     const bpmHint = resolveBeatBpmHint();
@@ -8092,6 +8511,45 @@ function getModeSwitchBias() {
     if (dropCooldown > 0) dropCooldown--;
   }
 
+  /* =========================
+     BAR + PHRASE POSITION
+  ========================= */
+  const barTracker = createBarTracker({
+    phraseBars: normalizePhraseBars(process.env.RAVE_PHRASE_BARS, 16)
+  });
+  telemetry.phraseBars = barTracker.getSnapshot().phraseBars;
+
+  function applyBarTelemetry() {
+    const position = barTracker.getSnapshot();
+    telemetry.beatInBar = position.beatInBar;
+    telemetry.barIndex = position.barIndex;
+    telemetry.barInPhrase = position.barInPhrase;
+    telemetry.phraseIndex = position.phraseIndex;
+    telemetry.phraseBars = position.phraseBars;
+    telemetry.barSource = position.source;
+    telemetry.phraseReason = position.phraseReason;
+  }
+
+  function updateBarPosition(now, isBeat) {
+    telemetry.downbeat = false;
+    telemetry.phraseStart = false;
+    if (!isBeat) {
+      if (telemetry.drop) barTracker.markDrop();
+      return;
+    }
+    const clock = getActiveExternalTempo(now);
+    const hit = barTracker.beat(now, {
+      clockBeatIndex: clock && clock.running ? clock.beatIndex : null,
+      energy,
+      flux: audioFlux,
+      low: audioBandLow,
+      drop: telemetry.drop
+    });
+    telemetry.downbeat = hit.downbeat;
+    telemetry.phraseStart = hit.phraseStart;
+    applyBarTelemetry();
+  }
+
   /* =========================
      BEHAVIOR SELECTION
   ========================= */
@@ -8420,15 +8878,15 @@ function getModeSwitchBias() {
 
     const directDesired = behavior === "flow"
       ? resolveFlowScene(now)
-      : (BEHAVIOR_SCENE_DEFAULTS[behavior] || "idle_soft");
+      : getBehaviorDefaultScene(behavior);
     let desiredScene = directDesired;
     const modeBias = getModeSwitchBias();
     const drive = getEnergyDrive();
 
     // Prevent abrupt pulse -> idle jumps unless energy is truly quiet.
     if (
-      stableScene === "pulse_strobe" &&
-      directDesired === "idle_soft" &&
+      getSceneBehavior(stableScene) === "pulse" &&
+      getSceneBehavior(directDesired) === "idle" &&
       energy > 0.11 &&
       !telemetry.drop
     ) {
@@ -8436,8 +8894,8 @@ function getModeSwitchBias() {
     }
 
     const emergencyExitPulse =
-      stableScene === "pulse_strobe" &&
-      desiredScene !== "pulse_strobe" &&
+      getSceneBehavior(stableScene) === "pulse" &&
+      getSceneBehavior(desiredScene) !== "pulse" &&
       !telemetry.drop &&
       drive < 0.42 &&
       audio < 0.12 &&
@@ -8470,13 +8928,13 @@ function getModeSwitchBias() {
       Number(telemetry.beatConfidence || 0)
     );
     const autoFlowToFlow =
-      stableScene.startsWith("flow_") &&
-      desiredScene.startsWith("flow_") &&
+      getSceneBehavior(stableScene) === "flow" &&
+      getSceneBehavior(desiredScene) === "flow" &&
       stableScene !== desiredScene;
     const strongBuild = telemetry.phrase === "build" && drive > 0.4;
     const extremeMotion = sceneMotion > 0.66 && drive > 0.46;
     const allowFastPulse =
-      desiredScene === "pulse_strobe" &&
+      getSceneBehavior(desiredScene) === "pulse" &&
       (telemetry.drop || strongBuild || extremeMotion);
     const aggressiveSceneSwitch =
       allowFastPulse ||
@@ -8536,17 +8994,21 @@ function getModeSwitchBias() {
     const sceneName = chooseScene(now, behavior);
 
 
+    const sceneBehavior = getSceneBehavior(sceneName);
     telemetry.scene = sceneName;
+    telemetry.sceneBehavior = sceneBehavior;
     telemetry.sceneAgeMs = Math.max(0, now - lastSceneChangeAt);
-    const scene = SCENES[sceneName];
-    const manualPaletteConfig = getManualPaletteConfigForBrand("hue");
-    const manualPalette = buildActiveManualPaletteSequence(manualPaletteConfig);
+    const scene = getSceneDef(sceneName) || SCENES[getBehaviorDefaultScene(sceneBehavior)] || SCENES.idle_soft;
+    // An active user scene's own palette replaces the global palette.
+    const userScene = userScenes.get(sceneName) || null;
+    const manualPaletteConfig = applyManualPaletteKeyVividness(getManualPaletteConfigForBrand("hue"));
+    const manualPalette = userScene ? [] : buildActiveManualPaletteSequence(manualPaletteConfig);
     const manualPaletteActive = Array.isArray(manualPalette) && manualPalette.length > 0;
 
     let hue, bri, transition;
-    const satFloor = sceneName === "idle_soft"
+    const satFloor = sceneBehavior === "idle"
       ? 176
-      : (sceneName.startsWith("flow_") ? 192 : 236);
+      : (sceneBehavior === "flow" ? 192 : 236);
     const satMotionLift = Math.round(
       clamp(audioTransient * 0.56 + audioFlux * 0.44, 0, 1) * 14
     );
@@ -8557,13 +9019,17 @@ function getModeSwitchBias() {
       254
     );
 
-    if (sceneName === "idle_soft") {
-      hue = (phase * scene.hueSpeed) % 65535;
+    const userSceneAnchors = userScene ? userScene.flowHue.anchors : null;
+
+    if (sceneBehavior === "idle") {
+      hue = userSceneAnchors
+        ? (userSceneAnchors[Math.floor(phase / 8) % userSceneAnchors.length] + Math.sin(phase * 0.4) * 900 + 65535) % 65535
+        : (phase * scene.hueSpeed) % 65535;
       bri = scene.briBase + Math.sin(phase * 0.4) * scene.briWave;
       transition = scene.transition;
       reinforce(activeGenre, "idle", 0.01);
     }
-    else if (sceneName.startsWith("flow_")) {
+    else if (sceneBehavior === "flow") {
       const drive = getEnergyDrive();
       const flowEnergy = clamp(flowIntensity, FLOW_INTENSITY_MIN, FLOW_INTENSITY_MAX);
       const flowMotionScale = 0.68 + flowEnergy * 0.52;
@@ -8598,7 +9064,7 @@ function getModeSwitchBias() {
       const beatLift = (isBeat ? (scene.beatLift || 0) : 0) * flowLiftScale;
       const dropLift = (telemetry.drop ? (scene.dropLift || 0) : 0) * flowLiftScale;
       const transitionByRate = Math.max(1, Math.round(interval / 120));
-      const flowHue = FLOW_HUE_PALETTES[sceneName];
+      const flowHue = getSceneFlowHue(sceneName);
       if (flowHue && Array.isArray(flowHue.anchors) && flowHue.anchors.length) {
         const strideBase = Math.max(1, Number(flowHue.stride) || 4);
         const stride = Math.max(1, Math.round(strideBase - scaledMotion * 1.8));
@@ -8671,7 +9137,9 @@ function getModeSwitchBias() {
       reinforce(activeGenre, "flow", 0.02);
     }
     else {
-      hue = (phase * scene.hueStep) % 65535;
+      hue = userSceneAnchors
+        ? userSceneAnchors[Math.floor(phase) % userSceneAnchors.length]
+        : (phase * scene.hueStep) % 65535;
       const pulseMin = telemetry.drop ? 132 : 108;
       bri = clamp(scene.briBase + energy * scene.briScale, pulseMin, 254);
 
@@ -8700,13 +9168,30 @@ function getModeSwitchBias() {
     }
     const rawSignal = getRawMusicBody();
     const drumPulse = rawSignal.drums > 0.2 || (rawSignal.drums > 0.16 && rawSignal.body > 0.24);
-    const hueForceDelta = sceneName.startsWith("flow_") || drumPulse;
-    const hueDeltaScale = sceneName.startsWith("flow_")
+    const hueForceDelta = sceneBehavior === "flow" || drumPulse;
+    const hueDeltaScale = sceneBehavior === "flow"
       ? clamp(0.75 - rawSignal.drums * 0.22 - rawSignal.body * 0.12, 0.4, 0.9)
       : clamp(1 - rawSignal.drums * 0.3 - rawSignal.body * 0.18, 0.45, 1);
     const hueRateMs = drumPulse
       ? Math.min(interval, rawSignal.drums > 0.3 ? 170 : 200)
       : interval;
+    // Per-channel hints for Entertainment spatial frames; REST ignores them.
+    const spatial = {
+      scene: sceneName,
+      palette: manualPaletteActive
+        ? manualPalette.map(color => ({ r: color.r, g: color.g, b: color.b }))
+        : [],
+      paletteOffset: manualPaletteActive ? hueColorIndex : phase,
+      bpm: Number(telemetry.bpm || 0),
+      beat: Boolean(isBeat),
+      drop: Boolean(telemetry.drop),
+      bandLow: audioBandLow,
+      bandMid: audioBandMid,
+      bandHigh: audioBandHigh
+    };
+
+    telemetry.hueColorOut = hsvToRgb255((hue / 65535) * 360, sat / 254, 1);
+    telemetry.paletteColors = spatial.palette;
 
     controls.emit({
       type: "HUE_STATE",
@@ -8716,6 +9201,7 @@ function getModeSwitchBias() {
       forceRate: overclockLevel >= 2,
       forceDelta: hueForceDelta,
       deltaScale: hueDeltaScale,
+      spatial,
       state: {
         on: true,
         hue,
@@ -8728,8 +9214,9 @@ function getModeSwitchBias() {
 
   function buildWizEmitterSignal(now, isBeat, sceneName) {
     const scene = String(sceneName || "idle_soft").trim().toLowerCase() || "idle_soft";
-    const flowScene = scene.startsWith("flow_");
-    const pulseScene = scene === "pulse_strobe";
+    const sceneBehavior = getSceneBehavior(scene);
+    const flowScene = sceneBehavior === "flow";
+    const pulseScene = sceneBehavior === "pulse";
     const isDrop = Boolean(telemetry.drop);
     const beatConfidence = clamp(Number(telemetry.beatConfidence || 0), 0, 1);
     const raw = getRawMusicBody();
@@ -8827,14 +9314,15 @@ function getModeSwitchBias() {
 
   function resolveWizPaletteForEmit(sceneName) {
     const scene = String(sceneName || "idle_soft").trim().toLowerCase() || "idle_soft";
-    const pulseScene = scene === "pulse_strobe";
-    const manualPaletteConfig = getManualPaletteConfigForBrand("wiz");
-    const manualPalette = buildActiveManualPaletteSequence(manualPaletteConfig);
+    const pulseScene = getSceneBehavior(scene) === "pulse";
+    const userScene = userScenes.get(scene);
+    const manualPaletteConfig = applyManualPaletteKeyVividness(getManualPaletteConfigForBrand("wiz"));
+    const manualPalette = userScene ? [] : buildActiveManualPaletteSequence(manualPaletteConfig);
     const manualPaletteActive = Array.isArray(manualPalette) && manualPalette.length > 0;
     let palette = manualPaletteActive
       ? tuneWizManualPalette(manualPalette, { pulseScene })
-      : (WIZ_PALETTES[scene] || WIZ_PALETTES.idle_soft);
-    if (!manualPaletteActive && pulseScene) {
+      : (userScene ? userScene.wizPalette : (WIZ_PALETTES[scene] || WIZ_PALETTES.idle_soft));
+    if (!manualPaletteActive && pulseScene && !userScene) {
       palette = WIZ_PULSE_PALETTES.auto;
     }
     if (!manualPaletteActive) {
@@ -9447,6 +9935,32 @@ function getModeSwitchBias() {
   }
 
 
+  // Optional observer for per-tick beat/drop hits; emit() intents are rate-gated
+  // per brand and can skip the exact tick a hit lands on.
+  function notifyPulse(now, isBeat) {
+    if (typeof controls.onPulse !== "function") return;
+    if (!isBeat && !telemetry.drop) return;
+    try {
+      controls.onPulse({
+        at: now,
+        beat: Boolean(isBeat),
+        drop: Boolean(telemetry.drop),
+        bpm: Number(telemetry.bpm || 0),
+        beatConfidence: Number(telemetry.beatConfidence || 0),
+        phrase: telemetry.phrase,
+        scene: telemetry.scene,
+        downbeat: Boolean(telemetry.downbeat),
+        phraseStart: Boolean(telemetry.phraseStart),
+        beatInBar: telemetry.beatInBar,
+        barIndex: telemetry.barIndex,
+        barInPhrase: telemetry.barInPhrase,
+        phraseIndex: telemetry.phraseIndex,
+        phraseBars: telemetry.phraseBars,
+        phraseReason: telemetry.phraseReason
+      });
+    } catch {}
+  }
+
   /* =========================
      LOOP
   ========================= */
@@ -9465,8 +9979,11 @@ function getModeSwitchBias() {
       if (!isBeat) {
         refreshBeatTelemetryBetweenHits(now);
       }
+      updateTempoSourceTelemetry(now);
 
       updatePhrase();
+      updateBarPosition(now, isBeat);
+      notifyPulse(now, isBeat);
       maybeRefreshGenreReference(now);
       updateMetaAuto(now);
       updateOverclockAuto(now);
@@ -9544,6 +10061,8 @@ function getModeSwitchBias() {
         cycleState.lastSignal = null;
         cycleState.lastSpectrumIndex = 0;
         cycleState.lastSpectrumSwitchAt = 0;
+        cycleState.lastAdvanceBar = -1;
+        cycleState.lastAdvancePhrase = -1;
       }
       overclockLevel = DEFAULT_OVERCLOCK_LEVEL;
       transportPressureEma = 0;
@@ -9566,6 +10085,11 @@ function getModeSwitchBias() {
       oscEnergyBoost = 0;
       externalBeat = false;
       externalDrop = false;
+      externalTempoConsumedBeatIndex = -1;
+      barTracker.reset();
+      applyBarTelemetry();
+      telemetry.downbeat = false;
+      telemetry.phraseStart = false;
       stableBehavior = "idle";
       behaviorCandidate = "idle";
       behaviorCandidateSince = now;
@@ -9691,6 +10215,8 @@ function getModeSwitchBias() {
 
     setAudioLevel: setAudioLevel,
     setIntent: setIntent,
+    setExternalTempo: setExternalTempo,
+    clearExternalTempo: clearExternalTempo,
     setOverclock: setOverclock,
     setTransportPressure(sample) {
       return setTransportPressure(sample);
@@ -9727,7 +10253,7 @@ function getModeSwitchBias() {
         sceneCandidate = lockedScene;
         sceneCandidateSince = now;
         lastSceneChangeAt = now;
-        if (lockedScene.startsWith("flow_")) {
+        if (getSceneBehavior(lockedScene) === "flow") {
           autoFlowStableScene = lockedScene;
           autoFlowCandidateScene = lockedScene;
           autoFlowCandidateSince = now;
@@ -9781,6 +10307,16 @@ function getModeSwitchBias() {
       return dropDetectionEnabled;
     },
 
+    setPhraseBars(value) {
+      const phraseBars = barTracker.setPhraseBars(value);
+      applyBarTelemetry();
+      return phraseBars;
+    },
+
+    getBarPosition() {
+      return barTracker.getSnapshot();
+    },
+
     setFlowIntensity(value) {
       return setFlowIntensity(value);
     },
@@ -9837,6 +10373,11 @@ function getModeSwitchBias() {
       return overclockAutoEnabled;
     },
 
+    // null = AUTO, otherwise the requested lock ("flow" for the dynamic flow lock)
+    getSceneLock() {
+      return forcedSceneInput;
+    },
+
     getAudioReactivityPreset() {
       return audioReactivityPreset;
     },
@@ -9853,6 +10394,27 @@ function getModeSwitchBias() {
       return getManualPaletteCatalog();
     },
 
+    setPaletteKeyMap(map) {
+      return setManualPaletteKeyColorMap(map);
+    },
+
+    getPaletteKeyMap() {
+      return { ...manualPaletteKeyColorMap };
+    },
+
+    // User scene definitions (already validated by core/scenes.js).
+    setUserScenes(list) {
+      return setUserScenes(list);
+    },
+
+    getSceneCatalog() {
+      return getSceneCatalog();
+    },
+
+    getSceneBehavior(sceneName) {
+      return getSceneBehavior(sceneName);
+    },
+
     forceDrop() {
       externalBeat = true;
       if (dropDetectionEnabled) {
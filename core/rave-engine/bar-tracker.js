@@ -0,0 +1,202 @@
+"use strict";
+
+const BEATS_PER_BAR = 4;
+const PHRASE_BAR_OPTIONS = Object.freeze([8, 16, 32]);
+const DEFAULT_PHRASE_BARS = 16;
+// Per-slot accent EMA used to guess which beat of the bar is the "one"
+// when no external clock provides a grid.
+const ACCENT_EMA = 0.2;
+const DOWNBEAT_MIN_BEATS = 8;
+const DOWNBEAT_SWITCH_MARGIN = 1.15;
+// Structural phrase change: a bar whose energy/flux departs this far from
+// the running phrase average, at least this many bars into the phrase.
+const STRUCTURE_ENERGY_DELTA = 0.18;
+const STRUCTURE_FLUX_DELTA = 0.2;
+const STRUCTURE_MIN_BARS = 4;
+
+function normalizePhraseBars(value, fallback = DEFAULT_PHRASE_BARS) {
+  const n = Math.round(Number(value));
+  if (PHRASE_BAR_OPTIONS.includes(n)) return n;
+  return PHRASE_BAR_OPTIONS.includes(fallback) ? fallback : DEFAULT_PHRASE_BARS;
+}
+
+function toUnit(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : 0;
+}
+
+function createBarTracker(options = {}) {
+  let phraseBars = normalizePhraseBars(options.phraseBars);
+  let state = null;
+
+  function reset() {
+    state = {
+      source: "",
+      beats: 0,
+      accent: new Array(BEATS_PER_BAR).fill(0),
+      downbeatSlot: 0,
+      beatInBar: 0,
+      barIndex: -1,
+      barInPhrase: 0,
+      phraseIndex: -1,
+      phraseReason: "",
+      lastDownbeatAt: 0,
+      lastPhraseAt: 0,
+      dropPending: false,
+      barEnergy: 0,
+      barFlux: 0,
+      barBeats: 0,
+      phraseEnergy: 0,
+      phraseFlux: 0,
+      phraseBarsSeen: 0
+    };
+  }
+
+  function startPhrase(at, reason) {
+    state.barInPhrase = 1;
+    state.phraseIndex += 1;
+    state.phraseReason = reason;
+    state.lastPhraseAt = at;
+    state.phraseEnergy = 0;
+    state.phraseFlux = 0;
+    state.phraseBarsSeen = 0;
+  }
+
+  // Closes the bar that just ended and reports whether its energy/flux
+  // broke from the phrase so far (e.g. breakdown -> build -> drop).
+  function closeBar() {
+    if (!state.barBeats) return false;
+    const energy = state.barEnergy / state.barBeats;
+    const flux = state.barFlux / state.barBeats;
+    state.barEnergy = 0;
+    state.barFlux = 0;
+    state.barBeats = 0;
+    const seen = state.phraseBarsSeen;
+    const structural = seen >= STRUCTURE_MIN_BARS && (
+      Math.abs(energy - (state.phraseEnergy / seen)) >= STRUCTURE_ENERGY_DELTA ||
+      Math.abs(flux - (state.phraseFlux / seen)) >= STRUCTURE_FLUX_DELTA
+    );
+    state.phraseEnergy += energy;
+    state.phraseFlux += flux;
+    state.phraseBarsSeen += 1;
+    return structural;
+  }
+
+  function clockBeat(at, beatIndex) {
+    const index = Math.max(0, beatIndex);
+    const slot = index % BEATS_PER_BAR;
+    const bar = Math.floor(index / BEATS_PER_BAR);
+    state.source = "clock";
+    state.beatInBar = slot + 1;
+    if (slot !== 0) return { downbeat: false, phraseStart: false };
+    state.barIndex = bar;
+    state.lastDownbeatAt = at;
+    closeBar();
+    state.barInPhrase = (bar % phraseBars) + 1;
+    const phraseStart = state.barInPhrase === 1;
+    if (phraseStart) {
+      state.phraseIndex = Math.floor(bar / phraseBars) - 1;
+      startPhrase(at, "clock");
+    }
+    return { downbeat: true, phraseStart };
+  }
+
+  function audioBeat(at, signal) {
+    const slot = state.beats % BEATS_PER_BAR;
+    state.beats += 1;
+    state.source = "audio";
+    const accent = (toUnit(signal.low) * 0.6) + (toUnit(signal.energy) * 0.4);
+    state.accent[slot] += (accent - state.accent[slot]) * ACCENT_EMA;
+
+    // A drop lands on the one: snap the grid to it.
+    const drop = Boolean(signal.drop) || state.dropPending;
+    state.dropPending = false;
+    if (drop) {
+      state.downbeatSlot = slot;
+    } else if (state.beats >= DOWNBEAT_MIN_BEATS) {
+      let best = state.downbeatSlot;
+      for (let i = 0; i < BEATS_PER_BAR; i++) {
+        if (state.accent[i] > state.accent[best]) best = i;
+      }
+      if (state.accent[best] > state.accent[state.downbeatSlot] * DOWNBEAT_SWITCH_MARGIN) {
+        state.downbeatSlot = best;
+      }
+    }
+    state.beatInBar = ((slot - state.downbeatSlot + BEATS_PER_BAR) % BEATS_PER_BAR) + 1;
+    if (state.beatInBar !== 1) return { downbeat: false, phraseStart: false };
+
+    state.barIndex += 1;
+    state.lastDownbeatAt = at;
+    const structural = closeBar();
+    let reason = "";
+    if (state.phraseIndex < 0 || state.barInPhrase >= phraseBars) {
+      reason = "count";
+    } else if (drop || structural) {
+      reason = drop ? "drop" : "structure";
+    }
+    if (reason) {
+      startPhrase(at, reason);
+      return { downbeat: true, phraseStart: true };
+    }
+    state.barInPhrase += 1;
+    return { downbeat: true, phraseStart: false };
+  }
+
+  reset();
+
+  return {
+    // Advances the grid on a detected beat. A running external clock
+    // (integer beatIndex) owns bar alignment; otherwise the downbeat is
+    // inferred from per-slot accents and phrases from bar structure.
+    beat(at, signal = {}) {
+      const result = Number.isInteger(signal.clockBeatIndex)
+        ? clockBeat(at, signal.clockBeatIndex)
+        : audioBeat(at, signal);
+      if (!result.downbeat) {
+        state.barEnergy += toUnit(signal.energy);
+        state.barFlux += toUnit(signal.flux);
+        state.barBeats += 1;
+        return result;
+      }
+      state.barEnergy = toUnit(signal.energy);
+      state.barFlux = toUnit(signal.flux);
+      state.barBeats = 1;
+      return result;
+    },
+
+    // Drops detected between beats are applied on the next beat.
+    markDrop() {
+      state.dropPending = true;
+    },
+
+    setPhraseBars(value) {
+      phraseBars = normalizePhraseBars(value, phraseBars);
+      if (state.barInPhrase > phraseBars) state.barInPhrase = phraseBars;
+      return phraseBars;
+    },
+
+    reset,
+
+    getSnapshot() {
+      return {
+        source: state.source,
+        beatsPerBar: BEATS_PER_BAR,
+        phraseBars,
+        beatInBar: state.beatInBar,
+        barIndex: Math.max(0, state.barIndex),
+        barInPhrase: state.barInPhrase,
+        phraseIndex: Math.max(0, state.phraseIndex),
+        phraseReason: state.phraseReason,
+        lastDownbeatAt: state.lastDownbeatAt,
+        lastPhraseAt: state.lastPhraseAt
+      };
+    }
+  };
+}
+
+module.exports = {
+  BEATS_PER_BAR,
+  PHRASE_BAR_OPTIONS,
+  normalizePhraseBars,
+  createBarTracker
+};
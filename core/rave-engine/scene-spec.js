@@ -0,0 +1,208 @@
+"use strict";
+
+const SCENE_BEHAVIORS = Object.freeze(["idle", "flow", "pulse"]);
+const SCENE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,47}$/;
+// Scene lock keywords; a user scene with one of these ids could never be locked.
+const SCENE_RESERVED_IDS = Object.freeze(["auto", "idle", "flow", "pulse"]);
+const SCENE_PALETTE_MAX = 8;
+const SCENE_AUTO_METRICS = Object.freeze([
+  "drive",
+  "motion",
+  "intensity",
+  "bandLow",
+  "bandMid",
+  "bandHigh"
+]);
+
+// Authoring field -> engine scene field, with the accepted range.
+const SCENE_BRIGHTNESS_FIELDS = Object.freeze({
+  base: { key: "briBase", min: 0, max: 254 },
+  scale: { key: "briScale", min: 0, max: 254 },
+  wave: { key: "briWave", min: 0, max: 127 },
+  min: { key: "briMin", min: 1, max: 254 },
+  max: { key: "briMax", min: 1, max: 254 }
+});
+const SCENE_MOTION_FIELDS = Object.freeze({
+  hueSpeed: { key: "hueSpeed", min: 0, max: 20000 },
+  hueStep: { key: "hueStep", min: 0, max: 20000 },
+  hueSwing: { key: "hueSwing", min: 0, max: 12000 },
+  hueTimeDiv: { key: "hueTimeDiv", min: 20, max: 1000 },
+  transition: { key: "transition", min: 0, max: 40 },
+  transitionBeat: { key: "transitionBeat", min: 0, max: 40 },
+  transitionFree: { key: "transitionFree", min: 0, max: 40 },
+  beatLift: { key: "beatLift", min: 0, max: 80 },
+  dropLift: { key: "dropLift", min: 0, max: 80 }
+});
+
+function clampInt(value, min, max) {
+  return Math.min(max, Math.max(min, Math.round(value)));
+}
+
+function normalizeSceneId(value) {
+  const id = String(value || "").trim().toLowerCase();
+  return SCENE_ID_PATTERN.test(id) ? id : "";
+}
+
+function normalizeSceneBehavior(value) {
+  const behavior = String(value || "").trim().toLowerCase();
+  return SCENE_BEHAVIORS.includes(behavior) ? behavior : "";
+}
+
+// Accepts {r,g,b} or "#rrggbb" / "rrggbb".
+function normalizeSceneColor(value) {
+  if (typeof value === "string") {
+    const match = /^#?([0-9a-f]{6})$/i.exec(value.trim());
+    if (!match) return null;
+    const n = parseInt(match[1], 16);
+    return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+  }
+  if (!value || typeof value !== "object") return null;
+  const channels = [value.r, value.g, value.b].map(Number);
+  if (!channels.every(Number.isFinite)) return null;
+  const [r, g, b] = channels.map(channel => clampInt(channel, 0, 255));
+  return { r, g, b };
+}
+
+function normalizeNumberFields(input, fields, label) {
+  const raw = input && typeof input === "object" ? input : {};
+  const out = {};
+  for (const [field, spec] of Object.entries(fields)) {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === "") continue;
+    const n = Number(raw[field]);
+    if (!Number.isFinite(n)) throw new Error(`scene ${label}.${field} must be a number`);
+    out[field] = clampInt(n, spec.min, spec.max);
+  }
+  return out;
+}
+
+function normalizeSceneAuto(input) {
+  if (input === true) return { priority: 0, when: {} };
+  if (!input || typeof input !== "object") return null;
+  const whenRaw = input.when && typeof input.when === "object" ? input.when : {};
+  const when = {};
+  for (const metric of SCENE_AUTO_METRICS) {
+    const range = whenRaw[metric];
+    if (!range || typeof range !== "object") continue;
+    const min = Number(range.min);
+    const max = Number(range.max);
+    const next = {};
+    if (Number.isFinite(min)) next.min = Math.min(1, Math.max(0, min));
+    if (Number.isFinite(max)) next.max = Math.min(1, Math.max(0, max));
+    if (next.min !== undefined && next.max !== undefined && next.min > next.max) {
+      throw new Error(`scene auto.when.${metric} min must not exceed max`);
+    }
+    if (Object.keys(next).length) when[metric] = next;
+  }
+  const priority = Number(input.priority);
+  return {
+    priority: Number.isFinite(priority) ? clampInt(priority, -100, 100) : 0,
+    when
+  };
+}
+
+// Validates one authored scene; throws on anything that cannot be repaired.
+function normalizeSceneDefinition(input) {
+  const raw = input && typeof input === "object" ? input : {};
+  const id = normalizeSceneId(raw.id);
+  if (!id) throw new Error("scene id must be 1-48 chars of a-z, 0-9, _ or -");
+  if (SCENE_RESERVED_IDS.includes(id)) throw new Error(`scene id "${id}" is reserved`);
+  const behavior = normalizeSceneBehavior(raw.behavior);
+  if (!behavior) throw new Error(`scene behavior must be one of ${SCENE_BEHAVIORS.join(", ")}`);
+
+  const paletteRaw = Array.isArray(raw.palette) ? raw.palette : [];
+  const palette = paletteRaw.map(normalizeSceneColor);
+  if (palette.some(color => !color)) throw new Error("scene palette colors must be {r,g,b} or #rrggbb");
+  if (!palette.length || palette.length > SCENE_PALETTE_MAX) {
+    throw new Error(`scene palette needs 1-${SCENE_PALETTE_MAX} colors`);
+  }
+
+  const brightness = normalizeNumberFields(raw.brightness, SCENE_BRIGHTNESS_FIELDS, "brightness");
+  if (brightness.min !== undefined && brightness.max !== undefined && brightness.min > brightness.max) {
+    throw new Error("scene brightness.min must not exceed brightness.max");
+  }
+  const saturation = raw.saturation === undefined ? null : Number(raw.saturation);
+  if (saturation !== null && !Number.isFinite(saturation)) throw new Error("scene saturation must be a number");
+
+  const auto = behavior === "flow" ? normalizeSceneAuto(raw.auto) : null;
+  return {
+    id,
+    label: String(raw.label || "").trim().slice(0, 64) || id,
+    behavior,
+    default: raw.default === true,
+    palette,
+    ...(saturation === null ? {} : { saturation: clampInt(saturation, 0, 254) }),
+    brightness,
+    motion: normalizeNumberFields(raw.motion, SCENE_MOTION_FIELDS, "motion"),
+    ...(auto ? { auto } : {})
+  };
+}
+
+// Normalizes a whole scene list: invalid entries are reported, later
+// duplicates replace earlier ones and only the last default per behavior wins.
+function normalizeSceneList(input) {
+  const list = Array.isArray(input) ? input : [];
+  const byId = new Map();
+  const errors = [];
+  list.forEach((entry, index) => {
+    try {
+      const scene = normalizeSceneDefinition(entry);
+      byId.delete(scene.id);
+      byId.set(scene.id, scene);
+    } catch (err) {
+      errors.push({ index, id: String(entry?.id || ""), error: err.message });
+    }
+  });
+  const scenes = [...byId.values()];
+  for (const behavior of SCENE_BEHAVIORS) {
+    const defaults = scenes.filter(scene => scene.behavior === behavior && scene.default);
+    defaults.slice(0, -1).forEach(scene => { scene.default = false; });
+  }
+  return { scenes, errors };
+}
+
+// Engine render parameters: authored fields layered over the behavior's
+// built-in template scene so omitted fields keep built-in motion.
+function buildSceneRenderDef(scene, template = {}) {
+  const def = { ...template };
+  if (scene.saturation !== undefined) def.sat = scene.saturation;
+  for (const [field, value] of Object.entries(scene.brightness || {})) {
+    def[SCENE_BRIGHTNESS_FIELDS[field].key] = value;
+  }
+  for (const [field, value] of Object.entries(scene.motion || {})) {
+    def[SCENE_MOTION_FIELDS[field].key] = value;
+  }
+  return def;
+}
+
+function sceneMatchesAutoSignal(scene, signal = {}) {
+  if (!scene || !scene.auto) return false;
+  for (const [metric, range] of Object.entries(scene.auto.when || {})) {
+    const value = Number(signal[metric]) || 0;
+    if (range.min !== undefined && value < range.min) return false;
+    if (range.max !== undefined && value > range.max) return false;
+  }
+  return true;
+}
+
+// Highest-priority matching auto scene; ties go to the earlier scene.
+function pickAutoScene(scenes, signal = {}) {
+  let best = null;
+  for (const scene of Array.isArray(scenes) ? scenes : []) {
+    if (!sceneMatchesAutoSignal(scene, signal)) continue;
+    if (!best || scene.auto.priority > best.auto.priority) best = scene;
+  }
+  return best ? best.id : "";
+}
+
+module.exports = {
+  SCENE_BEHAVIORS,
+  SCENE_AUTO_METRICS,
+  SCENE_PALETTE_MAX,
+  normalizeSceneId,
+  normalizeSceneBehavior,
+  normalizeSceneDefinition,
+  normalizeSceneList,
+  buildSceneRenderDef,
+  sceneMatchesAutoSignal,
+  pickAutoScene
+};
@@ -0,0 +1,344 @@
+// [TITLE] Module: core/safety/flash-guard.js
+// [TITLE] Purpose: photosensitivity flash guard (per-device + room flash rate, red flash ceiling)
+
+// Defaults follow WCAG 2.3.1: no more than 3 general or red flashes in any
+// one-second period, where a flash is a pair of opposing relative-luminance
+// changes of at least 10% and the darker state is below 0.80.
+const FLASH_GUARD_DEFAULTS = Object.freeze({
+  enabled: true,
+  maxFlashesPerSec: 3,
+  maxRedFlashesPerSec: 3,
+  minLuminanceDelta: 0.1
+});
+const FLASH_GUARD_WCAG_MAX_PER_SEC = 3;
+const FLASH_GUARD_OVERRIDE_ACK_PHRASE = "I_UNDERSTAND_PHOTOSENSITIVE_FLASH_RISK";
+const FLASH_WINDOW_MS = 1000;
+const FLASH_DARK_CEILING = 0.8;
+const SATURATED_RED_RATIO = 0.8;
+
+function clampNumber(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+function normalizeFlashGuardConfig(input = {}) {
+  const raw = input && typeof input === "object" ? input : {};
+  return {
+    enabled: raw.enabled !== false,
+    maxFlashesPerSec: clampNumber(raw.maxFlashesPerSec, 0.5, 10, FLASH_GUARD_DEFAULTS.maxFlashesPerSec),
+    maxRedFlashesPerSec: clampNumber(raw.maxRedFlashesPerSec, 0, 10, FLASH_GUARD_DEFAULTS.maxRedFlashesPerSec),
+    minLuminanceDelta: clampNumber(raw.minLuminanceDelta, 0.02, 0.5, FLASH_GUARD_DEFAULTS.minLuminanceDelta)
+  };
+}
+
+// True when a config is looser than the WCAG defaults (needs an explicit override).
+function isFlashGuardWeakened(config = {}) {
+  const safe = normalizeFlashGuardConfig(config);
+  return (
+    !safe.enabled ||
+    safe.maxFlashesPerSec > FLASH_GUARD_WCAG_MAX_PER_SEC ||
+    safe.maxRedFlashesPerSec > FLASH_GUARD_WCAG_MAX_PER_SEC ||
+    safe.minLuminanceDelta > FLASH_GUARD_DEFAULTS.minLuminanceDelta
+  );
+}
+
+// Loosening past WCAG is a local-only override: the request must come from
+// loopback and carry the ack phrase. Returns null when the change is allowed,
+// else `{ status, error, detail }`.
+function checkFlashGuardOverride(current, requested, options = {}) {
+  if (!isFlashGuardWeakened(requested) || isFlashGuardWeakened(current)) return null;
+  if (options.loopback !== true) {
+    return {
+      status: 403,
+      error: "flash_guard_override_local_only",
+      detail: "the flash guard can only be disabled or loosened from the local machine"
+    };
+  }
+  if (String(options.ack || "").trim() !== FLASH_GUARD_OVERRIDE_ACK_PHRASE) {
+    return {
+      status: 400,
+      error: "flash_guard_override_ack_required",
+      detail: `Set flashGuardOverrideAck=${FLASH_GUARD_OVERRIDE_ACK_PHRASE} to disable or loosen the flash guard.`
+    };
+  }
+  return null;
+}
+
+function srgbToLinear(channel) {
+  const c = Math.max(0, Math.min(1, channel));
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// 0-255 sRGB color at `level` (0-1 output) -> { luminance, red }.
+function sampleRgb(r, g, b, level = 1) {
+  const R = Math.max(0, Number(r) || 0) / 255;
+  const G = Math.max(0, Number(g) || 0) / 255;
+  const B = Math.max(0, Number(b) || 0) / 255;
+  const scale = Math.max(0, Math.min(1, Number(level) || 0));
+  const luminance = ((0.2126 * srgbToLinear(R)) + (0.7152 * srgbToLinear(G)) + (0.0722 * srgbToLinear(B))) * scale;
+  const sum = R + G + B;
+  return {
+    luminance,
+    red: scale > 0 && sum > 0 && (R / sum) >= SATURATED_RED_RATIO
+  };
+}
+
+function hsvToRgb255(h, s) {
+  const hue = ((h % 360) + 360) % 360;
+  const c = Math.max(0, Math.min(1, s));
+  const x = c * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const m = 1 - c;
+  const [r1, g1, b1] = hue < 60 ? [c, x, 0]
+    : hue < 120 ? [x, c, 0]
+      : hue < 180 ? [0, c, x]
+        : hue < 240 ? [0, x, c]
+          : hue < 300 ? [x, 0, c]
+            : [c, 0, x];
+  return [(r1 + m) * 255, (g1 + m) * 255, (b1 + m) * 255];
+}
+
+// CIE xy at full brightness -> 0-255 sRGB (gamut-clipped, peak channel = 255).
+function xyToRgb255(x, y) {
+  const X = x / y;
+  const Z = (1 - x - y) / y;
+  const linear = [
+    (X * 3.2406) - 1.5372 - (Z * 0.4986),
+    (-X * 0.9689) + 1.8758 + (Z * 0.0415),
+    (X * 0.0557) - 0.204 + (Z * 1.057)
+  ].map(c => Math.max(0, c));
+  const peak = Math.max(...linear, 1e-6);
+  return linear.map(c => {
+    const v = c / peak;
+    return (v <= 0.0031308 ? v * 12.92 : (1.055 * Math.pow(v, 1 / 2.4)) - 0.055) * 255;
+  });
+}
+
+// Hue light state ({ on, bri, hue, sat, xy, ct }) -> sample, or null when the
+// state does not change output level or color.
+function sampleHueState(state = {}) {
+  const source = state && typeof state === "object" ? state : {};
+  if (source.on === false) return { luminance: 0, red: false };
+  const hasBri = Number.isFinite(Number(source.bri));
+  const hasHue = Number.isFinite(Number(source.hue)) || Number.isFinite(Number(source.sat));
+  const hasXy = Array.isArray(source.xy) && source.xy.length >= 2 && Number(source.xy[1]) > 0;
+  if (!hasBri && !hasHue && !hasXy && source.on !== true) return null;
+  const level = hasBri ? Math.max(0, Math.min(254, Number(source.bri))) / 254 : 1;
+  let rgb = [255, 255, 255];
+  if (hasXy) {
+    rgb = xyToRgb255(Number(source.xy[0]), Number(source.xy[1]));
+  } else if (hasHue) {
+    rgb = hsvToRgb255((Number(source.hue) || 0) / 65535 * 360, (Number(source.sat) || 0) / 254);
+  }
+  return sampleRgb(rgb[0], rgb[1], rgb[2], level);
+}
+
+// WiZ setPilot state ({ on, dimming, r, g, b, temp }) -> sample. Mirrors the
+// adapter: missing dimming is 50%, temp or no color is white.
+function sampleWizState(state = {}) {
+  const source = state && typeof state === "object" ? state : {};
+  if (source.on === false) return { luminance: 0, red: false };
+  const dimming = Number.isFinite(Number(source.dimming)) ? Number(source.dimming) : 50;
+  const level = Math.max(1, Math.min(100, dimming)) / 100;
+  const hasRgb = !Number.isFinite(Number(source.temp)) &&
+    [source.r, source.g, source.b].every(value => Number.isFinite(Number(value)));
+  return hasRgb
+    ? sampleRgb(source.r, source.g, source.b, level)
+    : sampleRgb(255, 255, 255, level);
+}
+
+// admitFrame entries for a strip: segment/zone `index` of `key` is its own
+// device "<key>:<index>", so a palette alternating between neighbours is
+// caught even when the strip's average color holds still.
+function buildSegmentEntries(key, samples) {
+  return (Array.isArray(samples) ? samples : []).map((sample, index) => ({ key: `${key}:${index}`, sample }));
+}
+
+function createTrack() {
+  return { anchor: null, anchorRed: false, dir: 0, transitions: [], redTransitions: [] };
+}
+
+function pruneTimes(times, at) {
+  while (times.length && (at - times[0]) >= FLASH_WINDOW_MS) times.shift();
+}
+
+// What `sample` would do to `track`, without changing it.
+function evaluateTrack(track, sample, at, config) {
+  pruneTimes(track.transitions, at);
+  pruneTimes(track.redTransitions, at);
+  const next = { anchor: sample.luminance, anchorRed: sample.red, dir: track.dir, transition: false, red: false };
+  if (track.anchor === null) return next;
+  const delta = sample.luminance - track.anchor;
+  const dir = Math.sign(delta);
+  if (Math.abs(delta) < config.minLuminanceDelta) {
+    // Small moves only extend the current extreme.
+    if (dir === 0 || dir !== track.dir) {
+      next.anchor = track.anchor;
+      next.anchorRed = track.anchorRed;
+    }
+    return next;
+  }
+  next.dir = dir;
+  if (dir === track.dir) return next;
+  if (Math.min(sample.luminance, track.anchor) >= FLASH_DARK_CEILING) return next;
+  next.transition = true;
+  next.red = sample.red || track.anchorRed;
+  return next;
+}
+
+function commitTrack(track, next, at) {
+  track.anchor = next.anchor;
+  track.anchorRed = next.anchorRed;
+  track.dir = next.dir;
+  if (next.transition) track.transitions.push(at);
+  if (next.red) track.redTransitions.push(at);
+}
+
+// A flash is two opposing transitions, so the ceiling is 2x per window.
+function exceeds(track, next, config) {
+  if (!next.transition) return "";
+  if (track.transitions.length + 1 > Math.floor(config.maxFlashesPerSec * 2)) return "flash";
+  if (next.red && track.redTransitions.length + 1 > Math.floor(config.maxRedFlashesPerSec * 2)) return "red";
+  return "";
+}
+
+function createFlashGuard(options = {}) {
+  const now = typeof options.now === "function" ? options.now : Date.now;
+  let config = normalizeFlashGuardConfig(options.config);
+  const devices = new Map();
+  // Keys admitted with `room: false` (e.g. mod-brand intents).
+  const soloDevices = new Map();
+  const room = createTrack();
+  const audit = {
+    checked: 0,
+    blocked: 0,
+    blockedRed: 0,
+    blockedRoom: 0,
+    lastBlockedAt: 0,
+    lastBlockedKey: "",
+    lastBlockedReason: ""
+  };
+
+  function getDevice(map, key) {
+    let entry = map.get(key);
+    if (!entry) {
+      entry = { track: createTrack(), luminance: 0 };
+      map.set(key, entry);
+    }
+    return entry;
+  }
+
+  function roomLuminance(overrides) {
+    let total = 0;
+    let count = 0;
+    for (const [key, entry] of devices) {
+      total += overrides.has(key) ? overrides.get(key) : entry.luminance;
+      count += 1;
+    }
+    for (const [key, value] of overrides) {
+      if (devices.has(key)) continue;
+      total += value;
+      count += 1;
+    }
+    return count ? total / count : 0;
+  }
+
+  function block(key, reason, at) {
+    audit.blocked += 1;
+    if (reason === "red") audit.blockedRed += 1;
+    if (reason === "room") audit.blockedRoom += 1;
+    audit.lastBlockedAt = at;
+    audit.lastBlockedKey = key;
+    audit.lastBlockedReason = reason;
+    return false;
+  }
+
+  // Checks one frame of per-device samples (`[{ key, sample }]`) as a unit:
+  // if any device (or the room) would exceed a ceiling, nothing is recorded
+  // and the whole frame is refused. With `room: false` the keys are tracked
+  // on their own and left out of the room level.
+  function admitFrame(entries, admitOptions = {}) {
+    if (!config.enabled) return true;
+    const list = (Array.isArray(entries) ? entries : [])
+      .map(entry => ({ key: String(entry?.key || ""), sample: entry?.sample || null }))
+      .filter(entry => entry.key && entry.sample);
+    if (!list.length) return true;
+    const at = now();
+    const includeRoom = admitOptions.room !== false;
+    const map = includeRoom ? devices : soloDevices;
+    audit.checked += 1;
+
+    const pending = [];
+    for (const { key, sample } of list) {
+      const entry = map.get(key) || { track: createTrack(), luminance: 0 };
+      const next = evaluateTrack(entry.track, sample, at, config);
+      const reason = exceeds(entry.track, next, config);
+      if (reason) return block(key, reason, at);
+      pending.push({ key, sample, next });
+    }
+
+    let roomNext = null;
+    if (includeRoom) {
+      const overrides = new Map(list.map(({ key, sample }) => [key, sample.luminance]));
+      roomNext = evaluateTrack(room, { luminance: roomLuminance(overrides), red: false }, at, config);
+      if (exceeds(room, roomNext, config)) return block(list[0].key, "room", at);
+    }
+
+    for (const { key, sample, next } of pending) {
+      const entry = getDevice(map, key);
+      commitTrack(entry.track, next, at);
+      entry.luminance = sample.luminance;
+    }
+    if (roomNext) commitTrack(room, roomNext, at);
+    return true;
+  }
+
+  // Checks a send of `sample` to one device key (or several sent as one frame).
+  function admit(keys, sample, admitOptions = {}) {
+    if (!sample) return true;
+    const list = Array.isArray(keys) ? keys : [keys];
+    return admitFrame(list.map(key => ({ key, sample })), admitOptions);
+  }
+
+  return {
+    admit,
+    admitFrame,
+
+    setConfig(next) {
+      config = normalizeFlashGuardConfig(next);
+    },
+
+    getConfig() {
+      return { ...config };
+    },
+
+    reset() {
+      devices.clear();
+      soloDevices.clear();
+      Object.assign(room, createTrack());
+    },
+
+    getStatus() {
+      return {
+        ...config,
+        weakened: isFlashGuardWeakened(config),
+        devices: devices.size,
+        audit: { ...audit }
+      };
+    }
+  };
+}
+
+module.exports = {
+  FLASH_GUARD_DEFAULTS,
+  FLASH_GUARD_WCAG_MAX_PER_SEC,
+  FLASH_GUARD_OVERRIDE_ACK_PHRASE,
+  normalizeFlashGuardConfig,
+  isFlashGuardWeakened,
+  checkFlashGuardOverride,
+  sampleRgb,
+  sampleHueState,
+  sampleWizState,
+  buildSegmentEntries,
+  createFlashGuard
+};
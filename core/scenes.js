@@ -0,0 +1,163 @@
+// [TITLE] Module: core/scenes.js
+// [TITLE] Purpose: user scene definitions (load, validate, CRUD, hot reload)
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeSceneDefinition, normalizeSceneList, normalizeSceneId } = require("./rave-engine/scene-spec");
+
+const CONFIG_PATH = path.join(__dirname, "scenes.config.json");
+const BACKUP_DIR = path.join(__dirname, "backups", "scenes");
+const MAX_BACKUPS = 30;
+
+const DEFAULT_CONFIG = {
+  version: 1,
+  scenes: []
+};
+
+const runtime = {
+  scenes: [],
+  errors: [],
+  version: 0,
+  loadedAt: 0,
+  lastBackupPath: null
+};
+
+function loadConfigFile() {
+  const parsed = JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+  return parsed && typeof parsed === "object" ? parsed : DEFAULT_CONFIG;
+}
+
+function applyConfig(config) {
+  const { scenes, errors } = normalizeSceneList(config?.scenes);
+  for (const entry of errors) {
+    console.warn(`[SCENES] skipped scene #${entry.index}${entry.id ? ` (${entry.id})` : ""}: ${entry.error}`);
+  }
+  runtime.scenes = scenes;
+  runtime.errors = errors;
+  runtime.version += 1;
+  runtime.loadedAt = Date.now();
+}
+
+function pruneBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return;
+  const entries = fs
+    .readdirSync(BACKUP_DIR, { withFileTypes: true })
+    .filter(entry => entry.isFile() && entry.name.endsWith(".json"))
+    .map(entry => {
+      const filePath = path.join(BACKUP_DIR, entry.name);
+      const stat = fs.statSync(filePath);
+      return { filePath, mtimeMs: stat.mtimeMs };
+    })
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+  for (let i = MAX_BACKUPS; i < entries.length; i += 1) {
+    try {
+      fs.unlinkSync(entries[i].filePath);
+    } catch {}
+  }
+}
+
+function backupCurrentConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) return null;
+
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const backupPath = path.join(BACKUP_DIR, `scenes.config.${Date.now()}.json`);
+  fs.copyFileSync(CONFIG_PATH, backupPath);
+  pruneBackups();
+  runtime.lastBackupPath = backupPath;
+  return backupPath;
+}
+
+function persistScenes(scenes) {
+  const payload = { version: 1, scenes };
+  backupCurrentConfig();
+  fs.writeFileSync(CONFIG_PATH, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+  applyConfig(payload);
+}
+
+function getScenes() {
+  return JSON.parse(JSON.stringify(runtime.scenes));
+}
+
+function getScene(id) {
+  const sceneId = normalizeSceneId(id);
+  const scene = runtime.scenes.find(entry => entry.id === sceneId);
+  return scene ? JSON.parse(JSON.stringify(scene)) : null;
+}
+
+function getVersion() {
+  return runtime.version;
+}
+
+function getMeta() {
+  return {
+    version: runtime.version,
+    loadedAt: runtime.loadedAt,
+    configPath: CONFIG_PATH,
+    backupDir: BACKUP_DIR,
+    lastBackupPath: runtime.lastBackupPath,
+    errors: runtime.errors.map(entry => ({ ...entry }))
+  };
+}
+
+function reload() {
+  try {
+    applyConfig(loadConfigFile());
+    console.log(`[SCENES] reloaded (v${runtime.version}, ${runtime.scenes.length} scenes)`);
+    return true;
+  } catch (err) {
+    console.warn(`[SCENES] reload failed (${err.message}); keeping previous scenes`);
+    return false;
+  }
+}
+
+// Creates or replaces one scene. Marking it default clears the previous
+// default of the same behavior.
+function upsertScene(input) {
+  const scene = normalizeSceneDefinition(input);
+  const next = runtime.scenes
+    .filter(entry => entry.id !== scene.id)
+    .map(entry => (
+      scene.default && entry.behavior === scene.behavior && entry.default
+        ? { ...entry, default: false }
+        : entry
+    ));
+  const index = runtime.scenes.findIndex(entry => entry.id === scene.id);
+  next.splice(index < 0 ? next.length : index, 0, scene);
+  persistScenes(next);
+  return getScene(scene.id);
+}
+
+function removeScene(id) {
+  const sceneId = normalizeSceneId(id);
+  if (!runtime.scenes.some(entry => entry.id === sceneId)) return false;
+  persistScenes(runtime.scenes.filter(entry => entry.id !== sceneId));
+  return true;
+}
+
+function init() {
+  try {
+    applyConfig(loadConfigFile());
+    console.log(`[SCENES] loaded from ${path.basename(CONFIG_PATH)} (v${runtime.version}, ${runtime.scenes.length} scenes)`);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`[SCENES] using built-in scenes only (${err.message})`);
+    applyConfig(DEFAULT_CONFIG);
+  }
+
+  fs.watchFile(CONFIG_PATH, { interval: 800 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    reload();
+  });
+}
+
+init();
+
+module.exports = {
+  getScenes,
+  getScene,
+  getVersion,
+  getMeta,
+  upsertScene,
+  removeScene,
+  reload
+};
@@ -1,5 +1,7 @@
 "use strict";
 
+const { SIDE_BAND_METRICS, resolveStereoSideGain, resolveStereoSideBands } = require("../audio/stereo");
+
 function fallbackClampNumber(value, min, max, fallback = min) {
   const n = Number(value);
   if (!Number.isFinite(n)) {
@@ -258,6 +260,10 @@ function createServerColorUtils(options = {}) {
     const peak = clamp01(Number(t.audioPeak || 0) / 1.5, 0);
     const flux = clamp01(t.audioFlux, 0);
     const beat = clamp01(t.beatConfidence, t.beat ? 0.65 : 0);
+    // FFT ranges when the spectrum stage runs; crossover bands otherwise.
+    const ranges = t.audioRanges && typeof t.audioRanges === "object" ? t.audioRanges : {};
+    const kick = clamp01(ranges.kick, low);
+    const hats = clamp01(ranges.hats, high);
     const percussionSupport = clamp01(
       (low * 0.46) +
       (transient * 0.34) +
@@ -274,6 +280,10 @@ function createServerColorUtils(options = {}) {
         return mid;
       case "highs":
         return high;
+      case "kick":
+        return kick;
+      case "hats":
+        return hats;
       case "peaks":
         return peak;
       case "transients":
@@ -306,6 +316,70 @@ function createServerColorUtils(options = {}) {
     }
   }
 
+
+  // Fixture metric routing level (0-1). Band metrics (lows/mids/highs/beat)
+  // read the `side` channel when stereo input is present; unknown metrics
+  // fall back to baseline.
+  function resolveFixtureMetricLevel(metric, telemetry = {}, intent = {}, side = "center") {
+    const t = telemetry && typeof telemetry === "object" ? telemetry : {};
+    const i = intent && typeof intent === "object" ? intent : {};
+    if (SIDE_BAND_METRICS.includes(metric)) {
+      const beatConfidence = clamp01(t.beatConfidence, 0);
+      const bands = resolveStereoSideBands(side, t.audioStereo, {
+        lows: t.audioBandLow,
+        mids: t.audioBandMid,
+        highs: t.audioBandHigh,
+        beat: (t.beat || i.beat) ? clamp01(0.4 + (beatConfidence * 0.6), 0) : beatConfidence * 0.2
+      });
+      return bands[metric];
+    }
+    const baseline = clamp01(t.audioSourceLevel, clamp01(t.rms, clamp01(i.audioSourceLevel, 0)));
+    const peaksRaw = clamp01(Number(t.audioPeak || 0) / 1.5, 0);
+    const transientsRaw = clamp01(Number(t.audioTransient || 0) / 1.2, 0);
+    const fluxRaw = clamp01(t.audioFlux, clamp01(t.spectralFlux, 0));
+    const flux = clamp01(
+      Math.max(
+        Math.pow(fluxRaw, 1.18),
+        (fluxRaw * 0.7) + (transientsRaw * 0.2) + (peaksRaw * 0.1)
+      ),
+      0
+    );
+    const transients = clamp01(
+      Math.max(
+        Math.pow(transientsRaw, 1.22),
+        (transientsRaw * 0.66) + (flux * 0.24) + (peaksRaw * 0.1)
+      ),
+      0
+    );
+    const peaks = clamp01(
+      Math.max(
+        Math.pow(peaksRaw, 1.24),
+        (peaksRaw * 0.58) + (transients * 0.3) + (flux * 0.12)
+      ),
+      0
+    );
+    switch (metric) {
+      case "peaks":
+        return peaks;
+      case "transients":
+        return transients;
+      case "flux":
+        return flux;
+      case "baseline":
+      default:
+        return baseline;
+    }
+  }
+
+  // Same level for a left/right fixture: loudness metrics are scaled by the
+  // side gain, band metrics already read the side.
+  function resolveFixtureSideLevel(metric, telemetry = {}, intent = {}, side = "center") {
+    const level = resolveFixtureMetricLevel(metric, telemetry, intent, side);
+    const gain = resolveStereoSideGain(side, telemetry?.audioStereo);
+    if (gain === null || SIDE_BAND_METRICS.includes(metric)) return level;
+    return clamp01(level * gain, 0);
+  }
+
   return {
     clampRgb255,
     miredToKelvin,
@@ -317,7 +391,9 @@ function createServerColorUtils(options = {}) {
     boostRgbSaturation,
     rgbToHsv255,
     hsvToRgb255,
-    resolveAudioReactivitySourceLevel
+    resolveAudioReactivitySourceLevel,
+    resolveFixtureMetricLevel,
+    resolveFixtureSideLevel
   };
 }
 
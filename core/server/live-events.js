@@ -0,0 +1,235 @@
+// [TITLE] Module: core/server/live-events.js
+// [TITLE] Purpose: server-sent event hub with per-client topic filters and snapshot throttling
+
+"use strict";
+
+// Snapshot topics are coalesced: a client only receives a frame once its
+// throttle window has elapsed, stale frames in between are dropped.
+const LIVE_EVENT_FRAME_TOPICS = Object.freeze(["telemetry", "hue", "wiz", "audio"]);
+const LIVE_EVENT_DISCRETE_TOPICS = Object.freeze(["beat", "drop", "bar", "phrase", "ownership", "connectivity", "mods", "config"]);
+const LIVE_EVENT_TOPICS = Object.freeze([...LIVE_EVENT_FRAME_TOPICS, ...LIVE_EVENT_DISCRETE_TOPICS]);
+const FRAME_TOPIC_SET = new Set(LIVE_EVENT_FRAME_TOPICS);
+const TOPIC_SET = new Set(LIVE_EVENT_TOPICS);
+
+function clampInt(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(n)));
+}
+
+function parseLiveEventTopics(raw) {
+  const tokens = (Array.isArray(raw) ? raw : String(raw ?? "").split(/[\s,]+/))
+    .map(token => String(token || "").trim().toLowerCase())
+    .filter(Boolean);
+  if (!tokens.length || tokens.includes("all") || tokens.includes("*")) {
+    return [...LIVE_EVENT_TOPICS];
+  }
+  const topics = [];
+  for (const token of tokens) {
+    if (TOPIC_SET.has(token) && !topics.includes(token)) topics.push(token);
+  }
+  return topics;
+}
+
+function formatLiveEvent(seq, topic, data) {
+  let json = "null";
+  try {
+    json = JSON.stringify(data === undefined ? null : data);
+  } catch {
+    json = JSON.stringify({ error: "unserializable event payload" });
+  }
+  return `id: ${seq}\nevent: ${topic}\ndata: ${json}\n\n`;
+}
+
+function createLiveEventHub(options = {}) {
+  const now = typeof options.now === "function" ? options.now : Date.now;
+  const minThrottleMs = clampInt(options.minThrottleMs, 16, 60000, 50);
+  const maxThrottleMs = clampInt(options.maxThrottleMs, minThrottleMs, 60000, 10000);
+  const defaultThrottleMs = clampInt(options.defaultThrottleMs, minThrottleMs, maxThrottleMs, 250);
+  const maxClients = clampInt(options.maxClients, 1, 256, 16);
+  const onActiveChange = typeof options.onActiveChange === "function" ? options.onActiveChange : null;
+
+  const clients = new Map();
+  let nextClientId = 1;
+  let sequence = 0;
+  const counters = {
+    connected: 0,
+    rejected: 0,
+    published: 0,
+    delivered: 0,
+    coalesced: 0,
+    backpressureDrops: 0,
+    writeErrors: 0
+  };
+
+  function notifyActive(active) {
+    if (!onActiveChange) return;
+    try {
+      onActiveChange(active);
+    } catch {}
+  }
+
+  function writeRaw(client, chunk) {
+    try {
+      const flushed = client.write(chunk);
+      if (flushed === false) client.congested = true;
+      return true;
+    } catch {
+      counters.writeErrors += 1;
+      removeClient(client.id);
+      return false;
+    }
+  }
+
+  function addClient(sink = {}) {
+    if (typeof sink.write !== "function") {
+      throw new Error("live event client requires write()");
+    }
+    if (clients.size >= maxClients) {
+      counters.rejected += 1;
+      return { ok: false, error: "too many live event clients", maxClients };
+    }
+    const topics = parseLiveEventTopics(sink.topics);
+    const client = {
+      id: nextClientId++,
+      write: sink.write,
+      close: typeof sink.close === "function" ? sink.close : null,
+      topics: new Set(topics),
+      throttleMs: clampInt(sink.throttleMs, minThrottleMs, maxThrottleMs, defaultThrottleMs),
+      lastSentAt: new Map(),
+      congested: false,
+      connectedAt: now(),
+      delivered: 0,
+      dropped: 0
+    };
+    clients.set(client.id, client);
+    counters.connected += 1;
+    if (clients.size === 1) notifyActive(true);
+    return {
+      ok: true,
+      id: client.id,
+      topics,
+      throttleMs: client.throttleMs,
+      drain: () => {
+        client.congested = false;
+      },
+      send: (topic, data) => {
+        if (!clients.has(client.id)) return false;
+        return writeRaw(client, formatLiveEvent(++sequence, topic, data));
+      }
+    };
+  }
+
+  function removeClient(id) {
+    const client = clients.get(id);
+    if (!client) return false;
+    clients.delete(id);
+    if (clients.size === 0) notifyActive(false);
+    return true;
+  }
+
+  function hasSubscribers(topic) {
+    for (const client of clients.values()) {
+      if (client.topics.has(topic)) return true;
+    }
+    return false;
+  }
+
+  // True when at least one subscriber would accept a fresh frame right now,
+  // so producers can skip building snapshots nobody will receive.
+  function isTopicDue(topic, at = now()) {
+    for (const client of clients.values()) {
+      if (!client.topics.has(topic)) continue;
+      if (!FRAME_TOPIC_SET.has(topic)) return true;
+      if (client.congested) continue;
+      if (at - (client.lastSentAt.get(topic) || 0) >= client.throttleMs) return true;
+    }
+    return false;
+  }
+
+  function publish(topic, data) {
+    const key = String(topic || "").trim().toLowerCase();
+    if (!TOPIC_SET.has(key)) return 0;
+    const at = now();
+    const frame = FRAME_TOPIC_SET.has(key);
+    let chunk = "";
+    let delivered = 0;
+    counters.published += 1;
+
+    for (const client of [...clients.values()]) {
+      if (!client.topics.has(key)) continue;
+      if (frame) {
+        if (client.congested) {
+          client.dropped += 1;
+          counters.backpressureDrops += 1;
+          continue;
+        }
+        if (at - (client.lastSentAt.get(key) || 0) < client.throttleMs) {
+          counters.coalesced += 1;
+          continue;
+        }
+      }
+      if (!chunk) chunk = formatLiveEvent(++sequence, key, data);
+      if (!writeRaw(client, chunk)) continue;
+      client.lastSentAt.set(key, at);
+      client.delivered += 1;
+      delivered += 1;
+    }
+    counters.delivered += delivered;
+    return delivered;
+  }
+
+  function heartbeat() {
+    for (const client of [...clients.values()]) {
+      writeRaw(client, `: ping ${now()}\n\n`);
+    }
+  }
+
+  function closeAll() {
+    for (const client of [...clients.values()]) {
+      removeClient(client.id);
+      try {
+        client.close?.();
+      } catch {}
+    }
+  }
+
+  function getTelemetry() {
+    return {
+      clients: clients.size,
+      maxClients,
+      sequence,
+      throttle: { minMs: minThrottleMs, maxMs: maxThrottleMs, defaultMs: defaultThrottleMs },
+      ...counters,
+      subscribers: [...clients.values()].map(client => ({
+        id: client.id,
+        topics: [...client.topics],
+        throttleMs: client.throttleMs,
+        congested: client.congested,
+        connectedAt: client.connectedAt,
+        delivered: client.delivered,
+        dropped: client.dropped
+      }))
+    };
+  }
+
+  return {
+    addClient,
+    removeClient,
+    hasSubscribers,
+    isTopicDue,
+    publish,
+    heartbeat,
+    closeAll,
+    getTelemetry
+  };
+}
+
+module.exports = {
+  LIVE_EVENT_TOPICS,
+  LIVE_EVENT_FRAME_TOPICS,
+  LIVE_EVENT_DISCRETE_TOPICS,
+  parseLiveEventTopics,
+  formatLiveEvent,
+  createLiveEventHub
+};
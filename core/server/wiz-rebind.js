@@ -0,0 +1,120 @@
+// [TITLE] Module: core/server/wiz-rebind.js
+// [TITLE] Purpose: re-resolve MAC-tracked WiZ fixtures that stop answering via UDP discovery
+
+const WIZ_REBIND_COOLDOWN_MS = 45000;
+
+function createWizMacRebinder(deps = {}) {
+  const discover = typeof deps.discover === "function" ? deps.discover : async () => ({ bulbs: [] });
+  const getFixtures = typeof deps.getFixtures === "function" ? deps.getFixtures : () => [];
+  const rebindFixtureIp = typeof deps.rebindFixtureIp === "function"
+    ? deps.rebindFixtureIp
+    : () => ({ ok: false, error: "rebind unavailable" });
+  const onRebind = typeof deps.onRebind === "function" ? deps.onRebind : () => {};
+  const now = typeof deps.now === "function" ? deps.now : Date.now;
+  const log = deps.log || console;
+  const cooldownMs = Number.isFinite(Number(deps.cooldownMs)) ? Number(deps.cooldownMs) : WIZ_REBIND_COOLDOWN_MS;
+
+  const lastAttemptAt = new Map();
+  const telemetry = {
+    attempts: 0,
+    rebinds: 0,
+    misses: 0,
+    conflicts: 0,
+    errors: 0,
+    last: null
+  };
+  let discoveryInFlight = null;
+
+  // Fixtures failing together share one discovery sweep.
+  function runDiscovery() {
+    if (discoveryInFlight) return discoveryInFlight;
+    discoveryInFlight = Promise.resolve()
+      .then(() => discover())
+      .finally(() => {
+        discoveryInFlight = null;
+      });
+    return discoveryInFlight;
+  }
+
+  // Resolves { rebind, fixture } when the fixture moved to a new IP, else null.
+  async function attempt(fixture) {
+    const fixtureId = String(fixture?.id || "").trim();
+    const mac = String(fixture?.mac || "").trim();
+    if (!fixtureId || !mac) return null;
+
+    const startedAt = now();
+    const previousAttemptAt = Number(lastAttemptAt.get(fixtureId) || 0);
+    if (previousAttemptAt && startedAt - previousAttemptAt < cooldownMs) return null;
+    lastAttemptAt.set(fixtureId, startedAt);
+    telemetry.attempts += 1;
+
+    let discovered = null;
+    try {
+      discovered = await runDiscovery();
+    } catch (err) {
+      telemetry.errors += 1;
+      log.warn?.(`[WIZ][REBIND] ${fixtureId} discovery failed: ${err.message || err}`);
+      return null;
+    }
+
+    const bulb = (discovered?.bulbs || []).find(entry => entry.mac === mac) || null;
+    if (!bulb) {
+      telemetry.misses += 1;
+      return null;
+    }
+    if (bulb.ip === fixture.ip) return null;
+
+    const conflict = getFixtures().find(other =>
+      other.brand === "wiz" &&
+      other.id !== fixtureId &&
+      other.ip === bulb.ip &&
+      other.mac !== mac
+    );
+    if (conflict) {
+      telemetry.conflicts += 1;
+      log.warn?.(`[WIZ][REBIND] ${fixtureId} found at ${bulb.ip}, but ${conflict.id} already uses that IP`);
+      return null;
+    }
+
+    const result = rebindFixtureIp(fixtureId, bulb.ip);
+    if (!result.ok || !result.changed) {
+      if (!result.ok) telemetry.errors += 1;
+      return null;
+    }
+
+    const rebind = {
+      id: fixtureId,
+      mac,
+      fromIp: result.previousIp,
+      toIp: bulb.ip,
+      at: now()
+    };
+    telemetry.rebinds += 1;
+    telemetry.last = rebind;
+    log.log?.(`[WIZ][REBIND] ${fixtureId} moved ${rebind.fromIp || "n/a"} -> ${rebind.toIp} (mac ${mac})`);
+    onRebind(rebind, result.fixture);
+    return { rebind, fixture: result.fixture };
+  }
+
+  // Drops cooldown entries for fixtures that are gone.
+  function prune(keepIds) {
+    for (const fixtureId of lastAttemptAt.keys()) {
+      if (!keepIds.has(fixtureId)) lastAttemptAt.delete(fixtureId);
+    }
+  }
+
+  function getTelemetry() {
+    return { ...telemetry };
+  }
+
+  return {
+    attempt,
+    prune,
+    getTelemetry
+  };
+}
+
+module.exports = {
+  WIZ_REBIND_COOLDOWN_MS,
+  createWizMacRebinder
+};
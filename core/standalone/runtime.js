@@ -4,9 +4,12 @@
 module.exports = function createStandaloneRuntime(deps = {}) {
   const {
     fixtureRegistry,
-    createWizAdapter,
+    createWizPathAdapter,
+    getWizPathTransportKey,
+    wizPathBrands = ["wiz"],
     axios,
     getHueHttpsAgentForFixture,
+    sendHueLightState,
     parseBoolean,
     normalizeStandaloneState,
     nextStandaloneAnimatedState,
@@ -18,6 +21,7 @@ module.exports = function createStandaloneRuntime(deps = {}) {
     getStandalonePersistedState,
     hasStandalonePersistedState,
     persistStandaloneStateForFixture,
+    canDriveFixture = () => true,
     wait,
     log = console
   } = deps;
@@ -26,6 +30,20 @@ module.exports = function createStandaloneRuntime(deps = {}) {
   const standaloneTimers = new Map();
   const standaloneInFlight = new Set();
   const standaloneWizAdapters = new Map();
+  // DMX/WLED/LIFX fixtures take the same WiZ-style states through their own senders.
+  const WIZ_STATE_BRANDS = new Set(wizPathBrands);
+  const WIZ_STATE_CONFIGURED_CHECK = Object.freeze({
+    wiz: "isWizFixtureConfigured",
+    dmx: "isDmxFixtureConfigured",
+    wled: "isWledFixtureConfigured",
+    lifx: "isLifxFixtureConfigured"
+  });
+  const WIZ_STATE_MISSING_ERROR = Object.freeze({
+    wiz: "missing wiz ip",
+    dmx: "invalid dmx patch or missing host",
+    wled: "invalid wled config or missing host",
+    lifx: "invalid lifx config or missing ip"
+  });
 
   function clampNumber(value, min, max, fallback) {
     const n = Number(value);
@@ -33,19 +51,33 @@ module.exports = function createStandaloneRuntime(deps = {}) {
     return Math.min(max, Math.max(min, n));
   }
 
+  function isWizStateFixtureConfigured(fixture) {
+    const check = fixtureRegistry[WIZ_STATE_CONFIGURED_CHECK[fixture.brand]];
+    if (fixture.brand === "wiz" && !fixture.ip) return false;
+    return typeof check !== "function" || Boolean(check(fixture));
+  }
+
+  function getWizStateTransportLabel(fixture) {
+    if (fixture.brand === "dmx") return `dmx-${fixture.protocol || "artnet"}`;
+    if (fixture.brand === "wled") return "wled-json";
+    if (fixture.brand === "lifx") return "lifx-udp";
+    return "wiz-udp";
+  }
+
   function getStandaloneWizAdapter(fixture) {
-    if (!fixture || fixture.brand !== "wiz") return null;
-    if (
-      typeof fixtureRegistry.isWizFixtureConfigured === "function" &&
-      !fixtureRegistry.isWizFixtureConfigured(fixture)
-    ) {
+    if (!fixture || !WIZ_STATE_BRANDS.has(fixture.brand)) return null;
+    if (typeof createWizPathAdapter !== "function") return null;
+    if (!isWizStateFixtureConfigured(fixture)) {
       return null;
     }
     const id = String(fixture.id || "").trim();
     if (!id) return null;
 
+    const transportKey = typeof getWizPathTransportKey === "function"
+      ? getWizPathTransportKey(fixture)
+      : String(fixture.ip || "");
     const existing = standaloneWizAdapters.get(id);
-    if (existing && existing.ip === fixture.ip) {
+    if (existing && existing.transportKey === transportKey) {
       return existing.send;
     }
 
@@ -56,8 +88,8 @@ module.exports = function createStandaloneRuntime(deps = {}) {
       standaloneWizAdapters.delete(id);
     }
 
-    const send = createWizAdapter({ ip: fixture.ip });
-    standaloneWizAdapters.set(id, { id, ip: fixture.ip, send });
+    const send = createWizPathAdapter(fixture);
+    standaloneWizAdapters.set(id, { id, transportKey, send });
     return send;
   }
 
@@ -167,7 +199,7 @@ module.exports = function createStandaloneRuntime(deps = {}) {
       twitchEnabled,
       customEnabled,
       target,
-      supportsCct: fixture?.brand === "wiz" || fixture?.brand === "hue",
+      supportsCct: WIZ_STATE_BRANDS.has(fixture?.brand) || fixture?.brand === "hue",
       animating: standaloneTimers.has(id),
       state: { ...current }
     };
@@ -203,7 +235,7 @@ module.exports = function createStandaloneRuntime(deps = {}) {
       const next = normalizeStandaloneState({}, current || persisted, fixture.brand);
       standaloneStates.set(id, next);
 
-      if (fixture.brand === "wiz" && fixture.enabled !== false) {
+      if (WIZ_STATE_BRANDS.has(fixture.brand) && fixture.enabled !== false) {
         getStandaloneWizAdapter(fixture);
       } else {
         closeStandaloneWizAdapter(id);
@@ -241,6 +273,9 @@ module.exports = function createStandaloneRuntime(deps = {}) {
     if (!fixture || !state) {
       return { ok: false, error: "invalid fixture/state" };
     }
+    if (!canDriveFixture(fixture)) {
+      return { ok: false, status: 409, error: "fixture is leased by a higher-priority owner" };
+    }
 
     if (fixture.brand === "hue") {
       const isReady =
@@ -268,6 +303,10 @@ module.exports = function createStandaloneRuntime(deps = {}) {
       }
 
       try {
+        if (typeof sendHueLightState === "function") {
+          const sent = await sendHueLightState(fixture, payload, { timeoutMs: 1800 });
+          return { ok: true, transport: sent?.transport === "rest-v2" ? "hue-rest-v2" : "hue-rest" };
+        }
         const requestOptions = {
           timeout: 1800
         };
@@ -288,18 +327,14 @@ module.exports = function createStandaloneRuntime(deps = {}) {
       }
     }
 
-    if (fixture.brand === "wiz") {
-      const isReady =
-        typeof fixtureRegistry.isWizFixtureConfigured === "function"
-          ? fixtureRegistry.isWizFixtureConfigured(fixture)
-          : Boolean(fixture.ip);
-      if (!isReady) {
-        return { ok: false, error: "missing wiz ip" };
+    if (WIZ_STATE_BRANDS.has(fixture.brand)) {
+      if (!isWizStateFixtureConfigured(fixture)) {
+        return { ok: false, error: WIZ_STATE_MISSING_ERROR[fixture.brand] || "invalid fixture config" };
       }
 
       const send = getStandaloneWizAdapter(fixture);
       if (!send) {
-        return { ok: false, error: "wiz fixture adapter unavailable" };
+        return { ok: false, error: `${fixture.brand} fixture adapter unavailable` };
       }
       const colorMode = String(state.colorMode || "").trim().toLowerCase();
       const wizState = {
@@ -317,7 +352,7 @@ module.exports = function createStandaloneRuntime(deps = {}) {
       }
       try {
         send(wizState, { repeats: 1, repeatDelayMs: 16 });
-        return { ok: true, transport: "wiz-udp" };
+        return { ok: true, transport: getWizStateTransportLabel(fixture) };
       } catch (err) {
         return { ok: false, error: err.message || String(err) };
       }
@@ -360,7 +395,7 @@ module.exports = function createStandaloneRuntime(deps = {}) {
 
     const sent = await sendStandaloneState(fixture, next);
     if (!sent.ok) {
-      return { ok: false, status: 502, error: sent.error || "standalone send failed" };
+      return { ok: false, status: sent.status || 502, error: sent.error || "standalone send failed" };
     }
 
     persistStandaloneStateForFixture(fixtureId, next);
@@ -433,6 +468,24 @@ module.exports = function createStandaloneRuntime(deps = {}) {
     }
   }
 
+  /**
+   * Mirrors a change made outside the bridge (Hue app, switch) into the
+   * standalone state without sending anything back to the light.
+   */
+  function applyExternalStateById(id, patch = {}) {
+    const fixtureId = String(id || "").trim();
+    const current = fixtureId ? standaloneStates.get(fixtureId) : null;
+    if (!current || current.animate) return null;
+    const next = { ...current };
+    if (typeof patch.on === "boolean") next.on = patch.on;
+    if (Number.isFinite(Number(patch.bri))) {
+      next.bri = clampNumber(Math.round(Number(patch.bri)), 1, 100, current.bri);
+    }
+    standaloneStates.set(fixtureId, next);
+    persistStandaloneStateForFixture(fixtureId, next);
+    return next;
+  }
+
   function getStateById(id) {
     const fixtureId = String(id || "").trim();
     if (!fixtureId) return null;
@@ -463,6 +516,7 @@ module.exports = function createStandaloneRuntime(deps = {}) {
     applyStandaloneRaveStopUpdates,
     applyStandaloneStartupUpdates,
     applyStandaloneRaveStartUpdates,
+    applyExternalStateById,
     getStateById,
     shutdown
   };
@@ -1,72 +1,322 @@
 // [TITLE] Module: core/state.js
-// [TITLE] Purpose: state
+// [TITLE] Purpose: light ownership leases (priority, scope, expiry)
 
 /**
  * ======================================================
  * CORE STATE — FINAL / SINGLE SOURCE OF TRUTH
  * ======================================================
  * This file knows:
- * - who currently owns the lights
+ * - who currently owns the lights, per fixture / zone / everything
  * - whether commands are allowed
- * - when locks were acquired
+ * - when leases were acquired and when they expire
  *
  * NOTHING ELSE should track this state.
+ *
+ * Ownership is a stack of leases. Each lease has an owner, a priority, a
+ * scope ("all", "fixture:<id>" or "zone:<zone>") and an optional expiry.
+ * For any fixture the highest-priority lease covering it wins (newest on
+ * ties); only that owner may drive the fixture. When it is released or
+ * expires, the next lease in the stack takes over.
  */
 
+const OWNER_PRIORITY = Object.freeze({
+    panic: 100,
+    safety: 90,
+    manual: 70,
+    midi: 70,
+    twitch: 50,
+    rave: 30,
+    ambient: 10
+});
+// Owners without a built-in priority (mods, scripts) sit just above ambient.
+const DEFAULT_OWNER_PRIORITY = 20;
+// Ceiling for mods, scripts and HTTP callers, so only the bridge itself can
+// take leases at safety or panic level.
+const EXTERNAL_PRIORITY_MAX = OWNER_PRIORITY.safety - 1;
+const LEASE_TTL_MAX_MS = 24 * 60 * 60 * 1000;
+const OWNER_PATTERN = /^[a-z0-9][a-z0-9_.:-]{0,47}$/;
+
 const state = {
-    lockOwner: null,      // e.g. "rave"
-    lockSince: 0
+    leases: [],
+    nextLeaseId: 1,
+    version: 0,
+    expiryTimer: null,
+    listeners: new Set()
 };
 
 /* =========================
-   LOCK CONTROL
+   HELPERS
+========================= */
+function normalizeOwner(value) {
+    const owner = String(value || "").trim().toLowerCase();
+    return OWNER_PATTERN.test(owner) ? owner : "";
+}
+
+function isCoreOwner(owner) {
+    return Object.prototype.hasOwnProperty.call(OWNER_PRIORITY, normalizeOwner(owner));
+}
+
+function getOwnerPriority(owner) {
+    const key = normalizeOwner(owner);
+    return isCoreOwner(key) ? OWNER_PRIORITY[key] : DEFAULT_OWNER_PRIORITY;
+}
+
+// "all" | "fixture:<id>" | "zone:<zone>" -> canonical scope, "" if invalid.
+function normalizeScope(value) {
+    const text = String(value ?? "all").trim();
+    if (!text || text.toLowerCase() === "all") return "all";
+    const split = text.indexOf(":");
+    if (split <= 0) return "";
+    const kind = text.slice(0, split).trim().toLowerCase();
+    const name = text.slice(split + 1).trim();
+    if (!name) return "";
+    if (kind === "fixture") return `fixture:${name}`;
+    if (kind === "zone") return `zone:${name.toLowerCase()}`;
+    return "";
+}
+
+function leaseCovers(lease, target = {}) {
+    if (lease.scope === "all") return true;
+    if (lease.scope.startsWith("fixture:")) {
+        return lease.scope.slice(8) === String(target.fixtureId || "").trim();
+    }
+    return lease.scope.slice(5) === String(target.zone || "").trim().toLowerCase();
+}
+
+function compareLeases(a, b) {
+    return (b.priority - a.priority) || (b.since - a.since) || (b.seq - a.seq);
+}
+
+function publicLease(lease) {
+    return {
+        id: lease.id,
+        owner: lease.owner,
+        priority: lease.priority,
+        scope: lease.scope,
+        since: lease.since,
+        expiresAt: lease.expiresAt,
+        reason: lease.reason
+    };
+}
+
+function notify(type, lease) {
+    state.version += 1;
+    const event = { type, lease: publicLease(lease), version: state.version, at: Date.now() };
+    for (const listener of state.listeners) {
+        try {
+            listener(event);
+        } catch (err) {
+            console.warn(`[STATE] ownership listener failed: ${err.message || err}`);
+        }
+    }
+}
+
+function pruneExpired(now = Date.now()) {
+    const expired = state.leases.filter(lease => lease.expiresAt > 0 && lease.expiresAt <= now);
+    if (!expired.length) return;
+    state.leases = state.leases.filter(lease => !expired.includes(lease));
+    for (const lease of expired) {
+        console.log(`[STATE] lease expired: ${lease.owner} ${lease.scope}`);
+        notify("expire", lease);
+    }
+}
+
+// One unref'd timer for the soonest expiry, so expiry is reported even when
+// nothing is querying ownership.
+function scheduleExpiry() {
+    if (state.expiryTimer) {
+        clearTimeout(state.expiryTimer);
+        state.expiryTimer = null;
+    }
+    const next = state.leases.reduce(
+        (soonest, lease) => (lease.expiresAt > 0 && lease.expiresAt < soonest ? lease.expiresAt : soonest),
+        Infinity
+    );
+    if (next === Infinity) return;
+    state.expiryTimer = setTimeout(() => {
+        state.expiryTimer = null;
+        pruneExpired();
+        scheduleExpiry();
+    }, Math.max(0, next - Date.now()));
+    state.expiryTimer.unref?.();
+}
+
+function removeLeases(predicate) {
+    pruneExpired();
+    const removed = state.leases.filter(predicate);
+    if (!removed.length) return [];
+    state.leases = state.leases.filter(lease => !removed.includes(lease));
+    for (const lease of removed) notify("release", lease);
+    scheduleExpiry();
+    return removed;
+}
+
+/* =========================
+   LEASES
+========================= */
+// Takes (or refreshes) `owner`'s lease on `scope`. Options: priority,
+// ttlMs (0 = until released), reason, maxPriority (ceiling for untrusted
+// callers). Owners outside OWNER_PRIORITY never go above
+// EXTERNAL_PRIORITY_MAX. Returns the lease, or null if invalid.
+function acquire(owner, options = {}) {
+    const ownerKey = normalizeOwner(owner);
+    const scope = normalizeScope(options.scope);
+    if (!ownerKey || !scope) return null;
+    const maxRaw = Number(options.maxPriority);
+    const ceiling = Math.min(
+        isCoreOwner(ownerKey) ? 1000 : EXTERNAL_PRIORITY_MAX,
+        Number.isFinite(maxRaw) ? maxRaw : 1000
+    );
+    const priorityRaw = Number(options.priority);
+    const priority = Math.max(0, Math.min(
+        ceiling,
+        Math.round(Number.isFinite(priorityRaw) ? priorityRaw : getOwnerPriority(ownerKey))
+    ));
+    const ttlRaw = Number(options.ttlMs);
+    const ttlMs = Number.isFinite(ttlRaw) && ttlRaw > 0 ? Math.min(ttlRaw, LEASE_TTL_MAX_MS) : 0;
+    const now = Date.now();
+
+    pruneExpired(now);
+    const existing = state.leases.find(lease => lease.owner === ownerKey && lease.scope === scope);
+    const seq = existing ? existing.seq : state.nextLeaseId++;
+    const lease = existing || { id: `lease-${seq}`, owner: ownerKey, scope, since: now, seq };
+    lease.priority = priority;
+    lease.expiresAt = ttlMs ? now + Math.round(ttlMs) : 0;
+    lease.reason = String(options.reason || "").trim().slice(0, 80);
+    if (!existing) state.leases.push(lease);
+
+    console.log(`[STATE] ${existing ? "lease refreshed" : "lease acquired"}: ${ownerKey} ${scope} (p${priority}${ttlMs ? `, ${Math.round(ttlMs)}ms` : ""})`);
+    notify(existing ? "refresh" : "acquire", lease);
+    scheduleExpiry();
+    return publicLease(lease);
+}
+
+function releaseLease(id) {
+    const leaseId = String(id || "").trim();
+    return removeLeases(lease => lease.id === leaseId).length > 0;
+}
+
+// Releases `owner`'s leases, optionally only the one on `scope`.
+function release(owner, scope) {
+    const ownerKey = normalizeOwner(owner);
+    if (!ownerKey) return 0;
+    const scopeKey = scope === undefined ? "" : normalizeScope(scope);
+    if (scope !== undefined && !scopeKey) return 0;
+    const removed = removeLeases(lease => lease.owner === ownerKey && (!scopeKey || lease.scope === scopeKey));
+    if (removed.length) console.log(`[STATE] released ${removed.length} lease(s) of ${ownerKey}`);
+    return removed.length;
+}
+
+/* =========================
+   LOCK CONTROL (global leases)
 ========================= */
 function lock(owner) {
     if (!owner) return false;
-    state.lockOwner = owner;
-    state.lockSince = Date.now();
-    console.log(`[STATE] locked by ${owner}`);
-    return true;
+    const lease = acquire(owner, { scope: "all" });
+    if (lease) console.log(`[STATE] locked by ${lease.owner}`);
+    return Boolean(lease);
 }
 
 function unlock(owner) {
-    if (state.lockOwner !== owner) return false;
-    state.lockOwner = null;
-    state.lockSince = 0;
+    if (!release(owner, "all")) return false;
     console.log(`[STATE] unlocked by ${owner}`);
     return true;
 }
 
 function forceUnlock() {
-    console.log(`[STATE] force unlock (was ${state.lockOwner})`);
-    state.lockOwner = null;
-    state.lockSince = 0;
+    console.log(`[STATE] force unlock (was ${getOwner()?.owner || null})`);
+    removeLeases(() => true);
 }
 
 /* =========================
    QUERIES
 ========================= */
+function getLeases() {
+    pruneExpired();
+    return [...state.leases].sort(compareLeases).map(publicLease);
+}
+
+// Leases covering `target` ({ fixtureId, zone }), winner first. With no
+// target only global leases apply.
+function getOwnerStack(target = {}) {
+    pruneExpired();
+    return state.leases
+        .filter(lease => leaseCovers(lease, target))
+        .sort(compareLeases)
+        .map(publicLease);
+}
+
+function getOwner(target = {}) {
+    return getOwnerStack(target)[0] || null;
+}
+
+// True when nothing holds `target` or `owner` is on top of its stack.
+function canControl(owner, target = {}) {
+    const top = getOwner(target);
+    return !top || top.owner === normalizeOwner(owner);
+}
+
+// For senders that drive lights without a lease of their own (standalone
+// controls, mod brands): true unless another owner's lease on `target`
+// outranks `owner`.
+function canPreempt(owner, target = {}) {
+    const ownerKey = normalizeOwner(owner);
+    const top = getOwner(target);
+    return !top || top.owner === ownerKey || top.priority <= getOwnerPriority(ownerKey);
+}
+
 function isLocked() {
-    return state.lockOwner !== null;
+    return getOwnerStack().length > 0;
 }
 
+// True when `owner` holds a global lease anywhere in the stack, not only
+// when it is on top (rave stays "on" while panic outranks it).
 function isLockedBy(owner) {
-    return state.lockOwner === owner;
+    const ownerKey = normalizeOwner(owner);
+    return getOwnerStack().some(lease => lease.owner === ownerKey);
+}
+
+function getVersion() {
+    return state.version;
+}
+
+// Listener receives { type: acquire|refresh|release|expire, lease, version, at }.
+function onChange(listener) {
+    if (typeof listener !== "function") return () => {};
+    state.listeners.add(listener);
+    return () => state.listeners.delete(listener);
 }
 
 function getStatus() {
+    const top = getOwner();
     return {
-        locked: isLocked(),
-        owner: state.lockOwner,
-        since: state.lockSince
+        locked: Boolean(top),
+        owner: top ? top.owner : null,
+        since: top ? top.since : 0,
+        version: state.version,
+        leases: getLeases()
     };
 }
 
 module.exports = {
+    OWNER_PRIORITY,
+    EXTERNAL_PRIORITY_MAX,
+    normalizeScope,
+    getOwnerPriority,
+    acquire,
+    release,
+    releaseLease,
     lock,
     unlock,
     forceUnlock,
+    getLeases,
+    getOwnerStack,
+    getOwner,
+    canControl,
+    canPreempt,
     isLocked,
     isLockedBy,
+    getVersion,
+    onChange,
     getStatus
 };
@@ -0,0 +1,21 @@
+// [TITLE] Module: core/utils/mac-address.js
+// [TITLE] Purpose: shared MAC address normalization
+
+// Colon or dash pairs, Cisco dotted quads, or 12 bare hex digits (WiZ wire format).
+const MAC_ADDRESS_PATTERNS = Object.freeze([
+  /^[0-9a-f]{2}(?::[0-9a-f]{2}){5}$/,
+  /^[0-9a-f]{2}(?:-[0-9a-f]{2}){5}$/,
+  /^[0-9a-f]{4}(?:\.[0-9a-f]{4}){2}$/,
+  /^[0-9a-f]{12}$/
+]);
+
+// Returns 12 lowercase hex digits ("a8bb50aabbcc"), or "" for anything else.
+function normalizeMacAddress(value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (!MAC_ADDRESS_PATTERNS.some(pattern => pattern.test(text))) return "";
+  return text.replace(/[^0-9a-f]/g, "");
+}
+
+module.exports = {
+  normalizeMacAddress
+};
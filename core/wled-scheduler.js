@@ -0,0 +1,89 @@
+// [TITLE] Module: core/wled-scheduler.js
+// [TITLE] Purpose: wled-scheduler
+
+/**
+ * WLED SCHEDULER (one per strip)
+ * - rate guard
+ * - delta guard over the whole LED frame
+ * - heartbeat inside WLED's realtime timeout
+ * - lightweight telemetry
+ */
+module.exports = function createWledScheduler() {
+  const last = {
+    frame: null,
+    sentAt: 0
+  };
+
+  const telemetry = {
+    sent: 0,
+    skippedRate: 0,
+    skippedDelta: 0,
+    forcedHeartbeat: 0
+  };
+
+  const MIN_INTERVAL = 25; // ms (~40 fps)
+  // WLED drops back to its own effect ~2 s after the last realtime frame.
+  const MAX_SILENCE_MS = 900;
+  const DELTA = 6; // largest per-channel move across the strip
+
+  function remember(frame, now) {
+    last.frame = Buffer.from(frame);
+    last.sentAt = now;
+  }
+
+  function maxChannelDelta(frame) {
+    if (!last.frame || last.frame.length !== frame.length) return Infinity;
+    let max = 0;
+    for (let i = 0; i < frame.length; i += 1) {
+      const delta = Math.abs(frame[i] - last.frame[i]);
+      if (delta > max) max = delta;
+    }
+    return max;
+  }
+
+  function shouldSend(frame, options = {}) {
+    const now = Date.now();
+    const minIntervalMs = Math.max(16, Number(options.minIntervalMs || MIN_INTERVAL));
+    const maxSilenceMs = Math.max(
+      minIntervalMs,
+      Number(options.maxSilenceMs || MAX_SILENCE_MS)
+    );
+    const forceDelta = Boolean(options.forceDelta);
+    const deltaScale = Math.max(0.2, Number(options.deltaScale || 1));
+
+    if (now - last.sentAt < minIntervalMs) {
+      telemetry.skippedRate++;
+      return false;
+    }
+
+    if (!forceDelta && maxChannelDelta(frame) < DELTA * deltaScale) {
+      if (now - last.sentAt >= maxSilenceMs) {
+        remember(frame, now);
+        telemetry.sent++;
+        telemetry.forcedHeartbeat++;
+        return true;
+      }
+      telemetry.skippedDelta++;
+      return false;
+    }
+
+    remember(frame, now);
+    telemetry.sent++;
+    return true;
+  }
+
+  function reset() {
+    last.frame = null;
+    last.sentAt = 0;
+  }
+
+  function getTelemetry() {
+    return telemetry;
+  }
+
+  return {
+    shouldSend,
+    reset,
+    getTelemetry
+  };
+};
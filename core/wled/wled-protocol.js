@@ -0,0 +1,219 @@
+// [TITLE] Module: core/wled/wled-protocol.js
+// [TITLE] Purpose: WLED fixture patch validation, segment layout, realtime UDP packets
+
+const { normalizePrivateOrLoopbackIpv4 } = require("../utils/private-ipv4");
+
+const WLED_PROTOCOLS = Object.freeze({
+  // DDP: any strip length, 480 RGB LEDs per packet, push flag on the last one.
+  ddp: Object.freeze({ port: 4048, maxLeds: 0 }),
+  // DRGB for up to 490 LEDs, DNRGB chunks (start index) above that.
+  drgb: Object.freeze({ port: 21324, maxLeds: 0 }),
+  // WARLS addresses LEDs by a one-byte index.
+  warls: Object.freeze({ port: 21324, maxLeds: 255 })
+});
+const WLED_PROTOCOL_ALIASES = Object.freeze({
+  ddp: "ddp",
+  drgb: "drgb",
+  dnrgb: "drgb",
+  warls: "warls"
+});
+const WLED_MAX_LEDS = 4096;
+const WLED_MAX_SEGMENTS = 64;
+// Used until /json/info reports the real strip length.
+const WLED_LED_COUNT_FALLBACK = 30;
+// Seconds WLED stays in realtime mode after the last UDP frame.
+const WLED_REALTIME_TIMEOUT_SEC = 2;
+const DDP_MAX_DATA = 1440;
+const DDP_TYPE_RGB24 = 0x0b;
+const DDP_ID_DISPLAY = 0x01;
+const DRGB_MAX_LEDS = 490;
+const DNRGB_MAX_LEDS = 489;
+
+function toInteger(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+function normalizeWledProtocol(value, fallback = "ddp") {
+  const key = String(value || "").trim().toLowerCase();
+  if (!key) return fallback;
+  return WLED_PROTOCOL_ALIASES[key] || "";
+}
+
+function readOptionalRange(input, key, min, max, label, errors) {
+  const given = String(input[key] ?? "").trim() !== "";
+  const raw = toInteger(input[key]);
+  if (!given) return 0;
+  if (raw === null || raw < min || raw > max) {
+    errors.push(`wled ${key} must be ${min}-${max}${label}`);
+    return 0;
+  }
+  return raw;
+}
+
+/**
+ * Validates a WLED fixture patch. Always returns a usable `patch`; `error`
+ * names the first invalid field for strict callers. `ledCount` and
+ * `segmentCount` of 0 mean "ask the device".
+ */
+function normalizeWledPatch(source = {}) {
+  const input = source && typeof source === "object" ? source : {};
+  const errors = [];
+  const protocol = normalizeWledProtocol(input.protocol) || "ddp";
+  if (!normalizeWledProtocol(input.protocol)) errors.push("wled protocol must be ddp, drgb or warls");
+
+  const hostRaw = String(input.host || "").trim();
+  const host = normalizePrivateOrLoopbackIpv4(hostRaw);
+  if (hostRaw && !host) errors.push("wled host must be a private/local IPv4 address");
+
+  const port = readOptionalRange(input, "port", 1, 65535, "", errors) || WLED_PROTOCOLS[protocol].port;
+  const ledCount = readOptionalRange(input, "ledCount", 1, WLED_MAX_LEDS, " (or omit to read /json/info)", errors);
+  const segmentCount = readOptionalRange(input, "segmentCount", 1, WLED_MAX_SEGMENTS, " (or omit to use device segments)", errors);
+
+  return {
+    patch: { host, protocol, port, ledCount, segmentCount },
+    error: errors[0] || ""
+  };
+}
+
+function isWledPatchConfigured(source = {}) {
+  const { patch, error } = normalizeWledPatch(source);
+  return !error && Boolean(patch.host);
+}
+
+/**
+ * LED ranges the palette is spread over: `segmentCount` equal slices when
+ * set, otherwise the device's own segments, otherwise the whole strip.
+ */
+function buildWledLayout({ ledCount, segments, segmentCount } = {}) {
+  const total = Math.max(1, Math.min(WLED_MAX_LEDS, Math.round(Number(ledCount) || 0) || WLED_LED_COUNT_FALLBACK));
+  const slices = Math.min(total, Math.max(0, Math.round(Number(segmentCount) || 0)));
+  if (slices > 0) {
+    return Array.from({ length: slices }, (_, i) => ({
+      start: Math.floor((i * total) / slices),
+      stop: Math.floor(((i + 1) * total) / slices)
+    }));
+  }
+  const fromDevice = (Array.isArray(segments) ? segments : [])
+    .map(segment => ({
+      start: Math.max(0, Math.round(Number(segment?.start) || 0)),
+      stop: Math.min(total, Math.round(Number(segment?.stop) || 0))
+    }))
+    .filter(segment => segment.stop > segment.start)
+    .sort((a, b) => a.start - b.start)
+    .slice(0, WLED_MAX_SEGMENTS);
+  return fromDevice.length ? fromDevice : [{ start: 0, stop: total }];
+}
+
+function clampByte(value) {
+  return Math.max(0, Math.min(255, Math.round(Number(value) || 0)));
+}
+
+// One RGB color per layout segment (cycled when short); LEDs outside every segment stay dark.
+function renderWledFrame(ledCount, layout, colors) {
+  const total = Math.max(1, Math.min(WLED_MAX_LEDS, Math.round(Number(ledCount) || 0) || WLED_LED_COUNT_FALLBACK));
+  const frame = Buffer.alloc(total * 3);
+  const list = (Array.isArray(colors) ? colors : [colors]).filter(color => color && typeof color === "object");
+  if (!list.length) return frame;
+  (Array.isArray(layout) ? layout : []).forEach((segment, index) => {
+    const color = list[index % list.length];
+    const rgb = [clampByte(color.r), clampByte(color.g), clampByte(color.b)];
+    for (let led = Math.max(0, segment.start); led < Math.min(total, segment.stop); led += 1) {
+      frame[led * 3] = rgb[0];
+      frame[(led * 3) + 1] = rgb[1];
+      frame[(led * 3) + 2] = rgb[2];
+    }
+  });
+  return frame;
+}
+
+function buildDdpPackets(frame, sequence = 1) {
+  const packets = [];
+  const seq = ((Math.round(Number(sequence) || 0) % 15) + 15) % 15 + 1;
+  for (let offset = 0; offset < frame.length; offset += DDP_MAX_DATA) {
+    const chunk = frame.subarray(offset, Math.min(frame.length, offset + DDP_MAX_DATA));
+    const last = offset + chunk.length >= frame.length;
+    const header = Buffer.alloc(10);
+    header.writeUInt8(0x40 | (last ? 0x01 : 0), 0);
+    header.writeUInt8(seq, 1);
+    header.writeUInt8(DDP_TYPE_RGB24, 2);
+    header.writeUInt8(DDP_ID_DISPLAY, 3);
+    header.writeUInt32BE(offset, 4);
+    header.writeUInt16BE(chunk.length, 8);
+    packets.push(Buffer.concat([header, chunk]));
+  }
+  return packets;
+}
+
+function buildDrgbPackets(frame, timeoutSec = WLED_REALTIME_TIMEOUT_SEC) {
+  const leds = frame.length / 3;
+  const timeout = clampByte(timeoutSec);
+  if (leds <= DRGB_MAX_LEDS) {
+    return [Buffer.concat([Buffer.from([2, timeout]), frame])];
+  }
+  const packets = [];
+  for (let start = 0; start < leds; start += DNRGB_MAX_LEDS) {
+    const count = Math.min(DNRGB_MAX_LEDS, leds - start);
+    packets.push(Buffer.concat([
+      Buffer.from([4, timeout, (start >> 8) & 0xff, start & 0xff]),
+      frame.subarray(start * 3, (start + count) * 3)
+    ]));
+  }
+  return packets;
+}
+
+function buildWarlsPackets(frame, timeoutSec = WLED_REALTIME_TIMEOUT_SEC) {
+  const leds = Math.min(WLED_PROTOCOLS.warls.maxLeds, frame.length / 3);
+  const packet = Buffer.alloc(2 + (leds * 4));
+  packet.writeUInt8(1, 0);
+  packet.writeUInt8(clampByte(timeoutSec), 1);
+  for (let led = 0; led < leds; led += 1) {
+    packet.writeUInt8(led, 2 + (led * 4));
+    frame.copy(packet, 3 + (led * 4), led * 3, (led * 3) + 3);
+  }
+  return [packet];
+}
+
+function buildWledRealtimePackets(protocol, frame, options = {}) {
+  if (protocol === "warls") return buildWarlsPackets(frame, options.timeoutSec);
+  if (protocol === "drgb") return buildDrgbPackets(frame, options.timeoutSec);
+  return buildDdpPackets(frame, options.sequence);
+}
+
+// /json/info + /json/state -> the device facts the output and connectivity need.
+function parseWledDeviceInfo(info = {}, state = {}) {
+  const leds = info && typeof info.leds === "object" ? info.leds : {};
+  const segments = (Array.isArray(state?.seg) ? state.seg : [])
+    .map(segment => ({
+      id: Math.round(Number(segment?.id) || 0),
+      start: Math.round(Number(segment?.start) || 0),
+      stop: Math.round(Number(segment?.stop) || 0)
+    }))
+    .filter(segment => segment.stop > segment.start);
+  return {
+    name: String(info?.name || "").trim(),
+    version: String(info?.ver || "").trim(),
+    mac: String(info?.mac || "").trim().toLowerCase(),
+    ledCount: Math.max(0, Math.round(Number(leds.count) || 0)),
+    rgbw: Boolean(leds.rgbw),
+    segments
+  };
+}
+
+module.exports = {
+  WLED_PROTOCOLS,
+  WLED_MAX_LEDS,
+  WLED_LED_COUNT_FALLBACK,
+  WLED_REALTIME_TIMEOUT_SEC,
+  normalizeWledProtocol,
+  normalizeWledPatch,
+  isWledPatchConfigured,
+  buildWledLayout,
+  renderWledFrame,
+  buildDdpPackets,
+  buildDrgbPackets,
+  buildWarlsPackets,
+  buildWledRealtimePackets,
+  parseWledDeviceInfo
+};
@@ -379,14 +379,14 @@ module.exports = function createQuietHoursMod(api) {
       );
     },
 
-    onIntent(payload) {
-      if (!payload || !payload.intent || typeof payload.intent !== "object") return;
+    // Runs in the intent pipeline, so in-place edits are what gets dispatched.
+    transformIntent(intent) {
+      if (!intent || typeof intent !== "object") return;
       stats.seenIntents += 1;
 
       const quiet = getQuietState(new Date());
       if (!quiet.active) return;
 
-      const intent = payload.intent;
       const hueChanged = adjustHueIntent(intent);
       const wizChanged = adjustWizIntent(intent);
 
@@ -0,0 +1,84 @@
+// [TITLE] Module: routes/events-routes.js
+// [TITLE] Purpose: live telemetry push (server-sent events) route registration
+
+module.exports = function registerEventsRoutes(app, deps = {}) {
+  const {
+    eventsRateLimit,
+    liveEvents,
+    parseLiveEventTopics,
+    privilegedTopics = [],
+    canReadPrivilegedRoute,
+    retryMs = 2000
+  } = deps;
+
+  if (typeof app?.get !== "function") {
+    throw new Error("registerEventsRoutes requires an express app instance");
+  }
+  if (!liveEvents || typeof liveEvents.addClient !== "function") {
+    throw new Error("registerEventsRoutes requires liveEvents hub");
+  }
+  if (typeof parseLiveEventTopics !== "function") {
+    throw new Error("registerEventsRoutes requires parseLiveEventTopics()");
+  }
+  if (typeof canReadPrivilegedRoute !== "function") {
+    throw new Error("registerEventsRoutes requires canReadPrivilegedRoute()");
+  }
+
+  const privileged = new Set(privilegedTopics);
+  const passThrough = (_, __, next) => next();
+
+  app.get("/events", eventsRateLimit || passThrough, (req, res) => {
+    const requested = parseLiveEventTopics(req.query.topics);
+    const allowPrivileged = canReadPrivilegedRoute(req);
+    const denied = allowPrivileged ? [] : requested.filter(topic => privileged.has(topic));
+    const topics = requested.filter(topic => !denied.includes(topic));
+    if (!topics.length) {
+      res.status(400).json({
+        ok: false,
+        error: "no subscribable topics",
+        denied
+      });
+      return;
+    }
+
+    const client = liveEvents.addClient({
+      topics,
+      throttleMs: req.query.throttleMs,
+      write: chunk => res.write(chunk),
+      close: () => res.end()
+    });
+    if (!client.ok) {
+      res.status(503).json(client);
+      return;
+    }
+
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders?.();
+    req.socket?.setKeepAlive?.(true);
+    req.socket?.setNoDelay?.(true);
+    res.write(`retry: ${retryMs}\n\n`);
+
+    res.on("drain", client.drain);
+    const release = () => liveEvents.removeClient(client.id);
+    req.on("close", release);
+    res.on("error", release);
+
+    client.send("hello", {
+      clientId: client.id,
+      topics: client.topics,
+      throttleMs: client.throttleMs,
+      denied
+    });
+  });
+
+  app.get("/events/status", (_, res) => {
+    res.json({
+      ok: true,
+      events: liveEvents.getTelemetry()
+    });
+  });
+};
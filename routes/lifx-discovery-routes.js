@@ -0,0 +1,63 @@
+// [TITLE] Module: routes/lifx-discovery-routes.js
+// [TITLE] Purpose: LIFX LAN discovery route registration
+
+module.exports = function registerLifxDiscoveryRoutes(app, deps = {}) {
+  const {
+    lifxDiscoverRateLimit,
+    fixtureRegistry,
+    discoverLifxBulbs,
+    getDiscoveryOptions
+  } = deps;
+
+  if (typeof app?.get !== "function") {
+    throw new Error("registerLifxDiscoveryRoutes requires an express app instance");
+  }
+  if (!fixtureRegistry || typeof fixtureRegistry.getFixtures !== "function") {
+    throw new Error("registerLifxDiscoveryRoutes requires fixtureRegistry");
+  }
+  if (typeof discoverLifxBulbs !== "function") {
+    throw new Error("registerLifxDiscoveryRoutes requires discoverLifxBulbs");
+  }
+
+  const getLifxFixtureIndex = () => {
+    const byIp = new Map();
+    const byMac = new Map();
+    for (const fixture of fixtureRegistry.getFixtures()) {
+      if (String(fixture?.brand || "").trim().toLowerCase() !== "lifx") continue;
+      const ip = String(fixture.ip || "").trim();
+      const mac = String(fixture.mac || "").trim();
+      if (ip && !byIp.has(ip)) byIp.set(ip, fixture);
+      if (mac && !byMac.has(mac)) byMac.set(mac, fixture);
+    }
+    return { byIp, byMac };
+  };
+
+  app.get("/lifx/discover", lifxDiscoverRateLimit, async (req, res) => {
+    const timeoutMs = req.query.timeoutMs !== undefined ? Number(req.query.timeoutMs) : undefined;
+    try {
+      const result = await discoverLifxBulbs({
+        ...(typeof getDiscoveryOptions === "function" ? getDiscoveryOptions() : {}),
+        ...(Number.isFinite(timeoutMs) ? { timeoutMs } : {})
+      });
+      const index = getLifxFixtureIndex();
+      res.json({
+        ok: true,
+        bulbs: result.bulbs.map(bulb => {
+          const fixture = (bulb.mac && index.byMac.get(bulb.mac)) || index.byIp.get(bulb.ip) || null;
+          return {
+            ...bulb,
+            configured: Boolean(fixture),
+            fixtureId: fixture ? fixture.id : null
+          };
+        }),
+        durationMs: result.durationMs
+      });
+    } catch (err) {
+      res.status(500).json({
+        ok: false,
+        error: "lifx discovery failed",
+        message: err.message || String(err)
+      });
+    }
+  });
+};
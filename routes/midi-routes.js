@@ -25,11 +25,15 @@ module.exports = function registerMidiRoutes(app, deps = {}) {
           deviceIndex: null,
           deviceMatch: "",
           velocityThreshold: 1,
-          bindings: {}
+          clockSync: true,
+          bindings: {},
+          output: { enabled: false, deviceIndex: null, deviceMatch: "", onValue: 127, offValue: 0, feedback: {}, beat: null }
         },
         actions: [],
         learn: { target: null, startedAt: 0, expiresAt: 0 },
         lastMessage: null,
+        clock: { running: false, bpm: 0, ticks: 0, beatIndex: 0, beatPhase: 0, lastTickAt: 0 },
+        output: { connected: false, portIndex: null, portName: "", ports: [], reason: "midi manager unavailable" },
         lastAction: "",
         lastActionAt: "",
         reason: "midi manager unavailable"
@@ -0,0 +1,32 @@
+// [TITLE] Module: routes/mqtt-routes.js
+// [TITLE] Purpose: MQTT bridge status and broker config route registration
+
+module.exports = function registerMqttRoutes(app, deps = {}) {
+  const mqttBridge = deps.mqttBridge && typeof deps.mqttBridge.getStatus === "function"
+    ? deps.mqttBridge
+    : null;
+  const getRequestMap = typeof deps.getRequestMap === "function"
+    ? deps.getRequestMap
+    : (value => (value && typeof value === "object" ? value : {}));
+
+  if (typeof app?.get !== "function") {
+    throw new Error("registerMqttRoutes requires an express app instance");
+  }
+
+  app.get("/mqtt/status", (_, res) => {
+    if (!mqttBridge) {
+      res.status(503).json({ ok: false, error: "mqtt bridge unavailable" });
+      return;
+    }
+    res.json(mqttBridge.getStatus());
+  });
+
+  app.post("/mqtt/config", (req, res) => {
+    if (!mqttBridge) {
+      res.status(503).json({ ok: false, error: "mqtt bridge unavailable" });
+      return;
+    }
+    const result = mqttBridge.applyConfig(getRequestMap(req.body));
+    res.status(result.ok === false ? 400 : 200).json(result);
+  });
+};
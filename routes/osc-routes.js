@@ -0,0 +1,137 @@
+"use strict";
+
+module.exports = function registerOscRoutes(app, deps = {}) {
+  const getOscManager = typeof deps.getOscManager === "function"
+    ? deps.getOscManager
+    : () => deps.oscManager || null;
+  const oscOutput = deps.oscOutput && typeof deps.oscOutput.getStatus === "function"
+    ? deps.oscOutput
+    : null;
+  const getRequestMap = typeof deps.getRequestMap === "function"
+    ? deps.getRequestMap
+    : (value => (value && typeof value === "object" ? value : {}));
+
+  function getOscSnapshot() {
+    const oscManager = getOscManager();
+    if (!oscManager || typeof oscManager.getStatus !== "function") {
+      return {
+        ok: false,
+        listening: false,
+        boundHost: "",
+        boundPort: 0,
+        config: {
+          enabled: false,
+          host: "",
+          port: 0,
+          addressPrefix: "",
+          allowPublicSources: false,
+          bindings: {}
+        },
+        actions: [],
+        builtinAddresses: [],
+        learn: { target: null, startedAt: 0, expiresAt: 0 },
+        lastMessage: null,
+        lastAction: "",
+        lastActionAt: "",
+        reason: "osc manager unavailable"
+      };
+    }
+    return oscManager.getStatus();
+  }
+
+  function withOscMethodOr503(methodName, res, onReady) {
+    const oscManager = getOscManager();
+    if (oscManager && typeof oscManager[methodName] === "function") {
+      return onReady(oscManager);
+    }
+    return res.status(503).json(getOscSnapshot());
+  }
+
+  function normalizeOscAction(actionRaw) {
+    return String(actionRaw || "").trim().toLowerCase();
+  }
+
+  function respondOscActionResult(res, result, error, requested) {
+    if (!result || result.ok !== true) {
+      return res.status(400).json({
+        ...(result?.status || {}),
+        ok: false,
+        error,
+        requested
+      });
+    }
+    return res.json(result.status);
+  }
+
+  app.get("/osc/status", (_, res) => {
+    res.json(getOscSnapshot());
+  });
+
+  app.post("/osc/refresh", (_, res) => {
+    return withOscMethodOr503("refresh", res, manager => res.json(manager.refresh()));
+  });
+
+  app.post("/osc/config", (req, res) => {
+    return withOscMethodOr503("applyConfig", res, manager => {
+      const patch = getRequestMap(req.body);
+      return res.json(manager.applyConfig(patch));
+    });
+  });
+
+  app.post("/osc/learn/cancel", (_, res) => {
+    return withOscMethodOr503("cancelLearn", res, manager => res.json(manager.cancelLearn()));
+  });
+
+  app.post("/osc/learn/:action", (req, res) => {
+    return withOscMethodOr503("startLearn", res, manager => {
+      const action = normalizeOscAction(req.params.action);
+      const result = manager.startLearn(action);
+      return respondOscActionResult(res, result, "invalid osc learn action", action);
+    });
+  });
+
+  app.post("/osc/bindings/reset", (_, res) => {
+    return withOscMethodOr503("resetBindings", res, manager => res.json(manager.resetBindings()));
+  });
+
+  app.post("/osc/bindings/:action", (req, res) => {
+    return withOscMethodOr503("setBinding", res, manager => {
+      const action = normalizeOscAction(req.params.action);
+      const binding = getRequestMap(req.body);
+      const result = manager.setBinding(action, binding);
+      return respondOscActionResult(res, result, "invalid osc binding", action);
+    });
+  });
+
+  app.delete("/osc/bindings/:action", (req, res) => {
+    return withOscMethodOr503("clearBinding", res, manager => {
+      const action = normalizeOscAction(req.params.action);
+      const result = manager.clearBinding(action);
+      return respondOscActionResult(res, result, "binding not found", action);
+    });
+  });
+
+  app.get("/osc/output", (_, res) => {
+    if (!oscOutput) {
+      res.status(503).json({ ok: false, error: "osc output unavailable" });
+      return;
+    }
+    res.json(oscOutput.getStatus());
+  });
+
+  app.post("/osc/output", (req, res) => {
+    if (!oscOutput) {
+      res.status(503).json({ ok: false, error: "osc output unavailable" });
+      return;
+    }
+    res.json(oscOutput.applyConfig(getRequestMap(req.body)));
+  });
+
+  app.post("/osc/trigger/:action", (req, res) => {
+    return withOscMethodOr503("triggerAction", res, manager => {
+      const action = normalizeOscAction(req.params.action);
+      const result = manager.triggerAction(action);
+      return respondOscActionResult(res, result, "invalid osc trigger action", action);
+    });
+  });
+};
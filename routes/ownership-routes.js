@@ -0,0 +1,97 @@
+"use strict";
+
+module.exports = function registerOwnershipRoutes(app, deps = {}) {
+  const { state } = deps;
+
+  function readTarget(source = {}) {
+    const fixtureId = String(source.fixtureId || "").trim();
+    const zone = String(source.zone || "").trim();
+    return fixtureId || zone ? { fixtureId, zone } : null;
+  }
+
+  // { scope } / { scopes: [] } / { fixtureIds: [] } / { zone } -> scope list.
+  function readScopes(body) {
+    const scopes = [];
+    if (Array.isArray(body.scopes)) scopes.push(...body.scopes);
+    if (body.scope !== undefined) scopes.push(body.scope);
+    if (Array.isArray(body.fixtureIds)) scopes.push(...body.fixtureIds.map(id => `fixture:${id}`));
+    if (body.fixtureId) scopes.push(`fixture:${body.fixtureId}`);
+    if (body.zone) scopes.push(`zone:${body.zone}`);
+    return scopes.length ? scopes : ["all"];
+  }
+
+  function buildOwnershipSnapshot(target) {
+    return {
+      ok: true,
+      ...state.getStatus(),
+      priorities: state.OWNER_PRIORITY,
+      ...(target ? { target, stack: state.getOwnerStack(target) } : {})
+    };
+  }
+
+  // ?fixtureId= / ?zone= adds the owner stack for that target.
+  app.get("/state/ownership", (req, res) => {
+    res.json(buildOwnershipSnapshot(readTarget(req.query || {})));
+  });
+
+  // Take (or refresh) leases: { owner, priority?, ttlMs?, reason?, scope|scopes|fixtureIds|zone }.
+  // HTTP leases stay below safety/panic whatever owner they name.
+  app.post("/state/ownership/leases", (req, res) => {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const owner = String(body.owner || "").trim().toLowerCase();
+    if (!owner) {
+      res.status(400).json({ ok: false, error: "owner required" });
+      return;
+    }
+    if (owner === "rave") {
+      res.status(400).json({ ok: false, error: "rave ownership follows /rave/on and /rave/off" });
+      return;
+    }
+    const scopes = readScopes(body);
+    const invalid = scopes.filter(scope => !state.normalizeScope(scope));
+    if (invalid.length) {
+      res.status(400).json({ ok: false, error: "scope must be all, fixture:<id> or zone:<zone>", invalid });
+      return;
+    }
+    const leases = [];
+    for (const scope of [...new Set(scopes.map(state.normalizeScope))]) {
+      const lease = state.acquire(owner, {
+        scope,
+        priority: body.priority,
+        maxPriority: state.EXTERNAL_PRIORITY_MAX,
+        ttlMs: body.ttlMs,
+        reason: body.reason
+      });
+      if (!lease) {
+        res.status(400).json({ ok: false, error: "owner must be 1-48 chars of a-z, 0-9, _ . : or -" });
+        return;
+      }
+      leases.push(lease);
+    }
+    res.json({ ...buildOwnershipSnapshot(null), acquired: leases });
+  });
+
+  app.delete("/state/ownership/leases/:id", (req, res) => {
+    if (!state.releaseLease(req.params.id)) {
+      res.status(404).json({ ok: false, error: "lease not found", id: String(req.params.id || "") });
+      return;
+    }
+    res.json(buildOwnershipSnapshot(null));
+  });
+
+  // ?owner= releases all of that owner's leases, plus &scope= for just one.
+  app.delete("/state/ownership/leases", (req, res) => {
+    const owner = String(req.query.owner || req.body?.owner || "").trim().toLowerCase();
+    const scope = req.query.scope ?? req.body?.scope;
+    if (!owner || owner === "rave") {
+      res.status(400).json({ ok: false, error: owner ? "rave ownership follows /rave/off" : "owner required" });
+      return;
+    }
+    const released = state.release(owner, scope === undefined || scope === "" ? undefined : scope);
+    if (!released) {
+      res.status(404).json({ ok: false, error: "no matching leases", owner });
+      return;
+    }
+    res.json({ ...buildOwnershipSnapshot(null), released });
+  });
+};
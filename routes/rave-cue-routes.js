@@ -0,0 +1,105 @@
+"use strict";
+
+module.exports = function registerRaveCueRoutes(app, deps = {}) {
+  const {
+    cueTransport,
+    buildCueListsSnapshot,
+    upsertCueListConfig,
+    removeCueListConfig
+  } = deps;
+
+  function readParam(req, key) {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    return req.query?.[key] ?? body[key];
+  }
+
+  function sendTransportResult(res, ok, error) {
+    if (!ok) {
+      res.status(409).json({ ok: false, error, status: cueTransport.getStatus() });
+      return;
+    }
+    res.json({ ok: true, status: cueTransport.getStatus() });
+  }
+
+  app.get("/rave/cues", (_, res) => {
+    res.json(buildCueListsSnapshot());
+  });
+
+  app.get("/rave/cues/status", (_, res) => {
+    res.json({ ok: true, status: cueTransport.getStatus() });
+  });
+
+  // Create or replace one cue list (body is the list definition).
+  app.post("/rave/cues", (req, res) => {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const result = upsertCueListConfig(body.list && typeof body.list === "object" ? body.list : body);
+    if (!result.ok) {
+      res.status(result.status || 400).json({ ok: false, error: result.error || "cue list update failed" });
+      return;
+    }
+    console.log(`[CUES] cue list saved: ${result.list.id} (${result.list.cues.length} cues)`);
+    res.json({ ...buildCueListsSnapshot(), list: result.list });
+  });
+
+  app.delete("/rave/cues/:id", (req, res) => {
+    const result = removeCueListConfig(req.params.id);
+    if (!result.ok) {
+      res.status(result.status || 400).json({ ok: false, error: result.error, id: String(req.params.id || "") });
+      return;
+    }
+    console.log(`[CUES] cue list removed: ${result.id}`);
+    res.json(buildCueListsSnapshot());
+  });
+
+  // An empty id disarms.
+  app.post("/rave/cues/arm", (req, res) => {
+    const id = String(readParam(req, "id") || "");
+    sendTransportResult(res, cueTransport.arm(id), "cue list not found");
+  });
+
+  // Plays `id` (default: the armed list) from `at`, or resumes a paused list.
+  app.post("/rave/cues/play", (req, res) => {
+    const id = String(readParam(req, "id") || "");
+    const at = readParam(req, "at") ?? 0;
+    sendTransportResult(res, cueTransport.play(id, at), "no cue list to play");
+  });
+
+  app.post("/rave/cues/go", (_, res) => {
+    sendTransportResult(res, cueTransport.go(), "no armed or paused cue list");
+  });
+
+  app.post("/rave/cues/pause", (_, res) => {
+    sendTransportResult(res, cueTransport.pause(), "no cue list playing");
+  });
+
+  app.post("/rave/cues/stop", (_, res) => {
+    cueTransport.stop();
+    res.json({ ok: true, status: cueTransport.getStatus() });
+  });
+
+  app.post("/rave/cues/seek", (req, res) => {
+    const at = readParam(req, "at");
+    if (at === undefined || at === null || at === "") {
+      res.status(400).json({ ok: false, error: "missing at" });
+      return;
+    }
+    sendTransportResult(res, cueTransport.seek(at), "no cue list loaded or invalid position");
+  });
+
+  // External triggers: { "reward": "<twitch reward>" } or { "key": "<name>" }.
+  app.post("/rave/cues/trigger", (req, res) => {
+    const reward = readParam(req, "reward");
+    const key = readParam(req, "key");
+    const trigger = reward ? `twitch:${reward}` : (key ? `key:${key}` : "");
+    if (!trigger) {
+      res.status(400).json({ ok: false, error: "reward or key required" });
+      return;
+    }
+    const listId = cueTransport.trigger(trigger);
+    if (!listId) {
+      res.status(404).json({ ok: false, error: "no cue list bound to trigger", trigger });
+      return;
+    }
+    res.json({ ok: true, listId, status: cueTransport.getStatus() });
+  });
+};
@@ -23,6 +23,8 @@ module.exports = function registerRavePaletteMetricRoutes(app, deps = {}) {
     buildPaletteRuntimeSnapshot,
     buildFixtureMetricRoutingSnapshot,
     buildPaletteBrandFixtureCatalog,
+    buildPaletteKeyMapSnapshot,
+    patchPaletteKeyMapConfig,
     fixtureRegistry
   } = deps;
   const getEngine = typeof deps.getEngine === "function"
@@ -215,6 +217,22 @@ module.exports = function registerRavePaletteMetricRoutes(app, deps = {}) {
     res.json(buildPaletteRuntimeSnapshot(next));
   });
 
+  app.get("/rave/palette/key-map", (_, res) => {
+    res.json(buildPaletteKeyMapSnapshot());
+  });
+
+  app.post("/rave/palette/key-map", (req, res) => {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const patch = body.keys && typeof body.keys === "object" ? body.keys : body;
+    const result = patchPaletteKeyMapConfig(patch, { reset: body.reset === true });
+    if (!result.ok) {
+      res.status(result.status || 400).json({ ok: false, error: result.error || "key map update failed" });
+      return;
+    }
+    console.log("[RAVE] palette key map updated");
+    res.json(buildPaletteKeyMapSnapshot());
+  });
+
   app.get("/rave/fixture-metrics", (_, res) => {
     const fixtures = fixtureRegistry.getFixtures?.() || [];
     res.json({
@@ -0,0 +1,71 @@
+"use strict";
+
+module.exports = function registerRaveSceneRoutes(app, deps = {}) {
+  const { sceneRegistry, syncEngineScenes } = deps;
+  const getEngine = typeof deps.getEngine === "function"
+    ? deps.getEngine
+    : () => deps.engine || null;
+
+  function buildScenesSnapshot() {
+    const catalog = getEngine()?.getSceneCatalog?.() || { scenes: [], defaults: {} };
+    return {
+      ok: true,
+      scenes: sceneRegistry.getScenes(),
+      catalog: catalog.scenes,
+      defaults: catalog.defaults,
+      meta: sceneRegistry.getMeta()
+    };
+  }
+
+  function removeSceneRoute(id, res) {
+    if (!sceneRegistry.removeScene(id)) {
+      res.status(404).json({ ok: false, error: "scene not found", id: String(id || "") });
+      return;
+    }
+    syncEngineScenes();
+    console.log(`[RAVE] scene removed: ${id}`);
+    res.json(buildScenesSnapshot());
+  }
+
+  app.get("/rave/scenes", (_, res) => {
+    res.json(buildScenesSnapshot());
+  });
+
+  app.get("/rave/scenes/:id", (req, res) => {
+    const scene = sceneRegistry.getScene(req.params.id);
+    if (!scene) {
+      res.status(404).json({ ok: false, error: "scene not found", id: String(req.params.id || "") });
+      return;
+    }
+    res.json({ ok: true, scene });
+  });
+
+  // Create or replace one scene (body is the scene definition).
+  app.post("/rave/scenes", (req, res) => {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    let scene;
+    try {
+      scene = sceneRegistry.upsertScene(body.scene && typeof body.scene === "object" ? body.scene : body);
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message || String(err) });
+      return;
+    }
+    syncEngineScenes();
+    console.log(`[RAVE] scene saved: ${scene.id} (${scene.behavior})`);
+    res.json({ ...buildScenesSnapshot(), scene });
+  });
+
+  app.post("/rave/scenes/reload", (_, res) => {
+    const ok = sceneRegistry.reload();
+    syncEngineScenes();
+    res.status(ok ? 200 : 500).json({ ...buildScenesSnapshot(), ok });
+  });
+
+  app.delete("/rave/scenes/:id", (req, res) => {
+    removeSceneRoute(req.params.id, res);
+  });
+
+  app.delete("/rave/scenes", (req, res) => {
+    removeSceneRoute(req.query.id || req.body?.id, res);
+  });
+};
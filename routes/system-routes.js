@@ -37,7 +37,9 @@ module.exports = function registerSystemRoutes(app, deps = {}) {
     }
 
     const payload = getRequestMap(req.body);
-    const patched = patchSystemConfig(payload);
+    const patched = patchSystemConfig(payload, {
+      loopback: typeof isLoopbackRequest === "function" ? isLoopbackRequest(req) === true : false
+    });
     if (!patched.ok) {
       res.status(Number(patched.status) || 400).json({
         ok: false,
@@ -0,0 +1,192 @@
+// [TITLE] Module: routes/wiz-discovery-routes.js
+// [TITLE] Purpose: WiZ LAN discovery + add-as-fixture route registration
+
+module.exports = function registerWizDiscoveryRoutes(app, deps = {}) {
+  const {
+    wizDiscoverRateLimit,
+    fixtureRegistry,
+    discoverWizBulbs,
+    getDiscoveryOptions,
+    refreshWizAdapters,
+    syncStandaloneRuntime,
+    queueFixtureConnectivityProbe,
+    normalizePrivateOrLoopbackIpv4
+  } = deps;
+
+  if (typeof app?.get !== "function" || typeof app?.post !== "function") {
+    throw new Error("registerWizDiscoveryRoutes requires an express app instance");
+  }
+  if (!fixtureRegistry || typeof fixtureRegistry.upsertFixture !== "function") {
+    throw new Error("registerWizDiscoveryRoutes requires fixtureRegistry");
+  }
+  if (typeof discoverWizBulbs !== "function") {
+    throw new Error("registerWizDiscoveryRoutes requires discoverWizBulbs");
+  }
+  if (typeof normalizePrivateOrLoopbackIpv4 !== "function") {
+    throw new Error("registerWizDiscoveryRoutes requires normalizePrivateOrLoopbackIpv4");
+  }
+
+  const resolveDiscoveryOptions = (overrides = {}) => ({
+    ...(typeof getDiscoveryOptions === "function" ? getDiscoveryOptions() : {}),
+    ...overrides
+  });
+
+  const getWizFixtureIndex = () => {
+    const byIp = new Map();
+    const byMac = new Map();
+    for (const fixture of fixtureRegistry.getFixtures()) {
+      if (String(fixture?.brand || "").trim().toLowerCase() !== "wiz") continue;
+      const ip = String(fixture.ip || "").trim();
+      const mac = String(fixture.mac || "").trim();
+      if (ip && !byIp.has(ip)) byIp.set(ip, fixture);
+      if (mac && !byMac.has(mac)) byMac.set(mac, fixture);
+    }
+    return { byIp, byMac };
+  };
+
+  const findFixtureById = id => fixtureRegistry.getFixtures()
+    .find(fixture => String(fixture?.id || "") === id) || null;
+
+  // upsertFixture merges into a fixture with the same id, whatever its brand.
+  const sendFixtureIdConflict = (res, id) => {
+    const taken = id ? findFixtureById(id) : null;
+    if (!taken) return false;
+    res.status(409).json({
+      ok: false,
+      error: "fixture id already exists",
+      fixtureId: taken.id,
+      brand: taken.brand
+    });
+    return true;
+  };
+
+  const annotateBulb = (bulb, index) => {
+    const fixture = (bulb.mac && index.byMac.get(bulb.mac)) || index.byIp.get(bulb.ip) || null;
+    return {
+      ...bulb,
+      configured: Boolean(fixture),
+      fixtureId: fixture ? fixture.id : null
+    };
+  };
+
+  const buildDiscoveredFixtureId = bulb => {
+    const suffix = bulb.mac
+      ? bulb.mac.slice(-6)
+      : bulb.ip.split(".").slice(-2).join("-");
+    const base = `wiz-${suffix}`;
+    const taken = new Set(fixtureRegistry.getFixtures().map(fixture => String(fixture.id || "")));
+    if (!taken.has(base)) return base;
+    for (let i = 2; i < 100; i += 1) {
+      const candidate = `${base}-${i}`;
+      if (!taken.has(candidate)) return candidate;
+    }
+    return `${base}-${Date.now()}`;
+  };
+
+  app.get("/wiz/discover", wizDiscoverRateLimit, async (req, res) => {
+    const timeoutMs = req.query.timeoutMs !== undefined ? Number(req.query.timeoutMs) : undefined;
+    try {
+      const result = await discoverWizBulbs(resolveDiscoveryOptions(
+        Number.isFinite(timeoutMs) ? { timeoutMs } : {}
+      ));
+      const index = getWizFixtureIndex();
+      res.json({
+        ok: true,
+        bulbs: result.bulbs.map(bulb => annotateBulb(bulb, index)),
+        durationMs: result.durationMs
+      });
+    } catch (err) {
+      res.status(500).json({
+        ok: false,
+        error: "wiz discovery failed",
+        message: err.message || String(err)
+      });
+    }
+  });
+
+  app.post("/wiz/discover/add", wizDiscoverRateLimit, async (req, res) => {
+    const payload = req.body && typeof req.body === "object" ? req.body : {};
+    const ip = normalizePrivateOrLoopbackIpv4(payload.ip);
+    if (!ip) {
+      res.status(400).json({
+        ok: false,
+        error: "wiz ip must be a private/local IPv4 address"
+      });
+      return;
+    }
+
+    const requestedId = String(payload.id || "").trim();
+    if (sendFixtureIdConflict(res, requestedId)) return;
+
+    const existing = getWizFixtureIndex().byIp.get(ip);
+    if (existing) {
+      res.status(409).json({
+        ok: false,
+        error: "wiz bulb already configured",
+        fixtureId: existing.id
+      });
+      return;
+    }
+
+    let bulb = null;
+    try {
+      const result = await discoverWizBulbs(resolveDiscoveryOptions({
+        broadcast: false,
+        targets: [ip]
+      }));
+      bulb = result.bulbs.find(entry => entry.ip === ip) || null;
+    } catch (err) {
+      res.status(500).json({
+        ok: false,
+        error: "wiz discovery failed",
+        message: err.message || String(err)
+      });
+      return;
+    }
+    if (!bulb) {
+      res.status(404).json({
+        ok: false,
+        error: "no WiZ bulb answered at that IP"
+      });
+      return;
+    }
+    const trackedFixture = bulb.mac ? getWizFixtureIndex().byMac.get(bulb.mac) : null;
+    if (trackedFixture) {
+      res.status(409).json({
+        ok: false,
+        error: "wiz bulb already configured",
+        fixtureId: trackedFixture.id
+      });
+      return;
+    }
+    // The id may have been taken while the bulb was being probed.
+    if (sendFixtureIdConflict(res, requestedId)) return;
+
+    const fixtureInput = {
+      id: requestedId || buildDiscoveredFixtureId(bulb),
+      brand: "wiz",
+      zone: String(payload.zone || "").trim() || "wiz",
+      enabled: true,
+      engineEnabled: payload.engineEnabled !== false,
+      twitchEnabled: payload.twitchEnabled !== false,
+      customEnabled: payload.customEnabled === true,
+      ip,
+      mac: bulb.mac
+    };
+    const result = fixtureRegistry.upsertFixture(fixtureInput);
+    if (!result.ok) {
+      res.status(400).json(result);
+      return;
+    }
+
+    refreshWizAdapters();
+    syncStandaloneRuntime();
+    queueFixtureConnectivityProbe(result.fixture, { force: true, logChanges: true }).catch(() => {});
+    res.json({
+      ok: true,
+      fixture: result.fixture,
+      bulb,
+      summary: fixtureRegistry.summary()
+    });
+  });
+};
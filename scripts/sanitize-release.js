@@ -3,6 +3,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const { KEY_COLOR_MAP_DEFAULT } = require("../core/palette/key-color-map");
 
 const DEFAULT_ROOT = path.join(__dirname, "..");
 const EXTRACT_ARCHIVE_DIR_RE = /-EXTRACT-FIRST(?:\.BAK-\d{8}-\d{3,6})?$/i;
@@ -28,7 +29,9 @@ const FIXTURES_TEMPLATE = {
       bridgeId: "replace_with_bridge_id",
       clientKey: "replace_with_client_key",
       entertainmentAreaId: "replace_with_entertainment_area",
-      lightId: 1
+      lightId: 1,
+      lightRid: "",
+      segmentCount: 1
     },
     {
       id: "wiz-main-1",
@@ -107,7 +110,16 @@ const AUDIO_RUNTIME_TEMPLATE = {
   ffmpegAppIsolationPrimaryDevices: [],
   ffmpegAppIsolationFallbackDevices: [],
   ffmpegAppIsolationMultiSource: false,
-  ffmpegAppIsolationCheckMs: 300000
+  ffmpegAppIsolationCheckMs: 300000,
+  pcmTransport: "tcp",
+  pcmHost: "0.0.0.0",
+  pcmPort: 5070,
+  pcmPipePath: "\\\\.\\pipe\\ravelink-audio",
+  pcmFormat: "f32le",
+  pcmSampleRate: 48000,
+  pcmChannels: 2,
+  pcmJitterMs: 60,
+  pcmAllowPublicSources: false
 };
 
 const AUDIO_REACTIVITY_MAP_TEMPLATE = {
@@ -134,7 +146,17 @@ const SYSTEM_CONFIG_TEMPLATE = {
   autoLaunchBrowser: true,
   browserLaunchDelayMs: 1200,
   unsafeExposeSensitiveLogs: false,
-  hueTransportPreference: "auto"
+  hueTransportPreference: "auto",
+  hueEntertainmentSpatialMode: "auto",
+  flashGuard: {
+    enabled: true,
+    maxFlashesPerSec: 3,
+    maxRedFlashesPerSec: 3,
+    minLuminanceDelta: 0.1
+  },
+  dmx: {
+    refreshHz: 30
+  }
 };
 
 const FIXTURE_METRIC_ROUTING_TEMPLATE = {
@@ -158,6 +180,55 @@ const PALETTE_FIXTURE_OVERRIDES_TEMPLATE = {
   fixtures: {}
 };
 
+const PALETTE_KEY_MAP_TEMPLATE = {
+  version: 1,
+  keys: KEY_COLOR_MAP_DEFAULT
+};
+
+const SCENES_TEMPLATE = {
+  version: 1,
+  scenes: []
+};
+
+const CUE_LISTS_TEMPLATE = {
+  version: 1,
+  lists: []
+};
+
+const OSC_OUTPUT_TEMPLATE = {
+  version: 1,
+  enabled: false,
+  addressPrefix: "/ravelink/out",
+  targets: [],
+  rates: {
+    bpm: 500,
+    beat: 0,
+    drop: 0,
+    bands: 50,
+    energy: 50,
+    scene: 1000,
+    color: 50,
+    palette: 1000
+  }
+};
+
+const MQTT_TEMPLATE = {
+  version: 1,
+  enabled: false,
+  host: "",
+  port: 1883,
+  tls: false,
+  rejectUnauthorized: true,
+  username: "",
+  password: "",
+  clientId: "ravelink-bridge",
+  baseTopic: "ravelink",
+  discoveryPrefix: "homeassistant",
+  discovery: true,
+  commands: false,
+  keepAliveSec: 30
+};
+
 const STANDALONE_STATE_TEMPLATE = {
   version: 1,
   fixtures: {}
@@ -251,8 +322,18 @@ function sanitizeRoot(rootDir = DEFAULT_ROOT, options = {}) {
   writeJson(fixtureMetricRoutingPath, FIXTURE_METRIC_ROUTING_TEMPLATE);
   const paletteFixtureOverridesPath = path.join(root, "core", "palette.fixture.overrides.json");
   writeJson(paletteFixtureOverridesPath, PALETTE_FIXTURE_OVERRIDES_TEMPLATE);
+  const paletteKeyMapPath = path.join(root, "core", "palette.key.map.json");
+  writeJson(paletteKeyMapPath, PALETTE_KEY_MAP_TEMPLATE);
+  const scenesConfigPath = path.join(root, "core", "scenes.config.json");
+  writeJson(scenesConfigPath, SCENES_TEMPLATE);
+  const cueListsPath = path.join(root, "core", "cue.lists.json");
+  writeJson(cueListsPath, CUE_LISTS_TEMPLATE);
   const standaloneStatePath = path.join(root, "core", "standalone.state.json");
   writeJson(standaloneStatePath, STANDALONE_STATE_TEMPLATE);
+  const oscOutputConfigPath = path.join(root, "core", "osc.output.config.json");
+  writeJson(oscOutputConfigPath, OSC_OUTPUT_TEMPLATE);
+  const mqttConfigPath = path.join(root, "core", "mqtt.config.json");
+  writeJson(mqttConfigPath, MQTT_TEMPLATE);
 
   console.log(`[sanitize-release] sanitized root: ${root}`);
 }
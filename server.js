@@ -35,7 +35,9 @@ const {
 } = require("./core/utils/booleans");
 const { hsvToRgb255: convertHsvToRgb255 } = require("./core/utils/hsv-rgb");
 const { createServerColorUtils } = require("./core/server/color-utils");
+const { createWizMacRebinder } = require("./core/server/wiz-rebind");
 const { createRequestPatchUtils } = require("./core/server/request-patch-utils");
+const { createLiveEventHub, parseLiveEventTopics } = require("./core/server/live-events");
 const { rateLimit: expressRateLimit } = require("express-rate-limit");
 const {
   PALETTE_COLOR_COUNT_OPTIONS: SHARED_PALETTE_COLOR_COUNT_OPTIONS,
@@ -45,6 +47,25 @@ const {
   PALETTE_PRESETS: SHARED_PALETTE_PRESETS,
   resolvePaletteFamilyIndexSpan: resolveSharedPaletteFamilyIndexSpan
 } = require("./core/palette/family-spec");
+const {
+  KEY_COLOR_MAP_DEFAULT,
+  normalizeKeyColorMapKey,
+  normalizeKeyColorMap,
+  pickNearestKeyColorFamily
+} = require("./core/palette/key-color-map");
+const { normalizeCueList } = require("./core/cues/cue-list");
+const { createCuePlayer } = require("./core/cues/cue-player");
+const {
+  FLASH_GUARD_DEFAULTS,
+  normalizeFlashGuardConfig,
+  isFlashGuardWeakened,
+  checkFlashGuardOverride,
+  sampleRgb,
+  sampleHueState,
+  sampleWizState,
+  buildSegmentEntries,
+  createFlashGuard
+} = require("./core/safety/flash-guard");
 let unsafeExposeSensitiveLogsRuntime = String(process.env.RAVELINK_UNSAFE_LOG_SECRETS || "").trim() === "1";
 
 function setUnsafeExposeSensitiveLogsRuntime(enabled) {
@@ -129,18 +150,24 @@ const { execFile, execFileSync, spawn, spawnSync } = require("child_process");
 let createRaveEngine = require("./core/rave-engine");
 let createAudio = require("./core/audio");
 const fixtureRegistry = require("./core/fixtures");
+const { SIDE_BAND_METRICS, resolveStereoSideGain } = require("./core/audio/stereo");
 const automationRules = require("./core/automation-rules");
+const sceneRegistry = require("./core/scenes");
 const state = require("./core/state");
 const createModLoader = require("./core/mods/mod-loader");
 const createStandaloneLogic = require("./core/standalone/logic");
 const createStandaloneRuntime = require("./core/standalone/runtime");
 const createTwitchColorRuntime = require("./core/twitch-color-runtime");
+const { normalizePhraseBars } = require("./core/rave-engine/bar-tracker");
 
 // [TITLE] Section: MIDI Dependencies
 // ======================================================
 // MIDI
 // ======================================================
 const createMidiManager = require("./core/midi/midi-manager");
+const createOscManager = require("./core/osc/osc-manager");
+const { createOscOutput } = require("./core/osc/osc-output");
+const { createMqttBridge } = require("./core/mqtt/mqtt-bridge");
 
 // [TITLE] Section: Hue Dependencies
 // ======================================================
@@ -149,6 +176,11 @@ const createMidiManager = require("./core/midi/midi-manager");
 
 const createHueScheduler = require("./core/hue-scheduler");
 const createHueEntertainmentTransport = require("./core/hue-entertainment");
+const {
+  SPATIAL_DEFAULT_MODE: HUE_SPATIAL_DEFAULT_MODE,
+  normalizeSpatialMode: normalizeHueSpatialMode
+} = require("./core/hue-entertainment/spatial-frame");
+const { createHueClipV2Client } = require("./core/hue-clip-v2");
 
 // [TITLE] Section: WiZ Dependencies
 // ======================================================
@@ -157,15 +189,33 @@ const createHueEntertainmentTransport = require("./core/hue-entertainment");
 const createWizScheduler = require("./core/wiz-scheduler");
 const pickWizColor = require("./wiz/wiz-energy-strategy");
 const createWizAdapter = require("./adapters/wiz-adapter");
+const { discoverWizBulbs } = require("./adapters/wiz-discovery");
+const createDmxOutput = require("./adapters/dmx-adapter");
+const { normalizeRefreshHz: normalizeDmxRefreshHz } = createDmxOutput;
+const createWledAdapter = require("./adapters/wled-adapter");
+const { fetchWledDeviceInfo } = createWledAdapter;
+const createWledScheduler = require("./core/wled-scheduler");
+const { buildWledLayout, renderWledFrame } = require("./core/wled/wled-protocol");
+const createLifxAdapter = require("./adapters/lifx-adapter");
+const { discoverLifxBulbs } = require("./adapters/lifx-discovery");
+const { DMX_REFRESH_HZ_DEFAULT } = require("./core/dmx/dmx-protocol");
 const colorEngine = require("./colors/color-engine");
 const registerRavePaletteMetricRoutes = require("./routes/rave-palette-metric-routes");
 const registerMidiRoutes = require("./routes/midi-routes");
+const registerOscRoutes = require("./routes/osc-routes");
 const registerRaveOverclockRoutes = require("./routes/rave-overclock-routes");
 const registerRaveSceneSyncRoutes = require("./routes/rave-scene-sync-routes");
+const registerRaveSceneRoutes = require("./routes/rave-scene-routes");
+const registerRaveCueRoutes = require("./routes/rave-cue-routes");
 const registerSystemRoutes = require("./routes/system-routes");
+const registerOwnershipRoutes = require("./routes/ownership-routes");
 const registerStandaloneRoutes = require("./routes/standalone-routes");
 const registerFixturesConnectivityRoutes = require("./routes/fixtures-connectivity-routes");
 const registerFixturesRoutes = require("./routes/fixtures-routes");
+const registerWizDiscoveryRoutes = require("./routes/wiz-discovery-routes");
+const registerLifxDiscoveryRoutes = require("./routes/lifx-discovery-routes");
+const registerEventsRoutes = require("./routes/events-routes");
+const registerMqttRoutes = require("./routes/mqtt-routes");
 
 // [TITLE] Section: Runtime Configuration
 // ======================================================
@@ -182,6 +232,9 @@ const AUDIO_RUNTIME_CONFIG_PATH = path.join(__dirname, "core", "audio.config.jso
 const SYSTEM_CONFIG_PATH = path.join(__dirname, "core", "system.config.json");
 const STANDALONE_STATE_CONFIG_PATH = path.join(__dirname, "core", "standalone.state.json");
 const PALETTE_FIXTURE_OVERRIDES_CONFIG_PATH = path.join(__dirname, "core", "palette.fixture.overrides.json");
+const PALETTE_KEY_MAP_CONFIG_PATH = path.join(__dirname, "core", "palette.key.map.json");
+const CUE_LISTS_CONFIG_PATH = path.join(__dirname, "core", "cue.lists.json");
+const CUE_CLOCK_MS = 20;
 const FIXTURE_METRIC_ROUTING_CONFIG_PATH = path.join(__dirname, "core", "fixture.metric.routing.json");
 const OPTIONAL_AUDIO_TOOLS_SCRIPT_NAME = "RaveLink-Bridge-Install-Optional-Audio-Tools.bat";
 const OPTIONAL_AUDIO_TOOLS_SCRIPT_PATH = path.join(__dirname, OPTIONAL_AUDIO_TOOLS_SCRIPT_NAME);
@@ -213,6 +266,8 @@ const AUDIO_REACTIVITY_SOURCE_CATALOG = Object.freeze({
   bass: Object.freeze({ label: "Bass", description: "Low band emphasis for bassline/kick weight." }),
   mids: Object.freeze({ label: "Mids", description: "Mid band focus for vocals/leads." }),
   highs: Object.freeze({ label: "Highs", description: "High band focus for hats/sparkle." }),
+  kick: Object.freeze({ label: "Kick", description: "FFT kick range (40-100Hz by default)." }),
+  hats: Object.freeze({ label: "Hats", description: "FFT hi-hat range (8-12kHz by default)." }),
   peaks: Object.freeze({ label: "Peaks", description: "Peak envelope for sharp accents." }),
   transients: Object.freeze({ label: "Transients", description: "Attack spikes for punch." }),
   flux: Object.freeze({ label: "Flux", description: "Spectral motion/detail changes." }),
@@ -230,18 +285,29 @@ const META_AUTO_TEMPO_TRACKER_KEYS = Object.freeze([
 ]);
 const HUE_TRANSPORT_PREFERENCE = Object.freeze({
   AUTO: "auto",
-  REST: "rest"
+  REST: "rest",
+  REST_V2: "rest-v2"
 });
 const HUE_TRANSPORT_PREFERENCE_VALUES = new Set(Object.values(HUE_TRANSPORT_PREFERENCE));
 const CANONICAL_ROUTE_ZONE_BY_BRAND = Object.freeze({
   hue: "hue",
-  wiz: "wiz"
+  wiz: "wiz",
+  dmx: "dmx",
+  wled: "wled",
+  lifx: "lifx"
 });
+// Brands driven with WiZ-style states through the WiZ engine/Twitch/custom paths.
+const WIZ_PATH_BRANDS = Object.freeze(["wiz", "dmx", "wled", "lifx"]);
+// WiZ-path brands that spread the engine palette across their own segments/zones.
+const SEGMENT_PALETTE_BRANDS = new Set(["wled", "lifx"]);
 const FIXTURE_LIST_METHOD_BY_MODE = Object.freeze({
   engine: "listEngineBy",
   twitch: "listTwitchBy",
   custom: "listCustomBy"
 });
+// Built-in brands the bridge probes itself; mod brands are left to their adapters.
+const BUILTIN_CONNECTIVITY_BRANDS = new Set(["hue", ...WIZ_PATH_BRANDS]);
+const LIFX_PROBE_TIMEOUT_MS = 900;
 const CONNECTIVITY_STATUS_TO_SUMMARY_KEY = Object.freeze({
   reachable: "reachable",
   unreachable: "unreachable",
@@ -251,6 +317,7 @@ const CONNECTIVITY_STATUS_TO_SUMMARY_KEY = Object.freeze({
 const AUDIO_REACTIVITY_MAP_DEFAULT = Object.freeze({
   version: 1,
   dropEnabled: false,
+  phraseBars: 16,
   hardwareRateLimitsEnabled: true,
   metaAutoHueWizBaselineBlend: true,
   metaAutoTempoTrackersAuto: false,
@@ -271,7 +338,10 @@ const SYSTEM_CONFIG_DEFAULT = Object.freeze({
   autoLaunchBrowser: true,
   browserLaunchDelayMs: 1200,
   unsafeExposeSensitiveLogs: false,
-  hueTransportPreference: HUE_TRANSPORT_PREFERENCE.AUTO
+  hueTransportPreference: HUE_TRANSPORT_PREFERENCE.AUTO,
+  hueEntertainmentSpatialMode: HUE_SPATIAL_DEFAULT_MODE,
+  flashGuard: FLASH_GUARD_DEFAULTS,
+  dmx: Object.freeze({ refreshHz: DMX_REFRESH_HZ_DEFAULT })
 });
 const STANDALONE_STATE_CONFIG_DEFAULT = Object.freeze({
   version: 1,
@@ -285,7 +355,8 @@ const PALETTE_CYCLE_MODE_ORDER = Object.freeze([
   "on_trigger",
   "timed_cycle",
   "reactive_shift",
-  "spectrum_mapper"
+  "spectrum_mapper",
+  "key_mapper"
 ]);
 const PALETTE_BRIGHTNESS_MODE_ORDER = Object.freeze(["legacy", "test"]);
 const PALETTE_SPECTRUM_MAP_MODE_ORDER = Object.freeze(["auto", "manual"]);
@@ -320,6 +391,7 @@ const PALETTE_DEFAULT_SPECTRUM_FEATURE_MAP = Object.freeze([
 ]);
 const PALETTE_TIMED_INTERVAL_MIN_SEC = 2;
 const PALETTE_TIMED_INTERVAL_MAX_SEC = 60;
+const PALETTE_TIMED_INTERVAL_MAX_BARS = 64;
 const PALETTE_BEAT_LOCK_GRACE_MIN_SEC = 0;
 const PALETTE_BEAT_LOCK_GRACE_MAX_SEC = 8;
 const PALETTE_REACTIVE_MARGIN_MIN = 5;
@@ -341,6 +413,7 @@ const PALETTE_CONFIG_DEFAULT = Object.freeze({
   disorderAggression: 0.35,
   cycleMode: "on_trigger",
   timedIntervalSec: 5,
+  timedIntervalBars: 0,
   beatLock: false,
   beatLockGraceSec: 2,
   reactiveMargin: 28,
@@ -356,7 +429,9 @@ const PALETTE_FIXTURE_OVERRIDES_DEFAULT = Object.freeze({
   fixtures: Object.freeze({})
 });
 const FIXTURE_METRIC_MODE_ORDER = Object.freeze(["manual", "meta_auto"]);
-const FIXTURE_METRIC_KEYS = Object.freeze(["baseline", "peaks", "transients", "flux"]);
+// Loudness metrics double as meta-auto trackers; band metrics follow a fixture's stereo side.
+const FIXTURE_METRIC_TRACKER_KEYS = Object.freeze(["baseline", "peaks", "transients", "flux"]);
+const FIXTURE_METRIC_KEYS = Object.freeze([...FIXTURE_METRIC_TRACKER_KEYS, ...SIDE_BAND_METRICS]);
 const FIXTURE_METRIC_HARMONY_MIN = 1;
 const FIXTURE_METRIC_HARMONY_MAX = 8;
 const FIXTURE_METRIC_MAX_HZ_MIN = 0.5;
@@ -575,7 +650,9 @@ const {
   boostRgbSaturation,
   rgbToHsv255,
   hsvToRgb255,
-  resolveAudioReactivitySourceLevel
+  resolveAudioReactivitySourceLevel,
+  resolveFixtureMetricLevel,
+  resolveFixtureSideLevel
 } = createServerColorUtils({ clampNumber, convertHsvToRgb255 });
 
 const {
@@ -713,7 +790,15 @@ function sanitizeSystemConfig(input = {}) {
     hueTransportPreference: sanitizeHueTransportPreference(
       raw.hueTransportPreference,
       SYSTEM_CONFIG_DEFAULT.hueTransportPreference
-    )
+    ),
+    hueEntertainmentSpatialMode: normalizeHueSpatialMode(
+      raw.hueEntertainmentSpatialMode,
+      SYSTEM_CONFIG_DEFAULT.hueEntertainmentSpatialMode
+    ),
+    flashGuard: normalizeFlashGuardConfig(raw.flashGuard),
+    dmx: {
+      refreshHz: normalizeDmxRefreshHz(raw.dmx?.refreshHz, SYSTEM_CONFIG_DEFAULT.dmx.refreshHz)
+    }
   };
 }
 
@@ -754,6 +839,13 @@ const AUDIO_RUNTIME_CONFIG_KEYS = Object.freeze([
   "logEveryTicks",
   "bandLowHz",
   "bandMidHz",
+  "fftEnabled",
+  "fftSize",
+  "fftHop",
+  "fftBands",
+  "fftScale",
+  "fftRanges",
+  "keyHoldSec",
   "deviceMatch",
   "deviceId",
   "ffmpegPath",
@@ -769,7 +861,19 @@ const AUDIO_RUNTIME_CONFIG_KEYS = Object.freeze([
   "ffmpegAppIsolationPrimaryDevices",
   "ffmpegAppIsolationFallbackDevices",
   "ffmpegAppIsolationMultiSource",
-  "ffmpegAppIsolationCheckMs"
+  "ffmpegAppIsolationCheckMs",
+  "filePath",
+  "fileLoop",
+  "fileSpeed",
+  "pcmTransport",
+  "pcmHost",
+  "pcmPort",
+  "pcmPipePath",
+  "pcmFormat",
+  "pcmSampleRate",
+  "pcmChannels",
+  "pcmJitterMs",
+  "pcmAllowPublicSources"
 ]);
 
 function sanitizeAudioRuntimeConfig(input = null) {
@@ -965,6 +1069,7 @@ function sanitizeAudioReactivityMapConfig(input = {}) {
   return {
     version: 1,
     dropEnabled: parseBooleanLoose(raw.dropEnabled, AUDIO_REACTIVITY_MAP_DEFAULT.dropEnabled),
+    phraseBars: normalizePhraseBars(raw.phraseBars, AUDIO_REACTIVITY_MAP_DEFAULT.phraseBars),
     hardwareRateLimitsEnabled: parseBooleanLoose(
       raw.hardwareRateLimitsEnabled,
       AUDIO_REACTIVITY_MAP_DEFAULT.hardwareRateLimitsEnabled
@@ -1116,6 +1221,19 @@ function normalizePaletteTimedIntervalSec(value, fallback = PALETTE_CONFIG_DEFAU
   return PALETTE_CONFIG_DEFAULT.timedIntervalSec;
 }
 
+// 0 keeps timed_cycle on seconds; 1-64 advances on engine bar boundaries.
+function normalizePaletteTimedIntervalBars(value, fallback = PALETTE_CONFIG_DEFAULT.timedIntervalBars) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed)) {
+    return clampNumber(Math.round(parsed), 0, PALETTE_TIMED_INTERVAL_MAX_BARS, 0);
+  }
+  const fallbackNum = Number(fallback);
+  if (Number.isFinite(fallbackNum)) {
+    return clampNumber(Math.round(fallbackNum), 0, PALETTE_TIMED_INTERVAL_MAX_BARS, 0);
+  }
+  return PALETTE_CONFIG_DEFAULT.timedIntervalBars;
+}
+
 function normalizePaletteBeatLockGraceSec(value, fallback = PALETTE_CONFIG_DEFAULT.beatLockGraceSec) {
   const parsed = Number(value);
   if (Number.isFinite(parsed)) {
@@ -1328,6 +1446,10 @@ function normalizePaletteConfigSnapshot(source = {}, fallback = PALETTE_CONFIG_D
       raw.timedIntervalSec,
       normalizePaletteTimedIntervalSec(safeFallback.timedIntervalSec, PALETTE_CONFIG_DEFAULT.timedIntervalSec)
     ),
+    timedIntervalBars: normalizePaletteTimedIntervalBars(
+      raw.timedIntervalBars,
+      normalizePaletteTimedIntervalBars(safeFallback.timedIntervalBars, PALETTE_CONFIG_DEFAULT.timedIntervalBars)
+    ),
     beatLock: Object.prototype.hasOwnProperty.call(raw, "beatLock")
       ? parseBooleanLoose(raw.beatLock, Boolean(safeFallback.beatLock))
       : Boolean(safeFallback.beatLock),
@@ -1399,6 +1521,22 @@ function writePaletteFixtureOverridesConfig(config) {
   return safe;
 }
 
+function readPaletteKeyMapConfig() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(PALETTE_KEY_MAP_CONFIG_PATH, "utf8"));
+    return normalizeKeyColorMap(parsed?.keys);
+  } catch {
+    return normalizeKeyColorMap(KEY_COLOR_MAP_DEFAULT);
+  }
+}
+
+function writePaletteKeyMapConfig(map) {
+  const safe = normalizeKeyColorMap(map);
+  fs.mkdirSync(path.dirname(PALETTE_KEY_MAP_CONFIG_PATH), { recursive: true });
+  fs.writeFileSync(PALETTE_KEY_MAP_CONFIG_PATH, `${JSON.stringify({ version: 1, keys: safe }, null, 2)}\n`, "utf8");
+  return safe;
+}
+
 function normalizeFixtureMetricMode(value, fallback = FIXTURE_METRIC_CONFIG_DEFAULT.mode) {
   const key = String(value || "").trim().toLowerCase();
   if (FIXTURE_METRIC_MODE_ORDER.includes(key)) return key;
@@ -1563,8 +1701,21 @@ console.log(
   `[SYSTEM] config loaded (autoLaunchBrowser=${systemConfigRuntime.autoLaunchBrowser}, ` +
   `delayMs=${systemConfigRuntime.browserLaunchDelayMs}, ` +
   `unsafeExposeSensitiveLogs=${Boolean(systemConfigRuntime.unsafeExposeSensitiveLogs)}, ` +
-  `hueTransportPreference=${sanitizeHueTransportPreference(systemConfigRuntime.hueTransportPreference)})`
+  `hueTransportPreference=${sanitizeHueTransportPreference(systemConfigRuntime.hueTransportPreference)}, ` +
+  `hueEntertainmentSpatialMode=${normalizeHueSpatialMode(systemConfigRuntime.hueEntertainmentSpatialMode)})`
 );
+// Photosensitivity guard: every Hue/WiZ send and mod-brand intent passes it.
+const flashGuard = createFlashGuard({ config: systemConfigRuntime.flashGuard });
+if (isFlashGuardWeakened(systemConfigRuntime.flashGuard)) {
+  console.warn("[SAFETY] flash guard override active (system.config.json flashGuard is looser than WCAG 2.3.1)");
+}
+// Shared Art-Net/sACN universes for every DMX fixture (engine, Twitch, custom).
+const dmxOutput = createDmxOutput({ refreshHz: systemConfigRuntime.dmx.refreshHz });
+// Live WLED outputs by fixture id, plus the last /json/info facts per host.
+const wledOutputs = new Map();
+const wledDeviceInfoByHost = new Map();
+// Last discovery facts per LIFX IP (zone count for multizone strips).
+const lifxDeviceInfoByIp = new Map();
 const standaloneStateConfigRuntime = readStandaloneStateConfig();
 console.log(
   `[STANDALONE] state loaded (${Object.keys(standaloneStateConfigRuntime.fixtures).length} fixtures)`
@@ -1573,10 +1724,17 @@ let paletteFixtureOverridesRuntime = readPaletteFixtureOverridesConfig();
 console.log(
   `[PALETTE] fixture overrides loaded (${Object.keys(paletteFixtureOverridesRuntime.fixtures).length} fixtures)`
 );
+let paletteKeyMapRuntime = readPaletteKeyMapConfig();
 let fixtureMetricRoutingRuntime = readFixtureMetricRoutingConfig();
 console.log(
   `[METRICS] fixture routing loaded (${Object.keys(fixtureMetricRoutingRuntime.fixtures).length} fixture overrides)`
 );
+// Show-cue fixture overrides: memory only, layered over the two configs
+// above while a cue list runs. A null entry hides the persisted override.
+const cueFixtureOverrides = {
+  palette: new Map(),
+  metric: new Map()
+};
 const initialAudioRuntimeConfig = readAudioRuntimeConfig();
 if (initialAudioRuntimeConfig) {
   console.log(`[AUDIO] runtime config loaded (${Object.keys(initialAudioRuntimeConfig).length} keys)`);
@@ -1635,7 +1793,10 @@ const PRIVILEGED_READ_ROUTES = new Set([
   "/fixtures/config",
   "/fixtures/connectivity",
   "/hue/discover",
-  "/audio/devices"
+  "/wiz/discover",
+  "/lifx/discover",
+  "/audio/devices",
+  "/mqtt/status"
 ]);
 const jsonParserDefault = express.json({ limit: "2mb", strict: true });
 const jsonParserLarge = express.json({ limit: "22mb", strict: true });
@@ -1957,6 +2118,21 @@ const hueDiscoverRateLimit = createIpRateLimiter({
   max: 12,
   bucket: "hue_discover"
 });
+const wizDiscoverRateLimit = createIpRateLimiter({
+  windowMs: 60000,
+  max: 12,
+  bucket: "wiz_discover"
+});
+const lifxDiscoverRateLimit = createIpRateLimiter({
+  windowMs: 60000,
+  max: 12,
+  bucket: "lifx_discover"
+});
+const eventsRateLimit = createIpRateLimiter({
+  windowMs: 60000,
+  max: 30,
+  bucket: "events"
+});
 const huePairRateLimit = createIpRateLimiter({
   windowMs: 60000,
   max: 6,
@@ -2109,6 +2285,8 @@ const hueTelemetry = {
   skippedInflight: 0,
   skippedSyncHold: 0,
   skippedNoTargets: 0,
+  skippedOwnership: 0,
+  skippedFlashGuard: 0,
   inflight: false,
   lastDurationMs: 0
 };
@@ -2125,10 +2303,72 @@ function getHueTransportPreferenceRuntime() {
   );
 }
 
+function getHueSpatialModeRuntime() {
+  return normalizeHueSpatialMode(
+    systemConfigRuntime?.hueEntertainmentSpatialMode,
+    SYSTEM_CONFIG_DEFAULT.hueEntertainmentSpatialMode
+  );
+}
+
 function getPreferredHueTransportMode() {
-  return getHueTransportPreferenceRuntime() === HUE_TRANSPORT_PREFERENCE.REST
-    ? HUE_TRANSPORT.REST
-    : HUE_TRANSPORT.ENTERTAINMENT;
+  return getHueTransportPreferenceRuntime() === HUE_TRANSPORT_PREFERENCE.AUTO
+    ? HUE_TRANSPORT.ENTERTAINMENT
+    : HUE_TRANSPORT.REST;
+}
+
+// `rest-v2` keeps the REST scheduling profile but talks CLIP v2 instead of /api/<user>/lights.
+function isHueClipV2Preferred() {
+  return getHueTransportPreferenceRuntime() === HUE_TRANSPORT_PREFERENCE.REST_V2;
+}
+
+const hueClipV2 = createHueClipV2Client({
+  axios,
+  getHttpsAgent: target => getHueRestHttpsAgent(target),
+  log: console
+});
+
+function getHueFlashGuardKey(target) {
+  return `hue:${target?.bridgeIp || "?"}:${target?.lightId || target?.id || "?"}`;
+}
+
+// Every Hue REST/CLIP v2 write (engine, Twitch color, standalone, automation)
+// lands here, so the flash guard sits in front of all of them.
+async function sendHueRestLightState(target, lightState, options = {}) {
+  const key = getHueFlashGuardKey(target);
+  const level = Number.isFinite(Number(lightState?.bri))
+    ? Math.max(0, Math.min(254, Number(lightState.bri))) / 254
+    : 1;
+  // CLIP v2 gradient points are their own devices ("<key>:<point>"), kept out
+  // of the room level since the light's own sample already counts there.
+  const gradient = isHueClipV2Preferred() && lightState?.on !== false && Array.isArray(options.gradient)
+    ? options.gradient.filter(color => color && typeof color === "object")
+    : [];
+  const gradientSamples = gradient.length >= 2
+    ? gradient.map(color => sampleRgb(color.r, color.g, color.b, level))
+    : [];
+  if (
+    (gradientSamples.length && !flashGuard.admitFrame(buildSegmentEntries(key, gradientSamples), { room: false })) ||
+    !flashGuard.admit(key, sampleHueState(lightState))
+  ) {
+    hueTelemetry.skippedFlashGuard++;
+    return { ok: true, skipped: "flash_guard" };
+  }
+  const timeoutMs = Number(options.timeoutMs) || 1500;
+  if (isHueClipV2Preferred()) {
+    return hueClipV2.putLightState(target, lightState, {
+      timeoutMs,
+      gradient: options.gradient
+    });
+  }
+  await axios.put(
+    `https://${target.bridgeIp}/api/${target.username}/lights/${target.lightId}/state`,
+    lightState,
+    {
+      timeout: timeoutMs,
+      httpsAgent: getHueRestHttpsAgent(target)
+    }
+  );
+  return { ok: true, transport: "rest" };
 }
 
 const hueTransport = {
@@ -2398,7 +2638,7 @@ function getFixtureZoneAliases(fixture) {
     return aliases;
   }
 
-  if (brand === "wiz") {
+  if (WIZ_PATH_BRANDS.includes(brand)) {
     aliases.add("wiz");
     if (customEnabled) aliases.add("custom");
     return aliases;
@@ -2442,12 +2682,30 @@ function listTwitchFixtures(brand, zone) {
   return listFixturesByModeScoped("twitch", brand, zone, { requireConfigured: true });
 }
 
+// Ownership target for core/state.js leases (fixture id + registry zone).
+function getFixtureOwnershipTarget(fixture) {
+  return {
+    fixtureId: String(fixture?.id || "").trim(),
+    zone: String(fixture?.zone || "").trim()
+  };
+}
+
+function canOwnerDriveFixture(owner, fixture) {
+  return state.canControl(owner, getFixtureOwnershipTarget(fixture));
+}
+
 function listColorCommandFixtures(brand, zone) {
   const twitchFixtures = listTwitchFixtures(brand, zone);
-  if (twitchFixtures.length || state.isLockedBy("rave")) {
-    return twitchFixtures;
+  if (state.isLockedBy("rave")) {
+    // During rave, Twitch only reaches fixtures it has leased away from the engine.
+    const twitchIds = new Set(twitchFixtures.map(fixture => fixture.id));
+    return [
+      ...twitchFixtures,
+      ...listEngineFixtures(brand, zone).filter(fixture => !twitchIds.has(fixture.id))
+    ].filter(fixture => canOwnerDriveFixture("twitch", fixture));
   }
-  return listEngineFixtures(brand, zone);
+  const fixtures = twitchFixtures.length ? twitchFixtures : listEngineFixtures(brand, zone);
+  return fixtures.filter(fixture => canOwnerDriveFixture("twitch", fixture));
 }
 
 function listCustomFixtures(brand, zone) {
@@ -2521,6 +2779,7 @@ async function flushHue(zone = "hue") {
   const fixtureStates = pendingEnvelope && pendingEntry.fixtureStates && typeof pendingEntry.fixtureStates === "object"
     ? pendingEntry.fixtureStates
     : null;
+  const owner = pendingEnvelope && pendingEntry.owner ? pendingEntry.owner : "rave";
   const isInFlight = hueInFlightZones.has(zone);
 
   if (isInFlight || !pendingHueState) {
@@ -2541,12 +2800,20 @@ async function flushHue(zone = "hue") {
     const hueTargets = listEngineFixtures("hue", zone);
     if (!hueTargets.length) return;
 
+    const paletteIntent = pendingEnvelope ? pendingEntry.paletteIntent : null;
+    const gradientPalette = Array.isArray(paletteIntent?.spatial?.palette)
+      ? paletteIntent.spatial.palette
+      : null;
     const ops = [];
     for (const target of hueTargets) {
       const fixtureId = String(target?.id || "").trim();
       const fixtureState = fixtureId && fixtureStates && fixtureStates[fixtureId]
         ? fixtureStates[fixtureId]
         : stateToSend;
+      if (!canOwnerDriveFixture(owner, target)) {
+        hueTelemetry.skippedOwnership++;
+        continue;
+      }
       const allowDispatch = shouldDispatchFixtureWithMetricHzClamp(
         fixtureId,
         "hue",
@@ -2558,14 +2825,12 @@ async function flushHue(zone = "hue") {
         continue;
       }
       ops.push(
-        axios.put(
-          `https://${target.bridgeIp}/api/${target.username}/lights/${target.lightId}/state`,
-          fixtureState,
-          {
-            timeout: 1500,
-            httpsAgent: getHueRestHttpsAgent(target)
-          }
-        )
+        sendHueRestLightState(target, fixtureState, {
+          timeoutMs: 1500,
+          gradient: Number(target.segmentCount) > 1
+            ? buildHueFixtureSegmentColors(target, fixtureState, paletteIntent)
+            : gradientPalette
+        })
       );
     }
     if (!ops.length) return;
@@ -2634,7 +2899,23 @@ function sendHueViaEntertainment(state, zone = "hue", options = {}) {
       1,
       Number(entStatus.channelCount || uniqueHueCount || hueTargets.length)
     );
-    hueEntertainment.send(state, channelCount);
+    const sendOptions = {
+      spatialMode: getHueSpatialModeRuntime(),
+      spatial: paletteIntent && typeof paletteIntent === "object" ? paletteIntent.spatial : null,
+      segments: buildHueEntertainmentSegments(hueTargets, state, paletteIntent)
+    };
+    // The guard sees the final per-channel frame (spatial brightness and
+    // gradient segment colors); one failing channel drops the whole frame.
+    const built = hueEntertainment.buildFrame(state, channelCount, sendOptions);
+    const frameAdmitted = flashGuard.admitFrame(built.frame.map((rgb, index) => ({
+      key: `hue-ent:${built.area}:${built.channelIds[index]}`,
+      sample: sampleRgb(rgb[0], rgb[1], rgb[2], 1)
+    })));
+    if (!frameAdmitted) {
+      hueTelemetry.skippedFlashGuard++;
+      return;
+    }
+    hueEntertainment.send(state, channelCount, { ...sendOptions, frame: built.frame });
     hueEntertainmentHardFailStreak = 0;
     hueEntertainmentLastHardFailAt = 0;
     if (!(hueEntertainmentConnectedAt > 0)) hueEntertainmentConnectedAt = Date.now();
@@ -2751,9 +3032,13 @@ function enqueueHue(state, zone = "hue", options = {}) {
   const hueTargets = listEngineFixtures("hue", zone);
   const fixtureStates = {};
   let hasFixtureOverrides = false;
+  // Entertainment streams the whole area, so leased-away lights go via REST.
+  const owner = String(options?.owner || "rave");
+  let hasLeasedFixtures = false;
   for (const target of hueTargets) {
     const fixtureId = String(target?.id || "").trim();
     if (!fixtureId) continue;
+    if (!canOwnerDriveFixture(owner, target)) hasLeasedFixtures = true;
     const stateForFixture = applyFixturePaletteToHueState(state, target, paletteIntent);
     if (stateForFixture !== state) {
       fixtureStates[fixtureId] = stateForFixture;
@@ -2764,10 +3049,11 @@ function enqueueHue(state, zone = "hue", options = {}) {
   const envelope = {
     state,
     fixtureStates: hasFixtureOverrides ? fixtureStates : null,
-    paletteIntent
+    paletteIntent,
+    owner
   };
 
-  if (hueTransport.active === HUE_TRANSPORT.ENTERTAINMENT && !hasFixtureOverrides) {
+  if (hueTransport.active === HUE_TRANSPORT.ENTERTAINMENT && !hasFixtureOverrides && !hasLeasedFixtures) {
     sendHueViaEntertainment(state, zone, { paletteIntent });
     return;
   }
@@ -3254,16 +3540,7 @@ async function runAutomationEvent(eventName, seqId = automationEventSeq) {
 
   const startedAt = Date.now();
   const results = await Promise.allSettled(
-    targets.map(target =>
-      axios.put(
-        `https://${target.bridgeIp}/api/${target.username}/lights/${target.lightId}/state`,
-        payload,
-        {
-          timeout: 1800,
-          httpsAgent: getHueRestHttpsAgent(target)
-        }
-      )
-    )
+    targets.map(target => sendHueRestLightState(target, payload, { timeoutMs: 1800 }))
   );
 
   const failed = results.filter(r => r.status === "rejected");
@@ -3301,6 +3578,8 @@ const wizTelemetry = {
   sent: 0,
   skippedScheduler: 0,
   skippedNoTargets: 0,
+  skippedOwnership: 0,
+  skippedFlashGuard: 0,
   sendErrors: 0,
   lastDurationMs: 0,
   adaptiveTxReduced: 0,
@@ -3310,6 +3589,13 @@ const wizTelemetry = {
   adaptiveTxLastScore: 0,
   adaptiveTxLastRepeats: 1
 };
+// Directed broadcast (e.g. 192.168.1.255) helps on hosts with several NICs.
+const WIZ_DISCOVERY_BROADCAST_ADDRESS =
+  String(process.env.RAVELINK_WIZ_DISCOVERY_BROADCAST || "").trim() || "255.255.255.255";
+const WIZ_DISCOVERY_PORT = Number(process.env.RAVELINK_WIZ_DISCOVERY_PORT) || 38899;
+const LIFX_DISCOVERY_BROADCAST_ADDRESS =
+  String(process.env.RAVELINK_LIFX_DISCOVERY_BROADCAST || "").trim() || "255.255.255.255";
+const LIFX_DISCOVERY_PORT = Number(process.env.RAVELINK_LIFX_DISCOVERY_PORT) || 56700;
 const WIZ_ADAPTIVE_TX_GOVERNOR_ENABLED = String(process.env.RAVELINK_WIZ_ADAPTIVE_TX_GOVERNOR || "1").trim() !== "0";
 const fixtureConnectivityCache = new Map();
 const fixtureConnectivityInFlight = new Map();
@@ -3343,7 +3629,8 @@ function extractConnectivityHost(rawAddress) {
 function getFixtureConnectivityHost(fixture) {
   const brand = String(fixture?.brand || "").trim().toLowerCase();
   if (brand === "hue") return extractConnectivityHost(fixture?.bridgeIp);
-  if (brand === "wiz") return extractConnectivityHost(fixture?.ip);
+  if (brand === "wiz" || brand === "lifx") return extractConnectivityHost(fixture?.ip);
+  if (brand === "dmx" || brand === "wled") return extractConnectivityHost(fixture?.host);
   return extractConnectivityHost(fixture?.host || fixture?.ip || fixture?.bridgeIp);
 }
 
@@ -3360,6 +3647,15 @@ function getFixtureConnectivityMissingReason(fixture) {
     if (!String(fixture?.ip || "").trim()) return "missing ip";
     return "invalid wiz config";
   }
+  if (brand === "dmx") {
+    return fixture?.dmxError || "missing host (artnet needs a node or broadcast address)";
+  }
+  if (brand === "wled") {
+    return fixture?.wledError || "missing host";
+  }
+  if (brand === "lifx") {
+    return fixture?.lifxError || "missing ip";
+  }
   return "mod fixture connectivity handled by its adapter";
 }
 
@@ -3533,6 +3829,27 @@ function logConnectivityTransition(previous, next) {
   }
 }
 
+// [TITLE] Section: WiZ MAC Rebind
+// MAC-tracked WiZ fixtures that stop answering are re-resolved via UDP discovery.
+const WIZ_REBIND_DISCOVERY_TIMEOUT_MS = 1600;
+const wizMacRebinder = createWizMacRebinder({
+  discover: () => discoverWizBulbs({
+    broadcastAddress: WIZ_DISCOVERY_BROADCAST_ADDRESS,
+    port: WIZ_DISCOVERY_PORT,
+    timeoutMs: WIZ_REBIND_DISCOVERY_TIMEOUT_MS
+  }),
+  getFixtures: () => fixtureRegistry.getFixtures(),
+  rebindFixtureIp: (id, ip) => fixtureRegistry.rebindWizFixtureIp(id, ip),
+  onRebind: () => {
+    refreshWizAdapters();
+    syncStandaloneRuntime();
+  }
+});
+
+function attemptWizMacRebind(fixture) {
+  return wizMacRebinder.attempt(fixture);
+}
+
 async function probeFixtureConnectivity(fixture, options = {}) {
   if (!fixture || typeof fixture !== "object") return null;
 
@@ -3541,17 +3858,23 @@ async function probeFixtureConnectivity(fixture, options = {}) {
 
   const brand = String(fixture.brand || "").trim().toLowerCase();
   const zone = normalizeRouteZoneToken(fixture.zone, getCanonicalZoneFallback(brand, "custom"));
-  const host = getFixtureConnectivityHost(fixture);
+  let host = getFixtureConnectivityHost(fixture);
   const configured = isFixtureConfiguredForTransport(fixture);
 
   let status = "unknown";
   let detail = "pending";
   let reachable = null;
 
-  if (brand !== "hue" && brand !== "wiz") {
+  let device = null;
+
+  if (!BUILTIN_CONNECTIVITY_BRANDS.has(brand)) {
     status = "skipped";
     detail = "mod-brand fixture (adapter-defined transport)";
     reachable = null;
+  } else if (configured && brand === "dmx" && !host) {
+    status = "skipped";
+    detail = "sACN multicast (no unicast host to probe)";
+    reachable = null;
   } else if (!configured) {
     status = "not_configured";
     detail = getFixtureConnectivityMissingReason(fixture);
@@ -3560,6 +3883,40 @@ async function probeFixtureConnectivity(fixture, options = {}) {
     status = "unknown";
     detail = "host missing";
     reachable = false;
+  } else if (brand === "wled") {
+    // The JSON API answers for the device itself, so it doubles as the probe.
+    try {
+      device = await fetchWledDeviceInfo(host, { http: axios, timeoutMs: options.timeoutMs });
+      wledDeviceInfoByHost.set(host, device);
+      status = "reachable";
+      detail = `WLED ${device.version || "?"} (${device.ledCount} LEDs)`;
+      reachable = true;
+    } catch (err) {
+      status = "unreachable";
+      detail = err?.code || err?.message || "no /json/info response";
+      reachable = false;
+    }
+  } else if (brand === "lifx") {
+    // Unicast GetService (plus label/version/zones) instead of ping; bulbs often drop ICMP.
+    const result = await discoverLifxBulbs({
+      broadcast: false,
+      targets: [host],
+      port: fixture.port,
+      timeoutMs: options.timeoutMs || LIFX_PROBE_TIMEOUT_MS,
+      log: console
+    });
+    const bulb = result.bulbs.find(entry => entry.ip === host) || null;
+    if (bulb) {
+      device = bulb;
+      lifxDeviceInfoByIp.set(host, bulb);
+      status = "reachable";
+      detail = `LIFX ${bulb.label || bulb.mac || host}${bulb.zoneCount > 1 ? ` (${bulb.zoneCount} zones)` : ""}`;
+      reachable = true;
+    } else {
+      status = "unreachable";
+      detail = "no StateService reply";
+      reachable = false;
+    }
   } else {
     const ping = await runHostPing(host, options.timeoutMs);
     if (!ping.available) {
@@ -3577,6 +3934,21 @@ async function probeFixtureConnectivity(fixture, options = {}) {
     }
   }
 
+  let rebind = null;
+  if (brand === "wiz" && status === "unreachable" && fixture.mac && options.allowRebind !== false) {
+    const rebound = await attemptWizMacRebind(fixture);
+    if (rebound) {
+      rebind = rebound.rebind;
+      host = getFixtureConnectivityHost(rebound.fixture);
+      const ping = await runHostPing(host, options.timeoutMs);
+      status = ping.reachable ? "reachable" : "unreachable";
+      detail = ping.reachable
+        ? `rebound by mac (${rebind.fromIp || "n/a"} -> ${rebind.toIp})`
+        : (ping.detail || "no ping response");
+      reachable = ping.available ? ping.reachable : null;
+    }
+  }
+
   const result = {
     id: fixtureId,
     brand,
@@ -3588,12 +3960,15 @@ async function probeFixtureConnectivity(fixture, options = {}) {
     reachable,
     checkedAt: Date.now()
   };
+  if (rebind) result.rebind = rebind;
+  if (device) result.device = device;
 
   const previous = fixtureConnectivityCache.get(fixtureId) || null;
   fixtureConnectivityCache.set(fixtureId, result);
   if (options.logChanges !== false) {
     logConnectivityTransition(previous, result);
   }
+  publishLiveConnectivityTransition(previous, result);
 
   return result;
 }
@@ -3706,6 +4081,8 @@ function pruneConnectivityCache(fixtures = []) {
       fixtureConnectivityInFlight.delete(fixtureId);
     }
   }
+
+  wizMacRebinder.prune(keep);
 }
 
 function getWizScheduler(zone) {
@@ -3718,7 +4095,7 @@ function getWizScheduler(zone) {
 function getEngineDispatchZone(fixture) {
   const brand = String(fixture?.brand || "").trim().toLowerCase();
   if (brand === "hue") return "hue";
-  if (brand === "wiz") return "wiz";
+  if (WIZ_PATH_BRANDS.includes(brand)) return "wiz";
   return normalizeRouteZoneToken(fixture?.zone, getCanonicalZoneFallback(brand, "custom"));
 }
 
@@ -3726,7 +4103,7 @@ function refreshWizAdapters() {
   const version = fixtureRegistry.getVersion();
   if (version === wizAdapterVersion) return;
 
-  const configured = listEngineFixtures("wiz");
+  const configured = listWizPathFixtures(listEngineFixtures);
   const nextById = new Map(configured.map(f => [f.id, f]));
 
   for (const [id, entry] of wizAdapters.entries()) {
@@ -3743,8 +4120,11 @@ function refreshWizAdapters() {
     const zone = getEngineDispatchZone(fixture);
     queueFixtureConnectivityProbe(fixture, { force: false, logChanges: true }).catch(() => {});
 
-    if (existing && existing.ip === fixture.ip) {
+    const transportKey = getWizPathTransportKey(fixture);
+    if (existing && existing.transportKey === transportKey) {
       existing.zone = zone;
+      existing.registryZone = fixture.zone;
+      existing.side = fixture.side;
       continue;
     }
 
@@ -3756,9 +4136,14 @@ function refreshWizAdapters() {
 
     wizAdapters.set(fixture.id, {
       id: fixture.id,
+      brand: fixture.brand,
       ip: fixture.ip,
+      transportKey,
       zone,
-      send: createWizAdapter({ ip: fixture.ip })
+      // Registry zone (zone leases match this, not the dispatch zone).
+      registryZone: fixture.zone,
+      side: fixture.side,
+      send: createWizPathAdapter(fixture, { realtime: true })
     });
   }
 
@@ -3768,16 +4153,239 @@ function refreshWizAdapters() {
   const summaryKey = JSON.stringify({
     hue: fixtureSummary.hue,
     wiz: fixtureSummary.wiz,
+    dmx: fixtureSummary.dmx,
+    wled: fixtureSummary.wled,
+    lifx: fixtureSummary.lifx,
     routes: fixtureSummary.routes || {}
   });
   if (summaryKey !== lastFixtureSummaryLogKey) {
     lastFixtureSummaryLogKey = summaryKey;
     console.log(
-      `[FIXTURES] reloaded v${fixtureSummary.version} | Hue=${fixtureSummary.hue} WiZ=${fixtureSummary.wiz} routes=${JSON.stringify(fixtureSummary.routes)}`
+      `[FIXTURES] reloaded v${fixtureSummary.version} | Hue=${fixtureSummary.hue} WiZ=${fixtureSummary.wiz} DMX=${fixtureSummary.dmx || 0} WLED=${fixtureSummary.wled || 0} LIFX=${fixtureSummary.lifx || 0} routes=${JSON.stringify(fixtureSummary.routes)}`
     );
   }
 }
 
+// WiZ sockets (engine, standalone, Twitch color) all send through the flash guard.
+function createFlashGuardedWizAdapter(options = {}) {
+  const send = createWizAdapter(options);
+  const key = `wiz:${options.ip || "?"}`;
+  const guarded = (wizState, tx) => {
+    if (!flashGuard.admit(key, sampleWizState(wizState))) {
+      wizTelemetry.skippedFlashGuard++;
+      return;
+    }
+    send(wizState, tx);
+  };
+  guarded.close = () => send.close?.();
+  return guarded;
+}
+
+// DMX footprints take the same WiZ-style states, keyed per fixture for the guard.
+function createFlashGuardedDmxAdapter(fixture = {}) {
+  const send = dmxOutput.createFixtureSender(fixture);
+  const key = `dmx:${fixture.id || send.patch.universe}`;
+  const guarded = wizState => {
+    if (!flashGuard.admit(key, sampleWizState(wizState))) {
+      wizTelemetry.skippedFlashGuard++;
+      return;
+    }
+    send(wizState);
+  };
+  guarded.close = () => send.close();
+  return guarded;
+}
+
+function scaleRgbColor(color = {}, level = 1) {
+  return {
+    r: clampRgb255(color.r * level),
+    g: clampRgb255(color.g * level),
+    b: clampRgb255(color.b * level)
+  };
+}
+
+function getWledStateColor(wizState = {}) {
+  if (Number.isFinite(Number(wizState.temp)) && !Number.isFinite(Number(wizState.r))) {
+    return kelvinToRgb(Number(wizState.temp));
+  }
+  return { r: wizState.r, g: wizState.g, b: wizState.b };
+}
+
+/**
+ * WLED strips take WiZ-style states too.
+ * - realtime (engine): per-LED UDP frames, palette spread over the segment layout
+ * - otherwise (Twitch/custom): one persistent color through /json/state
+ */
+function createFlashGuardedWledAdapter(fixture = {}, options = {}) {
+  const realtime = options.realtime === true;
+  const id = String(fixture.id || fixture.host || "").trim();
+  const adapter = createWledAdapter({
+    host: fixture.host,
+    protocol: fixture.protocol,
+    port: fixture.port,
+    http: axios
+  });
+  const scheduler = createWledScheduler();
+  // Segment `i` of the layout is guarded as `wled:<host>:<i>`.
+  const key = `wled:${fixture.host || id}`;
+  const output = { id, fixture, adapter, scheduler, realtime };
+  // Engine (realtime) and Twitch/custom (JSON) senders for one strip are tracked apart.
+  const outputKey = `${id}:${realtime ? "realtime" : "json"}`;
+
+  if (fixture.host && !wledDeviceInfoByHost.has(fixture.host)) {
+    fetchWledDeviceInfo(fixture.host, { http: axios })
+      .then(info => wledDeviceInfoByHost.set(fixture.host, info))
+      .catch(() => {});
+  }
+
+  function getLayout() {
+    const device = wledDeviceInfoByHost.get(fixture.host) || {};
+    const ledCount = fixture.ledCount || device.ledCount;
+    return {
+      ledCount,
+      segments: buildWledLayout({
+        ledCount,
+        segments: device.segments,
+        segmentCount: fixture.segmentCount
+      })
+    };
+  }
+
+  function sendRealtime(wizState, tx = {}) {
+    const level = wizState.on === false
+      ? 0
+      : clampNumber(Number(wizState.dimming ?? 100) / 100, 0, 1, 1);
+    const { ledCount, segments } = getLayout();
+    const palette = Array.isArray(tx.segmentPalette?.colors) && tx.segmentPalette.colors.length > 1 && segments.length > 1
+      ? distributePaletteAcrossSegments(tx.segmentPalette.colors, segments.length, tx.segmentPalette.offset)
+      : [getWledStateColor(wizState)];
+    const colors = palette.map(color => scaleRgbColor(color, level));
+    const frame = renderWledFrame(ledCount, segments, colors);
+    // Guard first: the scheduler remembers every frame it lets through.
+    const samples = segments.map((_, index) => {
+      const color = colors[index % colors.length];
+      return sampleRgb(color.r, color.g, color.b, 1);
+    });
+    if (!flashGuard.admitFrame(buildSegmentEntries(key, samples))) {
+      wizTelemetry.skippedFlashGuard++;
+      return;
+    }
+    if (!scheduler.shouldSend(frame, { forceDelta: Boolean(tx.isBeat || tx.isDrop) })) return;
+    adapter.sendFrame(frame);
+  }
+
+  function sendState(wizState) {
+    const sample = sampleWizState(wizState);
+    const samples = getLayout().segments.map(() => sample);
+    if (!flashGuard.admitFrame(buildSegmentEntries(key, samples.length ? samples : [sample]))) {
+      wizTelemetry.skippedFlashGuard++;
+      return;
+    }
+    const color = scaleRgbColor(getWledStateColor(wizState), 1);
+    const device = wledDeviceInfoByHost.get(fixture.host) || {};
+    const segmentIds = (device.segments || []).map(segment => segment.id);
+    const col = [[color.r, color.g, color.b]];
+    adapter.applyState({
+      on: wizState.on !== false,
+      bri: Math.round(clampNumber(Number(wizState.dimming ?? 100), 1, 100, 100) * 2.55),
+      seg: (segmentIds.length ? segmentIds : [0]).map(segmentId => ({ id: segmentId, col, fx: 0 }))
+    }).catch(() => {});
+  }
+
+  const guarded = (wizState = {}, tx) => {
+    if (realtime) sendRealtime(wizState, tx);
+    else sendState(wizState);
+  };
+  guarded.close = () => {
+    adapter.close();
+    if (wledOutputs.get(outputKey) === output) wledOutputs.delete(outputKey);
+  };
+  wledOutputs.set(outputKey, output);
+  return guarded;
+}
+
+function getWledStatus() {
+  return {
+    outputs: [...wledOutputs.values()].map(output => ({
+      id: output.id,
+      host: output.fixture.host,
+      protocol: output.fixture.protocol,
+      mode: output.realtime ? "realtime" : "json",
+      ledCount: output.fixture.ledCount || wledDeviceInfoByHost.get(output.fixture.host)?.ledCount || 0,
+      scheduler: { ...output.scheduler.getTelemetry() },
+      ...output.adapter.getStats()
+    }))
+  };
+}
+
+// LIFX bulbs take one HSBK color; multizone strips spread the palette over their zones.
+function createFlashGuardedLifxAdapter(fixture = {}) {
+  const send = createLifxAdapter({ ip: fixture.ip, port: fixture.port, mac: fixture.mac });
+  // Zone `i` is guarded as `lifx:<ip>:<i>`; single-zone bulbs use zone 0.
+  const key = `lifx:${fixture.ip || fixture.id || "?"}`;
+  const guarded = (wizState = {}, tx = {}) => {
+    const zoneCount = fixture.zoneCount || lifxDeviceInfoByIp.get(fixture.ip)?.zoneCount || 0;
+    const palette = tx?.segmentPalette;
+    if (zoneCount > 1 && wizState.on !== false && Array.isArray(palette?.colors) && palette.colors.length > 1) {
+      const level = clampNumber(Number(wizState.dimming ?? 100) / 100, 0, 1, 1);
+      const zoneColors = distributePaletteAcrossSegments(palette.colors, zoneCount, palette.offset)
+        .map(color => scaleRgbColor(color, level));
+      const samples = zoneColors.map(color => sampleRgb(color.r, color.g, color.b, 1));
+      if (!flashGuard.admitFrame(buildSegmentEntries(key, samples))) {
+        wizTelemetry.skippedFlashGuard++;
+        return;
+      }
+      send(wizState, { ...tx, zoneColors });
+      return;
+    }
+    const sample = sampleWizState(wizState);
+    if (!flashGuard.admitFrame(buildSegmentEntries(key, Array.from({ length: Math.max(1, zoneCount) }, () => sample)))) {
+      wizTelemetry.skippedFlashGuard++;
+      return;
+    }
+    send(wizState, tx);
+  };
+  guarded.close = () => send.close?.();
+  return guarded;
+}
+
+function createWizPathAdapter(fixture = {}, options = {}) {
+  if (fixture.brand === "dmx") return createFlashGuardedDmxAdapter(fixture);
+  if (fixture.brand === "wled") return createFlashGuardedWledAdapter(fixture, options);
+  if (fixture.brand === "lifx") return createFlashGuardedLifxAdapter(fixture);
+  return createFlashGuardedWizAdapter({ ip: fixture.ip });
+}
+
+// Rebuild the adapter only when where (or how) the fixture is addressed changes.
+function getWizPathTransportKey(fixture = {}) {
+  if (fixture.brand === "wled") {
+    return JSON.stringify([
+      fixture.host,
+      fixture.protocol,
+      fixture.port,
+      fixture.ledCount,
+      fixture.segmentCount
+    ]);
+  }
+  if (fixture.brand === "lifx") {
+    return JSON.stringify([fixture.ip, fixture.port, fixture.mac, fixture.zoneCount]);
+  }
+  if (fixture.brand !== "dmx") return String(fixture.ip || "");
+  return JSON.stringify([
+    fixture.protocol,
+    fixture.host,
+    fixture.port,
+    fixture.universe,
+    fixture.address,
+    fixture.channels,
+    fixture.strobeOpen
+  ]);
+}
+
+function listWizPathFixtures(listFn, zone) {
+  return WIZ_PATH_BRANDS.flatMap(brand => listFn(brand, zone));
+}
+
 function getWizTargets(zone) {
   refreshWizAdapters();
   return [...wizAdapters.values()].filter(target => target.zone === zone);
@@ -3804,7 +4412,7 @@ function getFixtureDispatchZoneForMode(fixture, mode = "engine") {
   const targetMode = String(mode || "engine").trim().toLowerCase();
   const brand = String(fixture?.brand || "").trim().toLowerCase();
   if (brand === "hue") return "hue";
-  if (brand === "wiz") {
+  if (WIZ_PATH_BRANDS.includes(brand)) {
     if (targetMode === "custom") return "custom";
     return "wiz";
   }
@@ -3826,7 +4434,9 @@ function resolveIntentZones(intent, brand, fallbackZone, options = {}) {
   const rawZone = explicitZone || fixtureRegistry.resolveZone(intent) || fallbackZone;
   const parsed = parseZoneList(rawZone, fallbackZone);
   const hasAll = parsed.some(z => z === "*" || z.toLowerCase() === "all");
-  const routedFixtures = listFixturesByMode(mode, brandKey);
+  const routedFixtures = brandKey === "wiz"
+    ? listWizPathFixtures((brandName, zone) => listFixturesByMode(mode, brandName, zone))
+    : listFixturesByMode(mode, brandKey);
   const availableZones = [...new Set(
     routedFixtures
       .map(f => getFixtureDispatchZoneForMode(f, mode))
@@ -4004,10 +4614,15 @@ function enqueueWiz(state, zone = "wiz", options = {}) {
   let sentCount = 0;
   const repeatsSavedPerTarget = Math.max(0, Number(adaptiveTx.baseRepeats || 1) - Number(adaptiveTx.repeats || 1));
   for (const target of targets) {
+    if (!canOwnerDriveFixture("rave", { id: target.id, zone: target.registryZone })) {
+      wizTelemetry.skippedOwnership++;
+      continue;
+    }
     const stateForTarget = applyFixturePaletteToWizState(
       state,
       target.id,
-      scheduleOptions.paletteIntent
+      scheduleOptions.paletteIntent,
+      target.side
     );
     const allowDispatch = shouldDispatchFixtureWithMetricHzClamp(
       target.id,
@@ -4020,7 +4635,12 @@ function enqueueWiz(state, zone = "wiz", options = {}) {
       continue;
     }
     try {
-      target.send(stateForTarget, txOptions);
+      target.send(
+        stateForTarget,
+        SEGMENT_PALETTE_BRANDS.has(target.brand)
+          ? { ...txOptions, segmentPalette: resolveSegmentPalette(target, scheduleOptions.paletteIntent, "wiz") }
+          : txOptions
+      );
       sentCount += 1;
       if (repeatsSavedPerTarget > 0) {
         wizTelemetry.adaptiveTxSavedPackets += repeatsSavedPerTarget;
@@ -4051,6 +4671,7 @@ const PALETTE_PATCH_FIELDS = Object.freeze([
   "disorderAggression",
   "cycleMode",
   "timedIntervalSec",
+  "timedIntervalBars",
   "beatLock",
   "beatLockGraceSec",
   "reactiveMargin",
@@ -4102,6 +4723,12 @@ function applyPaletteConfigPatch(updated, current, next) {
       current.timedIntervalSec
     );
   }
+  if (hasPatchKey(next, "timedIntervalBars")) {
+    updated.timedIntervalBars = normalizePaletteTimedIntervalBars(
+      next.timedIntervalBars,
+      current.timedIntervalBars
+    );
+  }
   if (hasPatchKey(next, "beatLock")) {
     updated.beatLock = parseBooleanLoose(next.beatLock, Boolean(current.beatLock));
   }
@@ -4282,11 +4909,21 @@ function buildPaletteFixtureOverrideSnapshot() {
   return out;
 }
 
+function getFixturePaletteOverrideRaw(fixtureId) {
+  if (cueFixtureOverrides.palette.has(fixtureId)) return cueFixtureOverrides.palette.get(fixtureId);
+  return paletteFixtureOverridesRuntime.fixtures?.[fixtureId];
+}
+
+function getFixtureMetricOverrideRaw(fixtureId) {
+  if (cueFixtureOverrides.metric.has(fixtureId)) return cueFixtureOverrides.metric.get(fixtureId);
+  return fixtureMetricRoutingRuntime?.fixtures?.[fixtureId];
+}
+
 function getFixturePaletteOverrideConfig(fixtureId, brandKey) {
   const id = String(fixtureId || "").trim();
   const brand = normalizePaletteBrandKey(brandKey);
   if (!id || !brand) return null;
-  const raw = paletteFixtureOverridesRuntime.fixtures?.[id];
+  const raw = getFixturePaletteOverrideRaw(id);
   if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
   return normalizePaletteConfigSnapshot(raw, getEnginePaletteConfigForBrand(brand));
 }
@@ -4593,6 +5230,7 @@ function getPaletteConfigFingerprint(config = {}) {
     String(Math.round(normalizePaletteDisorderAggression(normalized.disorderAggression, 0.35) * 1000)),
     normalizePaletteCycleMode(normalized.cycleMode, PALETTE_CONFIG_DEFAULT.cycleMode),
     String(normalizePaletteTimedIntervalSec(normalized.timedIntervalSec, PALETTE_CONFIG_DEFAULT.timedIntervalSec)),
+    String(normalizePaletteTimedIntervalBars(normalized.timedIntervalBars, PALETTE_CONFIG_DEFAULT.timedIntervalBars)),
     normalized.beatLock ? "1" : "0",
     String(normalizePaletteBeatLockGraceSec(normalized.beatLockGraceSec, PALETTE_CONFIG_DEFAULT.beatLockGraceSec)),
     String(normalizePaletteReactiveMargin(normalized.reactiveMargin, PALETTE_CONFIG_DEFAULT.reactiveMargin)),
@@ -4608,6 +5246,8 @@ function getPaletteSignalFromIntent(intent = {}) {
   const normalizeUnit = (value, fallback = 0) => clampNumber(Number(value), 0, 1, fallback);
   const normalizeWide = (value, max = 1.5) => clampNumber(Number(value), 0, max, 0) / max;
   const bpm = clampNumber(Number(raw.bpm), 0, 260, 0);
+  // Bar position is engine state rather than per-intent data.
+  const engineTelemetry = engine?.getTelemetry?.() || {};
   return {
     nowMs,
     bpm,
@@ -4623,6 +5263,11 @@ function getPaletteSignalFromIntent(intent = {}) {
       ? 1
       : normalizeUnit(raw.beatConfidence, 0),
     phrase: String(raw.phrase || "").trim().toLowerCase(),
+    barSource: String(engineTelemetry.barSource || ""),
+    barIndex: Number(engineTelemetry.barIndex || 0),
+    phraseIndex: Number(engineTelemetry.phraseIndex || 0),
+    keyFamily: String(engineTelemetry.paletteKeyFamily || ""),
+    keyVividness: Number(engineTelemetry.paletteKeyVividness || 0),
     scene: String(raw.scene || "").trim().toLowerCase()
   };
 }
@@ -4740,8 +5385,32 @@ function pickFixturePaletteNextIndex(currentIndex, sequenceLength, config = {},
   return (index + step) % len;
 }
 
+// Bar mode mirrors the engine palette: advance every `timedIntervalBars`
+// bars, re-aligned on phrase starts, seconds until a grid exists.
+function shouldAdvanceFixturePaletteTimedBars(state = {}, intervalBars = 1, signal = {}) {
+  const barIndex = Math.max(0, Math.floor(Number(signal.barIndex) || 0));
+  const phraseIndex = Math.max(0, Math.floor(Number(signal.phraseIndex) || 0));
+  if (!(Number(state.lastAdvanceBar) >= 0) || barIndex < Number(state.lastAdvanceBar)) {
+    state.lastAdvanceBar = barIndex;
+    state.lastAdvancePhrase = phraseIndex;
+    return false;
+  }
+  const barsSince = barIndex - Number(state.lastAdvanceBar);
+  const phraseTurned = phraseIndex !== Number(state.lastAdvancePhrase) && barsSince > 0;
+  if (barsSince < intervalBars && !phraseTurned) return false;
+  state.lastAdvanceBar = barIndex;
+  state.lastAdvancePhrase = phraseIndex;
+  state.lastAdvanceAt = Number(signal.nowMs) || Date.now();
+  state.waitStartAt = 0;
+  return true;
+}
+
 function shouldAdvanceFixturePaletteTimed(state = {}, config = {}, intent = {}, signal = {}) {
   const nowMs = clampNumber(signal.nowMs, 0, Number.MAX_SAFE_INTEGER, Date.now());
+  const intervalBars = normalizePaletteTimedIntervalBars(config.timedIntervalBars, 0);
+  if (intervalBars > 0 && signal.barSource) {
+    return shouldAdvanceFixturePaletteTimedBars(state, intervalBars, signal);
+  }
   const intervalMs = normalizePaletteTimedIntervalSec(
     config.timedIntervalSec,
     PALETTE_CONFIG_DEFAULT.timedIntervalSec
@@ -5141,17 +5810,21 @@ function resolveFixturePaletteMotionProfile(
 }
 
 function pickFixturePaletteColor(fixtureId, brandKey, intent = {}, configOverride = null) {
-  const config = configOverride && typeof configOverride === "object"
+  const baseConfig = configOverride && typeof configOverride === "object"
     ? configOverride
     : getFixturePaletteOverrideConfig(fixtureId, brandKey);
-  if (!config) return null;
+  if (!baseConfig) return null;
+  const signal = getPaletteSignalFromIntent(intent);
+  // key_mapper takes vividness from the engine's key-to-colour mapping.
+  const config = baseConfig.cycleMode === "key_mapper" && signal.keyFamily
+    ? { ...baseConfig, vividness: signal.keyVividness }
+    : baseConfig;
   const sequence = buildPaletteSequence(config);
   if (!sequence.length) return null;
 
   const id = String(fixtureId || "").trim();
   if (!id) return null;
   const fingerprint = getPaletteConfigFingerprint(config);
-  const signal = getPaletteSignalFromIntent(intent);
   const nowMs = signal.nowMs;
   let state = fixturePaletteSequenceState.get(id);
   if (!state || state.fingerprint !== fingerprint || Number(state.length) !== sequence.length) {
@@ -5165,6 +5838,8 @@ function pickFixturePaletteColor(fixtureId, brandKey, intent = {}, configOverrid
       lastSignal: null,
       lastSpectrumIndex: 0,
       lastSpectrumSwitchAt: 0,
+      lastAdvanceBar: -1,
+      lastAdvancePhrase: -1,
       lastColorShiftAt: nowMs,
       lastColorTickAt: nowMs,
       colorPhase: 0,
@@ -5324,6 +5999,17 @@ function pickFixturePaletteColor(fixtureId, brandKey, intent = {}, configOverrid
     state.lastSpectrumIndex = clampNumber(groupIndex, 0, Math.max(0, groupCount - 1), 0);
     state.lastAdvanceAt = nowMs;
     emitIndex = applyGroupColorOffset();
+  } else if (mode === "key_mapper") {
+    const families = normalizePaletteFamilies(config.families, PALETTE_CONFIG_DEFAULT.families);
+    const groupIndex = signal.keyFamily
+      ? families.indexOf(pickNearestKeyColorFamily(signal.keyFamily, families))
+      : -1;
+    if (groupIndex >= 0 && groupIndex < groupCount) {
+      index = getPaletteGroupBaseForLayout(groupIndex, groupLayout, sequence.length);
+      state.index = index;
+      state.lastSpectrumIndex = groupIndex;
+    }
+    emitIndex = applyGroupColorOffset();
   } else if (mode === "timed_cycle") {
     const shouldAdvance = shouldAdvanceFixturePaletteTimed(state, config, intent, signal);
     if (shouldAdvance) {
@@ -5411,10 +6097,10 @@ function resolvePaletteBrightnessFollowDrive(intent = {}, colorMotion = 0) {
     (beat * 0.14),
     0
   );
-  const scene = String(signal.scene || "").trim().toLowerCase();
-  const sceneBoost = scene === "pulse_strobe"
+  const sceneBehavior = getSceneBehaviorForName(signal.scene);
+  const sceneBoost = sceneBehavior === "pulse"
     ? 0.12
-    : (scene.startsWith("flow_") ? 0.08 : 0);
+    : (sceneBehavior === "flow" ? 0.08 : 0);
   const phrase = String(signal.phrase || "").trim().toLowerCase();
   const phraseBoost = phrase === "drop"
     ? 0.1
@@ -5696,7 +6382,7 @@ function applyFixturePaletteToHueState(state = {}, fixture = null, intent = {})
   const fixtureId = String(fixture?.id || "").trim();
   if (!fixtureId) return source;
   const config = getFixturePaletteOverrideConfig(fixtureId, "hue");
-  if (!config) return source;
+  if (!config) return applyFixtureMetricToHueState(source, fixture, intent, { sideOnly: true });
 
   const color = pickFixturePaletteColor(fixtureId, "hue", intent, config);
   const base = color
@@ -5716,13 +6402,90 @@ function applyFixturePaletteToHueState(state = {}, fixture = null, intent = {})
   return applyPaletteBrightnessFollowToHueState(metricApplied, fixtureId, config, intent, color);
 }
 
-function applyFixturePaletteToWizState(state = {}, fixtureId = "", intent = {}) {
+// [TITLE] Section: Gradient Segment Palette Layout
+/**
+ * Spreads palette entries across `count` segments. Fewer colors than
+ * segments stretch each color over neighbours; `offset` rotates the whole
+ * strip so the palette travels along it as the engine advances.
+ */
+function distributePaletteAcrossSegments(colors = [], count = 1, offset = 0) {
+  const list = Array.isArray(colors) ? colors.filter(color => color && typeof color === "object") : [];
+  const segments = Math.max(1, Math.round(Number(count) || 1));
+  if (!list.length) return [];
+  const shift = Math.round(Number(offset) || 0);
+  const out = [];
+  for (let i = 0; i < segments; i += 1) {
+    const base = Math.floor((i * list.length) / segments);
+    const color = list[(((base + shift) % list.length) + list.length) % list.length];
+    out.push({
+      r: clampRgb255(color.r),
+      g: clampRgb255(color.g),
+      b: clampRgb255(color.b)
+    });
+  }
+  return out;
+}
+
+function resolveSegmentPalette(fixture = {}, intent = {}, brand = "hue") {
+  const manual = Array.isArray(intent?.spatial?.palette) ? intent.spatial.palette : [];
+  if (manual.length > 1) {
+    return { colors: manual, offset: Number(intent.spatial.paletteOffset) || 0 };
+  }
+  const fixtureId = String(fixture?.id || "").trim();
+  const config = getFixturePaletteOverrideConfig(fixtureId, brand) || getEnginePaletteConfigForBrand(brand);
+  const sequence = buildPaletteSequence(config);
+  if (!sequence.length) return { colors: [], offset: 0 };
+  const sequenceState = fixturePaletteSequenceState.get(fixtureId);
+  const activeIndex = Number(sequenceState?.index ?? intent?.spatial?.paletteOffset) || 0;
+  // Stay inside the active family group so the strip shows one family at a time.
+  const groupLayout = buildPaletteGroupLayout(config, sequence.length);
+  const group = groupLayout[getPaletteGroupIndexForLayout(activeIndex, groupLayout, sequence.length)] ||
+    { start: 0, length: sequence.length };
+  const colors = sequence.slice(group.start, group.start + group.length);
+  return {
+    colors: colors.length ? colors : sequence,
+    offset: activeIndex - group.start + (Number(intent?.spatial?.paletteOffset) || 0)
+  };
+}
+
+function buildHueFixtureSegmentColors(fixture = {}, state = {}, intent = {}, count = 0) {
+  const segments = Math.max(0, Math.round(Number(count || fixture?.segmentCount) || 0));
+  if (segments <= 1 || !state || state.on === false) return null;
+  const { colors, offset } = resolveSegmentPalette(fixture, intent, "hue");
+  if (colors.length < 2) return null;
+  const level = Number.isFinite(Number(state.bri))
+    ? clampNumber(Number(state.bri) / 254, 0, 1, 1)
+    : 1;
+  return distributePaletteAcrossSegments(colors, segments, offset).map(color => ({
+    r: clampRgb255(color.r * level),
+    g: clampRgb255(color.g * level),
+    b: clampRgb255(color.b * level)
+  }));
+}
+
+function buildHueEntertainmentSegments(hueTargets = [], state = {}, intent = {}) {
+  const segmentTargets = hueTargets.filter(target => Number(target?.segmentCount) > 1);
+  if (!segmentTargets.length || state?.on === false) return [];
+  // Fixtures without explicit channels take detected gradient groups in fixture order.
+  const autoGroups = (hueEntertainment.getStatus?.().gradientGroups || []).slice();
+  const segments = [];
+  for (const target of segmentTargets) {
+    const explicit = Array.isArray(target.segmentChannels) ? target.segmentChannels : [];
+    const channelIds = explicit.length ? explicit : autoGroups.shift();
+    if (!Array.isArray(channelIds) || !channelIds.length) continue;
+    const colors = buildHueFixtureSegmentColors(target, state, intent, channelIds.length);
+    if (colors) segments.push({ channelIds, colors });
+  }
+  return segments;
+}
+
+function applyFixturePaletteToWizState(state = {}, fixtureId = "", intent = {}, side = "center") {
   const source = state && typeof state === "object" ? state : null;
   if (!source || source.on === false) return source;
   const id = String(fixtureId || "").trim();
   if (!id) return source;
   const config = getFixturePaletteOverrideConfig(id, "wiz");
-  if (!config) return source;
+  if (!config) return applyFixtureMetricToWizState(source, id, intent, side, { sideOnly: true });
 
   const color = pickFixturePaletteColor(id, "wiz", intent, config);
   const next = color
@@ -5736,10 +6499,39 @@ function applyFixturePaletteToWizState(state = {}, fixtureId = "", intent = {})
   if (Object.prototype.hasOwnProperty.call(next, "temp")) {
     delete next.temp;
   }
-  const metricApplied = applyFixtureMetricToWizState(next, id, intent);
+  const metricApplied = applyFixtureMetricToWizState(next, id, intent, side);
   return applyPaletteBrightnessFollowToWizState(metricApplied, id, config, intent, color);
 }
 
+function buildPaletteKeyMapSnapshot() {
+  const telemetry = engine?.getTelemetry?.() || {};
+  return {
+    ok: true,
+    keys: { ...paletteKeyMapRuntime },
+    active: {
+      key: String(telemetry.paletteKey || ""),
+      family: String(telemetry.paletteKeyFamily || ""),
+      vividness: Number(telemetry.paletteKeyVividness || 0),
+      confidence: Number(telemetry.audioKeyConfidence || 0)
+    }
+  };
+}
+
+// Merges key-to-colour entries ({ "Am": { family, vividness } }) into the
+// persisted table, or restores the defaults on reset.
+function patchPaletteKeyMapConfig(patch = {}, options = {}) {
+  const raw = patch && typeof patch === "object" && !Array.isArray(patch) ? patch : {};
+  if (options.reset !== true && !Object.keys(raw).some(key => normalizeKeyColorMapKey(key))) {
+    return { ok: false, status: 400, error: "no valid key entries" };
+  }
+  const next = options.reset === true
+    ? normalizeKeyColorMap(KEY_COLOR_MAP_DEFAULT)
+    : normalizeKeyColorMap(raw, paletteKeyMapRuntime);
+  paletteKeyMapRuntime = writePaletteKeyMapConfig(next);
+  engine?.setPaletteKeyMap?.(paletteKeyMapRuntime);
+  return { ok: true };
+}
+
 function setFixturePaletteOverrideConfig(patch = {}) {
   const next = patch && typeof patch === "object" ? patch : {};
   const fixtureId = String(next.fixtureId || "").trim();
@@ -5827,7 +6619,7 @@ const fixtureMetricHzClampStateByBrand = {
 function pruneFixtureMetricAutoStateScopes(validFixtureIds = []) {
   const validBrands = new Set(PALETTE_SUPPORTED_BRANDS.map(brand => `brand:${brand}`));
   const validFixtureKeys = new Set(
-    (Array.isArray(validFixtureIds) ? validFixtureIds : [])
+    [...(Array.isArray(validFixtureIds) ? validFixtureIds : []), ...cueFixtureOverrides.metric.keys()]
       .map(id => String(id || "").trim().toLowerCase())
       .filter(Boolean)
       .map(id => `fixture:${id}`)
@@ -5928,7 +6720,7 @@ function getFixtureMetricOverrideConfig(fixtureId, brandKey) {
   const id = String(fixtureId || "").trim();
   const brand = normalizePaletteBrandKey(brandKey);
   if (!id || !brand) return null;
-  const raw = fixtureMetricRoutingRuntime?.fixtures?.[id];
+  const raw = getFixtureMetricOverrideRaw(id);
   if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
   return normalizeFixtureMetricConfigSnapshot(raw, getFixtureMetricConfigForBrand(brand));
 }
@@ -6139,7 +6931,7 @@ function hasFixtureMetricRoutingActiveConfig(fixtureId, brandKey) {
     }
   }
 
-  const fixtureOverrideRaw = fixtureMetricRoutingRuntime?.fixtures?.[id];
+  const fixtureOverrideRaw = getFixtureMetricOverrideRaw(id);
   if (fixtureOverrideRaw && typeof fixtureOverrideRaw === "object" && !Array.isArray(fixtureOverrideRaw)) {
     const fixtureScoped = normalizeFixtureMetricConfigSnapshot(
       fixtureOverrideRaw,
@@ -6152,54 +6944,13 @@ function hasFixtureMetricRoutingActiveConfig(fixtureId, brandKey) {
   return false;
 }
 
-function resolveFixtureMetricLevel(metricId, telemetry = {}, intent = {}) {
-  const t = telemetry && typeof telemetry === "object" ? telemetry : {};
-  const i = intent && typeof intent === "object" ? intent : {};
-  const baseline = clamp01(t.audioSourceLevel, clamp01(t.rms, clamp01(i.audioSourceLevel, 0)));
-  const peaksRaw = clamp01(Number(t.audioPeak || 0) / 1.5, 0);
-  const transientsRaw = clamp01(Number(t.audioTransient || 0) / 1.2, 0);
-  const fluxRaw = clamp01(t.audioFlux, clamp01(t.spectralFlux, 0));
-  const flux = clamp01(
-    Math.max(
-      Math.pow(fluxRaw, 1.18),
-      (fluxRaw * 0.7) + (transientsRaw * 0.2) + (peaksRaw * 0.1)
-    ),
-    0
-  );
-  const transients = clamp01(
-    Math.max(
-      Math.pow(transientsRaw, 1.22),
-      (transientsRaw * 0.66) + (flux * 0.24) + (peaksRaw * 0.1)
-    ),
-    0
-  );
-  const peaks = clamp01(
-    Math.max(
-      Math.pow(peaksRaw, 1.24),
-      (peaksRaw * 0.58) + (transients * 0.3) + (flux * 0.12)
-    ),
-    0
-  );
-  switch (normalizeFixtureMetricKey(metricId, "baseline")) {
-    case "peaks":
-      return peaks;
-    case "transients":
-      return transients;
-    case "flux":
-      return flux;
-    case "baseline":
-    default:
-      return baseline;
-  }
-}
-
 function getFixtureMetricAutoPool(telemetry = {}) {
   const t = telemetry && typeof telemetry === "object" ? telemetry : {};
   const active = t.metaAutoTempoTrackersActive && typeof t.metaAutoTempoTrackersActive === "object"
     ? t.metaAutoTempoTrackersActive
     : (t.metaAutoTempoTrackers && typeof t.metaAutoTempoTrackers === "object" ? t.metaAutoTempoTrackers : {});
-  const pool = FIXTURE_METRIC_KEYS.filter(key => active[key] === true);
-  return pool.length ? pool : FIXTURE_METRIC_KEYS.slice();
+  const pool = FIXTURE_METRIC_TRACKER_KEYS.filter(key => active[key] === true);
+  return pool.length ? pool : FIXTURE_METRIC_TRACKER_KEYS.slice();
 }
 
 function listMetricRoutedFixtureIds(brandKey, options = {}) {
@@ -6244,7 +6995,7 @@ function resolveFixtureMetricAutoScopeKey(fixtureId, brandKey) {
   const brand = normalizePaletteBrandKey(brandKey);
   const id = String(fixtureId || "").trim();
   if (id) {
-    const fixtureOverrideRaw = fixtureMetricRoutingRuntime?.fixtures?.[id];
+    const fixtureOverrideRaw = getFixtureMetricOverrideRaw(id);
     if (fixtureOverrideRaw && typeof fixtureOverrideRaw === "object" && !Array.isArray(fixtureOverrideRaw)) {
       return `fixture:${id.toLowerCase()}`;
     }
@@ -6318,18 +7069,30 @@ function resolveFixtureMetricAssignment(fixtureId, brandKey, intent = {}, teleme
   };
 }
 
-function applyFixtureMetricToHueState(state = {}, fixture = null, intent = {}) {
+// Drive level (0-1) for a fixture from its metric routing and stereo side,
+// or null when neither applies. `sideOnly` skips metric routing (fixtures
+// without a palette override).
+function resolveFixtureRoutedLevel(fixtureId, brandKey, side, intent = {}, options = {}) {
+  const telemetry = engine?.getTelemetry?.() || {};
+  const sideKey = fixtureRegistry.normalizeFixtureSide(side);
+  const sided = resolveStereoSideGain(sideKey, telemetry.audioStereo) !== null;
+  const routed = options.sideOnly !== true &&
+    hasFixtureMetricRoutingActiveConfig(fixtureId, brandKey) &&
+    !isFixtureMetricConfigNeutral(getScopedFixtureMetricConfig(fixtureId, brandKey), { ignoreMaxHz: true });
+  if (!routed && !sided) return null;
+  const metric = routed
+    ? resolveFixtureMetricAssignment(fixtureId, brandKey, intent, telemetry).metric
+    : "baseline";
+  return resolveFixtureSideLevel(metric, telemetry, intent, sideKey);
+}
+
+function applyFixtureMetricToHueState(state = {}, fixture = null, intent = {}, options = {}) {
   const source = state && typeof state === "object" ? state : null;
   if (!source || source.on === false) return source;
   const fixtureId = String(fixture?.id || "").trim();
   if (!fixtureId) return source;
-  if (!hasFixtureMetricRoutingActiveConfig(fixtureId, "hue")) return source;
-  const scoped = getScopedFixtureMetricConfig(fixtureId, "hue");
-  if (isFixtureMetricConfigNeutral(scoped, { ignoreMaxHz: true })) return source;
-
-  const telemetry = engine?.getTelemetry?.() || {};
-  const assigned = resolveFixtureMetricAssignment(fixtureId, "hue", intent, telemetry);
-  const level = resolveFixtureMetricLevel(assigned.metric, telemetry, intent);
+  const level = resolveFixtureRoutedLevel(fixtureId, "hue", fixture?.side, intent, options);
+  if (level === null) return source;
   const baseBri = clampNumber(source.bri, 1, 254, 160);
   const floorBri = Math.max(2, Math.round(baseBri * 0.18));
   const drive = clampNumber(0.34 + (level * 0.9), 0.22, 1.24, 0.72);
@@ -6344,18 +7107,13 @@ function applyFixtureMetricToHueState(state = {}, fixture = null, intent = {}) {
   };
 }
 
-function applyFixtureMetricToWizState(state = {}, fixtureId = "", intent = {}) {
+function applyFixtureMetricToWizState(state = {}, fixtureId = "", intent = {}, side = "center", options = {}) {
   const source = state && typeof state === "object" ? state : null;
   if (!source || source.on === false) return source;
   const id = String(fixtureId || "").trim();
   if (!id) return source;
-  if (!hasFixtureMetricRoutingActiveConfig(id, "wiz")) return source;
-  const scoped = getScopedFixtureMetricConfig(id, "wiz");
-  if (isFixtureMetricConfigNeutral(scoped, { ignoreMaxHz: true })) return source;
-
-  const telemetry = engine?.getTelemetry?.() || {};
-  const assigned = resolveFixtureMetricAssignment(id, "wiz", intent, telemetry);
-  const level = resolveFixtureMetricLevel(assigned.metric, telemetry, intent);
+  const level = resolveFixtureRoutedLevel(id, "wiz", side, intent, options);
+  if (level === null) return source;
   const baseDimming = clampNumber(
     source.dimming,
     1,
@@ -6653,6 +7411,7 @@ function clearFixtureRoutingOverridesAtomic(patch = {}) {
             disorderAggression: paletteBrandBefore.disorderAggression,
             cycleMode: paletteBrandBefore.cycleMode,
             timedIntervalSec: paletteBrandBefore.timedIntervalSec,
+            timedIntervalBars: paletteBrandBefore.timedIntervalBars,
             beatLock: paletteBrandBefore.beatLock,
             beatLockGraceSec: paletteBrandBefore.beatLockGraceSec,
             reactiveMargin: paletteBrandBefore.reactiveMargin,
@@ -6698,8 +7457,8 @@ function listStandaloneFixtures() {
   const listCustomBy = fixtureRegistry.listCustomBy;
   if (typeof listCustomBy === "function") {
     const hue = listCustomBy("hue", "", { requireConfigured: false }) || [];
-    const wiz = listCustomBy("wiz", "", { requireConfigured: false }) || [];
-    return [...hue, ...wiz];
+    const wizPath = WIZ_PATH_BRANDS.flatMap(brand => listCustomBy(brand, "", { requireConfigured: false }) || []);
+    return [...hue, ...wizPath];
   }
   const fixtures = fixtureRegistry.getFixtures?.() || [];
   return fixtures.filter(fixture => parseBooleanLoose(fixture?.customEnabled, false));
@@ -6754,9 +7513,13 @@ function wait(ms) {
 
 const standaloneRuntime = createStandaloneRuntime({
   fixtureRegistry,
-  createWizAdapter,
+  // Twitch/custom states: WLED goes through /json/state, not realtime frames.
+  createWizPathAdapter: fixture => createWizPathAdapter(fixture, { realtime: false }),
+  getWizPathTransportKey,
+  wizPathBrands: WIZ_PATH_BRANDS,
   axios,
   getHueHttpsAgentForFixture: fixture => getHueRestHttpsAgent(fixture),
+  sendHueLightState: (fixture, lightState, options) => sendHueRestLightState(fixture, lightState, options),
   parseBoolean: parseBooleanLoose,
   normalizeStandaloneState,
   nextStandaloneAnimatedState,
@@ -6768,6 +7531,8 @@ const standaloneRuntime = createStandaloneRuntime({
   getStandalonePersistedState,
   hasStandalonePersistedState,
   persistStandaloneStateForFixture,
+  // Standalone controls act as "manual": only panic/safety leases stop them.
+  canDriveFixture: fixture => state.canPreempt("manual", getFixtureOwnershipTarget(fixture)),
   wait,
   log: console
 });
@@ -6801,9 +7566,211 @@ function buildStandaloneSnapshotById(id) {
 }
 
 function syncStandaloneRuntime() {
+  syncHueClipV2EventStreams();
   return standaloneRuntime.syncStandaloneRuntime();
 }
 
+// [TITLE] Section: Live Event Stream
+// Single push channel for the UI/OBS dock: snapshot topics are sampled by a
+// pump that only runs while clients are connected, discrete topics are
+// published from where the change happens.
+const LIVE_EVENTS_PUMP_MS = 50;
+const LIVE_EVENTS_HEARTBEAT_MS = 15000;
+const LIVE_EVENTS_PRIVILEGED_TOPICS = Object.freeze(["connectivity", "mods"]);
+let liveEventsPumpTimer = null;
+let liveEventsLastHeartbeatAt = 0;
+let liveEventsFixtureVersion = null;
+let liveEventsModsDebugSeq = 0;
+const liveEvents = createLiveEventHub({
+  minThrottleMs: LIVE_EVENTS_PUMP_MS,
+  defaultThrottleMs: 250,
+  maxClients: 16,
+  onActiveChange: active => {
+    if (active) startLiveEventsPump();
+    else stopLiveEventsPump();
+  }
+});
+
+function startLiveEventsPump() {
+  if (liveEventsPumpTimer) return;
+  liveEventsLastHeartbeatAt = Date.now();
+  liveEventsFixtureVersion = fixtureRegistry.getVersion();
+  liveEventsModsDebugSeq = Number(
+    modLoader.getDebugDiagnostics?.({ includeEvents: false, includeHookStats: false })?.sequence || 0
+  );
+  liveEventsPumpTimer = setInterval(pumpLiveEvents, LIVE_EVENTS_PUMP_MS);
+  liveEventsPumpTimer.unref?.();
+}
+
+function stopLiveEventsPump() {
+  if (!liveEventsPumpTimer) return;
+  clearInterval(liveEventsPumpTimer);
+  liveEventsPumpTimer = null;
+}
+
+function pumpLiveEvents() {
+  const now = Date.now();
+  try {
+    if (liveEvents.isTopicDue("telemetry", now)) {
+      const telemetry = buildEngineTelemetrySnapshot();
+      if (liveEvents.publish("telemetry", telemetry) > 0) {
+        fireModHook("onTelemetry", { telemetry });
+      }
+    }
+    if (liveEvents.isTopicDue("hue", now)) {
+      liveEvents.publish("hue", buildHueTelemetrySnapshot());
+    }
+    if (liveEvents.isTopicDue("wiz", now)) {
+      liveEvents.publish("wiz", buildWizTelemetrySnapshot());
+    }
+    if (liveEvents.isTopicDue("audio", now)) {
+      liveEvents.publish("audio", audio?.getTelemetry?.() || { running: false });
+    }
+
+    if (liveEvents.hasSubscribers("mods")) {
+      const debug = modLoader.getDebugDiagnostics?.({
+        sinceSeq: liveEventsModsDebugSeq,
+        limit: 200,
+        includeHookStats: false
+      });
+      const events = Array.isArray(debug?.events) ? debug.events : [];
+      liveEventsModsDebugSeq = Math.max(liveEventsModsDebugSeq, Number(debug?.sequence || 0));
+      if (events.length) {
+        liveEvents.publish("mods", { sequence: liveEventsModsDebugSeq, events });
+      }
+    }
+
+    const fixtureVersion = fixtureRegistry.getVersion();
+    if (fixtureVersion !== liveEventsFixtureVersion) {
+      liveEventsFixtureVersion = fixtureVersion;
+      publishLiveConfigChange("fixtures", { version: fixtureVersion, summary: fixtureRegistry.summary() });
+    }
+
+    if (now - liveEventsLastHeartbeatAt >= LIVE_EVENTS_HEARTBEAT_MS) {
+      liveEventsLastHeartbeatAt = now;
+      liveEvents.heartbeat();
+    }
+  } catch (err) {
+    console.warn("[EVENTS] pump failed:", err.message || err);
+  }
+}
+
+function handleEnginePulse(pulse = {}) {
+  oscOutput.sendPulse(pulse);
+  midiManager?.handlePulse?.(pulse);
+  publishLiveEnginePulse(pulse);
+  dispatchEngineBarEvents(pulse);
+  cuePlayer.handlePulse(pulse);
+}
+
+// BAR fires on each downbeat, PHRASE when a new 8/16/32-bar phrase starts
+// (counted, or resynced on a drop / energy shift).
+function dispatchEngineBarEvents(pulse = {}) {
+  if (!pulse.downbeat) return;
+  const detail = {
+    at: Number(pulse.at) || Date.now(),
+    bpm: Number(pulse.bpm || 0),
+    barIndex: Number(pulse.barIndex || 0),
+    barInPhrase: Number(pulse.barInPhrase || 0),
+    phraseIndex: Number(pulse.phraseIndex || 0),
+    phraseBars: Number(pulse.phraseBars || 0),
+    phrase: String(pulse.phrase || ""),
+    scene: String(pulse.scene || "")
+  };
+  liveEvents.publish("bar", detail);
+  fireModHook("onBar", { type: "BAR", ...detail });
+  if (!pulse.phraseStart) return;
+  const phraseDetail = { ...detail, reason: String(pulse.phraseReason || "") };
+  liveEvents.publish("phrase", phraseDetail);
+  fireModHook("onPhrase", { type: "PHRASE", ...phraseDetail });
+}
+
+function publishLiveEnginePulse(pulse = {}) {
+  const detail = {
+    at: Number(pulse.at) || Date.now(),
+    bpm: Number(pulse.bpm || 0),
+    beatConfidence: Number(pulse.beatConfidence || 0),
+    phrase: String(pulse.phrase || ""),
+    scene: String(pulse.scene || "")
+  };
+  if (pulse.beat) liveEvents.publish("beat", detail);
+  if (pulse.drop) liveEvents.publish("drop", detail);
+}
+
+function publishLiveConnectivityTransition(previous, next) {
+  if (!next || (previous && previous.status === next.status && previous.host === next.host)) return;
+  liveEvents.publish("connectivity", {
+    id: next.id,
+    brand: next.brand,
+    zone: next.zone,
+    host: next.host,
+    from: previous ? previous.status : null,
+    to: next.status,
+    reachable: next.reachable,
+    detail: next.detail,
+    rebind: next.rebind || null,
+    at: next.checkedAt
+  });
+}
+
+function publishLiveConfigChange(scope, detail = {}) {
+  liveEvents.publish("config", {
+    scope: String(scope || "").trim() || "unknown",
+    at: Date.now(),
+    ...detail
+  });
+}
+
+// [TITLE] Section: Hue CLIP v2 Event Stream
+const hueExternalLightStateByFixtureId = new Map();
+let hueClipV2StreamKey = "";
+
+function findHueFixturesForV2Light(change = {}) {
+  const v1LightId = Number(String(change.v1Id || "").replace(/^\/lights\//, "")) || 0;
+  return fixtureRegistry.listBy("hue").filter(fixture => {
+    if (String(fixture.bridgeIp || "") !== String(change.bridgeIp || "")) return false;
+    if (fixture.lightRid) return fixture.lightRid === change.rid;
+    return v1LightId > 0 && Number(fixture.lightId) === v1LightId;
+  });
+}
+
+function handleHueClipV2LightUpdate(change) {
+  for (const fixture of findHueFixturesForV2Light(change)) {
+    const fixtureId = String(fixture.id || "").trim();
+    if (!fixtureId) continue;
+    const previous = hueExternalLightStateByFixtureId.get(fixtureId) || {};
+    hueExternalLightStateByFixtureId.set(fixtureId, {
+      ...previous,
+      ...change
+    });
+    standaloneRuntime.applyExternalStateById(fixtureId, {
+      on: change.on,
+      bri: change.brightness
+    });
+    console.log(
+      `[HUE][V2] external change on ${fixtureId}` +
+      `${typeof change.on === "boolean" ? ` on=${change.on}` : ""}` +
+      `${Number.isFinite(change.brightness) ? ` bri=${Math.round(change.brightness)}%` : ""}`
+    );
+  }
+}
+
+function syncHueClipV2EventStreams() {
+  const targets = isHueClipV2Preferred()
+    ? fixtureRegistry.listBy("hue", "", { requireConfigured: true })
+    : [];
+  const key = JSON.stringify(targets.map(t => `${t.bridgeIp}|${t.username}`).sort());
+  if (key === hueClipV2StreamKey) return;
+  hueClipV2StreamKey = key;
+  hueClipV2.invalidateLightCache();
+  if (!targets.length) {
+    hueClipV2.stopAllEventStreams();
+    hueExternalLightStateByFixtureId.clear();
+    return;
+  }
+  hueClipV2.syncEventStreams(targets, handleHueClipV2LightUpdate);
+}
+
 async function sendStandaloneState(fixture, state) {
   return standaloneRuntime.sendStandaloneState(fixture, state);
 }
@@ -6835,9 +7802,260 @@ function getStandaloneStateById(id) {
 // ======================================================
 let engine = null;
 let audio = null;
+let engineSceneVersion = -1;
 let audioRuntimeConfig = initialAudioRuntimeConfig || null;
 let midiManager = null;
+let oscManager = null;
+const oscOutput = createOscOutput({
+  getTelemetry: () => engine?.getTelemetry?.() || {},
+  getPaletteColors: () => (engine ? buildPaletteSequence(getEngineGlobalPaletteConfig()) : [])
+});
 const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+// Pushes user scenes to the engine when the registry version moved
+// (CRUD routes or a hand edit of core/scenes.config.json).
+function syncEngineScenes(force = false) {
+  if (!engine) return;
+  const version = sceneRegistry.getVersion();
+  if (!force && version === engineSceneVersion) return;
+  engine.setUserScenes?.(sceneRegistry.getScenes());
+  engineSceneVersion = version;
+}
+
+// Built-in scene names encode their behavior; user scenes are looked up.
+function getSceneBehaviorForName(sceneName) {
+  const name = String(sceneName || "").trim().toLowerCase();
+  if (!name) return "";
+  if (engine?.getSceneBehavior) return engine.getSceneBehavior(name);
+  if (name === "pulse_strobe") return "pulse";
+  return name.startsWith("flow_") ? "flow" : "idle";
+}
+
+/* ======================================================
+   CUE LISTS (show sequencer layered on the reactive engine)
+   ====================================================== */
+function readCueListsConfig() {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(fs.readFileSync(CUE_LISTS_CONFIG_PATH, "utf8"));
+  } catch {
+    return [];
+  }
+  const lists = [];
+  for (const raw of Array.isArray(parsed?.lists) ? parsed.lists : []) {
+    try {
+      lists.push(normalizeCueList(raw));
+    } catch (err) {
+      console.warn(`[CUES] skipped cue list ${String(raw?.id || "?")}: ${err.message}`);
+    }
+  }
+  return lists;
+}
+
+function writeCueListsConfig(lists) {
+  const safe = Array.isArray(lists) ? lists : [];
+  fs.mkdirSync(path.dirname(CUE_LISTS_CONFIG_PATH), { recursive: true });
+  fs.writeFileSync(CUE_LISTS_CONFIG_PATH, `${JSON.stringify({ version: 1, lists: safe }, null, 2)}\n`, "utf8");
+  return safe;
+}
+
+let cueListsRuntime = readCueListsConfig();
+let cueClockTimer = null;
+
+// Cues drive the same controls as the API routes; the reactive engine keeps
+// running underneath and fills in everything a cue does not set. Nothing a
+// cue sets is written to disk: fixture overrides go to the in-memory cue
+// layer and the engine controls are restored when the list stops.
+function applyShowCue(cue) {
+  if (!engine) return;
+  if (cue.scene !== undefined) engine.setScene?.(cue.scene === "auto" ? null : cue.scene);
+  if (cue.palette) engine.setPaletteConfig?.(cue.palette);
+  if (cue.overclock !== undefined) engine.setOverclock?.(cue.overclock);
+  if (cue.flowIntensity !== undefined) engine.setFlowIntensity?.(cue.flowIntensity);
+  if (cue.drop) engine.forceDrop?.();
+  for (const entry of cue.fixtures || []) {
+    const result = applyCueFixtureOverride(entry);
+    if (!result.ok) console.warn(`[CUES] fixture ${entry.fixtureId}: ${result.error}`);
+  }
+}
+
+function applyCueFixtureOverride(entry) {
+  const fixtureId = String(entry.fixtureId || "").trim();
+  const fixtures = fixtureRegistry.getFixtures?.() || [];
+  const fixture = fixtures.find(item => String(item?.id || "").trim() === fixtureId) || null;
+  if (!fixture) return { ok: false, error: "fixture not found" };
+  const brand = normalizePaletteBrandKey(fixture.brand);
+  if (!brand) {
+    return { ok: false, error: `fixture brand '${String(fixture.brand || "unknown")}' does not support overrides` };
+  }
+
+  if (entry.clear) {
+    cueFixtureOverrides.palette.set(fixtureId, null);
+    cueFixtureOverrides.metric.set(fixtureId, null);
+  }
+  if (entry.palette && hasPalettePatchFields(entry.palette)) {
+    const base = getEnginePaletteConfigForBrand(brand);
+    const current = normalizePaletteConfigSnapshot(getFixturePaletteOverrideRaw(fixtureId) || {}, base);
+    const updated = applyPaletteConfigPatch({ ...current }, current, entry.palette);
+    cueFixtureOverrides.palette.set(fixtureId, normalizePaletteConfigSnapshot(updated, base));
+  }
+  if (entry.metric && hasFixtureMetricPatchFields(entry.metric)) {
+    const base = getFixtureMetricConfigForBrand(brand);
+    const current = normalizeFixtureMetricConfigSnapshot(getFixtureMetricOverrideRaw(fixtureId) || {}, base);
+    const updated = applyFixtureMetricConfigPatch({ ...current }, current, entry.metric);
+    cueFixtureOverrides.metric.set(fixtureId, normalizeFixtureMetricConfigSnapshot(updated, base));
+  }
+  fixturePaletteSequenceState.delete(fixtureId);
+  pruneFixtureMetricAutoStateScopes(Object.keys(fixtureMetricRoutingRuntime.fixtures || {}));
+  return { ok: true };
+}
+
+function clearCueFixtureOverrides() {
+  for (const fixtureId of cueFixtureOverrides.palette.keys()) fixturePaletteSequenceState.delete(fixtureId);
+  cueFixtureOverrides.palette.clear();
+  cueFixtureOverrides.metric.clear();
+  pruneFixtureMetricAutoStateScopes(Object.keys(fixtureMetricRoutingRuntime.fixtures || {}));
+}
+
+// Engine controls as they were before the running list's first cue.
+let cueRestoreSnapshot = null;
+
+function handleCueListStart() {
+  const palette = engine?.getPaletteConfig?.() || null;
+  const telemetry = engine?.getTelemetry?.() || {};
+  cueRestoreSnapshot = {
+    palette,
+    overclock: Number(telemetry.overclockLevel || 0),
+    overclockAuto: engine?.getOverclockAutoEnabled?.() === true,
+    flowIntensity: engine?.getFlowIntensity?.()
+  };
+}
+
+// Puts back only what the list's cues touched, so controls the operator
+// changed by hand during the show stay as they are.
+function restoreCueSnapshot(list) {
+  const snapshot = cueRestoreSnapshot;
+  cueRestoreSnapshot = null;
+  if (!engine || !snapshot) return;
+  const cues = list.cues || [];
+  if (snapshot.palette && cues.some(cue => cue.palette)) {
+    const { brands, keyColor, ...globalConfig } = snapshot.palette;
+    engine.setPaletteConfig?.(globalConfig);
+    for (const [brand, override] of Object.entries(brands || {})) {
+      engine.setPaletteConfig?.(override ? { ...override, brand } : { brand, clearOverride: true });
+    }
+  }
+  if (cues.some(cue => cue.overclock !== undefined)) {
+    engine.setOverclock?.(snapshot.overclock);
+    if (snapshot.overclockAuto) engine.setOverclockAutoEnabled?.(true);
+  }
+  if (snapshot.flowIntensity !== undefined && cues.some(cue => cue.flowIntensity !== undefined)) {
+    engine.setFlowIntensity?.(snapshot.flowIntensity);
+  }
+}
+
+function handleCueListStop(list) {
+  stopCueClock();
+  clearCueFixtureOverrides();
+  restoreCueSnapshot(list);
+  if (!list.releaseOnStop || !list.cues.some(cue => cue.scene !== undefined)) return;
+  engine?.setScene?.(null);
+}
+
+function stopCueClock() {
+  if (!cueClockTimer) return;
+  clearInterval(cueClockTimer);
+  cueClockTimer = null;
+}
+
+// Time-based lists need a clock; beat/bar lists advance from engine pulses.
+function syncCueClock() {
+  if (!cuePlayer.isRunning()) {
+    stopCueClock();
+    return;
+  }
+  if (cueClockTimer) return;
+  cueClockTimer = setInterval(() => {
+    cuePlayer.tick();
+    if (!cuePlayer.isRunning()) stopCueClock();
+  }, CUE_CLOCK_MS);
+}
+
+const cuePlayer = createCuePlayer({
+  applyCue: applyShowCue,
+  onStart: handleCueListStart,
+  onStop: handleCueListStop
+});
+cuePlayer.setLists(cueListsRuntime);
+
+function buildCueListsSnapshot() {
+  return {
+    ok: true,
+    lists: cueListsRuntime.map(list => ({ ...list })),
+    status: cuePlayer.getStatus()
+  };
+}
+
+function upsertCueListConfig(raw) {
+  let list;
+  try {
+    list = normalizeCueList(raw);
+  } catch (err) {
+    return { ok: false, status: 400, error: err.message || String(err) };
+  }
+  const index = cueListsRuntime.findIndex(entry => entry.id === list.id);
+  const next = cueListsRuntime.slice();
+  if (index < 0) next.push(list);
+  else next[index] = list;
+  cueListsRuntime = writeCueListsConfig(next);
+  cuePlayer.setLists(cueListsRuntime);
+  syncCueClock();
+  return { ok: true, list };
+}
+
+function removeCueListConfig(id) {
+  const listId = String(id || "").trim().toLowerCase();
+  if (!cueListsRuntime.some(entry => entry.id === listId)) {
+    return { ok: false, status: 404, error: "cue list not found" };
+  }
+  cueListsRuntime = writeCueListsConfig(cueListsRuntime.filter(entry => entry.id !== listId));
+  cuePlayer.setLists(cueListsRuntime);
+  syncCueClock();
+  return { ok: true, id: listId };
+}
+
+// Transport commands shared by the HTTP routes and MIDI/OSC cue actions.
+const cueTransport = {
+  arm: id => cuePlayer.arm(id),
+  play: (id, at) => {
+    const ok = cuePlayer.play(id, at);
+    syncCueClock();
+    return ok;
+  },
+  go: () => {
+    const ok = cuePlayer.go();
+    syncCueClock();
+    return ok;
+  },
+  pause: () => {
+    const ok = cuePlayer.pause();
+    syncCueClock();
+    return ok;
+  },
+  stop: () => cuePlayer.stop(),
+  seek: at => {
+    const ok = cuePlayer.seek(at);
+    syncCueClock();
+    return ok;
+  },
+  trigger: value => {
+    const listId = cuePlayer.trigger(value);
+    syncCueClock();
+    return listId;
+  },
+  getStatus: () => cuePlayer.getStatus()
+};
+
 const transportPressureFeedback = {
   lastAt: 0,
   lastHueSent: 0,
@@ -7049,7 +8267,13 @@ const modLoader = createModLoader({
         capabilities: getTwitchColorCapabilities()
       };
     },
-    getState: () => state.getStatus?.() || {}
+    getState: () => state.getStatus?.() || {},
+    getOwnership: (target = {}) => ({
+      owner: state.getOwner(target),
+      stack: state.getOwnerStack(target)
+    }),
+    acquireLease: (owner, options = {}) => state.acquire(owner, options),
+    releaseLease: (owner, scope) => state.release(owner, scope)
   }
 });
 
@@ -7068,6 +8292,165 @@ function fireModHook(hook, payload = {}) {
     });
 }
 
+// Lease changes in core/state.js reach live clients and mods.
+state.onChange(event => {
+  liveEvents.publish("ownership", event);
+  fireModHook("onOwnership", { ...event, type: "OWNERSHIP", change: event.type });
+});
+
+function buildEngineTelemetrySnapshot() {
+  const telemetry = engine?.getTelemetry?.() || {};
+  const top = state.getOwner();
+  return {
+    ...telemetry,
+    ownership: {
+      owner: top ? top.owner : null,
+      leases: state.getLeases().length,
+      version: state.getVersion()
+    },
+    flashGuard: flashGuard.getStatus(),
+    dmx: dmxOutput.getStatus(),
+    wled: getWledStatus()
+  };
+}
+
+// Hue/WiZ transport dispatch for one engine intent (after mod transformIntent).
+function dispatchEngineIntent(intent) {
+  // ---------- HUE (BEAT-ONLY) ----------
+  if (intent.type === "HUE_STATE") {
+    const engineTelemetry = engine?.getTelemetry?.() || {};
+    const mappedIntent = applyHueIntentAudioReactivity(intent, engineTelemetry);
+    const requestedRateMs = Number(mappedIntent.rateMs || 0);
+    const requestedMaxSilenceMs = Number(mappedIntent.maxSilenceMs || 0);
+    const hueRateProfile = getHueRateProfileForActiveTransport();
+    const effectiveRateMs = clampIntervalMsForProfile(
+      requestedRateMs > 0 ? requestedRateMs : hueRateProfile.defaultMs,
+      hueRateProfile
+    );
+    const turboRate = effectiveRateMs <= 170;
+    const hueTriggerBoost = clamp(
+      Math.max(
+        Number(mappedIntent.audioDrums || 0),
+        Number(mappedIntent.audioBody || 0) * 0.86,
+        Number(mappedIntent.audioMotion || 0) * 0.9,
+        mappedIntent.drop ? 0.92 : 0,
+        mappedIntent.beat ? 0.62 : 0
+      ),
+      0,
+      1
+    );
+    const highRateReactive =
+      effectiveRateMs <= 124 &&
+      hueTriggerBoost >= 0.24;
+    const intentDeltaScale = Number(mappedIntent.deltaScale);
+    const zones = resolveIntentZones(mappedIntent, "hue", "hue");
+    for (const zone of zones) {
+      const tunedHueState = tuneHueRestTransitionForLatency(
+        mappedIntent.state,
+        effectiveRateMs,
+        { flowMode: Boolean(mappedIntent.forceDelta) }
+      );
+      enqueueHue(
+        tunedHueState,
+        zone,
+        {
+          minIntervalMs: effectiveRateMs,
+          maxSilenceMs: requestedMaxSilenceMs > 0
+            ? requestedMaxSilenceMs
+            : hueRateProfile.maxSilenceMs,
+          forceDelta: Boolean(
+            mappedIntent.forceRate ||
+            mappedIntent.forceDelta ||
+            highRateReactive ||
+            hueTriggerBoost >= 0.48
+          ),
+          deltaScale: Number.isFinite(intentDeltaScale)
+            ? intentDeltaScale
+            : (highRateReactive ? 0.46 : (turboRate ? 0.54 : 0.94)),
+          triggerBoost: hueTriggerBoost,
+          paletteIntent: mappedIntent
+        }
+      );
+    }
+    updateEngineTransportPressure("hue_emit");
+    return;
+  }
+
+  // ---------- WIZ ----------
+  if (intent.type === "WIZ_PULSE") {
+    const engineTelemetry = engine?.getTelemetry?.() || {};
+    const mappedIntent = applyWizIntentAudioReactivity(intent, engineTelemetry);
+    const requestedRateMs = Number(mappedIntent.rateMs || 0);
+    const requestedMaxSilenceMs = Number(mappedIntent.maxSilenceMs || 0);
+    const wizRateProfile = TRANSPORT_RATE_CAPS.wiz.default;
+    const effectiveRateMs = clampIntervalMsForProfile(
+      requestedRateMs > 0 ? requestedRateMs : wizRateProfile.defaultMs,
+      wizRateProfile
+    );
+    const veryHighRate = effectiveRateMs <= 75;
+    const highRate = effectiveRateMs <= 125;
+    const zones = resolveIntentZones(mappedIntent, "wiz", "wiz");
+
+    const color = mappedIntent.color || pickWizColor(mappedIntent);
+    if (!color) return;
+
+    const dimming = Number.isFinite(color.dimming)
+      ? Math.round(clamp(Number(color.dimming), 1, 100))
+      : Math.round(clamp((mappedIntent.brightness || 1) * 100, 1, 100));
+    const dropActive = Boolean(
+      audioReactivityMapRuntime.dropEnabled && mappedIntent.drop
+    );
+    const beatActive = Boolean(mappedIntent.beat);
+
+    for (const zone of zones) {
+      enqueueWiz(
+        {
+          r: color.r,
+          g: color.g,
+          b: color.b,
+          dimming
+        },
+        zone,
+        {
+          minIntervalMs: effectiveRateMs,
+          maxSilenceMs: requestedMaxSilenceMs > 0
+            ? requestedMaxSilenceMs
+            : wizRateProfile.maxSilenceMs,
+          // Keep WiZ cadence aligned with engine intent; avoid auto-forcing delta
+          // on every beat, which can cause color flicker and overly short dwell.
+          forceDelta: Boolean(mappedIntent.forceRate || mappedIntent.forceDelta),
+          deltaScale: Number.isFinite(Number(mappedIntent.deltaScale))
+            ? Number(mappedIntent.deltaScale)
+            : (veryHighRate ? 0.76 : (highRate ? 0.92 : 1.08)),
+          paletteIntent: mappedIntent,
+          tx: {
+            // UDP is lossy; repeat key beats/drops for better visual lock.
+            repeats: dropActive ? 2 : 1,
+            repeatDelayMs: highRate ? 14 : 20,
+            isDrop: dropActive,
+            isBeat: beatActive,
+            minIntervalMs: effectiveRateMs
+          }
+        }
+      );
+    }
+    updateEngineTransportPressure("wiz_emit");
+  }
+}
+
+function sampleModIntent(intent = {}) {
+  if (intent.type === "HUE_STATE") return sampleHueState(intent.state);
+  if (intent.type !== "WIZ_PULSE") return null;
+  const color = intent.color && typeof intent.color === "object" ? intent.color : {};
+  const brightness = Number(intent.brightness);
+  return sampleWizState({
+    ...color,
+    dimming: Number.isFinite(Number(color.dimming))
+      ? color.dimming
+      : (Number.isFinite(brightness) ? brightness * 100 : undefined)
+  });
+}
+
 function bootEngine(reason = "boot") {
   console.log("[RAVE] booting engine");
 
@@ -7080,136 +8463,33 @@ function bootEngine(reason = "boot") {
 
   midiManager?.dispose?.();
   midiManager = null;
+  oscManager?.dispose?.();
+  oscManager = null;
   resetAudioReactivityEnvelopes();
   resetTransportPressureFeedback();
 
   engine = createRaveEngine({
-    emit(intent) {
+    onPulse: handleEnginePulse,
+    emit(rawIntent) {
+      syncEngineScenes();
       try {
-        if (intent && typeof intent === "object") {
-          // Fire-and-forget observer hook for mod-side intent listeners.
-          modLoader.invokeHook("onIntent", { intent }).catch(() => {});
-        }
-
-        // ---------- HUE (BEAT-ONLY) ----------
-        if (intent.type === "HUE_STATE") {
-          const engineTelemetry = engine?.getTelemetry?.() || {};
-          const mappedIntent = applyHueIntentAudioReactivity(intent, engineTelemetry);
-          const requestedRateMs = Number(mappedIntent.rateMs || 0);
-          const requestedMaxSilenceMs = Number(mappedIntent.maxSilenceMs || 0);
-          const hueRateProfile = getHueRateProfileForActiveTransport();
-          const effectiveRateMs = clampIntervalMsForProfile(
-            requestedRateMs > 0 ? requestedRateMs : hueRateProfile.defaultMs,
-            hueRateProfile
-          );
-          const turboRate = effectiveRateMs <= 170;
-          const hueTriggerBoost = clamp(
-            Math.max(
-              Number(mappedIntent.audioDrums || 0),
-              Number(mappedIntent.audioBody || 0) * 0.86,
-              Number(mappedIntent.audioMotion || 0) * 0.9,
-              mappedIntent.drop ? 0.92 : 0,
-              mappedIntent.beat ? 0.62 : 0
-            ),
-            0,
-            1
-          );
-          const highRateReactive =
-            effectiveRateMs <= 124 &&
-            hueTriggerBoost >= 0.24;
-          const intentDeltaScale = Number(mappedIntent.deltaScale);
-          const zones = resolveIntentZones(mappedIntent, "hue", "hue");
-          for (const zone of zones) {
-            const tunedHueState = tuneHueRestTransitionForLatency(
-              mappedIntent.state,
-              effectiveRateMs,
-              { flowMode: Boolean(mappedIntent.forceDelta) }
-            );
-            enqueueHue(
-              tunedHueState,
-              zone,
-              {
-                minIntervalMs: effectiveRateMs,
-                maxSilenceMs: requestedMaxSilenceMs > 0
-                  ? requestedMaxSilenceMs
-                  : hueRateProfile.maxSilenceMs,
-                forceDelta: Boolean(
-                  mappedIntent.forceRate ||
-                  mappedIntent.forceDelta ||
-                  highRateReactive ||
-                  hueTriggerBoost >= 0.48
-                ),
-                deltaScale: Number.isFinite(intentDeltaScale)
-                  ? intentDeltaScale
-                  : (highRateReactive ? 0.46 : (turboRate ? 0.54 : 0.94)),
-                triggerBoost: hueTriggerBoost,
-                paletteIntent: mappedIntent
-              }
-            );
+        // Mod middleware runs inline so its result is exactly what dispatches.
+        const intents = modLoader.transformIntent(rawIntent);
+        for (const intent of intents) {
+          try {
+            dispatchEngineIntent(intent);
+          } catch (err) {
+            console.error("[RAVE][EMIT ERROR]", err.stack || err);
           }
-          updateEngineTransportPressure("hue_emit");
-          return;
-        }
-
-        // ---------- WIZ ----------
-        if (intent.type === "WIZ_PULSE") {
-          const engineTelemetry = engine?.getTelemetry?.() || {};
-          const mappedIntent = applyWizIntentAudioReactivity(intent, engineTelemetry);
-          const requestedRateMs = Number(mappedIntent.rateMs || 0);
-          const requestedMaxSilenceMs = Number(mappedIntent.maxSilenceMs || 0);
-          const wizRateProfile = TRANSPORT_RATE_CAPS.wiz.default;
-          const effectiveRateMs = clampIntervalMsForProfile(
-            requestedRateMs > 0 ? requestedRateMs : wizRateProfile.defaultMs,
-            wizRateProfile
-          );
-          const veryHighRate = effectiveRateMs <= 75;
-          const highRate = effectiveRateMs <= 125;
-          const zones = resolveIntentZones(mappedIntent, "wiz", "wiz");
-
-          const color = mappedIntent.color || pickWizColor(mappedIntent);
-          if (!color) return;
-
-          const dimming = Number.isFinite(color.dimming)
-            ? Math.round(clamp(Number(color.dimming), 1, 100))
-            : Math.round(clamp((mappedIntent.brightness || 1) * 100, 1, 100));
-          const dropActive = Boolean(
-            audioReactivityMapRuntime.dropEnabled && mappedIntent.drop
-          );
-          const beatActive = Boolean(mappedIntent.beat);
-
-          for (const zone of zones) {
-            enqueueWiz(
-              {
-                r: color.r,
-                g: color.g,
-                b: color.b,
-                dimming
-              },
-              zone,
-              {
-                minIntervalMs: effectiveRateMs,
-                maxSilenceMs: requestedMaxSilenceMs > 0
-                  ? requestedMaxSilenceMs
-                  : wizRateProfile.maxSilenceMs,
-                // Keep WiZ cadence aligned with engine intent; avoid auto-forcing delta
-                // on every beat, which can cause color flicker and overly short dwell.
-                forceDelta: Boolean(mappedIntent.forceRate || mappedIntent.forceDelta),
-                deltaScale: Number.isFinite(Number(mappedIntent.deltaScale))
-                  ? Number(mappedIntent.deltaScale)
-                  : (veryHighRate ? 0.76 : (highRate ? 0.92 : 1.08)),
-                paletteIntent: mappedIntent,
-                tx: {
-                  // UDP is lossy; repeat key beats/drops for better visual lock.
-                  repeats: dropActive ? 2 : 1,
-                  repeatDelayMs: highRate ? 14 : 20,
-                  isDrop: dropActive,
-                  isBeat: beatActive,
-                  minIntervalMs: effectiveRateMs
-                }
-              }
-            );
+          // Fire-and-forget observer hook (mod brands) on the final intent.
+          // Mod brands drive their own devices, so the intent itself is guarded
+          // and held back while a global lease outranks rave (panic).
+          if (
+            state.canControl("rave") &&
+            flashGuard.admit(`mod:${intent.type}`, sampleModIntent(intent), { room: false })
+          ) {
+            modLoader.invokeHook("onIntent", { intent }).catch(() => {});
           }
-          updateEngineTransportPressure("wiz_emit");
         }
       } catch (err) {
         console.error("[RAVE][EMIT ERROR]", err.stack || err);
@@ -7220,6 +8500,9 @@ function bootEngine(reason = "boot") {
   audio = createAudio(() => {});
 
   engine.setDropDetectionEnabled?.(Boolean(audioReactivityMapRuntime.dropEnabled));
+  engine.setPhraseBars?.(audioReactivityMapRuntime.phraseBars);
+  engine.setPaletteKeyMap?.(paletteKeyMapRuntime);
+  syncEngineScenes(true);
   if (engine?.setMetaAutoTempoTrackers) {
     engine.setMetaAutoTempoTrackers(
       sanitizeMetaAutoTempoTrackersConfig(
@@ -7261,7 +8544,10 @@ function bootEngine(reason = "boot") {
       bandLow: stats.bandLow,
       bandMid: stats.bandMid,
       bandHigh: stats.bandHigh,
-      spectralFlux: stats.spectralFlux
+      spectralFlux: stats.spectralFlux,
+      spectrum: stats.spectrum,
+      stereo: stats.stereo,
+      key: stats.key
     });
   });
 
@@ -7272,9 +8558,10 @@ function bootEngine(reason = "boot") {
   });
   console.log(`[RAVE] engine + audio wired (WiZ targets: ${wizAdapters.size})`);
 
-  midiManager = createMidiManager(engine);
+  midiManager = createMidiManager(engine, { cues: cueTransport });
+  oscManager = createOscManager(engine, { cues: cueTransport });
 
-  console.log("[RAVE] MIDI manager created and wired");
+  console.log("[RAVE] MIDI + OSC managers created and wired");
 
   const preferredHueMode = getPreferredHueTransportMode();
   const bootHueMode = preferredHueMode === HUE_TRANSPORT.ENTERTAINMENT
@@ -7305,9 +8592,11 @@ async function initializeRuntime() {
 // ======================================================
 // ROUTES
 // ======================================================
-async function handleRaveOn(_, res) {
+// Shared by POST /rave/on|off and the MQTT bridge; `source` reaches mod hooks.
+async function startRave(source = "api") {
   const automationSeq = nextAutomationEventSeq();
   try {
+    state.release("panic");
     state.lock("rave");
     cancelHueEntertainmentRecovery("rave_on_reset");
     clearHueRecoveryTimeoutSuppression();
@@ -7344,7 +8633,7 @@ async function handleRaveOn(_, res) {
       scheduleHueEntertainmentRecovery("rave_on");
     }
     fireModHook("onRaveStart", {
-      source: "api",
+      source,
       runtime: getModsRuntimeSnapshot()
     });
     applyStandaloneRaveStartUpdates().catch(err => {
@@ -7353,15 +8642,15 @@ async function handleRaveOn(_, res) {
     runAutomationEvent("start", automationSeq).catch(err => {
       console.warn("[AUTOMATION] start action failed:", err.message || err);
     });
-    res.sendStatus(200);
+    return { ok: true };
   } catch (err) {
     console.error("[RAVE] start failed", err);
     state.unlock("rave");
-    res.sendStatus(500);
+    return { ok: false, error: err.message || String(err) };
   }
 }
 
-async function handleRaveOff(_, res) {
+async function stopRave(source = "api") {
   const automationSeq = nextAutomationEventSeq();
   cancelHueEntertainmentRecovery("rave_off");
   clearHueRecoveryTimeoutSuppression();
@@ -7420,7 +8709,7 @@ async function handleRaveOff(_, res) {
   }
 
   fireModHook("onRaveStop", {
-    source: "api",
+    source,
     runtime: getModsRuntimeSnapshot()
   });
   if (raveOffColorApplied) {
@@ -7437,6 +8726,16 @@ async function handleRaveOff(_, res) {
       console.warn("[STANDALONE] rave-stop update failed:", err.message || err);
     });
   }
+  return { ok: true };
+}
+
+async function handleRaveOn(_, res) {
+  const result = await startRave("api");
+  res.sendStatus(result.ok ? 200 : 500);
+}
+
+async function handleRaveOff(_, res) {
+  await stopRave("api");
   res.sendStatus(200);
 }
 
@@ -7593,6 +8892,7 @@ function getAudioReactivityMapSnapshot() {
   return {
     version: Number(audioReactivityMapRuntime.version || 1),
     dropEnabled: Boolean(audioReactivityMapRuntime.dropEnabled),
+    phraseBars: normalizePhraseBars(audioReactivityMapRuntime.phraseBars),
     hardwareRateLimitsEnabled: audioReactivityMapRuntime.hardwareRateLimitsEnabled !== false,
     metaAutoHueWizBaselineBlend: audioReactivityMapRuntime.metaAutoHueWizBaselineBlend === true,
     metaAutoTempoTrackersAuto: audioReactivityMapRuntime.metaAutoTempoTrackersAuto === true,
@@ -7649,6 +8949,7 @@ function patchAudioReactivityMapConfig(patch = {}, options = {}) {
   const next = writeAudioReactivityMapConfig(merged);
   audioReactivityMapRuntime.version = next.version;
   audioReactivityMapRuntime.dropEnabled = next.dropEnabled;
+  audioReactivityMapRuntime.phraseBars = next.phraseBars;
   audioReactivityMapRuntime.hardwareRateLimitsEnabled = next.hardwareRateLimitsEnabled !== false;
   audioReactivityMapRuntime.metaAutoHueWizBaselineBlend = next.metaAutoHueWizBaselineBlend === true;
   audioReactivityMapRuntime.metaAutoTempoTrackersAuto = next.metaAutoTempoTrackersAuto === true;
@@ -7665,6 +8966,7 @@ function patchAudioReactivityMapConfig(patch = {}, options = {}) {
   if (engine?.setDropDetectionEnabled) {
     engine.setDropDetectionEnabled(Boolean(audioReactivityMapRuntime.dropEnabled));
   }
+  engine?.setPhraseBars?.(audioReactivityMapRuntime.phraseBars);
   if (engine?.setMetaAutoTempoBaselineBlend) {
     engine.setMetaAutoTempoBaselineBlend(
       Boolean(audioReactivityMapRuntime.metaAutoHueWizBaselineBlend)
@@ -8089,8 +9391,9 @@ function applyWizIntentAudioReactivity(intent = {}, telemetry = null) {
     telemetry?.scene ||
     ""
   ).trim().toLowerCase();
-  const pulseScene = sceneName === "pulse_strobe";
-  const flowScene = sceneName.startsWith("flow_");
+  const sceneBehavior = getSceneBehaviorForName(sceneName);
+  const pulseScene = sceneBehavior === "pulse";
+  const flowScene = sceneBehavior === "flow";
 
   const next = { ...intent };
   const dropActive = Boolean(audioReactivityMapRuntime.dropEnabled && intent.drop);
@@ -8500,7 +9803,7 @@ function getTwitchColorCapabilities() {
     : fixtureRegistry.listBy("", "");
   const hasOther = fixtures.some(fixture => {
     const brand = String(fixture?.brand || "").trim().toLowerCase();
-    return Boolean(brand && brand !== "hue" && brand !== "wiz");
+    return Boolean(brand && brand !== "hue" && !WIZ_PATH_BRANDS.includes(brand));
   });
 
   return {
@@ -8685,7 +9988,7 @@ function resolveAutoDefaultColorTarget(commandConfig = {}) {
   for (const fixture of fixtures) {
     const brand = String(fixture?.brand || "").trim().toLowerCase();
     if (brand === "hue") hasHue = true;
-    if (brand === "wiz") hasWiz = true;
+    if (WIZ_PATH_BRANDS.includes(brand)) hasWiz = true;
     if (hasHue && hasWiz) break;
   }
 
@@ -8732,16 +10035,7 @@ function collectFixturesByZones(listFn, brand, zones = []) {
 
 async function sendHueStateToFixtures(fixtures = [], state = {}) {
   if (!fixtures.length) return;
-  const ops = fixtures.map(target =>
-    axios.put(
-      `https://${target.bridgeIp}/api/${target.username}/lights/${target.lightId}/state`,
-      state,
-      {
-        timeout: 1800,
-        httpsAgent: getHueRestHttpsAgent(target)
-      }
-    )
-  );
+  const ops = fixtures.map(target => sendHueRestLightState(target, state, { timeoutMs: 1800 }));
   const results = await Promise.allSettled(ops);
   for (const result of results) {
     if (result.status === "rejected") {
@@ -8765,13 +10059,13 @@ function sendWizStateToFixtures(fixtures = [], wizState = {}) {
 }
 
 async function applyColorText(rawText, options = {}) {
-  if (state.isLockedBy("rave")) {
+  if (state.isLockedBy("rave") && !listColorCommandFixtures("", "").length) {
     return {
       ok: false,
       target: null,
       usedPrefix: null,
       fixtureTargetId: null,
-      error: "rave active; /color is disabled while RAVE is on"
+      error: "rave active; /color only reaches fixtures leased to twitch while RAVE is on"
     };
   }
 
@@ -8788,7 +10082,10 @@ async function applyColorText(rawText, options = {}) {
   const target = options.targetExplicit
     ? parseColorTarget(options.target, implicitDefaultTarget)
     : fixtureScopedTarget
-      ? parseColorTarget(fixtureScopedTarget.brand, implicitDefaultTarget)
+      ? parseColorTarget(
+        WIZ_PATH_BRANDS.includes(fixtureScopedTarget.brand) ? "wiz" : fixtureScopedTarget.brand,
+        implicitDefaultTarget
+      )
     : parseColorTarget(prefixed.target || implicitDefaultTarget, implicitDefaultTarget);
   const colorText = String(prefixed.text || "").trim();
 
@@ -8882,8 +10179,8 @@ async function applyColorText(rawText, options = {}) {
       );
     response.wizZones = wizZones;
     const wizFixtures = fixedFixture
-      ? (String(fixedFixture.brand || "").trim().toLowerCase() === "wiz" ? [fixedFixture] : [])
-      : collectFixturesByZones(listColorCommandFixtures, "wiz", wizZones);
+      ? (WIZ_PATH_BRANDS.includes(String(fixedFixture.brand || "").trim().toLowerCase()) ? [fixedFixture] : [])
+      : WIZ_PATH_BRANDS.flatMap(brand => collectFixturesByZones(listColorCommandFixtures, brand, wizZones));
     response.wizTargets = wizFixtures.length;
     if (wizFixtures.length) {
       sendWizStateToFixtures(wizFixtures, directive.wizState);
@@ -8940,7 +10237,7 @@ async function applyTwitchRaveOffColorProfile() {
     const fixtureId = String(fixture?.id || "").trim();
     if (fixtureId) fixturesById.set(fixtureId, fixture);
   }
-  for (const fixture of listEngineFixtures("wiz")) {
+  for (const fixture of listWizPathFixtures(listEngineFixtures)) {
     const fixtureId = String(fixture?.id || "").trim();
     if (fixtureId) fixturesById.set(fixtureId, fixture);
   }
@@ -8990,7 +10287,7 @@ async function applyTwitchRaveOffColorProfile() {
       const batch = hueBatches.get(key) || { state: item.directive.hueState, fixtures: [] };
       batch.fixtures.push(fixture);
       hueBatches.set(key, batch);
-    } else if (brand === "wiz") {
+    } else if (WIZ_PATH_BRANDS.includes(brand)) {
       const key = JSON.stringify(item.directive.wizState);
       const batch = wizBatches.get(key) || { state: item.directive.wizState, fixtures: [] };
       batch.fixtures.push(fixture);
@@ -9244,6 +10541,7 @@ function collectPalettePatch(req) {
   patchOptionalNumber(read, patch, "disorderAggression");
   patchOptionalLowerString(read, patch, "cycleMode");
   patchOptionalNumber(read, patch, "timedIntervalSec");
+  patchOptionalNumber(read, patch, "timedIntervalBars");
   patchOptionalBoolean(read, patch, "beatLock");
   patchOptionalNumber(read, patch, "beatLockGraceSec");
   patchOptionalNumber(read, patch, "reactiveMargin");
@@ -9435,6 +10733,7 @@ function buildPaletteRuntimeSnapshot(configOverride = null) {
     disorderAggression: PALETTE_CONFIG_DEFAULT.disorderAggression,
     cycleMode: PALETTE_CONFIG_DEFAULT.cycleMode,
     timedIntervalSec: PALETTE_CONFIG_DEFAULT.timedIntervalSec,
+    timedIntervalBars: PALETTE_CONFIG_DEFAULT.timedIntervalBars,
     beatLock: PALETTE_CONFIG_DEFAULT.beatLock,
     beatLockGraceSec: PALETTE_CONFIG_DEFAULT.beatLockGraceSec,
     reactiveMargin: PALETTE_CONFIG_DEFAULT.reactiveMargin,
@@ -9490,6 +10789,11 @@ function buildPaletteRuntimeSnapshot(configOverride = null) {
         max: PALETTE_TIMED_INTERVAL_MAX_SEC,
         default: PALETTE_CONFIG_DEFAULT.timedIntervalSec
       },
+      timedIntervalBars: {
+        min: 0,
+        max: PALETTE_TIMED_INTERVAL_MAX_BARS,
+        default: PALETTE_CONFIG_DEFAULT.timedIntervalBars
+      },
       beatLockGraceSec: {
         min: PALETTE_BEAT_LOCK_GRACE_MIN_SEC,
         max: PALETTE_BEAT_LOCK_GRACE_MAX_SEC,
@@ -9538,6 +10842,8 @@ registerRavePaletteMetricRoutes(app, {
   buildPaletteRuntimeSnapshot,
   buildFixtureMetricRoutingSnapshot,
   buildPaletteBrandFixtureCatalog,
+  buildPaletteKeyMapSnapshot,
+  patchPaletteKeyMapConfig,
   fixtureRegistry,
   getEngine: () => engine
 });
@@ -9578,19 +10884,84 @@ app.post("/rave/scene/auto", (_, res) => {
 
 
 /* ======================================================
-   MIDI CONTROL
+   MIDI / OSC CONTROL
    ====================================================== */
 registerMidiRoutes(app, {
   getMidiManager: () => midiManager,
   getRequestMap
 });
 
+registerOscRoutes(app, {
+  getOscManager: () => oscManager,
+  oscOutput,
+  getRequestMap
+});
+
+/* ======================================================
+   MQTT BRIDGE (Home Assistant)
+   ====================================================== */
+function getMqttBridgeSnapshot() {
+  const telemetry = engine?.getTelemetry?.() || {};
+  const fixtures = fixtureRegistry.getFixtures();
+  return {
+    rave: state.isLockedBy("rave"),
+    scene: String(telemetry.scene || ""),
+    scenes: (engine?.getSceneCatalog?.()?.scenes || []).map(scene => scene.id),
+    bpm: Number(telemetry.bpm || 0),
+    palette: String(telemetry.paletteFamilies || ""),
+    overclock: Number(telemetry.overclockLevel || 0),
+    fixtures: getConnectivitySnapshotForFixtures(fixtures).map(item => ({
+      id: item.id,
+      brand: item.brand,
+      status: item.status,
+      reachable: item.reachable === true,
+      detail: item.detail
+    }))
+  };
+}
+
+// Same paths as POST /rave/palette (global scope only) and POST /color.
+function applyMqttPalettePatch(body = {}) {
+  const patch = collectPalettePatch({ body, query: {} });
+  const enginePatch = {};
+  for (const key of PALETTE_PATCH_FIELDS) {
+    if (hasPatchKey(patch, key)) enginePatch[key] = patch[key];
+  }
+  if (!Object.keys(enginePatch).length) return { ok: false, error: "no valid palette fields" };
+  const next = engine?.setPaletteConfig?.(enginePatch);
+  return next ? { ok: true } : { ok: false, error: "palette update failed" };
+}
+
+const mqttBridge = createMqttBridge({
+  getSnapshot: getMqttBridgeSnapshot,
+  refreshConnectivity: () => Promise.all(
+    fixtureRegistry.getFixtures().map(fixture => queueFixtureConnectivityProbe(fixture))
+  ),
+  commands: {
+    raveOn: () => startRave("mqtt"),
+    raveOff: () => stopRave("mqtt"),
+    setScene: name => (engine?.setScene?.(name) === false
+      ? { ok: false, error: "invalid scene" }
+      : { ok: true }),
+    setPalette: applyMqttPalettePatch,
+    color: text => applyColorText(text, {})
+  }
+});
+
+registerMqttRoutes(app, {
+  mqttBridge,
+  getRequestMap
+});
+
 registerRaveOverclockRoutes(app, {
   getEngine: () => engine
 });
 
 app.post("/rave/panic", async (_, res) => {
   console.warn("[PANIC] BLACKOUT");
+  // Panic outranks every other owner until /rave/on or
+  // DELETE /state/ownership/leases?owner=panic releases it.
+  state.acquire("panic", { scope: "all", reason: "blackout" });
 
   audio.stop();
   await engine.stop();
@@ -9598,7 +10969,7 @@ app.post("/rave/panic", async (_, res) => {
 
   const hueZones = [...new Set(fixtureRegistry.listBy("hue").map(f => f.zone || "hue"))];
   for (const zone of hueZones) {
-    enqueueHue({ on: false, transitiontime: 0 }, zone);
+    enqueueHue({ on: false, transitiontime: 0 }, zone, { owner: "panic" });
   }
 
   res.sendStatus(200);
@@ -9704,6 +11075,19 @@ registerRaveSceneSyncRoutes(app, {
   parseEnabledFlagForRoute
 });
 
+registerRaveSceneRoutes(app, {
+  getEngine: () => engine,
+  sceneRegistry,
+  syncEngineScenes
+});
+
+registerRaveCueRoutes(app, {
+  cueTransport,
+  buildCueListsSnapshot,
+  upsertCueListConfig,
+  removeCueListConfig
+});
+
 app.post("/rave/meta/auto", (req, res) => {
   const enabled = parseEnabledFlagForRoute(req, res);
   if (enabled === null) return;
@@ -10143,8 +11527,12 @@ for (const route of META_AUTO_TOGGLE_ROUTES) {
   });
 }
 
+app.get("/rave/flash-guard", (_, res) => {
+  res.json({ ok: true, ...flashGuard.getStatus() });
+});
+
 app.get("/rave/telemetry", (_, res) => {
-  const telemetry = engine.getTelemetry();
+  const telemetry = buildEngineTelemetrySnapshot();
   fireModHook("onTelemetry", { telemetry });
   res.json(telemetry);
 });
@@ -10651,7 +12039,7 @@ app.post("/mods/import", modsImportRateLimitStrict, modsImportRateLimit, async (
       const order = normalizeModIdList(currentConfig.order);
       if (!enabled.includes(modId)) enabled.push(modId);
       if (!order.includes(modId)) order.push(modId);
-      const nextConfig = { enabled, disabled, order };
+      const nextConfig = { enabled, disabled, order, transformBudgetMs: currentConfig.transformBudgetMs };
       try {
         fs.writeFileSync(configPath, `${JSON.stringify(nextConfig, null, 2)}\n`, "utf8");
       } catch (err) {
@@ -10733,7 +12121,10 @@ app.post("/mods/config", modsConfigRateLimitStrict, modsConfigRateLimit, async (
       : normalizeModIdList(currentConfig.order),
     disabled: patch.disabled !== undefined
       ? normalizeModIdList(patch.disabled)
-      : normalizeModIdList(currentConfig.disabled)
+      : normalizeModIdList(currentConfig.disabled),
+    transformBudgetMs: patch.transformBudgetMs !== undefined
+      ? Math.round(clampNumber(patch.transformBudgetMs, 1, 50, currentConfig.transformBudgetMs || 4))
+      : currentConfig.transformBudgetMs
   };
 
   try {
@@ -11256,13 +12647,13 @@ app.post("/hue/transport", hueTransportRateLimit, async (req, res) => {
   });
 });
 
-app.get("/hue/telemetry", (_, res) => {
+function buildHueTelemetrySnapshot() {
   const scheduler = {};
   for (const [zone, zoneScheduler] of hueSchedulers.entries()) {
     scheduler[zone] = zoneScheduler.getTelemetry();
   }
 
-  res.json({
+  return {
     ...hueTelemetry,
     skipped:
       hueTelemetry.skippedScheduler +
@@ -11274,22 +12665,37 @@ app.get("/hue/telemetry", (_, res) => {
     transportFallbackReason: hueTransport.fallbackReason,
     transportSwitches: hueTransport.switches,
     transportErrors: hueTransport.errors,
+    spatialMode: getHueSpatialModeRuntime(),
+    restApi: isHueClipV2Preferred() ? "v2" : "v1",
     entertainment: hueEntertainment.getStatus(),
+    clipV2: {
+      ...hueClipV2.getTelemetry(),
+      externalStates: Object.fromEntries(hueExternalLightStateByFixtureId)
+    },
     scheduler
-  });
-});
+  };
+}
 
-app.get("/wiz/telemetry", (_, res) => {
+function buildWizTelemetrySnapshot() {
   const scheduler = {};
   for (const [zone, zoneScheduler] of wizSchedulers.entries()) {
     scheduler[zone] = zoneScheduler.getTelemetry();
   }
 
-  res.json({
+  return {
     ...wizTelemetry,
     skipped: wizTelemetry.skippedScheduler + wizTelemetry.skippedNoTargets,
-    scheduler
-  });
+    scheduler,
+    rebind: wizMacRebinder.getTelemetry()
+  };
+}
+
+app.get("/hue/telemetry", (_, res) => {
+  res.json(buildHueTelemetrySnapshot());
+});
+
+app.get("/wiz/telemetry", (_, res) => {
+  res.json(buildWizTelemetrySnapshot());
 });
 
 app.get("/audio/telemetry", (_, res) => {
@@ -11320,6 +12726,7 @@ app.post("/audio/config", (req, res) => {
   const result = audio.setConfig(patch, { restart: true });
   audioRuntimeConfig = result.config || audioRuntimeConfig;
   scheduleAudioRuntimeConfigWrite(audioRuntimeConfig, { delayMs: 180 });
+  publishLiveConfigChange("audio", { config: audioRuntimeConfig });
   res.json(result);
 });
 
@@ -11337,6 +12744,7 @@ app.post("/audio/reactivity-map", (req, res) => {
   const patch = reset
     ? {
       dropEnabled: AUDIO_REACTIVITY_MAP_DEFAULT.dropEnabled,
+      phraseBars: AUDIO_REACTIVITY_MAP_DEFAULT.phraseBars,
       hardwareRateLimitsEnabled: AUDIO_REACTIVITY_MAP_DEFAULT.hardwareRateLimitsEnabled,
       metaAutoHueWizBaselineBlend: audioReactivityMapRuntime.metaAutoHueWizBaselineBlend === true,
       metaAutoTempoTrackersAuto: audioReactivityMapRuntime.metaAutoTempoTrackersAuto === true,
@@ -11496,6 +12904,40 @@ registerFixturesRoutes(app, {
   fixtureConnectivityInFlight
 });
 
+registerEventsRoutes(app, {
+  eventsRateLimit,
+  liveEvents,
+  parseLiveEventTopics,
+  privilegedTopics: LIVE_EVENTS_PRIVILEGED_TOPICS,
+  canReadPrivilegedRoute
+});
+
+registerWizDiscoveryRoutes(app, {
+  wizDiscoverRateLimit,
+  fixtureRegistry,
+  discoverWizBulbs,
+  getDiscoveryOptions: () => ({
+    broadcastAddress: WIZ_DISCOVERY_BROADCAST_ADDRESS,
+    port: WIZ_DISCOVERY_PORT,
+    log: console
+  }),
+  refreshWizAdapters,
+  syncStandaloneRuntime,
+  queueFixtureConnectivityProbe,
+  normalizePrivateOrLoopbackIpv4
+});
+
+registerLifxDiscoveryRoutes(app, {
+  lifxDiscoverRateLimit,
+  fixtureRegistry,
+  discoverLifxBulbs,
+  getDiscoveryOptions: () => ({
+    broadcastAddress: LIFX_DISCOVERY_BROADCAST_ADDRESS,
+    port: LIFX_DISCOVERY_PORT,
+    log: console
+  })
+});
+
 registerFixturesConnectivityRoutes(app, {
   fixturesConnectivityRateLimit,
   fixtureRegistry,
@@ -11521,16 +12963,25 @@ function getSystemConfigSnapshot() {
     hueTransportPreference: sanitizeHueTransportPreference(
       systemConfigRuntime?.hueTransportPreference,
       SYSTEM_CONFIG_DEFAULT.hueTransportPreference
-    )
+    ),
+    hueEntertainmentSpatialMode: getHueSpatialModeRuntime(),
+    flashGuard: normalizeFlashGuardConfig(systemConfigRuntime?.flashGuard)
   };
 }
 
-function patchSystemConfig(patch = {}) {
+// `options.loopback` says whether the caller is on this machine; loosening the
+// flash guard is refused otherwise, even with remote writes enabled.
+function patchSystemConfig(patch = {}, options = {}) {
   const rawPatch = getRequestMap(patch);
   const merged = {
     ...getSystemConfigSnapshot()
   };
-  for (const key of ["autoLaunchBrowser", "browserLaunchDelayMs", "hueTransportPreference"]) {
+  for (const key of [
+    "autoLaunchBrowser",
+    "browserLaunchDelayMs",
+    "hueTransportPreference",
+    "hueEntertainmentSpatialMode"
+  ]) {
     if (hasOwn(rawPatch, key)) {
       merged[key] = rawPatch[key];
     }
@@ -11551,12 +13002,37 @@ function patchSystemConfig(patch = {}) {
     }
     merged.unsafeExposeSensitiveLogs = requested;
   }
+  if (hasOwn(rawPatch, "flashGuard")) {
+    const requested = normalizeFlashGuardConfig({ ...merged.flashGuard, ...getRequestMap(rawPatch.flashGuard) });
+    // Loosening past WCAG is the explicit local override: loopback plus the ack phrase.
+    const overrideError = checkFlashGuardOverride(merged.flashGuard, requested, {
+      loopback: options.loopback === true,
+      ack: rawPatch.flashGuardOverrideAck
+    });
+    if (overrideError) {
+      return { ok: false, ...overrideError };
+    }
+    if (isFlashGuardWeakened(requested) && !isFlashGuardWeakened(merged.flashGuard)) {
+      console.warn("[SAFETY] flash guard override enabled via /system/config");
+    }
+    merged.flashGuard = requested;
+  }
+  if (hasOwn(rawPatch, "dmx")) {
+    merged.dmx = { ...merged.dmx, ...getRequestMap(rawPatch.dmx) };
+  }
 
   systemConfigRuntime = writeSystemConfig(merged);
+  flashGuard.setConfig(systemConfigRuntime.flashGuard);
+  dmxOutput.setRefreshHz(systemConfigRuntime.dmx.refreshHz);
   setUnsafeExposeSensitiveLogsRuntime(Boolean(systemConfigRuntime?.unsafeExposeSensitiveLogs));
-  return { ok: true, config: getSystemConfigSnapshot() };
+  syncHueClipV2EventStreams();
+  const config = getSystemConfigSnapshot();
+  publishLiveConfigChange("system", { config });
+  return { ok: true, config };
 }
 
+registerOwnershipRoutes(app, { state });
+
 registerSystemRoutes(app, {
   isLoopbackRequest,
   getRequestMap,
@@ -11827,11 +13303,16 @@ async function shutdown(reason = "signal", exitCode = 0) {
         } catch {}
       }
       wizAdapters.clear();
+      dmxOutput.close();
     } catch {}
 
     try {
       midiManager?.dispose?.();
       midiManager = null;
+      oscManager?.dispose?.();
+      oscManager = null;
+      oscOutput.dispose();
+      mqttBridge.dispose();
     } catch {}
 
     try {
@@ -11857,10 +13338,19 @@ async function shutdown(reason = "signal", exitCode = 0) {
       console.warn("[SYS] hue transport shutdown failed:", err.message || err);
     }
 
+    try {
+      stopLiveEventsPump();
+      liveEvents.closeAll();
+    } catch {}
+
     try {
       await closeHttpServer();
     } catch {}
 
+    try {
+      hueClipV2.stopAllEventStreams();
+    } catch {}
+
     try {
       destroyHueRestHttpsAgents();
     } catch {}
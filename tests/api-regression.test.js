@@ -311,6 +311,228 @@ test("palette + fixture metric routing endpoints stay consistent", { concurrency
   assert.equal(clear.data?.scope, "brand");
 });
 
+test("user scene CRUD validates, lists and removes scenes", { concurrency: false }, async () => {
+  const invalid = await requestJson(`${BASE_URL}/rave/scenes`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: "flow_bad", behavior: "sparkle", palette: ["#ff0000"] })
+  });
+  assert.equal(invalid.response.status, 400);
+  assert.equal(invalid.data?.ok, false);
+
+  const saved = await requestJson(`${BASE_URL}/rave/scenes`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      id: "test_club",
+      behavior: "flow",
+      palette: ["#ff2040", { r: 20, g: 200, b: 255 }],
+      brightness: { base: 120, min: 100, max: 240 },
+      auto: { priority: 5, when: { drive: { min: 0.3 } } }
+    })
+  });
+  assert.equal(saved.response.status, 200);
+  assert.equal(saved.data?.scene?.id, "test_club");
+  assert.ok(saved.data?.catalog?.some(entry => entry.id === "test_club" && entry.source === "user"));
+
+  const locked = await fetch(`${BASE_URL}/rave/scene?name=test_club`, { method: "POST" });
+  assert.equal(locked.status, 200);
+  await fetch(`${BASE_URL}/rave/scene/auto`, { method: "POST" });
+
+  const removed = await requestJson(`${BASE_URL}/rave/scenes/test_club`, { method: "DELETE" });
+  assert.equal(removed.response.status, 200);
+  assert.equal(removed.data?.scenes?.some(scene => scene.id === "test_club"), false);
+
+  const missing = await requestJson(`${BASE_URL}/rave/scenes/test_club`, { method: "DELETE" });
+  assert.equal(missing.response.status, 404);
+});
+
+test("cue list routes store, run and remove a show", { concurrency: false }, async () => {
+  const jsonPost = (url, body) => requestJson(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body || {})
+  });
+  const saved = await jsonPost(`${BASE_URL}/rave/cues`, {
+    id: "test_show",
+    triggers: ["key:test-show"],
+    cues: [{ at: 0, flowIntensity: 1 }, { at: "10:00", scene: "auto" }]
+  });
+  assert.equal(saved.response.status, 200);
+  assert.equal(saved.data?.list?.cues?.length, 2);
+
+  const invalid = await jsonPost(`${BASE_URL}/rave/cues`, { id: "test_bad", cues: [{ at: "soon", drop: true }] });
+  assert.equal(invalid.response.status, 400);
+
+  const triggered = await jsonPost(`${BASE_URL}/rave/cues/trigger`, { key: "TEST-SHOW" });
+  assert.equal(triggered.response.status, 200);
+  assert.equal(triggered.data?.status?.listId, "test_show");
+  assert.equal(triggered.data?.status?.nextCue, 1);
+
+  const seek = await jsonPost(`${BASE_URL}/rave/cues/seek?at=9:59`);
+  assert.equal(seek.response.status, 200);
+  assert.ok(Number(seek.data?.status?.position) >= 599);
+
+  const stopped = await jsonPost(`${BASE_URL}/rave/cues/stop`);
+  assert.equal(stopped.data?.status?.state, "stopped");
+
+  const removed = await requestJson(`${BASE_URL}/rave/cues/test_show`, { method: "DELETE" });
+  assert.equal(removed.response.status, 200);
+  assert.equal(removed.data?.lists?.some(list => list.id === "test_show"), false);
+});
+
+test("ownership lease routes take fixtures, report the stack and hand them back", { concurrency: false }, async () => {
+  const jsonPost = (url, body) => requestJson(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body || {})
+  });
+  const reserved = await jsonPost(`${BASE_URL}/state/ownership/leases`, { owner: "rave" });
+  assert.equal(reserved.response.status, 400);
+
+  const taken = await jsonPost(`${BASE_URL}/state/ownership/leases`, {
+    owner: "twitch",
+    fixtureIds: ["test-fx-a", "test-fx-b"],
+    ttlMs: 60000,
+    reason: "redeem",
+    priority: 500
+  });
+  assert.equal(taken.response.status, 200);
+  assert.equal(taken.data?.acquired?.length, 2);
+  assert.ok(taken.data.acquired.every(lease => lease.expiresAt > 0));
+  // HTTP callers stay below safety no matter what priority they ask for.
+  assert.ok(taken.data.acquired.every(lease => lease.priority < taken.data.priorities.safety));
+
+  const stack = await requestJson(`${BASE_URL}/state/ownership?fixtureId=test-fx-a`);
+  assert.equal(stack.data?.stack?.[0]?.owner, "twitch");
+
+  const telemetry = await requestJson(`${BASE_URL}/rave/telemetry`);
+  assert.ok(Number(telemetry.data?.ownership?.leases) >= 2);
+
+  const released = await requestJson(`${BASE_URL}/state/ownership/leases?owner=twitch`, { method: "DELETE" });
+  assert.equal(released.response.status, 200);
+  assert.equal(released.data?.released, 2);
+
+  const missing = await requestJson(`${BASE_URL}/state/ownership/leases/${taken.data.acquired[0].id}`, { method: "DELETE" });
+  assert.equal(missing.response.status, 404);
+});
+
+test("flash guard reports its audit and refuses loosening without the override ack", { concurrency: false }, async () => {
+  const status = await requestJson(`${BASE_URL}/rave/flash-guard`);
+  assert.equal(status.response.status, 200);
+  assert.equal(status.data?.enabled, true);
+  assert.equal(status.data?.maxFlashesPerSec, 3);
+  assert.equal(typeof status.data?.audit?.blocked, "number");
+
+  const loosened = await requestJson(`${BASE_URL}/system/config`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ flashGuard: { enabled: false } })
+  });
+  assert.equal(loosened.response.status, 400);
+  assert.equal(loosened.data?.error, "flash_guard_override_ack_required");
+
+  const telemetry = await requestJson(`${BASE_URL}/rave/telemetry`);
+  assert.equal(telemetry.data?.flashGuard?.enabled, true);
+});
+
+test("dmx fixtures reject bad patches and report output in telemetry", { concurrency: false }, async () => {
+  const overflow = await requestJson(`${BASE_URL}/fixtures/fixture`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: "dmx-regression", brand: "dmx", protocol: "artnet", host: "127.0.0.1", address: 511, profile: "drgb" })
+  });
+  assert.equal(overflow.response.status, 400);
+  assert.match(String(overflow.data?.error || ""), /runs past channel 512/);
+
+  const badUniverse = await requestJson(`${BASE_URL}/fixtures/fixture`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: "dmx-regression", brand: "dmx", protocol: "sacn", universe: 0 })
+  });
+  assert.equal(badUniverse.response.status, 400);
+
+  const telemetry = await requestJson(`${BASE_URL}/rave/telemetry`);
+  assert.equal(typeof telemetry.data?.dmx?.refreshHz, "number");
+  assert.ok(Array.isArray(telemetry.data?.dmx?.universes));
+});
+
+test("wiz discover add refuses an id that belongs to another fixture", { concurrency: false }, async () => {
+  const config = await requestJson(`${BASE_URL}/fixtures/config`);
+  const fixtures = Array.isArray(config.data?.config?.fixtures) ? config.data.config.fixtures : [];
+  const target = fixtures.find(fixture => fixture.brand !== "wiz") || fixtures[0];
+  if (!target) return;
+
+  const conflict = await requestJson(`${BASE_URL}/wiz/discover/add`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ip: "127.0.0.1", id: target.id })
+  });
+  assert.equal(conflict.response.status, 409);
+  assert.equal(conflict.data?.error, "fixture id already exists");
+  assert.equal(conflict.data?.fixtureId, target.id);
+
+  const after = await requestJson(`${BASE_URL}/fixtures/config`);
+  const unchanged = after.data.config.fixtures.find(fixture => fixture.id === target.id);
+  assert.equal(unchanged.brand, target.brand);
+});
+
+test("wled fixtures reject bad configs and report outputs in telemetry", { concurrency: false }, async () => {
+  const badProtocol = await requestJson(`${BASE_URL}/fixtures/fixture`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: "wled-regression", brand: "wled", host: "127.0.0.1", protocol: "e131" })
+  });
+  assert.equal(badProtocol.response.status, 400);
+  assert.match(String(badProtocol.data?.error || ""), /ddp, drgb or warls/);
+
+  const publicHost = await requestJson(`${BASE_URL}/fixtures/fixture`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: "wled-regression", brand: "wled", host: "8.8.8.8" })
+  });
+  assert.equal(publicHost.response.status, 400);
+
+  const telemetry = await requestJson(`${BASE_URL}/rave/telemetry`);
+  assert.ok(Array.isArray(telemetry.data?.wled?.outputs));
+});
+
+test("lifx fixtures reject bad configs", { concurrency: false }, async () => {
+  const badZones = await requestJson(`${BASE_URL}/fixtures/fixture`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: "lifx-regression", brand: "lifx", ip: "127.0.0.1", zoneCount: 0 })
+  });
+  assert.equal(badZones.response.status, 400);
+  assert.match(String(badZones.data?.error || ""), /zoneCount/);
+
+  const badMac = await requestJson(`${BASE_URL}/fixtures/fixture`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id: "lifx-regression", brand: "lifx", ip: "127.0.0.1", mac: "not-a-mac" })
+  });
+  assert.equal(badMac.response.status, 400);
+  assert.match(String(badMac.data?.error || ""), /mac/);
+});
+
+test("mqtt bridge status redacts the password and config rejects bad ports", { concurrency: false }, async () => {
+  const status = await requestJson(`${BASE_URL}/mqtt/status`);
+  assert.equal(status.response.status, 200);
+  assert.equal(status.data?.ok, true);
+  assert.equal(status.data?.config?.password, undefined);
+  assert.equal(typeof status.data?.config?.passwordSet, "boolean");
+  assert.equal(status.data?.topics?.commands?.rave, `${status.data?.config?.baseTopic}/rave/set`);
+
+  const badPort = await requestJson(`${BASE_URL}/mqtt/config`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ port: 70000 })
+  });
+  assert.equal(badPort.response.status, 400);
+  assert.equal(badPort.data?.ok, false);
+  assert.match(String(badPort.data?.error || ""), /port/);
+});
+
 test("genre routes are fully removed", { concurrency: false }, async () => {
   const removed = await requestJson(`${BASE_URL}/rave/genres`, { method: "GET" });
   assert.equal(removed.response.status, 404);
@@ -442,3 +664,35 @@ test("enabled-flag control routes keep consistent validation", { concurrency: fa
   assert.equal(String(wizSyncOn.data?.strategy || ""), "standalone");
   assert.equal(Boolean(wizSyncOn.data?.enforced), true);
 });
+
+test("/events streams subscribed telemetry topics over server-sent events", { concurrency: false }, async () => {
+  const invalid = await requestJson(`${BASE_URL}/events?topics=nope`);
+  assert.equal(invalid.response.status, 400);
+  assert.equal(invalid.data?.ok, false);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 4000);
+  let text = "";
+  try {
+    const response = await fetch(`${BASE_URL}/events?topics=telemetry,config&throttleMs=100`, {
+      signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+    assert.match(String(response.headers.get("content-type") || ""), /text\/event-stream/);
+    const decoder = new TextDecoder();
+    for await (const chunk of response.body) {
+      text += decoder.decode(chunk, { stream: true });
+      if (text.includes("event: hello") && text.includes("event: telemetry")) break;
+    }
+  } finally {
+    clearTimeout(timer);
+    controller.abort();
+  }
+  assert.match(text, /event: hello\ndata: \{[^\n]*"topics":\["telemetry","config"\]/);
+  assert.match(text, /event: telemetry\ndata: \{[^\n]*"scene"/);
+
+  const status = await requestJson(`${BASE_URL}/events/status`);
+  assert.equal(status.response.status, 200);
+  assert.equal(status.data?.ok, true);
+  assert.equal(Number(status.data?.events?.connected || 0) >= 1, true);
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { readWavBuffer, decodeAudioFile, createFilePlayer } = require("../core/audio/file-source");
+const createAudio = require("../core/audio");
+
+function buildWav({ sampleRate, channels, frames, sample }) {
+  const data = Buffer.alloc(frames * channels * 2);
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      data.writeInt16LE(Math.round(sample(i, c) * 32767), (i * channels + c) * 2);
+    }
+  }
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test("wav reader decodes pcm16 and file player paces, loops and seeks", () => {
+  const wav = readWavBuffer(buildWav({ sampleRate: 1000, channels: 2, frames: 1000, sample: (i, c) => (c ? -0.5 : 0.5) }));
+  assert.equal(wav.sampleRate, 1000);
+  assert.equal(wav.channels, 2);
+  assert.equal(wav.frames, 1000);
+  assert.ok(Math.abs(wav.samples[0] - 0.5) < 0.001);
+  assert.ok(Math.abs(wav.samples[1] + 0.5) < 0.001);
+  assert.throws(() => readWavBuffer(Buffer.from("nope")), /RIFF/);
+
+  let now = 0;
+  let frames = 0;
+  let ended = 0;
+  const player = createFilePlayer({
+    ...wav,
+    framesPerBuffer: 100,
+    speed: 2,
+    loop: true,
+    timer: false,
+    now: () => now,
+    onBuffer: (buffer, channels) => { frames += buffer.length / (channels * 4); },
+    onEnd: () => { ended += 1; }
+  });
+  player.start();
+  now = 100;
+  assert.equal(player.pump(), 200);
+  for (now = 200; now <= 600; now += 100) player.pump();
+  assert.equal(frames, 1200);
+  assert.equal(player.getStatus().loops, 1);
+  assert.equal(player.getStatus().positionSec, 0.2);
+
+  player.seek(0.95);
+  player.setOptions({ loop: false });
+  now += 100;
+  player.pump();
+  assert.equal(ended, 1);
+  assert.equal(player.getStatus().ended, true);
+});
+
+test("wav decode stops at the duration cap and refuses oversized files", async t => {
+  const wavBuffer = buildWav({ sampleRate: 1000, channels: 1, frames: 3000, sample: () => 0.25 });
+  const capped = readWavBuffer(wavBuffer, { maxSeconds: 2 });
+  assert.equal(capped.frames, 2000);
+  assert.equal(capped.samples.length, 2000);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ravelink-wav-cap-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, "long.wav"), wavBuffer);
+  const decoded = await decodeAudioFile("long.wav", { rootDir: dir, maxSeconds: 1 });
+  assert.equal(decoded.decoder, "wav");
+  assert.equal(decoded.frames, 1000);
+  // Without ffmpeg to fall back on, a WAV over the size cap is not read at all.
+  await assert.rejects(
+    decodeAudioFile("long.wav", { rootDir: dir, maxWavBytes: 1024 }),
+    /too large/
+  );
+});
+
+test("file backend streams a wav through processBuffer faster than real time", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ravelink-audio-"));
+  const filePath = path.join(dir, "kick.wav");
+  const sampleRate = 44100;
+  fs.writeFileSync(filePath, buildWav({
+    sampleRate,
+    channels: 1,
+    frames: sampleRate,
+    sample: i => ((i % (sampleRate / 4)) < 2000 ? 0.6 * Math.sin((2 * Math.PI * 60 * i) / sampleRate) : 0)
+  }));
+
+  const audio = createAudio(() => {});
+  let stats = 0;
+  let maxLevel = 0;
+  audio.onStats(telemetry => {
+    stats += 1;
+    maxLevel = Math.max(maxLevel, telemetry.level || 0);
+  });
+  audio.setConfig({ inputBackend: "file", filePath, fileSpeed: 8, fileLoop: false });
+  try {
+    audio.start();
+    await sleep(400);
+    const telemetry = audio.getTelemetry();
+    assert.equal(telemetry.backend, "file");
+    assert.equal(telemetry.file.ended, true);
+    assert.equal(telemetry.file.durationSec, 1);
+    assert.ok(stats > 100);
+    assert.ok(maxLevel > 0.2);
+  } finally {
+    audio.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
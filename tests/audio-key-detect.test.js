@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSpectrumAnalyzer } = require("../core/audio/spectrum");
+const { createKeyEstimator, estimateKey } = require("../core/audio/key-detect");
+const {
+  normalizeKeyColorMap,
+  resolveKeyColor,
+  pickNearestKeyColorFamily
+} = require("../core/palette/key-color-map");
+const createRaveEngine = require("../core/rave-engine");
+
+const SAMPLE_RATE = 22050;
+const HOP = 512;
+
+function midiHz(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// Plays each chord (MIDI notes) for `chordSec`, cycling for `seconds`, and
+// feeds every chroma frame to the estimator.
+function playChords(analyzer, estimator, chords, seconds, chordSec = 1) {
+  const total = Math.round(SAMPLE_RATE * seconds);
+  const perChord = Math.round(SAMPLE_RATE * chordSec);
+  for (let i = 0; i < total; i++) {
+    const chord = chords[Math.floor(i / perChord) % chords.length];
+    let sample = 0;
+    for (const note of chord) sample += 0.15 * Math.sin((2 * Math.PI * midiHz(note) * i) / SAMPLE_RATE);
+    if (analyzer.write(sample)) estimator.push(analyzer.getChroma(), HOP / SAMPLE_RATE);
+  }
+}
+
+test("chroma key estimator finds the key and only switches after a sustained change", () => {
+  const analyzer = createSpectrumAnalyzer({ size: 2048, hop: HOP, bands: 24, sampleRate: SAMPLE_RATE });
+  const estimator = createKeyEstimator({ holdSec: 3 });
+
+  const cMajor = [[60, 64, 67], [65, 69, 72], [67, 71, 74], [60, 64, 67]];
+  playChords(analyzer, estimator, cMajor, 8);
+  let snapshot = estimator.getSnapshot();
+  assert.equal(snapshot.label, "C major");
+  assert.ok(snapshot.confidence > 0);
+  assert.equal(analyzer.getSnapshot().chroma.length, 12);
+
+  const aMinor = [[57, 60, 64], [62, 65, 69], [64, 68, 71], [57, 60, 64]];
+  playChords(analyzer, estimator, aMinor, 2);
+  assert.equal(estimator.getSnapshot().label, "C major");
+
+  playChords(analyzer, estimator, aMinor, 16);
+  snapshot = estimator.getSnapshot();
+  assert.equal(snapshot.key, "A");
+  assert.equal(snapshot.mode, "minor");
+
+  // A flat profile never correlates; silence leaves the estimate alone.
+  assert.equal(estimateKey(new Array(12).fill(1)).correlation, 0);
+  assert.equal(estimator.push(new Array(12).fill(0), 1), false);
+  assert.equal(estimator.getSnapshot().label, "A minor");
+});
+
+test("key-to-color table normalises entries and drives the key_mapper palette mode", () => {
+  const map = normalizeKeyColorMap({ "Bb minor": { family: "purple", vividness: 9 }, Hm: { family: "blue" } });
+  assert.equal(Object.keys(map).length, 24);
+  assert.deepEqual(map["A#m"], { family: "red", vividness: 4 });
+  assert.deepEqual(resolveKeyColor(map, "C", "major"), { key: "C", family: "red", vividness: 3 });
+  assert.equal(pickNearestKeyColorFamily("cyan", ["red", "blue"]), "blue");
+  assert.equal(pickNearestKeyColorFamily("green", ["green"]), "green");
+
+  const engine = createRaveEngine({ emit() {} });
+  engine.setPaletteConfig({ cycleMode: "key_mapper", families: ["red", "green", "blue"] });
+  assert.equal(engine.getPaletteConfig().keyColor, null);
+
+  engine.setAudioLevel({ level: 0.5, key: { key: "A", mode: "minor", confidence: 0.7 } });
+  let config = engine.getPaletteConfig();
+  assert.equal(config.cycleMode, "key_mapper");
+  assert.deepEqual(config.keyColor, { key: "Am", family: "green", vividness: 1 });
+
+  // Held through silence; remapping applies immediately.
+  engine.setAudioLevel(0);
+  engine.setPaletteKeyMap({ Am: { family: "blue", vividness: 2 } });
+  const telemetry = engine.getTelemetry();
+  assert.equal(telemetry.audioKey, "A");
+  assert.equal(telemetry.paletteKeyFamily, "blue");
+  assert.equal(telemetry.paletteKeyVividness, 2);
+  config = engine.getPaletteConfig("hue");
+  assert.equal(config.keyColor.family, "blue");
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("node:net");
+
+const { createPcmDecoder, createPcmInput } = require("../core/audio/pcm-source");
+const createAudio = require("../core/audio");
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function s16Chunk(values) {
+  const buffer = Buffer.alloc(values.length * 2);
+  values.forEach((value, i) => buffer.writeInt16LE(Math.round(value * 32767), i * 2));
+  return buffer;
+}
+
+test("pcm decoder carries partial frames and jitter buffer prefills, plays and underruns", () => {
+  const decoder = createPcmDecoder("s16le", 2);
+  const whole = s16Chunk([0.5, -0.5, 0.25, -0.25]);
+  assert.equal(decoder.decode(whole.subarray(0, 5)).length, 2);
+  const rest = decoder.decode(whole.subarray(5));
+  assert.equal(rest.length, 2);
+  assert.ok(Math.abs(rest[0] - 0.25) < 0.001);
+
+  let now = 0;
+  const out = [];
+  const input = createPcmInput({
+    transport: "stdin",
+    stdin: { on() {}, removeListener() {} },
+    format: "f32le",
+    sampleRate: 8000,
+    channels: 1,
+    framesPerBuffer: 80,
+    jitterMs: 30,
+    timer: false,
+    now: () => now,
+    onBuffer: buffer => out.push(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4)[0])
+  });
+  input.start();
+
+  // 20ms buffered < 30ms jitter target: silence while prefilling.
+  input.accept(Buffer.from(new Float32Array(160).fill(0.5).buffer));
+  now = 10;
+  input.playout();
+  assert.deepEqual(out, [0]);
+
+  input.accept(Buffer.from(new Float32Array(160).fill(0.5).buffer));
+  now = 40;
+  input.playout();
+  assert.deepEqual(out, [0, 0.5, 0.5, 0.5]);
+
+  now = 70;
+  input.playout();
+  assert.deepEqual(out.slice(4), [0.5, 0, 0]);
+  const status = input.getStatus();
+  assert.equal(status.underruns, 1);
+  assert.equal(status.prefilling, true);
+  input.stop();
+});
+
+test("pcm backend receives tcp audio and the watchdog restarts it when the sender stalls", async () => {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const audio = createAudio(() => {});
+  let maxLevel = 0;
+  audio.onStats(telemetry => {
+    maxLevel = Math.max(maxLevel, telemetry.level || 0);
+  });
+  audio.setConfig({
+    inputBackend: "pcm",
+    pcmTransport: "tcp",
+    pcmHost: "127.0.0.1",
+    pcmPort: port,
+    pcmFormat: "f32le",
+    pcmSampleRate: 48000,
+    pcmChannels: 1,
+    pcmJitterMs: 20,
+    watchdogMs: 800,
+    restartMs: 250
+  });
+  audio.start();
+  const client = net.connect(port, "127.0.0.1");
+  try {
+    await new Promise((resolve, reject) => {
+      client.once("connect", resolve);
+      client.once("error", reject);
+    });
+    const block = new Float32Array(4800);
+    for (let i = 0; i < block.length; i++) block[i] = 0.6 * Math.sin((2 * Math.PI * 80 * i) / 48000);
+    for (let i = 0; i < 4; i++) {
+      client.write(Buffer.from(block.buffer));
+      await sleep(100);
+    }
+
+    let telemetry = audio.getTelemetry();
+    assert.equal(telemetry.backend, "pcm");
+    assert.equal(telemetry.pcm.active, true);
+    assert.equal(telemetry.pcm.clientAddress, "127.0.0.1");
+    assert.ok(telemetry.pcm.framesIn >= 19200);
+    assert.ok(maxLevel > 0.2);
+
+    await sleep(1500);
+    telemetry = audio.getTelemetry();
+    assert.ok(telemetry.watchdogTrips >= 1);
+    assert.equal(telemetry.lastRestartReason, "watchdog stall");
+    assert.equal(telemetry.pcm.active, true);
+    assert.equal(telemetry.pcm.listening, true);
+  } finally {
+    client.destroy();
+    audio.stop();
+  }
+});
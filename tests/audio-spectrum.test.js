@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSpectrumAnalyzer, normalizeFftSize, normalizeSpectrumRanges } = require("../core/audio/spectrum");
+const { createServerColorUtils } = require("../core/server/color-utils");
+
+function feedTone(analyzer, sampleRate, seconds, partials) {
+  const total = Math.round(sampleRate * seconds);
+  for (let i = 0; i < total; i++) {
+    let sample = 0;
+    for (const [hz, amp] of partials) sample += amp * Math.sin((2 * Math.PI * hz * i) / sampleRate);
+    analyzer.write(sample);
+  }
+}
+
+test("spectrum analyzer resolves kick and hats ranges, centroid and rolloff", () => {
+  const sampleRate = 48000;
+  const analyzer = createSpectrumAnalyzer({ size: 2048, hop: 512, bands: 24, scale: "mel", sampleRate });
+
+  feedTone(analyzer, sampleRate, 0.2, [[70, 0.4]]);
+  let snapshot = analyzer.getSnapshot();
+  assert.ok(snapshot.frames > 10);
+  assert.equal(snapshot.ranges.kick, 1);
+  assert.ok(snapshot.ranges.hats < 0.05);
+  assert.ok(snapshot.rolloffHz < 150);
+  assert.equal(snapshot.bands.indexOf(Math.max(...snapshot.bands)), 0);
+  assert.equal(snapshot.bandEdgesHz.length, 25);
+
+  feedTone(analyzer, sampleRate, 0.2, [[70, 0.4], [10000, 0.2]]);
+  snapshot = analyzer.getSnapshot();
+  assert.ok(snapshot.ranges.hats > 0.5);
+  assert.ok(snapshot.centroidHz > 1000);
+
+  feedTone(analyzer, sampleRate, 0.2, []);
+  snapshot = analyzer.getSnapshot();
+  assert.equal(snapshot.ranges.kick, 0);
+  assert.equal(snapshot.centroidHz, 0);
+});
+
+test("spectrum config normalises size and ranges; reactivity sources read them", () => {
+  assert.equal(normalizeFftSize(3000), 2048);
+  assert.equal(normalizeFftSize("nope", 1024), 1024);
+  assert.deepEqual(normalizeSpectrumRanges({ Sub: [20, 40], bad: [100, 50], "1x": [1, 2] }), { sub: [20, 40] });
+
+  const { resolveAudioReactivitySourceLevel } = createServerColorUtils();
+  const telemetry = { audioBandLow: 0.2, audioBandHigh: 0.3, audioRanges: { kick: 0.9, hats: 0.7 } };
+  assert.equal(resolveAudioReactivitySourceLevel("kick", telemetry), 0.9);
+  assert.equal(resolveAudioReactivitySourceLevel("hats", telemetry), 0.7);
+  assert.equal(resolveAudioReactivitySourceLevel("kick", { audioBandLow: 0.2 }), 0.2);
+});
@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createStereoAnalyzer,
+  resolveStereoSideGain,
+  resolveStereoSideBands
+} = require("../core/audio/stereo");
+const createRaveEngine = require("../core/rave-engine");
+const { createServerColorUtils } = require("../core/server/color-utils");
+
+const SAMPLE_RATE = 48000;
+
+// Feeds `buffers` 256-frame buffers of a 220Hz tone with per-side gains.
+function feed(analyzer, buffers, leftGain, rightGain, quiet = false) {
+  let i = 0;
+  for (let b = 0; b < buffers; b++) {
+    analyzer.begin({ sampleRate: SAMPLE_RATE, lowHz: 180, midHz: 2200, channelCount: 2 });
+    for (let f = 0; f < 256; f++, i++) {
+      const s = 0.4 * Math.sin((2 * Math.PI * 220 * i) / SAMPLE_RATE);
+      analyzer.write(s * leftGain, s * rightGain);
+    }
+    analyzer.finish(quiet);
+  }
+  return analyzer.getSnapshot();
+}
+
+test("stereo analyzer reports per-side levels, balance, width and correlation", () => {
+  const analyzer = createStereoAnalyzer();
+
+  let snapshot = feed(analyzer, 60, 1, 0.2);
+  assert.equal(snapshot.channels, 2);
+  assert.ok(snapshot.left.level > 0.9);
+  assert.ok(snapshot.right.level < 0.3);
+  assert.ok(snapshot.balance < -0.6);
+  assert.ok(snapshot.left.bandMid > snapshot.left.bandHigh);
+
+  snapshot = feed(analyzer, 60, 1, 1);
+  assert.ok(Math.abs(snapshot.balance) < 0.05);
+  assert.ok(snapshot.width < 0.05);
+  assert.ok(snapshot.correlation > 0.95);
+
+  snapshot = feed(analyzer, 60, 1, -1);
+  assert.ok(snapshot.width > 0.95);
+  assert.ok(snapshot.correlation < -0.95);
+
+  snapshot = feed(analyzer, 60, 0, 0, true);
+  assert.ok(snapshot.left.level < 0.01);
+  assert.ok(Math.abs(snapshot.width) < 0.01);
+});
+
+test("engine keeps per-side stereo telemetry for side-mapped fixtures", () => {
+  const engine = createRaveEngine({ emit() {} });
+  engine.setAudioLevel({
+    level: 0.6,
+    rms: 0.6,
+    peak: 0.8,
+    bandLow: 0.5,
+    bandMid: 0.3,
+    bandHigh: 0.2,
+    stereo: {
+      channels: 2,
+      left: { level: 0.9, bandLow: 0.6, bandMid: 0.3, bandHigh: 0.1 },
+      right: { level: 0.3, bandLow: 0.2, bandMid: 0.5, bandHigh: 0.3 },
+      balance: -0.5,
+      width: 0.3
+    }
+  });
+  let telemetry = engine.getTelemetry();
+  assert.equal(telemetry.audioStereo.left.level, 0.9);
+  assert.equal(telemetry.audioStereo.right.bandMid, 0.5);
+  assert.equal(telemetry.audioBalance, -0.5);
+  assert.equal(telemetry.audioWidth, 0.3);
+
+  // Mono input carries no side information.
+  engine.setAudioLevel({ level: 0.6, rms: 0.6, peak: 0.8, stereo: { channels: 1, balance: 0 } });
+  telemetry = engine.getTelemetry();
+  assert.equal(telemetry.audioStereo, null);
+  assert.equal(telemetry.audioBalance, 0);
+});
+
+test("side gain scales left/right fixtures against the stereo average", () => {
+  const stereo = {
+    left: { level: 0.9, bandLow: 0.6, bandMid: 0.3, bandHigh: 0.1 },
+    right: { level: 0.3, bandLow: 0.2, bandMid: 0.5, bandHigh: 0.3 }
+  };
+  assert.equal(resolveStereoSideGain("left", stereo), 1.5);
+  assert.equal(resolveStereoSideGain("right", stereo), 0.5);
+  assert.equal(resolveStereoSideGain("center", stereo), null);
+  assert.equal(resolveStereoSideGain("left", null), null);
+  // A hard-panned side is capped; silence on both sides stays neutral.
+  assert.equal(resolveStereoSideGain("left", { left: { level: 1 }, right: { level: 0 } }), 1.6);
+  assert.equal(resolveStereoSideGain("left", { left: { level: 1 }, right: { level: 0 } }, 3), 2);
+  assert.equal(resolveStereoSideGain("right", { left: { level: 0.01 }, right: { level: 0 } }), 1);
+});
+
+test("side bands read the fixture's own channel and weight the beat by its lows", () => {
+  const stereo = {
+    left: { level: 0.9, bandLow: 0.6, bandMid: 0.3, bandHigh: 0.1 },
+    right: { level: 0.3, bandLow: 0.2, bandMid: 0.5, bandHigh: 0.3 }
+  };
+  const mixed = { lows: 0.4, mids: 0.4, highs: 0.2, beat: 0.5 };
+  const left = resolveStereoSideBands("left", stereo, mixed);
+  assert.deepEqual({ lows: left.lows, mids: left.mids, highs: left.highs }, { lows: 0.6, mids: 0.3, highs: 0.1 });
+  assert.ok(Math.abs(left.beat - 0.75) < 1e-9);
+  const right = resolveStereoSideBands("right", stereo, mixed);
+  assert.equal(right.mids, 0.5);
+  assert.ok(Math.abs(right.beat - 0.25) < 1e-9);
+  assert.deepEqual(resolveStereoSideBands("center", stereo, mixed), mixed);
+  assert.deepEqual(resolveStereoSideBands("left", null, mixed), mixed);
+  // No low end on either side leaves the mono beat alone.
+  const quiet = { left: { bandLow: 0 }, right: { bandLow: 0 } };
+  assert.equal(resolveStereoSideBands("left", quiet, mixed).beat, 0.5);
+});
+
+test("fixture side levels gain loudness metrics and read bands from the fixture's channel", () => {
+  const { resolveFixtureMetricLevel, resolveFixtureSideLevel } = createServerColorUtils();
+  const telemetry = {
+    audioSourceLevel: 0.5,
+    audioBandLow: 0.4,
+    audioBandMid: 0.4,
+    audioBandHigh: 0.2,
+    beat: true,
+    beatConfidence: 0.5,
+    audioStereo: {
+      left: { level: 0.9, bandLow: 0.6, bandMid: 0.3, bandHigh: 0.1 },
+      right: { level: 0.3, bandLow: 0.2, bandMid: 0.5, bandHigh: 0.3 }
+    }
+  };
+  // Loudness metrics: mixed level times the side gain.
+  assert.equal(resolveFixtureSideLevel("baseline", telemetry, {}, "left"), 0.75);
+  assert.equal(resolveFixtureSideLevel("baseline", telemetry, {}, "right"), 0.25);
+  assert.equal(resolveFixtureSideLevel("baseline", telemetry, {}, "center"), 0.5);
+  // Band metrics: the side's own bands, no second gain.
+  assert.equal(resolveFixtureSideLevel("lows", telemetry, {}, "left"), 0.6);
+  assert.equal(resolveFixtureSideLevel("highs", telemetry, {}, "right"), 0.3);
+  assert.equal(resolveFixtureSideLevel("mids", telemetry, {}, "center"), 0.4);
+  // Beat hit at 0.7 split 3:1 by the sides' low bands.
+  assert.ok(Math.abs(resolveFixtureSideLevel("beat", telemetry, {}, "left") - 1) < 1e-9);
+  assert.ok(Math.abs(resolveFixtureSideLevel("beat", telemetry, {}, "right") - 0.35) < 1e-9);
+  assert.ok(Math.abs(resolveFixtureMetricLevel("beat", { ...telemetry, beat: false }) - 0.1) < 1e-9);
+
+  // Mono input leaves sided fixtures on the mixed signal.
+  const mono = { ...telemetry, audioStereo: null };
+  assert.equal(resolveFixtureSideLevel("baseline", mono, {}, "left"), 0.5);
+  assert.equal(resolveFixtureSideLevel("lows", mono, {}, "right"), 0.4);
+  assert.equal(resolveFixtureMetricLevel("unknown", telemetry), 0.5);
+});
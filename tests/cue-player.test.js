@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeCueList, parseCueTime } = require("../core/cues/cue-list");
+const { createCuePlayer } = require("../core/cues/cue-player");
+
+function createHarness(lists) {
+  let clock = 1000;
+  const fired = [];
+  const started = [];
+  const stopped = [];
+  const player = createCuePlayer({
+    now: () => clock,
+    applyCue: cue => fired.push(cue.label),
+    onStart: list => started.push({ id: list.id, fired: fired.length }),
+    onStop: list => stopped.push(list.id)
+  });
+  player.setLists(lists.map(normalizeCueList));
+  return {
+    player,
+    fired,
+    started,
+    stopped,
+    advance(sec) {
+      clock += sec * 1000;
+      player.tick();
+    }
+  };
+}
+
+test("cue lists validate positions, actions and triggers", () => {
+  assert.equal(parseCueTime("1:12"), 72);
+  assert.equal(parseCueTime("1:02:03.5"), 3723.5);
+  assert.equal(parseCueTime("1:x"), null);
+
+  const list = normalizeCueList({
+    id: "Song_A",
+    triggers: ["twitch:Hype Train", { type: "key", key: "intro" }, "bogus:thing"],
+    cues: [
+      { at: "1:12", scene: "pulse_strobe", overclock: 4 },
+      { at: 0, scene: "flow_wash", palette: { families: ["blue"] } },
+      { at: 90, fixtures: [{ fixtureId: "hue-1", metric: { metric: "bandLow" } }] }
+    ]
+  });
+  assert.equal(list.id, "song_a");
+  assert.equal(list.timebase, "time");
+  assert.deepEqual(list.cues.map(cue => cue.at), [0, 72, 90]);
+  assert.deepEqual(list.triggers, ["twitch:hype train", "key:intro"]);
+
+  assert.throws(() => normalizeCueList({ id: "x", cues: [{ at: 1 }] }), /needs at least one/);
+  assert.throws(() => normalizeCueList({ id: "x", cues: [{ at: 1, overclock: 9 }] }), /overclock/);
+  assert.throws(() => normalizeCueList({ id: "x", timebase: "bars", cues: [{ at: 1.5, drop: true }] }), /whole bar/);
+});
+
+test("cue player arms, plays, pauses, seeks and follows bars", () => {
+  const h = createHarness([
+    {
+      id: "show",
+      triggers: ["twitch:go"],
+      cues: [
+        { at: 0, label: "intro", scene: "flow_wash" },
+        { at: 10, label: "build", overclock: 3 },
+        { at: 20, label: "drop", drop: true }
+      ]
+    },
+    {
+      id: "bars",
+      timebase: "bars",
+      cues: [{ at: 0, label: "b0", scene: "idle" }, { at: 2, label: "b2", scene: "pulse" }]
+    }
+  ]);
+
+  assert.equal(h.player.go(), false);
+  assert.equal(h.player.arm("show"), true);
+  assert.equal(h.player.go(), true);
+  assert.deepEqual(h.fired, ["intro"]);
+  h.advance(9);
+  assert.deepEqual(h.fired, ["intro"]);
+  h.advance(1.5);
+  assert.deepEqual(h.fired, ["intro", "build"]);
+
+  // Paused lists hold their position.
+  assert.equal(h.player.pause(), true);
+  h.advance(30);
+  assert.equal(h.player.getStatus().position, 10.5);
+  assert.equal(h.player.play(), true);
+  h.advance(10);
+  assert.deepEqual(h.fired, ["intro", "build", "drop"]);
+  assert.equal(h.player.getStatus().state, "finished");
+
+  // Seeking back chases earlier cues so the state is rebuilt.
+  h.fired.length = 0;
+  assert.equal(h.player.seek("0:15"), true);
+  assert.deepEqual(h.fired, ["intro", "build"]);
+  assert.equal(h.player.getStatus().state, "playing");
+
+  // Triggers switch lists and stop the running one.
+  assert.equal(h.player.trigger("twitch:GO"), "show");
+  assert.deepEqual(h.stopped, ["show"]);
+  h.fired.length = 0;
+  assert.equal(h.player.play("bars"), true);
+  h.player.handlePulse({ beat: true, downbeat: true });
+  h.player.handlePulse({ beat: true });
+  assert.deepEqual(h.fired, ["b0"]);
+  h.player.handlePulse({ beat: true, downbeat: true });
+  assert.deepEqual(h.fired, ["b0", "b2"]);
+  assert.equal(h.player.stop(), true);
+  assert.equal(h.player.getStatus().state, "stopped");
+});
+
+test("cue player announces starts and follows edited lists", () => {
+  const show = {
+    id: "show",
+    cues: [
+      { at: 0, label: "intro", scene: "flow_wash" },
+      { at: 10, label: "build", overclock: 3 },
+      { at: 20, label: "drop", drop: true }
+    ]
+  };
+  const h = createHarness([show]);
+
+  // onStart runs before the first cue, including the chase of a mid-list start.
+  assert.equal(h.player.play("show", 12), true);
+  assert.deepEqual(h.started, [{ id: "show", fired: 0 }]);
+  assert.deepEqual(h.fired, ["intro", "build"]);
+
+  // An edit mid-run resolves the next cue against the new list.
+  h.player.setLists([normalizeCueList({
+    ...show,
+    cues: [
+      { at: 0, label: "intro", scene: "flow_wash" },
+      { at: 14, label: "riser", overclock: 4 },
+      { at: 30, label: "drop", drop: true }
+    ]
+  })]);
+  assert.equal(h.player.getStatus().nextAt, 14);
+  h.advance(3);
+  assert.deepEqual(h.fired, ["intro", "build", "riser"]);
+  h.advance(10);
+  assert.deepEqual(h.fired, ["intro", "build", "riser"]);
+
+  // Cues added after a finished run's position resume it.
+  h.advance(10);
+  assert.equal(h.player.getStatus().state, "finished");
+  h.player.setLists([normalizeCueList({
+    ...show,
+    cues: [...show.cues, { at: 60, label: "outro", scene: "idle" }]
+  })]);
+  assert.equal(h.player.getStatus().state, "playing");
+  assert.equal(h.player.getStatus().nextAt, 60);
+  h.advance(30);
+  assert.deepEqual(h.fired.slice(-1), ["outro"]);
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("node:dgram");
+
+const {
+  normalizeDmxPatch,
+  isDmxPatchConfigured,
+  renderDmxChannels,
+  getSacnMulticastAddress
+} = require("../core/dmx/dmx-protocol");
+const createDmxOutput = require("../adapters/dmx-adapter");
+
+test("dmx patches validate universe/address per protocol and map profile channels", () => {
+  const ok = normalizeDmxPatch({ protocol: "art-net", host: "10.0.0.50", universe: 4, address: 509, profile: "drgb" });
+  assert.equal(ok.error, "");
+  assert.equal(ok.patch.protocol, "artnet");
+  assert.equal(ok.patch.port, 6454);
+
+  assert.match(normalizeDmxPatch({ protocol: "artnet", address: 510, profile: "drgb" }).error, /runs past channel 512/);
+  assert.match(normalizeDmxPatch({ protocol: "sacn", universe: 0 }).error, /1-63999/);
+  assert.match(normalizeDmxPatch({ protocol: "artnet", universe: 40000 }).error, /0-32767/);
+  assert.match(normalizeDmxPatch({ host: "8.8.8.8" }).error, /private/);
+  assert.match(normalizeDmxPatch({ channels: ["dimmer", "laser"] }).error, /channel 2/);
+  assert.equal(isDmxPatchConfigured({ protocol: "artnet" }), false);
+  assert.equal(isDmxPatchConfigured({ protocol: "sacn", universe: 258 }), true);
+  assert.equal(getSacnMulticastAddress(258), "239.255.1.2");
+
+  // Dimmer carries the level, white takes the common part, pan/tilt stay untouched.
+  const { patch } = normalizeDmxPatch({ channels: "pan tilt intensity r g b w shutter", strobeOpen: 255 });
+  assert.equal(patch.profile, "custom");
+  const rendered = renderDmxChannels(patch.channels, { r: 255, g: 128, b: 0, dimming: 50 }, { strobeOpen: 255 });
+  assert.deepEqual(rendered.values, [null, null, 128, 255, 128, 0, 0, 255]);
+  // No color in the state keeps the previous one; off blacks out.
+  const rgb = normalizeDmxPatch({ profile: "rgb" }).patch.channels;
+  assert.deepEqual(renderDmxChannels(rgb, { dimming: 100 }, { previousColor: rendered.color }).values, [255, 128, 0]);
+  assert.deepEqual(renderDmxChannels(rgb, { on: false }).values, [0, 0, 0]);
+});
+
+function listenOnce(socket) {
+  return new Promise(resolve => socket.once("message", resolve));
+}
+
+test("dmx output streams Art-Net and sACN universes to a local UDP listener", async () => {
+  const listener = dgram.createSocket("udp4");
+  await new Promise(resolve => listener.bind(0, "127.0.0.1", resolve));
+  const { port } = listener.address();
+  const output = createDmxOutput({ refreshHz: 40 });
+
+  try {
+    const par = output.createFixtureSender({
+      id: "par-1",
+      protocol: "artnet",
+      host: "127.0.0.1",
+      port,
+      universe: 0x123,
+      address: 10,
+      profile: "drgbw"
+    });
+    par({ r: 255, g: 0, b: 0, dimming: 100 });
+    const artnet = await listenOnce(listener);
+    assert.equal(artnet.toString("ascii", 0, 8), "Art-Net\0");
+    assert.equal(artnet.readUInt16LE(8), 0x5000);
+    assert.equal(artnet[14], 0x23);
+    assert.equal(artnet[15], 0x01);
+    assert.equal(artnet.readUInt16BE(16), 512);
+    assert.deepEqual([...artnet.subarray(18 + 9, 18 + 14)], [255, 255, 0, 0, 0]);
+
+    par.close();
+    const bar = output.createFixtureSender({
+      id: "bar-1",
+      protocol: "sacn",
+      host: "127.0.0.1",
+      port,
+      universe: 7,
+      address: 1,
+      profile: "rgb"
+    });
+    bar({ r: 0, g: 0, b: 255, dimming: 100 });
+    let sacn = await listenOnce(listener);
+    // The Art-Net blackout frame may still be in flight.
+    while (sacn.toString("ascii", 0, 8) === "Art-Net\0") sacn = await listenOnce(listener);
+    assert.equal(sacn.toString("ascii", 4, 13), "ASC-E1.17");
+    assert.equal(sacn.readUInt16BE(113), 7);
+    assert.equal(sacn.length, 638);
+    assert.deepEqual([...sacn.subarray(126, 129)], [0, 0, 255]);
+
+    const status = output.getStatus();
+    assert.equal(status.refreshHz, 40);
+    assert.deepEqual(status.universes.map(u => `${u.protocol}:${u.universe}`), ["sacn:7"]);
+    output.setRefreshHz(500);
+    assert.equal(output.getStatus().refreshHz, 44);
+  } finally {
+    output.close();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    listener.close();
+  }
+});
+
+test("dmx senders sharing a fixture keep its universe until the last one closes", () => {
+  const sent = [];
+  const fakeSocket = {
+    on() {},
+    bind() {},
+    unref() {},
+    close() {},
+    send(packet) {
+      sent.push(Buffer.from(packet));
+    }
+  };
+  const output = createDmxOutput({ createSocket: () => fakeSocket });
+  const fixture = { id: "par-1", protocol: "artnet", host: "127.0.0.1", universe: 1, address: 1, profile: "rgb" };
+  try {
+    // Engine and standalone paths each hold a sender for the same fixture.
+    const engineSender = output.createFixtureSender(fixture);
+    const standaloneSender = output.createFixtureSender(fixture);
+    standaloneSender({ r: 255, g: 0, b: 0, dimming: 100 });
+    engineSender.close();
+    assert.equal(output.getStatus().universes.length, 1);
+    assert.equal(output.getStatus().universes[0].fixtures, 1);
+    output.flush();
+    assert.deepEqual([...sent.at(-1).subarray(18, 21)], [255, 0, 0]);
+
+    // A patch change opens the new sender before the old one closes.
+    const moved = output.createFixtureSender({ ...fixture, address: 4 });
+    moved({ r: 0, g: 0, b: 255, dimming: 100 });
+    standaloneSender.close();
+    assert.equal(output.getStatus().universes.length, 1);
+    output.flush();
+    assert.deepEqual([...sent.at(-1).subarray(18, 24)], [0, 0, 0, 0, 0, 255]);
+
+    moved.close();
+    assert.equal(output.getStatus().universes.length, 0);
+    assert.deepEqual([...sent.at(-1).subarray(18, 24)], [0, 0, 0, 0, 0, 0]);
+  } finally {
+    output.close();
+  }
+});
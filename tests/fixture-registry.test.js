@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const fixtureRegistry = require("../core/fixtures");
+
+// The registry watches its config file on load; stop so the run can exit.
+test.after(() => fs.unwatchFile(path.join(__dirname, "..", "core", "fixtures.config.json")));
+
+test("fixture side normalizes left/right shorthands and falls back", () => {
+  assert.equal(fixtureRegistry.normalizeFixtureSide(" Left "), "left");
+  assert.equal(fixtureRegistry.normalizeFixtureSide("R"), "right");
+  assert.equal(fixtureRegistry.normalizeFixtureSide("center"), "center");
+  assert.equal(fixtureRegistry.normalizeFixtureSide("up"), "center");
+  assert.equal(fixtureRegistry.normalizeFixtureSide(undefined, ""), "");
+});
+
+test("fixture sanitize stores side only when set and rejects unknown sides", () => {
+  const base = { brand: "wiz", id: "wiz-side", ip: "192.168.1.20" };
+  const sanitize = (input, options) => fixtureRegistry.sanitizeFixtureForConfig(input, 0, options);
+
+  assert.equal(sanitize({ ...base, side: "L" }, { strict: true }).fixture.side, "left");
+  // Omitted side stays out of the patch so upserts keep the stored value.
+  assert.equal(Object.prototype.hasOwnProperty.call(sanitize(base, { strict: true }).fixture, "side"), false);
+  // An explicit center is written so it can replace a stored left/right.
+  assert.equal(sanitize({ ...base, side: "center" }, { strict: true }).fixture.side, "center");
+
+  const rejected = sanitize({ ...base, side: "up" }, { strict: true });
+  assert.equal(rejected.ok, false);
+  assert.match(rejected.error, /side/);
+  // Non-strict loads drop the bad value instead.
+  const loose = sanitize({ ...base, side: "up" });
+  assert.equal(loose.ok, true);
+  assert.equal(loose.fixture.side, undefined);
+});
+
+test("wiz ip rebind validates the id, target IP and fixture before persisting", () => {
+  assert.deepEqual(fixtureRegistry.rebindWizFixtureIp("", "192.168.1.20"), { ok: false, error: "missing id" });
+  assert.equal(fixtureRegistry.rebindWizFixtureIp("wiz-a", "8.8.8.8").ok, false);
+  assert.equal(fixtureRegistry.rebindWizFixtureIp("wiz-a", "not an ip").ok, false);
+  assert.deepEqual(
+    fixtureRegistry.rebindWizFixtureIp("missing-fixture-id", "192.168.1.20"),
+    { ok: false, error: "fixture not found" }
+  );
+});
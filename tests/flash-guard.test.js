@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  FLASH_GUARD_OVERRIDE_ACK_PHRASE,
+  createFlashGuard,
+  checkFlashGuardOverride,
+  isFlashGuardWeakened,
+  sampleRgb,
+  sampleHueState,
+  sampleWizState,
+  buildSegmentEntries
+} = require("../core/safety/flash-guard");
+
+function createHarness(config) {
+  let clock = 10000;
+  const guard = createFlashGuard({ config, now: () => clock });
+  return {
+    guard,
+    step(ms) {
+      clock += ms;
+    }
+  };
+}
+
+test("flash guard caps on/off strobing at 3 flashes per second per device", () => {
+  const { guard, step } = createHarness();
+  const on = sampleWizState({ r: 255, g: 255, b: 255, dimming: 100 });
+  const off = sampleWizState({ on: false });
+  const results = [];
+  // 10 Hz strobe for one second.
+  for (let i = 0; i < 10; i += 1) {
+    results.push(guard.admit("wiz:a", i % 2 ? off : on));
+    step(100);
+  }
+  // Baseline + 6 transitions (3 flashes) pass; later "off" frames are dropped
+  // while repeating the state the light already shows is fine.
+  assert.deepEqual(results, [true, true, true, true, true, true, true, false, true, false]);
+  assert.equal(guard.getStatus().audit.blocked, 2);
+
+  // Small brightness moves are not flashes, and the window recovers.
+  step(1000);
+  assert.equal(guard.admit("wiz:a", sampleWizState({ r: 255, g: 255, b: 255, dimming: 95 })), true);
+  assert.equal(guard.admit("wiz:b", on), true);
+
+  guard.setConfig({ enabled: false });
+  assert.equal(guard.admit("wiz:a", off), true);
+  assert.equal(isFlashGuardWeakened(guard.getConfig()), true);
+});
+
+test("flash guard applies the red ceiling and reads Hue states", () => {
+  const { guard, step } = createHarness({ maxRedFlashesPerSec: 1 });
+  const red = sampleHueState({ on: true, bri: 254, hue: 0, sat: 254 });
+  const dark = sampleHueState({ on: true, bri: 1, hue: 0, sat: 254 });
+  assert.equal(red.red, true);
+  assert.equal(sampleHueState({ transitiontime: 0 }), null);
+  assert.ok(sampleHueState({ on: true, bri: 254, xy: [0.3127, 0.329] }).luminance > 0.9);
+
+  const results = [];
+  for (let i = 0; i < 6; i += 1) {
+    results.push(guard.admit(["hue:1", "hue:2"], i % 2 ? dark : red));
+    step(120);
+  }
+  assert.deepEqual(results, [true, true, true, false, true, false]);
+  assert.equal(guard.getStatus().audit.blockedRed, 2);
+  assert.equal(isFlashGuardWeakened({ maxRedFlashesPerSec: 1 }), false);
+});
+
+test("flash guard checks every channel of a frame and drops the frame as a unit", () => {
+  const { guard, step } = createHarness();
+  const bright = sampleRgb(255, 255, 255, 1);
+  const dark = sampleRgb(0, 0, 0, 1);
+  const results = [];
+  // Two channels swap bright/dark at 10 Hz: the room average never moves,
+  // but each channel is strobing on its own.
+  for (let i = 0; i < 10; i += 1) {
+    results.push(guard.admitFrame([
+      { key: "hue-ent:area:0", sample: i % 2 ? dark : bright },
+      { key: "hue-ent:area:1", sample: i % 2 ? bright : dark }
+    ]));
+    step(100);
+  }
+  assert.deepEqual(results, [true, true, true, true, true, true, true, false, true, false]);
+  assert.equal(guard.getStatus().audit.lastBlockedKey, "hue-ent:area:0");
+
+  // A refused frame records nothing, so a steady channel next to it is not
+  // charged for the dropped send.
+  step(1000);
+  assert.equal(guard.admitFrame([
+    { key: "hue-ent:area:0", sample: bright },
+    { key: "hue-ent:area:2", sample: bright }
+  ]), true);
+  assert.equal(guard.getStatus().devices, 3);
+});
+
+test("flash guard checks each zone of a LIFX strip with an alternating palette", () => {
+  const { guard, step } = createHarness();
+  const white = { r: 255, g: 255, b: 255 };
+  const black = { r: 0, g: 0, b: 0 };
+  const results = [];
+  // Eight zones alternate white/black and the pattern shifts one zone per
+  // send at 10 Hz: the strip average is constant, every zone strobes.
+  for (let i = 0; i < 10; i += 1) {
+    const zoneColors = Array.from({ length: 8 }, (_, zone) => ((zone + i) % 2 ? black : white));
+    const entries = buildSegmentEntries("lifx:10.0.0.5", zoneColors.map(color => sampleRgb(color.r, color.g, color.b, 1)));
+    results.push(guard.admitFrame(entries));
+    step(100);
+  }
+  assert.deepEqual(results, [true, true, true, true, true, true, true, false, true, false]);
+  assert.equal(guard.getStatus().audit.lastBlockedKey, "lifx:10.0.0.5:0");
+  assert.equal(guard.getStatus().devices, 8);
+});
+
+test("flash guard checks Hue gradient points apart from the light's own state", () => {
+  const { guard, step } = createHarness();
+  const red = { r: 255, g: 0, b: 0 };
+  const blue = { r: 0, g: 0, b: 255 };
+  const results = [];
+  // The light state holds still while its gradient points swap red/blue at 10 Hz.
+  for (let i = 0; i < 10; i += 1) {
+    const points = [i % 2 ? red : blue, i % 2 ? blue : red];
+    const key = "hue:192.168.1.2:7";
+    const samples = points.map(color => sampleRgb(color.r, color.g, color.b, 1));
+    results.push(
+      guard.admitFrame(buildSegmentEntries(key, samples), { room: false }) &&
+      guard.admit(key, sampleHueState({ on: true, bri: 254, xy: [0.3, 0.3] }))
+    );
+    step(100);
+  }
+  assert.equal(results.includes(false), true);
+  assert.match(guard.getStatus().audit.lastBlockedKey, /^hue:192\.168\.1\.2:7:[01]$/);
+});
+
+test("flash guard override is refused off loopback even with the ack phrase", () => {
+  const safe = { enabled: true };
+  const loosened = { enabled: true, maxFlashesPerSec: 6 };
+  const ack = FLASH_GUARD_OVERRIDE_ACK_PHRASE;
+
+  const remote = checkFlashGuardOverride(safe, loosened, { loopback: false, ack });
+  assert.equal(remote.status, 403);
+  assert.equal(remote.error, "flash_guard_override_local_only");
+  assert.equal(checkFlashGuardOverride(safe, { enabled: false }, { ack })?.status, 403);
+
+  assert.equal(checkFlashGuardOverride(safe, loosened, { loopback: true })?.error, "flash_guard_override_ack_required");
+  assert.equal(checkFlashGuardOverride(safe, loosened, { loopback: true, ack }), null);
+  // Tightening, or editing an already-weakened config, is not a new override.
+  assert.equal(checkFlashGuardOverride(safe, { maxFlashesPerSec: 2 }, { loopback: false }), null);
+  assert.equal(checkFlashGuardOverride(loosened, { enabled: false }, { loopback: false }), null);
+});
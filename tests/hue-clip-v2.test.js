@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("node:stream");
+
+const {
+  createHueClipV2Client,
+  normalizeHueV2ResourceId,
+  rgbToXy,
+  convertV1StateToV2,
+  parseHueEventStreamBuffer,
+  extractLightUpdates
+} = require("../core/hue-clip-v2");
+
+const RID = "3f2a1b4c-5d6e-4f70-8a9b-0c1d2e3f4a5b";
+
+test("clip v2 resource ids and xy conversion", () => {
+  assert.equal(normalizeHueV2ResourceId(RID.toUpperCase()), RID);
+  assert.equal(normalizeHueV2ResourceId("1"), "");
+  const red = rgbToXy({ r: 255, g: 0, b: 0 });
+  assert.equal(red.x > 0.6, true);
+  assert.equal(red.y < 0.35, true);
+});
+
+test("clip v2 converts v1 states with dynamics and gradient points", () => {
+  const body = convertV1StateToV2(
+    { on: true, bri: 254, hue: 0, sat: 254, transitiontime: 4 },
+    {
+      gradient: [{ r: 255, g: 0, b: 0 }, { r: 0, g: 0, b: 255 }, { r: 0, g: 255, b: 0 }],
+      gradientPoints: 2
+    }
+  );
+  assert.deepEqual(body.on, { on: true });
+  assert.deepEqual(body.dimming, { brightness: 100 });
+  assert.equal(body.dynamics.duration, 400);
+  assert.deepEqual(body.color.xy, rgbToXy({ r: 255, g: 0, b: 0 }));
+  assert.equal(body.gradient.points.length, 2);
+
+  const ct = convertV1StateToV2({ on: true, ct: 600 });
+  assert.deepEqual(ct.color_temperature, { mirek: 500 });
+  assert.equal(ct.color, undefined);
+
+  const off = convertV1StateToV2({ on: false }, { gradient: [{ r: 1, g: 1, b: 1 }, { r: 2, g: 2, b: 2 }] });
+  assert.deepEqual(off, { on: { on: false } });
+});
+
+test("clip v2 event stream parser keeps partial chunks and extracts light updates", () => {
+  const payload = JSON.stringify([{
+    type: "update",
+    data: [
+      { id: RID, id_v1: "/lights/4", type: "light", on: { on: false }, dimming: { brightness: 42 } },
+      { id: RID, type: "grouped_light", on: { on: true } }
+    ]
+  }]);
+  const first = parseHueEventStreamBuffer(`: hi\n\nid: 1:0\ndata: ${payload}\n\nid: 2:0\ndata: [`);
+  assert.equal(first.events.length, 1);
+  assert.equal(first.rest, "id: 2:0\ndata: [");
+
+  const updates = extractLightUpdates(first.events);
+  assert.deepEqual(updates, [{ rid: RID, v1Id: "/lights/4", on: false, brightness: 42 }]);
+});
+
+test("clip v2 client resolves lightId to rid and sends with application key", async () => {
+  const calls = [];
+  const fakeAxios = {
+    async get(url, options) {
+      calls.push({ method: "get", url, options });
+      return {
+        data: {
+          data: [{ id: RID, id_v1: "/lights/4", type: "light", gradient: { points_capable: 5 } }]
+        }
+      };
+    },
+    async put(url, body, options) {
+      calls.push({ method: "put", url, body, options });
+      return { data: { data: [{ rid: RID }] } };
+    }
+  };
+  const client = createHueClipV2Client({ axios: fakeAxios, log: { warn() {} } });
+  const target = { bridgeIp: "192.168.1.20", username: "app-key", lightId: 4 };
+  const result = await client.putLightState(target, { on: true, bri: 127 }, {
+    gradient: [{ r: 255, g: 0, b: 0 }, { r: 0, g: 0, b: 255 }]
+  });
+
+  assert.equal(result.rid, RID);
+  assert.equal(result.transport, "rest-v2");
+  const put = calls.find(call => call.method === "put");
+  assert.equal(put.url, `https://192.168.1.20/clip/v2/resource/light/${RID}`);
+  assert.equal(put.options.headers["hue-application-key"], "app-key");
+  assert.equal(put.body.gradient.points.length, 2);
+
+  await client.putLightState(target, { on: false });
+  assert.equal(calls.filter(call => call.method === "get").length, 1);
+  assert.equal(client.getTelemetry().puts, 2);
+});
+
+test("clip v2 event stream reconnects when a message outgrows the buffer cap", async t => {
+  const bodies = [];
+  const fakeAxios = {
+    async get(url) {
+      assert.match(url, /\/eventstream\/clip\/v2$/);
+      const body = new PassThrough();
+      bodies.push(body);
+      return { data: body };
+    },
+    async put() {
+      return { data: {} };
+    }
+  };
+  const client = createHueClipV2Client({ axios: fakeAxios, log: { warn() {} }, maxStreamBufferBytes: 1024 });
+  t.after(() => client.stopAllEventStreams());
+  const updates = [];
+  client.syncEventStreams([{ bridgeIp: "192.168.1.20", username: "app-key" }], change => updates.push(change));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(bodies.length, 1);
+  assert.equal(client.getTelemetry().streams[0].connected, true);
+
+  // A proxy that never sends the blank-line delimiter.
+  bodies[0].write(`data: ${"x".repeat(2048)}`);
+  await new Promise(resolve => setImmediate(resolve));
+  const telemetry = client.getTelemetry();
+  assert.equal(telemetry.streamOverflows, 1);
+  assert.equal(telemetry.streams[0].connected, false);
+  assert.match(telemetry.streams[0].lastError, /exceeded 1024 bytes/);
+
+  // The reconnect (1s backoff) opens a fresh stream that parses normally.
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  assert.equal(bodies.length, 2);
+  const envelope = [{ type: "update", data: [{ id: RID, type: "light", on: { on: false } }] }];
+  bodies[1].write(`data: ${JSON.stringify(envelope)}\n\n`);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(client.getTelemetry().streams[0].connected, true);
+  assert.equal(client.getTelemetry().streams[0].events, 1);
+});
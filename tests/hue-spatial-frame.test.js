@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizeSpatialMode,
+  buildChannelLayout,
+  resolveSpatialEffect,
+  buildSpatialFrame,
+  findGradientChannelGroups,
+  applySegmentColors
+} = require("../core/hue-entertainment/spatial-frame");
+
+const AREA = {
+  channels: [
+    { channel_id: 0, position: { x: -1, y: 0.8, z: 0 } },
+    { channel_id: 1, position: { x: 0, y: 0, z: 0 } },
+    { channel_id: 2, position: { x: 1, y: 0.8, z: 0 } }
+  ]
+};
+
+test("spatial frame layout reads entertainment channel positions", () => {
+  const layout = buildChannelLayout(AREA);
+  assert.equal(layout.length, 3);
+  assert.deepEqual(layout.map(channel => channel.x), [-1, 0, 1]);
+  assert.equal(layout.every(channel => channel.positioned), true);
+
+  const fallback = buildChannelLayout(null, 3);
+  assert.deepEqual(fallback.map(channel => channel.x), [-1, 0, 1]);
+  assert.equal(fallback.some(channel => channel.positioned), false);
+});
+
+test("spatial frame mode normalization and auto effect selection", () => {
+  assert.equal(normalizeSpatialMode("Palette-Spread"), "palette_spread");
+  assert.equal(normalizeSpatialMode("nope"), "auto");
+  assert.equal(resolveSpatialEffect("auto", { scene: "pulse_strobe" }), "bass_center");
+  assert.equal(
+    resolveSpatialEffect("auto", { scene: "flow_edm", palette: [{ r: 255, g: 0, b: 0 }, { r: 0, g: 0, b: 255 }] }),
+    "palette_spread"
+  );
+  assert.equal(resolveSpatialEffect("auto", { scene: "flow_wash" }), "sweep");
+});
+
+test("spatial frame builds distinct per-channel colors", () => {
+  const layout = buildChannelLayout(AREA);
+  const baseRgb = { r: 200, g: 100, b: 50 };
+
+  const spread = buildSpatialFrame({
+    layout,
+    baseRgb: { r: 255, g: 255, b: 255 },
+    mode: "palette_spread",
+    spatial: {
+      palette: [{ r: 255, g: 0, b: 0 }, { r: 0, g: 255, b: 0 }, { r: 0, g: 0, b: 255 }],
+      paletteOffset: 1
+    }
+  });
+  assert.equal(spread.effect, "palette_spread");
+  assert.deepEqual(spread.frame, [[0, 255, 0], [0, 0, 255], [255, 0, 0]]);
+
+  const bass = buildSpatialFrame({
+    layout,
+    baseRgb,
+    mode: "bass_center",
+    spatial: { bandLow: 1, bandHigh: 0 }
+  });
+  assert.equal(bass.frame[1][0] > bass.frame[0][0], true);
+  assert.equal(bass.frame[1][0] > bass.frame[2][0], true);
+
+  const sweep = buildSpatialFrame({
+    layout,
+    baseRgb,
+    mode: "sweep",
+    now: 0,
+    spatial: { bpm: 120 }
+  });
+  assert.equal(sweep.frame[0][0] > sweep.frame[2][0], true);
+});
+
+test("spatial frame falls back to single color when off or blacked out", () => {
+  const layout = buildChannelLayout(AREA);
+  const spatial = { scene: "flow_wash" };
+  assert.equal(buildSpatialFrame({ layout, baseRgb: { r: 1, g: 1, b: 1 }, mode: "off", spatial }), null);
+  assert.equal(buildSpatialFrame({ layout, baseRgb: { r: 1, g: 1, b: 1 }, mode: "sweep", on: false, spatial }), null);
+  assert.equal(buildSpatialFrame({ layout: layout.slice(0, 1), baseRgb: { r: 1, g: 1, b: 1 }, mode: "sweep", spatial }), null);
+  assert.equal(buildSpatialFrame({ layout, baseRgb: { r: 1, g: 1, b: 1 }, mode: "sweep" }), null);
+});
+
+test("spatial frame detects gradient channel groups and paints segments", () => {
+  const layout = buildChannelLayout({
+    channels: [
+      { channel_id: 0, members: [{ service: { rid: "bulb" }, index: 0 }] },
+      { channel_id: 1, members: [{ service: { rid: "strip" }, index: 2 }] },
+      { channel_id: 2, members: [{ service: { rid: "strip" }, index: 0 }] },
+      { channel_id: 3, members: [{ service: { rid: "strip" }, index: 1 }] }
+    ]
+  });
+  assert.deepEqual(findGradientChannelGroups(layout), [[2, 3, 1]]);
+
+  const frame = layout.map(() => [10, 10, 10]);
+  applySegmentColors(frame, layout, [{
+    channelIds: [2, 3, 1],
+    colors: [{ r: 255, g: 0, b: 0 }, { r: 0, g: 255, b: 0 }]
+  }]);
+  assert.deepEqual(frame, [[10, 10, 10], [255, 0, 0], [255, 0, 0], [0, 255, 0]]);
+});
@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("node:dgram");
+
+const {
+  LIFX_MESSAGE_TYPES,
+  normalizeLifxPatch,
+  rgbToHsbk,
+  wizStateToHsbk,
+  buildLifxPacket,
+  encodeSetColor,
+  encodeSetExtendedColorZones,
+  parseLifxPacket
+} = require("../core/lifx/lifx-protocol");
+const createLifxAdapter = require("../adapters/lifx-adapter");
+const { discoverLifxBulbs } = require("../adapters/lifx-discovery");
+
+test("lifx patches, HSBK conversion and packet encoding", () => {
+  const ok = normalizeLifxPatch({ ip: "192.168.1.60", mac: "D0:73:D5:01:02:03", zoneCount: 16 });
+  assert.equal(ok.error, "");
+  assert.deepEqual(ok.patch, { ip: "192.168.1.60", mac: "d073d5010203", port: 56700, zoneCount: 16 });
+  assert.match(normalizeLifxPatch({ ip: "8.8.8.8" }).error, /private/);
+  assert.match(normalizeLifxPatch({ zoneCount: 400 }).error, /1-255/);
+
+  assert.deepEqual(rgbToHsbk(255, 0, 0), { hue: 0, saturation: 65535, brightness: 65535, kelvin: 3500 });
+  assert.equal(rgbToHsbk(0, 0, 255).hue, Math.round((240 / 360) * 65535));
+  assert.deepEqual(wizStateToHsbk({ temp: 2700, dimming: 50 }), { hue: 0, saturation: 0, brightness: 32768, kelvin: 2700 });
+
+  // 36-byte header: size, protocol 1024 + addressable (+ tagged without a target), source, MAC, sequence, type.
+  const packet = buildLifxPacket(LIFX_MESSAGE_TYPES.SetColor, encodeSetColor(rgbToHsbk(0, 255, 0), 120), {
+    source: 0xabcdef01,
+    target: "d073d5010203",
+    sequence: 7
+  });
+  assert.equal(packet.length, 49);
+  assert.equal(packet.readUInt16LE(2), 0x1400);
+  const parsed = parseLifxPacket(packet);
+  assert.equal(parsed.source, 0xabcdef01);
+  assert.equal(parsed.target, "d073d5010203");
+  assert.equal(parsed.sequence, 7);
+  assert.equal(parsed.type, 102);
+  assert.equal(parsed.payload.readUInt32LE(9), 120);
+  assert.equal(buildLifxPacket(LIFX_MESSAGE_TYPES.GetService).readUInt16LE(2), 0x3400);
+
+  // 100 zones: two messages, only the last one applies.
+  const zones = encodeSetExtendedColorZones(Array.from({ length: 100 }, () => rgbToHsbk(255, 255, 255)), 0);
+  assert.equal(zones.length, 2);
+  assert.deepEqual([zones[0][4], zones[0].readUInt16LE(5), zones[0][7]], [0, 0, 82]);
+  assert.deepEqual([zones[1][4], zones[1].readUInt16LE(5), zones[1][7]], [1, 82, 18]);
+});
+
+// Answers discovery probes like a 24-zone strip and records everything it receives.
+async function startLifxStandIn() {
+  const socket = dgram.createSocket("udp4");
+  const received = [];
+  socket.on("message", (msg, rinfo) => {
+    const packet = parseLifxPacket(msg);
+    if (!packet) return;
+    received.push(packet);
+    const reply = (type, payload) => socket.send(
+      buildLifxPacket(type, payload, { source: packet.source, target: "d073d5aabbcc", sequence: packet.sequence }),
+      rinfo.port,
+      rinfo.address
+    );
+    if (packet.type === LIFX_MESSAGE_TYPES.GetService) {
+      const payload = Buffer.alloc(5);
+      payload.writeUInt8(1, 0);
+      payload.writeUInt32LE(socket.address().port, 1);
+      reply(LIFX_MESSAGE_TYPES.StateService, payload);
+    } else if (packet.type === LIFX_MESSAGE_TYPES.GetLabel) {
+      const payload = Buffer.alloc(32);
+      payload.write("Desk Beam");
+      reply(LIFX_MESSAGE_TYPES.StateLabel, payload);
+    } else if (packet.type === LIFX_MESSAGE_TYPES.GetExtendedColorZones) {
+      const payload = Buffer.alloc(5);
+      payload.writeUInt16LE(24, 0);
+      reply(LIFX_MESSAGE_TYPES.StateExtendedColorZones, payload);
+    }
+  });
+  await new Promise(resolve => socket.bind(0, "127.0.0.1", resolve));
+  return { socket, received, port: socket.address().port };
+}
+
+test("lifx discovery and adapter against a local UDP stand-in", async () => {
+  const standIn = await startLifxStandIn();
+  const send = createLifxAdapter({ ip: "127.0.0.1", port: standIn.port, mac: "d073d5aabbcc" });
+
+  try {
+    const result = await discoverLifxBulbs({
+      broadcast: false,
+      targets: ["127.0.0.1"],
+      port: standIn.port,
+      timeoutMs: 400
+    });
+    assert.equal(result.bulbs.length, 1);
+    assert.equal(result.bulbs[0].mac, "d073d5aabbcc");
+    assert.equal(result.bulbs[0].label, "Desk Beam");
+    assert.equal(result.bulbs[0].zoneCount, 24);
+
+    standIn.received.length = 0;
+    send({ on: true, r: 255, g: 0, b: 0, dimming: 100 });
+    send({ on: true, r: 0, g: 0, b: 255, dimming: 100 }, { isBeat: true, minIntervalMs: 80 });
+    send({ on: true, dimming: 100 }, { zoneColors: [{ r: 255, g: 0, b: 0 }, { r: 0, g: 255, b: 0 }] });
+    send({ on: false });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // First send powers on; later sends only change color until the state turns off.
+    assert.deepEqual(standIn.received.map(packet => packet.type), [117, 102, 103, 510, 117]);
+    assert.ok(standIn.received.every(packet => packet.target === "d073d5aabbcc"));
+    const waveform = standIn.received[2].payload;
+    assert.equal(waveform[1], 0);
+    assert.equal(waveform.readUInt32LE(10), 80);
+    assert.equal(waveform[20], 2);
+    assert.equal(standIn.received[3].payload[7], 2);
+    assert.equal(standIn.received[4].payload.readUInt16LE(0), 0);
+  } finally {
+    send.close();
+    standIn.socket.close();
+  }
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  LIVE_EVENT_TOPICS,
+  parseLiveEventTopics,
+  formatLiveEvent,
+  createLiveEventHub
+} = require("../core/server/live-events");
+
+function createSink(overrides = {}) {
+  const chunks = [];
+  return {
+    chunks,
+    write: chunk => {
+      chunks.push(chunk);
+      return true;
+    },
+    ...overrides
+  };
+}
+
+test("live event topics parse from query strings and format as SSE frames", () => {
+  assert.deepEqual(parseLiveEventTopics(""), [...LIVE_EVENT_TOPICS]);
+  assert.deepEqual(parseLiveEventTopics("Beat, drop beat bogus"), ["beat", "drop"]);
+  assert.deepEqual(parseLiveEventTopics("bogus"), []);
+  assert.equal(formatLiveEvent(7, "beat", { bpm: 128 }), "id: 7\nevent: beat\ndata: {\"bpm\":128}\n\n");
+});
+
+test("live event hub coalesces snapshot topics per client throttle", () => {
+  let clock = 1000;
+  const activity = [];
+  const hub = createLiveEventHub({
+    now: () => clock,
+    minThrottleMs: 50,
+    onActiveChange: active => activity.push(active)
+  });
+  const fast = createSink();
+  const slow = createSink();
+  const fastClient = hub.addClient({ ...fast, topics: "telemetry,beat", throttleMs: 50 });
+  hub.addClient({ ...slow, topics: ["telemetry"], throttleMs: 200 });
+  assert.deepEqual(activity, [true]);
+
+  assert.equal(hub.isTopicDue("telemetry"), true);
+  assert.equal(hub.publish("telemetry", { energy: 0.1 }), 2);
+  clock += 60;
+  assert.equal(hub.isTopicDue("telemetry"), true);
+  assert.equal(hub.publish("telemetry", { energy: 0.2 }), 1);
+  assert.equal(hub.publish("beat", { bpm: 128 }), 1);
+  assert.equal(hub.publish("beat", { bpm: 128 }), 1);
+  assert.equal(hub.isTopicDue("hue"), false);
+
+  assert.equal(fast.chunks.length, 4);
+  assert.equal(slow.chunks.length, 1);
+  assert.equal(hub.getTelemetry().coalesced, 1);
+
+  hub.removeClient(fastClient.id);
+  hub.closeAll();
+  assert.deepEqual(activity, [true, false]);
+  assert.equal(hub.getTelemetry().clients, 0);
+});
+
+test("live event hub drops frames for congested clients and caps client count", () => {
+  const hub = createLiveEventHub({ maxClients: 1 });
+  const sink = createSink({ write: () => false });
+  const client = hub.addClient({ ...sink, topics: "audio,config", throttleMs: 50 });
+  assert.equal(client.ok, true);
+  assert.equal(hub.addClient(createSink()).ok, false);
+
+  assert.equal(hub.publish("audio", { level: 1 }), 1);
+  assert.equal(hub.publish("audio", { level: 1 }), 0);
+  assert.equal(hub.publish("config", { scope: "system" }), 1);
+  client.drain();
+  assert.equal(hub.getTelemetry().backpressureDrops, 1);
+  assert.equal(hub.getTelemetry().rejected, 1);
+
+  const broken = createLiveEventHub();
+  broken.addClient({ write: () => { throw new Error("socket gone"); }, topics: "drop" });
+  assert.equal(broken.publish("drop", {}), 0);
+  assert.equal(broken.getTelemetry().clients, 0);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMidiClockTracker, TICKS_PER_BEAT } = require("../core/midi/midi-clock");
+const createRaveEngine = require("../core/rave-engine");
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test("midi clock tracker derives bpm, beat index and phase from ticks", () => {
+  let now = 1000;
+  const clock = createMidiClockTracker({ now: () => now });
+  const tickMs = 60000 / (120 * TICKS_PER_BEAT);
+
+  assert.equal(clock.handle([0x90, 36, 100]), null);
+  assert.equal(clock.handle([0xfa]).running, true);
+
+  let snapshot = null;
+  for (let i = 0; i < TICKS_PER_BEAT * 2 + 7; i += 1) {
+    snapshot = clock.handle([0xf8]);
+    now += tickMs;
+  }
+  assert.equal(snapshot.bpm, 120);
+  assert.equal(snapshot.beatIndex, 2);
+  assert.equal(snapshot.beatPhase, 0.25);
+
+  // Song position 8 = two beats in; the next tick lands on it.
+  clock.handle([0xf2, 8, 0]);
+  snapshot = clock.handle([0xf8]);
+  assert.equal(snapshot.beatIndex, 2);
+  assert.equal(snapshot.beatPhase, 0);
+
+  snapshot = clock.handle([0xfc]);
+  assert.equal(snapshot.running, false);
+  now += tickMs;
+  assert.equal(clock.handle([0xf8]).beatIndex, 2);
+});
+
+test("engine tempo follows external clock and falls back to audio when cleared", async () => {
+  const engine = createRaveEngine({ emit() {} });
+  engine.start();
+  try {
+    engine.setExternalTempo({ source: "midi_clock", bpm: 128, running: true, beatIndex: 0, beatPhase: 0.5 });
+    await sleep(60);
+    let telemetry = engine.getTelemetry();
+    assert.equal(telemetry.tempoSource, "midi_clock");
+    assert.equal(telemetry.bpm, 128);
+    assert.equal(telemetry.externalTempoRunning, true);
+    assert.equal(telemetry.beatPhase, 0.5);
+
+    assert.equal(engine.clearExternalTempo("osc"), false);
+    assert.equal(engine.clearExternalTempo("midi_clock"), true);
+    await sleep(40);
+    telemetry = engine.getTelemetry();
+    assert.equal(telemetry.tempoSource, "audio");
+    assert.equal(telemetry.externalTempoRunning, false);
+  } finally {
+    engine.stop();
+  }
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMidiFeedback, resolveActionState } = require("../core/midi/midi-feedback");
+
+test("midi feedback action state covers overclock, meta-auto, scene lock and palette", () => {
+  const state = {
+    overclockLevel: 2,
+    metaAutoEnabled: false,
+    sceneLock: "flow",
+    paletteFamilies: ["red", "blue"],
+    colorsPerFamily: 3
+  };
+  assert.equal(resolveActionState("overclock_toggle", state), true);
+  assert.equal(resolveActionState("overclock_off", state), false);
+  assert.equal(resolveActionState("meta_auto_on", state), false);
+  assert.equal(resolveActionState("scene_flow", state), true);
+  assert.equal(resolveActionState("scene_auto", state), false);
+  assert.equal(resolveActionState("palette_family_blue", state), true);
+  assert.equal(resolveActionState("palette_family_green", state), false);
+  assert.equal(resolveActionState("palette_colors_3", state), true);
+  assert.equal(resolveActionState("drop", state), null);
+});
+
+test("midi feedback sends LED changes only, blinks beat pad and blacks out on stop", () => {
+  let now = 0;
+  const sent = [];
+  const state = { overclockLevel: 0, sceneLock: null };
+  const config = {
+    bindings: {
+      drop: { type: "note", number: 36, channel: null, minValue: 1 },
+      overclock_toggle: { type: "cc", number: 64, channel: null, minValue: 64 },
+      scene_auto: { type: "note", number: 50, channel: 2, minValue: 1 }
+    },
+    output: {
+      enabled: true,
+      onValue: 5,
+      offValue: 0,
+      feedback: { overclock_toggle: { type: "note", number: 64, channel: 0 } },
+      beat: { type: "note", number: 40, channel: 0, onValue: 3, holdMs: 100 }
+    }
+  };
+  const feedback = createMidiFeedback({
+    getConfig: () => config,
+    getState: () => state,
+    send: message => sent.push(message),
+    now: () => now
+  });
+
+  feedback.start();
+  assert.deepEqual(sent, [[0x90, 64, 0], [0x92, 50, 5]]);
+
+  sent.length = 0;
+  feedback.refresh();
+  assert.deepEqual(sent, []);
+
+  state.overclockLevel = 2;
+  state.sceneLock = "pulse_drive";
+  feedback.refresh();
+  assert.deepEqual(sent, [[0x90, 64, 5], [0x92, 50, 0]]);
+
+  sent.length = 0;
+  assert.equal(feedback.pulse({ beat: true }), true);
+  assert.equal(feedback.pulse({ drop: true }), false);
+  now = 50;
+  feedback.refresh();
+  now = 120;
+  feedback.refresh();
+  assert.deepEqual(sent, [[0x90, 40, 3], [0x90, 40, 0]]);
+
+  sent.length = 0;
+  feedback.stop();
+  assert.deepEqual(sent, [[0x90, 64, 0]]);
+  assert.equal(feedback.getStatus().beats, 1);
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const createModLoader = require("../core/mods/mod-loader");
+
+const silentLog = { log() {}, warn() {}, error() {} };
+
+function writeMod(modsDir, id, source) {
+  const dir = path.join(modsDir, id);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "mod.json"), JSON.stringify({ id, name: id, version: "1.0.0", main: "index.js" }));
+  fs.writeFileSync(path.join(dir, "index.js"), source);
+}
+
+async function createLoader(mods, config) {
+  const modsDir = fs.mkdtempSync(path.join(os.tmpdir(), "ravelink-mods-"));
+  for (const [id, source] of Object.entries(mods)) writeMod(modsDir, id, source);
+  fs.writeFileSync(
+    path.join(modsDir, "mods.config.json"),
+    JSON.stringify({ enabled: Object.keys(mods), disabled: [], ...config })
+  );
+  const loader = createModLoader({ rootDir: modsDir, modsDir, log: silentLog, transformDebugSampleMs: 0 });
+  await loader.load();
+  return { loader, modsDir };
+}
+
+test("transformIntent runs mods in config order with modify, split and drop", async () => {
+  const { loader, modsDir } = await createLoader({
+    "cap-mod": `module.exports = { transformIntent(intent) {
+      if (intent.type === "DROP_ME") return null;
+      intent.brightness = Math.min(intent.brightness, 0.5);
+    } };`,
+    "split-mod": `module.exports = { transformIntent(intent) {
+      if (intent.type !== "WIZ_PULSE") return;
+      return [intent, { ...intent, zone: "backup" }];
+    } };`
+  }, { order: ["cap-mod", "split-mod"] });
+
+  try {
+    const input = { type: "WIZ_PULSE", brightness: 0.9, zone: "main" };
+    const out = loader.transformIntent(input);
+    assert.deepEqual(out, [
+      { type: "WIZ_PULSE", brightness: 0.5, zone: "main" },
+      { type: "WIZ_PULSE", brightness: 0.5, zone: "backup" }
+    ]);
+    assert.equal(input.brightness, 0.9);
+    assert.deepEqual(loader.transformIntent({ type: "DROP_ME" }), []);
+
+    const diff = loader.getDebugDiagnostics({ limit: 0 }).events
+      .find(event => event.kind === "mods.transform.diff" && event.detail.modId === "cap-mod");
+    assert.deepEqual(diff.detail.changes, [{ path: "brightness", before: 0.9, after: 0.5 }]);
+  } finally {
+    fs.rmSync(modsDir, { recursive: true, force: true });
+  }
+});
+
+test("transformIntent passes intents through on errors, async hooks and budget overruns", async () => {
+  const { loader, modsDir } = await createLoader({
+    "bad-mod": `module.exports = { transformIntent(intent) {
+      if (intent.mode === "throw") throw new Error("boom");
+      if (intent.mode === "async") return Promise.resolve(null);
+      if (intent.mode === "slow") { const end = Date.now() + 15; while (Date.now() < end) {} return null; }
+      return 42;
+    } };`
+  }, { order: ["bad-mod"], transformBudgetMs: 2 });
+
+  try {
+    for (const mode of ["throw", "async", "invalid"]) {
+      assert.deepEqual(loader.transformIntent({ type: "HUE_STATE", mode }), [{ type: "HUE_STATE", mode }]);
+    }
+    for (let i = 0; i < 3; i += 1) {
+      assert.deepEqual(loader.transformIntent({ type: "HUE_STATE", mode: "slow" }), [{ type: "HUE_STATE", mode: "slow" }]);
+    }
+    assert.equal(loader.list().mods.find(mod => mod.id === "bad-mod").transformSuspended, true);
+    const kinds = loader.getDebugDiagnostics({ limit: 0 }).events.map(event => event.kind);
+    assert.ok(kinds.includes("mods.transform.error"));
+    assert.ok(kinds.includes("mods.transform.suspended"));
+
+    const invoked = await loader.invokeHook("transformIntent", {});
+    assert.equal(invoked.ok, false);
+  } finally {
+    fs.rmSync(modsDir, { recursive: true, force: true });
+  }
+});
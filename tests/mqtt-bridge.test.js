@@ -0,0 +1,307 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  MQTT_PACKET_TYPES,
+  encodeConnect,
+  encodePublish,
+  encodeSubscribe,
+  encodePingresp,
+  createMqttPacketParser
+} = require("../core/mqtt/mqtt-codec");
+const { normalizeMqttConfig, createMqttBridge } = require("../core/mqtt/mqtt-bridge");
+
+// Broker-side packets the bridge never has to handle itself.
+function readString(buffer, offset) {
+  const end = offset + 2 + buffer.readUInt16BE(offset);
+  return { value: buffer.subarray(offset + 2, end), next: end };
+}
+
+function decodeConnect(body) {
+  let cursor = readString(body, 0);
+  let offset = cursor.next;
+  const flags = body.readUInt8(offset + 1);
+  const keepAliveSec = body.readUInt16BE(offset + 2);
+  cursor = readString(body, offset + 4);
+  const out = { keepAliveSec, clientId: cursor.value.toString("utf8") };
+  offset = cursor.next;
+  if (flags & 0x04) {
+    const topic = readString(body, offset);
+    const payload = readString(body, topic.next);
+    out.will = { topic: topic.value.toString("utf8"), payload: payload.value, retain: Boolean(flags & 0x20) };
+    offset = payload.next;
+  }
+  if (flags & 0x80) {
+    cursor = readString(body, offset);
+    out.username = cursor.value.toString("utf8");
+    offset = cursor.next;
+  }
+  if (flags & 0x40) out.password = readString(body, offset).value.toString("utf8");
+  return out;
+}
+
+function decodeSubscribe(body) {
+  const subscriptions = [];
+  let offset = 2;
+  while (offset < body.length) {
+    const topic = readString(body, offset);
+    subscriptions.push({ topic: topic.value.toString("utf8"), qos: body.readUInt8(topic.next) & 0x03 });
+    offset = topic.next + 1;
+  }
+  return { packetId: body.readUInt16BE(0), subscriptions };
+}
+
+function encodeConnack(returnCode = 0) {
+  return Buffer.from([MQTT_PACKET_TYPES.CONNACK << 4, 2, 0, returnCode]);
+}
+
+function encodeSuback(packetId, grantedQos = []) {
+  return Buffer.from([MQTT_PACKET_TYPES.SUBACK << 4, 2 + grantedQos.length, packetId >> 8, packetId & 0xff, ...grantedQos]);
+}
+
+// `+` matches one level, `#` the rest; `$`-topics only match explicit filters.
+function mqttTopicMatches(filter, topic) {
+  const filterLevels = String(filter).split("/");
+  const topicLevels = String(topic).split("/");
+  if (topicLevels[0].startsWith("$") && (filterLevels[0] === "+" || filterLevels[0] === "#")) return false;
+  for (let i = 0; i < filterLevels.length; i += 1) {
+    if (filterLevels[i] === "#") return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== "+" && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+// Minimal in-process broker: retained store, subscriptions, will on unclean drop.
+function startBroker() {
+  const retained = new Map();
+  const clients = new Set();
+  const connects = [];
+
+  function route(topic, payload, retain) {
+    if (retain) {
+      if (payload.length) retained.set(topic, payload);
+      else retained.delete(topic);
+    }
+    for (const client of clients) {
+      if (client.filters.some(filter => mqttTopicMatches(filter, topic))) {
+        client.socket.write(encodePublish({ topic, payload }));
+      }
+    }
+  }
+
+  const server = net.createServer(socket => {
+    const parser = createMqttPacketParser();
+    const client = { socket, filters: [], will: null, clean: false };
+    clients.add(client);
+    socket.on("data", chunk => {
+      for (const raw of parser.push(chunk)) {
+        let packet = raw;
+        if (packet.type === MQTT_PACKET_TYPES.CONNECT) {
+          packet = decodeConnect(raw.body);
+          connects.push(packet);
+          client.will = packet.will || null;
+          socket.write(encodeConnack(0));
+        } else if (packet.type === MQTT_PACKET_TYPES.PUBLISH) {
+          route(packet.topic, packet.payload, packet.retain);
+        } else if (packet.type === MQTT_PACKET_TYPES.SUBSCRIBE) {
+          packet = decodeSubscribe(raw.body);
+          client.filters.push(...packet.subscriptions.map(item => item.topic));
+          socket.write(encodeSuback(packet.packetId, packet.subscriptions.map(item => item.qos)));
+          for (const [topic, payload] of retained) {
+            if (packet.subscriptions.some(item => mqttTopicMatches(item.topic, topic))) {
+              socket.write(encodePublish({ topic, payload, retain: true }));
+            }
+          }
+        } else if (packet.type === MQTT_PACKET_TYPES.PINGREQ) {
+          socket.write(encodePingresp());
+        } else if (packet.type === MQTT_PACKET_TYPES.DISCONNECT) {
+          client.clean = true;
+          socket.end();
+        }
+      }
+    });
+    socket.on("error", () => {});
+    socket.on("close", () => {
+      clients.delete(client);
+      if (!client.clean && client.will) route(client.will.topic, client.will.payload, client.will.retain);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        port: server.address().port,
+        retained,
+        connects,
+        publish: (topic, payload, retain = false) => route(topic, Buffer.from(payload), retain),
+        close: () => {
+          for (const client of clients) client.socket.destroy();
+          server.close();
+        }
+      });
+    });
+  });
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (check()) return true;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return false;
+}
+
+test("mqtt codec round-trips packets across chunk splits and matches topic filters", () => {
+  const parser = createMqttPacketParser();
+  const stream = Buffer.concat([
+    encodeConnect({
+      clientId: "rl",
+      username: "user",
+      password: "pass",
+      keepAliveSec: 15,
+      will: { topic: "ravelink/status", payload: "offline", qos: 1, retain: true }
+    }),
+    encodePublish({ topic: "ravelink/bpm/state", payload: "x".repeat(300), retain: true }),
+    encodeSubscribe(7, [{ topic: "ravelink/+/set", qos: 1 }])
+  ]);
+  const packets = [];
+  for (let offset = 0; offset < stream.length; offset += 5) {
+    packets.push(...parser.push(stream.subarray(offset, offset + 5)));
+  }
+  assert.deepEqual(packets.map(packet => packet.type), [
+    MQTT_PACKET_TYPES.CONNECT,
+    MQTT_PACKET_TYPES.PUBLISH,
+    MQTT_PACKET_TYPES.SUBSCRIBE
+  ]);
+  const connect = decodeConnect(packets[0].body);
+  assert.equal(connect.clientId, "rl");
+  assert.equal(connect.keepAliveSec, 15);
+  assert.equal(connect.username, "user");
+  assert.equal(connect.password, "pass");
+  assert.equal(connect.will.topic, "ravelink/status");
+  assert.equal(connect.will.retain, true);
+  assert.equal(packets[1].retain, true);
+  assert.equal(packets[1].payload.length, 300);
+  assert.deepEqual(decodeSubscribe(packets[2].body).subscriptions, [{ topic: "ravelink/+/set", qos: 1 }]);
+
+  const config = normalizeMqttConfig({ port: 70000, baseTopic: "bad/#", clientId: "ok-id" });
+  assert.equal(config.port, 65535);
+  assert.equal(config.baseTopic, "ravelink");
+  assert.equal(config.clientId, "ok-id");
+  assert.equal(config.enabled, false);
+  // Command topics are an explicit opt-in.
+  assert.equal(config.commands, false);
+  assert.equal(normalizeMqttConfig({ commands: "yes" }).commands, false);
+  assert.equal(normalizeMqttConfig({ commands: true }).commands, true);
+});
+
+test("mqtt bridge publishes retained state and discovery and maps command topics", async t => {
+  const broker = await startBroker();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ravelink-mqtt-"));
+  const configPath = path.join(dir, "mqtt.config.json");
+  const snapshot = {
+    rave: false,
+    scene: "pulse_drive",
+    scenes: ["pulse_drive", "flow_wash"],
+    bpm: 127.6,
+    palette: "red,blue",
+    overclock: 2,
+    fixtures: [{ id: "wiz-1", brand: "wiz", status: "reachable", reachable: true, detail: "ok" }]
+  };
+  const calls = [];
+  const bridge = createMqttBridge({
+    configPath,
+    getSnapshot: () => snapshot,
+    stateTickMs: 50,
+    log: {},
+    commands: {
+      raveOn: async () => {
+        calls.push(["raveOn"]);
+        snapshot.rave = true;
+        return { ok: true };
+      },
+      raveOff: () => ({ ok: true }),
+      setScene: name => {
+        calls.push(["setScene", name]);
+        return { ok: true };
+      },
+      setPalette: patch => {
+        calls.push(["setPalette", patch]);
+        return { ok: true };
+      },
+      color: text => {
+        calls.push(["color", text]);
+        return { ok: false, error: "unknown color" };
+      }
+    }
+  });
+  t.after(() => {
+    bridge.dispose();
+    broker.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  assert.equal(bridge.getStatus().active, false);
+  // A stale retained command is replayed on subscribe and must be ignored.
+  broker.publish("ravelink/rave/set", "ON", true);
+  assert.equal(bridge.applyConfig({ port: 0 }).ok, false);
+  const status = bridge.applyConfig({
+    enabled: true,
+    host: "127.0.0.1",
+    port: broker.port,
+    username: "ha",
+    password: "secret",
+    commands: true
+  });
+  assert.equal(status.config.passwordSet, true);
+  assert.equal(status.config.password, undefined);
+  assert.equal(JSON.parse(fs.readFileSync(configPath, "utf8")).password, "secret");
+
+  const text = topic => broker.retained.get(topic)?.toString("utf8");
+  assert.equal(await waitFor(() => text("ravelink/bpm/state") === "128"), true);
+  assert.equal(broker.connects[0].password, "secret");
+  assert.equal(broker.connects[0].will.topic, "ravelink/status");
+  assert.equal(text("ravelink/status"), "online");
+  assert.equal(text("ravelink/rave/state"), "OFF");
+  assert.equal(text("ravelink/scene/state"), "pulse_drive");
+  assert.equal(text("ravelink/palette/state"), "red,blue");
+  assert.equal(text("ravelink/overclock/state"), "2");
+  assert.equal(JSON.parse(text("ravelink/fixture/wiz-1/state")).reachable, true);
+
+  const raveConfig = JSON.parse(text("homeassistant/switch/ravelink/rave/config"));
+  assert.equal(raveConfig.command_topic, "ravelink/rave/set");
+  assert.equal(raveConfig.availability_topic, "ravelink/status");
+  assert.equal(raveConfig.device.name, "RaveLink Bridge");
+  const sceneConfig = JSON.parse(text("homeassistant/select/ravelink/scene/config"));
+  assert.deepEqual(sceneConfig.options, ["auto", "pulse_drive", "flow_wash"]);
+  const fixtureConfig = JSON.parse(text("homeassistant/binary_sensor/ravelink/fixture_wiz-1/config"));
+  assert.equal(fixtureConfig.device_class, "connectivity");
+
+  broker.publish("ravelink/rave/set", "ON");
+  broker.publish("ravelink/scene/set", "auto");
+  broker.publish("ravelink/palette/set", "green+purple");
+  broker.publish("ravelink/color/set", "nope");
+  assert.equal(await waitFor(() => bridge.getStatus().commands === 4), true);
+  assert.deepEqual(calls, [
+    ["raveOn"],
+    ["setScene", null],
+    ["setPalette", { families: ["green", "purple"] }],
+    ["color", "nope"]
+  ]);
+  assert.equal(bridge.getStatus().commandErrors, 1);
+  assert.equal(bridge.getStatus().lastCommand.error, "unknown color");
+  assert.equal(await waitFor(() => text("ravelink/rave/state") === "ON"), true);
+
+  // Removed fixtures drop their discovery config.
+  snapshot.fixtures = [];
+  assert.equal(await waitFor(() => !broker.retained.has("homeassistant/binary_sensor/ravelink/fixture_wiz-1/config")), true);
+
+  bridge.dispose();
+  assert.equal(await waitFor(() => text("ravelink/status") === "offline"), true);
+});
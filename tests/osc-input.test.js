@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("node:dgram");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  decodeOscPacket,
+  encodeOscMessage,
+  encodeOscBundle,
+  oscArgNumber
+} = require("../core/osc/osc-codec");
+const { createOscLearn } = require("../core/osc/osc-learn");
+const createOscManager = require("../core/osc/osc-manager");
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createFakeEngine() {
+  const calls = [];
+  return {
+    calls,
+    getTelemetry: () => ({ overclockLevel: 0 }),
+    setIntent: intent => calls.push(["intent", intent]),
+    setScene: scene => {
+      calls.push(["scene", scene]);
+      return true;
+    },
+    setOverclock: level => calls.push(["overclock", level]),
+    forceDrop: () => calls.push(["forceDrop"]),
+    setPaletteConfig: patch => {
+      calls.push(["palette", patch]);
+      return patch;
+    }
+  };
+}
+
+async function waitFor(check, timeoutMs = 1500) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (check()) return true;
+    await sleep(15);
+  }
+  return false;
+}
+
+test("osc codec round-trips typed messages and flattens bundles", () => {
+  const packet = encodeOscMessage("/ravelink/energy", [0.5, 3, "flow", true]);
+  const [message] = decodeOscPacket(packet);
+  assert.equal(message.address, "/ravelink/energy");
+  assert.deepEqual(message.args.map(arg => arg.type), ["f", "i", "s", "T"]);
+  assert.equal(message.args[0].value, 0.5);
+  assert.equal(message.args[2].value, "flow");
+
+  const bundle = encodeOscBundle([
+    encodeOscMessage("/a", [1]),
+    encodeOscBundle([encodeOscMessage("/b", [])])
+  ]);
+  assert.deepEqual(decodeOscPacket(bundle).map(entry => entry.address), ["/a", "/b"]);
+  assert.throws(() => decodeOscPacket(Buffer.from("nope\0\0\0\0")), /invalid OSC address/);
+  assert.equal(oscArgNumber(undefined), 1);
+  assert.equal(oscArgNumber({ type: "F", value: false }), 0);
+});
+
+test("osc manager maps built-in addresses, bindings and learn mode onto the engine", async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ravelink-osc-"));
+  const mapPath = path.join(dir, "osc-map.json");
+  const port = 41000 + Math.floor(Math.random() * 2000);
+  fs.writeFileSync(mapPath, JSON.stringify({ enabled: true, host: "127.0.0.1", port }));
+  const engine = createFakeEngine();
+  const manager = createOscManager(engine, {
+    learn: createOscLearn({ mapPath, log: {} }),
+    log: {}
+  });
+  const sender = dgram.createSocket("udp4");
+  t.after(() => {
+    manager.dispose();
+    sender.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  assert.equal(await waitFor(() => manager.getStatus().listening), true);
+
+  const send = (address, args) => new Promise(resolve => {
+    sender.send(encodeOscMessage(address, args), port, "127.0.0.1", () => resolve());
+  });
+  const settle = count => waitFor(() => manager.getStatus().messages >= count);
+
+  await send("/ravelink/beat", []);
+  await send("/ravelink/energy", [0.75]);
+  await send("/ravelink/scene", ["auto"]);
+  await send("/ravelink/palette", ["duo_cool"]);
+  await send("/ravelink/action/overclock_on", [1]);
+  assert.equal(await settle(5), true);
+  assert.deepEqual(engine.calls[0], ["intent", { type: "OSC_BEAT" }]);
+  assert.deepEqual(engine.calls[1], ["intent", { type: "OSC_ENERGY", value: 0.75 }]);
+  assert.deepEqual(engine.calls[2], ["scene", null]);
+  assert.equal(engine.calls[3][0], "palette");
+  assert.deepEqual(engine.calls[4], ["overclock", 2]);
+
+  assert.equal(manager.startLearn("drop").ok, true);
+  await send("/composition/layers/1/clips/4/connect", [0]);
+  await send("/composition/layers/1/clips/4/connect", [1]);
+  assert.equal(await settle(7), true);
+  assert.deepEqual(manager.getStatus().config.bindings.drop, {
+    address: "/composition/layers/1/clips/4/connect",
+    minValue: 0.5
+  });
+  assert.equal(JSON.parse(fs.readFileSync(mapPath, "utf8")).bindings.drop.address, "/composition/layers/1/clips/4/connect");
+
+  engine.calls.length = 0;
+  await send("/composition/layers/1/clips/4/connect", [1]);
+  await send("/composition/layers/1/clips/4/connect", [1]);
+  await send("/composition/layers/1/clips/4/connect", [0]);
+  await send("/composition/layers/1/clips/4/connect", [1]);
+  assert.equal(await settle(11), true);
+  assert.deepEqual(engine.calls, [["forceDrop"], ["forceDrop"]]);
+});
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("node:dgram");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { decodeOscPacket } = require("../core/osc/osc-codec");
+const { normalizeOscOutputConfig, createOscOutput } = require("../core/osc/osc-output");
+
+function startReceiver() {
+  const socket = dgram.createSocket("udp4");
+  const packets = [];
+  socket.on("message", msg => packets.push(decodeOscPacket(msg)));
+  return new Promise(resolve => {
+    socket.bind(0, "127.0.0.1", () => resolve({ socket, port: socket.address().port, packets }));
+  });
+}
+
+async function waitFor(check, timeoutMs = 1500) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (check()) return true;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return false;
+}
+
+test("osc output config normalizes targets and per-group rates", () => {
+  const config = normalizeOscOutputConfig({
+    enabled: true,
+    targets: [
+      "127.0.0.1:7000",
+      { host: "192.168.1.40", port: 9001 },
+      "127.0.0.1:7000",
+      "bad",
+      "host:1",
+      "8.8.8.8:7000",
+      { host: "203.0.113.9", port: 9000 }
+    ],
+    rates: { bands: 5, scene: "nope", palette: -5 }
+  });
+  assert.deepEqual(config.targets, [
+    { host: "127.0.0.1", port: 7000 },
+    { host: "192.168.1.40", port: 9001 }
+  ]);
+  assert.equal(config.rates.bands, 5);
+  assert.equal(config.rates.scene, 1000);
+  assert.equal(config.rates.palette, -1);
+});
+
+test("osc output sends telemetry bundles and beat pulses to configured targets", async t => {
+  const receiver = await startReceiver();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ravelink-osc-out-"));
+  const configPath = path.join(dir, "osc.output.config.json");
+  const telemetry = {
+    bpm: 128,
+    energy: 0.6,
+    audioBandLow: 0.9,
+    audioBandMid: 0.4,
+    audioBandHigh: 0.1,
+    scene: "pulse_drive",
+    hueColorOut: { r: 255, g: 0, b: 0 },
+    paletteColors: [{ r: 0, g: 255, b: 0 }]
+  };
+  // The palette comes from the resolved engine palette, not telemetry.
+  const output = createOscOutput({
+    configPath,
+    getTelemetry: () => telemetry,
+    getPaletteColors: () => [{ r: 255, g: 0, b: 0 }, { r: 0, g: 0, b: 255 }],
+    log: {}
+  });
+  t.after(() => {
+    output.dispose();
+    receiver.socket.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  assert.equal(output.sendPulse({ beat: true }), 0);
+  output.applyConfig({
+    enabled: true,
+    targets: [`127.0.0.1:${receiver.port}`],
+    rates: { color: -1, bands: 60000, bpm: 60000, energy: 60000 }
+  });
+  assert.equal(JSON.parse(fs.readFileSync(configPath, "utf8")).rates.color, -1);
+
+  output.flush();
+  assert.equal(await waitFor(() => receiver.packets.length >= 1), true);
+  const first = receiver.packets.find(messages => messages.some(m => m.address === "/ravelink/out/bpm"));
+  assert.ok(first);
+  const byAddress = Object.fromEntries(first.map(m => [m.address, m.args.map(arg => arg.value)]));
+  assert.deepEqual(byAddress["/ravelink/out/bpm"], [128]);
+  assert.deepEqual(byAddress["/ravelink/out/scene"], ["pulse_drive"]);
+  assert.deepEqual(byAddress["/ravelink/out/palette/count"], [2]);
+  assert.deepEqual(byAddress["/ravelink/out/palette/2"], [0, 0, 1]);
+  assert.equal(Math.abs(byAddress["/ravelink/out/band/low"][0] - 0.9) < 1e-6, true);
+  assert.equal(byAddress["/ravelink/out/color"], undefined);
+
+  const before = receiver.packets.length;
+  output.sendPulse({ beat: true, drop: true, at: Date.now() });
+  assert.equal(await waitFor(() => receiver.packets.length > before), true);
+  const pulse = receiver.packets[receiver.packets.length - 1];
+  assert.deepEqual(pulse.map(m => [m.address, m.args[0].value]), [
+    ["/ravelink/out/beat", 1],
+    ["/ravelink/out/drop", 1]
+  ]);
+  assert.equal(output.getStatus().beatCount, 1);
+});
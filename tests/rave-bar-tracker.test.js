@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBarTracker, normalizePhraseBars } = require("../core/rave-engine/bar-tracker");
+const createRaveEngine = require("../core/rave-engine");
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test("bar tracker infers the downbeat from accents and starts phrases on count, structure and drops", () => {
+  assert.equal(normalizePhraseBars(12), 16);
+  assert.equal(normalizePhraseBars("32"), 32);
+
+  const tracker = createBarTracker({ phraseBars: 8 });
+  let at = 0;
+  let count = 0;
+  // Accent on every fourth beat, offset by one from the tracker's initial guess.
+  const beat = (signal = {}) => {
+    const accent = count++ % 4 === 1 ? { low: 0.9, energy: 0.5 } : {};
+    return tracker.beat((at += 500), { energy: 0.3, flux: 0.2, low: 0.2, ...accent, ...signal });
+  };
+
+  const hits = [];
+  for (let i = 0; i < 32; i++) hits.push(beat());
+  assert.equal(tracker.getSnapshot().source, "audio");
+  assert.ok(hits.slice(16).every((hit, i) => hit.downbeat === ((16 + i) % 4 === 1)));
+
+  // Steady bars: the phrase wraps after phraseBars bars.
+  const phraseIndex = tracker.getSnapshot().phraseIndex;
+  let hit = null;
+  for (let i = 0; i < 40 && !hit?.phraseStart; i++) hit = beat();
+  let snapshot = tracker.getSnapshot();
+  assert.equal(snapshot.phraseIndex, phraseIndex + 1);
+  assert.equal(snapshot.phraseReason, "count");
+  assert.equal(snapshot.barInPhrase, 1);
+
+  // Five steady bars, then a loud bar: the phrase resyncs early.
+  for (let i = 0; i < 19; i++) beat();
+  const loud = { energy: 0.95, flux: 0.7, low: 0.9 };
+  for (let i = 0; i < 4; i++) beat(loud);
+  hit = beat(loud);
+  assert.deepEqual(hit, { downbeat: true, phraseStart: true });
+  snapshot = tracker.getSnapshot();
+  assert.equal(snapshot.phraseReason, "structure");
+  assert.equal(snapshot.phraseIndex, phraseIndex + 2);
+
+  // A drop lands on the one, wherever the grid was.
+  beat(loud);
+  tracker.markDrop();
+  hit = beat(loud);
+  assert.deepEqual(hit, { downbeat: true, phraseStart: true });
+  assert.equal(tracker.getSnapshot().phraseReason, "drop");
+});
+
+test("engine aligns bars and phrases to a running clock and reports them on pulses", async () => {
+  const pulses = [];
+  const engine = createRaveEngine({ emit() {}, onPulse: pulse => pulses.push(pulse) });
+  engine.start();
+  try {
+    const step = async beatIndex => {
+      engine.setExternalTempo({ source: "midi_clock", bpm: 128, running: true, beatIndex });
+      await sleep(50);
+      return pulses.filter(pulse => pulse.beat).pop();
+    };
+
+    let pulse = await step(0);
+    assert.equal(pulse.downbeat, true);
+    assert.equal(pulse.phraseStart, true);
+    assert.equal(pulse.barInPhrase, 1);
+
+    pulse = await step(1);
+    assert.equal(pulse.downbeat, false);
+    assert.equal(pulse.beatInBar, 2);
+
+    pulse = await step(4);
+    assert.equal(pulse.downbeat, true);
+    assert.equal(pulse.phraseStart, false);
+    assert.equal(pulse.barIndex, 1);
+    assert.equal(pulse.barInPhrase, 2);
+
+    assert.equal(engine.setPhraseBars(8), 8);
+    pulse = await step(32);
+    assert.equal(pulse.phraseStart, true);
+    assert.equal(pulse.phraseIndex, 1);
+    assert.equal(pulse.phraseReason, "clock");
+
+    const telemetry = engine.getTelemetry();
+    assert.equal(telemetry.barSource, "clock");
+    assert.equal(telemetry.barIndex, 8);
+    assert.equal(telemetry.phraseBars, 8);
+  } finally {
+    engine.stop();
+  }
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizeSceneDefinition,
+  normalizeSceneList,
+  buildSceneRenderDef,
+  pickAutoScene
+} = require("../core/rave-engine/scene-spec");
+const createRaveEngine = require("../core/rave-engine");
+
+test("scene definitions validate, normalise and pick auto flow scenes", () => {
+  const scene = normalizeSceneDefinition({
+    id: "Flow_Club",
+    behavior: "flow",
+    palette: ["#ff0000", { r: 300, g: -4, b: 12.4 }],
+    brightness: { base: 130, max: 999 },
+    motion: { transition: 3 },
+    auto: { priority: 2, when: { drive: { min: 0.4 } } }
+  });
+  assert.equal(scene.id, "flow_club");
+  assert.deepEqual(scene.palette, [{ r: 255, g: 0, b: 0 }, { r: 255, g: 0, b: 12 }]);
+  assert.deepEqual(scene.brightness, { base: 130, max: 254 });
+  assert.deepEqual(buildSceneRenderDef(scene, { briBase: 100, briMin: 90, transition: 6 }), {
+    briBase: 130,
+    briMin: 90,
+    briMax: 254,
+    transition: 3
+  });
+
+  assert.throws(() => normalizeSceneDefinition({ id: "x", behavior: "wobble", palette: ["#fff000"] }), /behavior/);
+  assert.throws(() => normalizeSceneDefinition({ id: "pulse", behavior: "pulse", palette: ["#fff000"] }), /reserved/);
+  assert.throws(() => normalizeSceneDefinition({ id: "x", behavior: "idle", palette: [] }), /palette/);
+
+  const { scenes, errors } = normalizeSceneList([
+    { id: "calm", behavior: "flow", palette: ["#0000ff"], auto: true, default: true },
+    { id: "hot", behavior: "flow", palette: ["#ff0000"], auto: { priority: 5, when: { drive: { min: 0.5 } } }, default: true },
+    { id: "broken", behavior: "flow" }
+  ]);
+  assert.equal(errors.length, 1);
+  assert.deepEqual(scenes.map(entry => entry.default), [false, true]);
+  assert.equal(pickAutoScene(scenes, { drive: 0.7 }), "hot");
+  assert.equal(pickAutoScene(scenes, { drive: 0.2 }), "calm");
+});
+
+test("engine locks, lists and falls back from user scenes", () => {
+  const engine = createRaveEngine({ emit() {} });
+  engine.setUserScenes([
+    { id: "night_idle", behavior: "idle", palette: ["#2040ff", "#8020ff"], default: true },
+    { id: "club", behavior: "flow", palette: ["#ff2040", "#20c0ff"], auto: true }
+  ]);
+
+  const catalog = engine.getSceneCatalog();
+  assert.equal(catalog.defaults.idle, "night_idle");
+  assert.equal(catalog.defaults.pulse, "pulse_strobe");
+  assert.ok(catalog.scenes.some(entry => entry.id === "club" && entry.behavior === "flow"));
+  assert.equal(engine.getSceneBehavior("club"), "flow");
+  assert.equal(engine.getTelemetry().userSceneCount, 2);
+
+  assert.equal(engine.setScene("club"), true);
+  assert.equal(engine.getTelemetry().scene, "club");
+  assert.equal(engine.setScene("idle"), true);
+  assert.equal(engine.getTelemetry().scene, "night_idle");
+
+  // Removed scenes can no longer be locked.
+  engine.setUserScenes([]);
+  assert.equal(engine.setScene("club"), false);
+  assert.equal(engine.getSceneCatalog().defaults.idle, "idle_soft");
+});
@@ -50,6 +50,12 @@ test("sanitize-release removes sensitive/local artifacts and rewrites fixture co
     assert.equal(firstFixture.bridgeId, "replace_with_bridge_id");
     assert.equal(firstFixture.entertainmentAreaId, "replace_with_entertainment_area");
 
+    const audioConfig = JSON.parse(
+      fs.readFileSync(path.join(tempRoot, "core", "audio.config.json"), "utf8")
+    );
+    assert.equal(audioConfig.pcmPipePath, "\\\\.\\pipe\\ravelink-audio");
+    assert.equal(audioConfig.pcmAllowPublicSources, false);
+
     assert.equal(fs.existsSync(path.join(tempRoot, "release")), false);
     assert.equal(fs.existsSync(path.join(tempRoot, "backups")), false);
     assert.equal(fs.existsSync(path.join(tempRoot, "core", "backups")), false);
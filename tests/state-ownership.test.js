@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const state = require("../core/state");
+
+test("ownership leases stack by priority per fixture and hand back on release", () => {
+  state.forceUnlock();
+  assert.equal(state.lock("rave"), true);
+  const leases = ["fx-1", "fx-2"].map(id => state.acquire("twitch", { scope: `fixture:${id}`, reason: "redeem" }));
+  assert.ok(leases.every(Boolean));
+
+  assert.equal(state.getOwner({ fixtureId: "fx-1" }).owner, "twitch");
+  assert.equal(state.canControl("rave", { fixtureId: "fx-1" }), false);
+  assert.equal(state.canControl("rave", { fixtureId: "fx-3" }), true);
+  assert.deepEqual(state.getOwnerStack({ fixtureId: "fx-2" }).map(lease => lease.owner), ["twitch", "rave"]);
+  assert.equal(state.isLockedBy("rave"), true);
+
+  // Zone leases cover every fixture in the zone; panic outranks everything.
+  state.acquire("ambient", { scope: "zone:Stage" });
+  assert.equal(state.getOwner({ fixtureId: "fx-9", zone: "stage" }).owner, "rave");
+  state.acquire("panic");
+  assert.equal(state.canControl("twitch", { fixtureId: "fx-1" }), false);
+  assert.equal(state.release("panic"), 1);
+
+  assert.equal(state.releaseLease(leases[0].id), true);
+  assert.equal(state.release("twitch"), 1);
+  assert.equal(state.canControl("rave", { fixtureId: "fx-1" }), true);
+  assert.equal(state.getStatus().owner, "rave");
+  assert.equal(state.acquire("twitch", { scope: "bogus" }), null);
+
+  state.forceUnlock();
+  assert.equal(state.isLocked(), false);
+});
+
+test("ownership leases expire on their own and report changes", async () => {
+  state.forceUnlock();
+  const events = [];
+  const unsubscribe = state.onChange(event => events.push(`${event.type}:${event.lease.owner}`));
+
+  state.acquire("manual", { scope: "fixture:fx-1", ttlMs: 20 });
+  assert.equal(state.getOwner({ fixtureId: "fx-1" }).owner, "manual");
+  await new Promise(resolve => setTimeout(resolve, 60));
+  unsubscribe();
+
+  assert.deepEqual(events, ["acquire:manual", "expire:manual"]);
+  assert.equal(state.getOwner({ fixtureId: "fx-1" }), null);
+  assert.equal(state.getOwnerPriority("midi"), state.OWNER_PRIORITY.manual);
+});
+
+test("ownership caps untrusted priorities below safety and lets lease-less senders yield", () => {
+  state.forceUnlock();
+  const limit = state.OWNER_PRIORITY.safety;
+  assert.equal(state.acquire("mod:strobe", { priority: 1000 }).priority, limit - 1);
+  assert.equal(state.acquire("script", { scope: "zone:stage", priority: 95 }).priority, limit - 1);
+  assert.equal(state.acquire("panic", { scope: "fixture:fx-1", maxPriority: state.EXTERNAL_PRIORITY_MAX }).priority, limit - 1);
+  assert.equal(state.acquire("safety", { scope: "fixture:fx-2", priority: 95 }).priority, 95);
+  assert.equal(state.getOwner({ fixtureId: "fx-2" }).owner, "safety");
+
+  // Standalone sends act as "manual": rave and mods yield, safety does not.
+  assert.equal(state.canPreempt("manual", { fixtureId: "fx-3" }), false);
+  state.release("mod:strobe");
+  state.lock("rave");
+  assert.equal(state.canPreempt("manual", { fixtureId: "fx-3" }), true);
+  assert.equal(state.canControl("manual", { fixtureId: "fx-3" }), false);
+  assert.equal(state.canPreempt("manual", { fixtureId: "fx-2" }), false);
+
+  // Panic sits on top of rave without removing it from the stack.
+  state.acquire("panic");
+  assert.equal(state.isLockedBy("rave"), true);
+  assert.equal(state.canControl("rave"), false);
+  state.forceUnlock();
+});
@@ -18,6 +18,7 @@ const {
   hsvToRgbUnit,
   hsvToRgb255
 } = require("../core/utils/hsv-rgb");
+const { normalizeMacAddress } = require("../core/utils/mac-address");
 
 test("private-ipv4 utils classify and normalize private IPv4 correctly", () => {
   assert.deepEqual(parseIpv4Parts("192.168.1.42"), [192, 168, 1, 42]);
@@ -28,6 +29,22 @@ test("private-ipv4 utils classify and normalize private IPv4 correctly", () => {
   assert.equal(normalizePrivateOrLoopbackIpv4("8.8.8.8"), "");
 });
 
+test("mac-address utils accept the standard notations and reject anything else", () => {
+  assert.equal(normalizeMacAddress("A8:BB:50:AA:BB:CC"), "a8bb50aabbcc");
+  assert.equal(normalizeMacAddress("a8-bb-50-aa-bb-cc"), "a8bb50aabbcc");
+  assert.equal(normalizeMacAddress("a8bb50aabbcc"), "a8bb50aabbcc");
+  assert.equal(normalizeMacAddress(" A8BB.50AA.BBCC "), "a8bb50aabbcc");
+  assert.equal(normalizeMacAddress("a8:bb:50"), "");
+  assert.equal(normalizeMacAddress(null), "");
+  // Mixed or misplaced separators and stray characters are not MACs.
+  assert.equal(normalizeMacAddress("a8:bb-50:aa-bb:cc"), "");
+  assert.equal(normalizeMacAddress("a8b:b50:aab:bcc"), "");
+  assert.equal(normalizeMacAddress("a8 bb 50 aa bb cc"), "");
+  assert.equal(normalizeMacAddress("mac=a8bb50aabbcc"), "");
+  assert.equal(normalizeMacAddress("a8:bb:50:aa:bb:cc:dd"), "");
+  assert.equal(normalizeMacAddress("g8bb50aabbcc"), "");
+});
+
 test("log-redaction utils redact sensitive content and object keys", () => {
   const redacted = redactSensitiveLogValue("token=abc1234567890123456789");
   assert.match(redacted, /token=\[redacted\]/i);
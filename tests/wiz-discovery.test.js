@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("node:dgram");
+
+const {
+  normalizeWizMac,
+  parseWizDiscoveryReply,
+  discoverWizBulbs
+} = require("../adapters/wiz-discovery");
+
+function startFakeWizBulb() {
+  const socket = dgram.createSocket("udp4");
+  const received = [];
+  socket.on("message", (msg, rinfo) => {
+    const request = JSON.parse(msg.toString("utf8"));
+    received.push(request.method);
+    let result = null;
+    if (request.method === "getSystemConfig") {
+      result = { mac: "a8bb50aabbcc", moduleName: "ESP01_SHRGB1C_31", fwVersion: "1.25.0" };
+    } else if (request.method === "getPilot") {
+      result = { mac: "a8bb50aabbcc", rssi: -58, state: true, dimming: 75, r: 255, g: 40, b: 0 };
+    }
+    if (!result) return;
+    socket.send(Buffer.from(JSON.stringify({ method: request.method, env: "pro", result })), rinfo.port, rinfo.address);
+  });
+  return new Promise(resolve => {
+    socket.bind(0, "127.0.0.1", () => resolve({ socket, port: socket.address().port, received }));
+  });
+}
+
+test("wiz discovery reply parsing normalizes MAC and pilot state", () => {
+  assert.equal(normalizeWizMac("A8:BB:50:AA:BB:CC"), "a8bb50aabbcc");
+  assert.equal(normalizeWizMac("nope"), "");
+  assert.equal(parseWizDiscoveryReply(Buffer.from("not json")), null);
+  assert.equal(parseWizDiscoveryReply(Buffer.from(JSON.stringify({ method: "setPilot", result: {} }))), null);
+
+  const pilot = parseWizDiscoveryReply(Buffer.from(JSON.stringify({
+    method: "getPilot",
+    result: { mac: "a8bb50aabbcc", state: false, dimming: 10, temp: 2700, sceneId: 0 }
+  })));
+  assert.equal(pilot.mac, "a8bb50aabbcc");
+  assert.deepEqual(pilot.state, { on: false, dimming: 10, temp: 2700, sceneId: 0 });
+});
+
+test("wiz discovery merges getSystemConfig and getPilot replies per bulb", async () => {
+  const bulb = await startFakeWizBulb();
+  try {
+    const result = await discoverWizBulbs({
+      broadcastAddress: "127.0.0.1",
+      port: bulb.port,
+      timeoutMs: 400,
+      log: { warn() {} }
+    });
+    assert.equal(result.bulbs.length, 1);
+    const [found] = result.bulbs;
+    assert.equal(found.ip, "127.0.0.1");
+    assert.equal(found.mac, "a8bb50aabbcc");
+    assert.equal(found.moduleName, "ESP01_SHRGB1C_31");
+    assert.equal(found.fwVersion, "1.25.0");
+    assert.equal(found.rssi, -58);
+    assert.deepEqual(found.state, { on: true, dimming: 75, r: 255, g: 40, b: 0 });
+    assert.equal(bulb.received.includes("getSystemConfig"), true);
+    assert.equal(bulb.received.includes("getPilot"), true);
+  } finally {
+    bulb.socket.close();
+  }
+});
+
+test("wiz discovery with no targets resolves empty without opening a socket", async () => {
+  const result = await discoverWizBulbs({ broadcast: false, targets: ["8.8.8.8"] });
+  assert.deepEqual(result.bulbs, []);
+  assert.equal(result.probes, 0);
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createWizMacRebinder } = require("../core/server/wiz-rebind");
+
+function createHarness(overrides = {}) {
+  const calls = { discover: 0, rebind: [], onRebind: [] };
+  let clock = 1000;
+  const fixtures = overrides.fixtures || [
+    { id: "wiz-a", brand: "wiz", ip: "192.168.1.20", mac: "a8bb50aabbcc" },
+    { id: "wiz-b", brand: "wiz", ip: "192.168.1.30", mac: "a8bb50ddeeff" }
+  ];
+  const rebinder = createWizMacRebinder({
+    discover: async () => {
+      calls.discover += 1;
+      if (overrides.discoverError) throw new Error(overrides.discoverError);
+      return { bulbs: overrides.bulbs || [] };
+    },
+    getFixtures: () => fixtures,
+    rebindFixtureIp: (id, ip) => {
+      calls.rebind.push([id, ip]);
+      if (overrides.rebindResult) return overrides.rebindResult;
+      const fixture = fixtures.find(entry => entry.id === id);
+      return { ok: true, changed: true, previousIp: fixture.ip, fixture: { ...fixture, ip } };
+    },
+    onRebind: (rebind, fixture) => calls.onRebind.push([rebind.id, fixture.ip]),
+    now: () => clock,
+    cooldownMs: 500,
+    log: {}
+  });
+  return { rebinder, calls, fixtures, advance: ms => { clock += ms; } };
+}
+
+test("wiz rebind moves a MAC-tracked fixture to its rediscovered IP", async () => {
+  const { rebinder, calls, fixtures } = createHarness({
+    bulbs: [{ ip: "192.168.1.44", mac: "a8bb50aabbcc" }]
+  });
+  const result = await rebinder.attempt(fixtures[0]);
+  assert.deepEqual(calls.rebind, [["wiz-a", "192.168.1.44"]]);
+  assert.deepEqual(calls.onRebind, [["wiz-a", "192.168.1.44"]]);
+  assert.equal(result.rebind.fromIp, "192.168.1.20");
+  assert.equal(result.rebind.toIp, "192.168.1.44");
+  assert.equal(result.fixture.ip, "192.168.1.44");
+  const telemetry = rebinder.getTelemetry();
+  assert.equal(telemetry.attempts, 1);
+  assert.equal(telemetry.rebinds, 1);
+  assert.equal(telemetry.last.mac, "a8bb50aabbcc");
+});
+
+test("wiz rebind skips untracked fixtures, cools down, and counts misses and conflicts", async () => {
+  const { rebinder, calls, fixtures, advance } = createHarness({
+    bulbs: [
+      { ip: "192.168.1.30", mac: "a8bb50aabbcc" },
+      { ip: "192.168.1.20", mac: "a8bb50ddeeff" }
+    ]
+  });
+  assert.equal(await rebinder.attempt({ id: "wiz-x", brand: "wiz", ip: "192.168.1.9" }), null);
+  assert.equal(calls.discover, 0);
+
+  // wiz-a's MAC answers from wiz-b's IP: refused.
+  assert.equal(await rebinder.attempt(fixtures[0]), null);
+  assert.equal(rebinder.getTelemetry().conflicts, 1);
+  // Inside the cooldown nothing is retried.
+  assert.equal(await rebinder.attempt(fixtures[0]), null);
+  assert.equal(calls.discover, 1);
+  // Pruned fixtures lose their cooldown.
+  rebinder.prune(new Set(["wiz-b"]));
+  assert.equal(await rebinder.attempt(fixtures[0]), null);
+  assert.equal(calls.discover, 2);
+  assert.equal(rebinder.getTelemetry().conflicts, 2);
+
+  advance(600);
+  const missing = { id: "wiz-c", brand: "wiz", ip: "192.168.1.50", mac: "a8bb50000000" };
+  assert.equal(await rebinder.attempt(missing), null);
+  assert.equal(rebinder.getTelemetry().misses, 1);
+  assert.equal(rebinder.getTelemetry().attempts, 3);
+  assert.deepEqual(calls.rebind, []);
+});
+
+test("wiz rebind counts discovery and registry failures as errors", async () => {
+  const failing = createHarness({ discoverError: "socket closed" });
+  assert.equal(await failing.rebinder.attempt(failing.fixtures[0]), null);
+  assert.equal(failing.rebinder.getTelemetry().errors, 1);
+
+  const refused = createHarness({
+    bulbs: [{ ip: "192.168.1.44", mac: "a8bb50aabbcc" }],
+    rebindResult: { ok: false, error: "fixture not found" }
+  });
+  assert.equal(await refused.rebinder.attempt(refused.fixtures[0]), null);
+  assert.equal(refused.rebinder.getTelemetry().errors, 1);
+  assert.deepEqual(refused.calls.onRebind, []);
+});
+
+test("wiz rebind shares one discovery sweep between fixtures failing together", async () => {
+  const { rebinder, calls, fixtures } = createHarness({
+    bulbs: [
+      { ip: "192.168.1.44", mac: "a8bb50aabbcc" },
+      { ip: "192.168.1.45", mac: "a8bb50ddeeff" }
+    ]
+  });
+  const results = await Promise.all(fixtures.map(fixture => rebinder.attempt(fixture)));
+  assert.equal(calls.discover, 1);
+  assert.deepEqual(results.map(result => result.rebind.toIp), ["192.168.1.44", "192.168.1.45"]);
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("node:dgram");
+const http = require("node:http");
+const axios = require("axios");
+
+const {
+  normalizeWledPatch,
+  buildWledLayout,
+  renderWledFrame,
+  buildWledRealtimePackets
+} = require("../core/wled/wled-protocol");
+const createWledScheduler = require("../core/wled-scheduler");
+const createWledAdapter = require("../adapters/wled-adapter");
+
+test("wled patches, segment layout, realtime packets and frame scheduler", () => {
+  const ok = normalizeWledPatch({ host: "192.168.1.40", protocol: "DNRGB" });
+  assert.equal(ok.error, "");
+  assert.equal(ok.patch.protocol, "drgb");
+  assert.equal(ok.patch.port, 21324);
+  assert.equal(ok.patch.ledCount, 0);
+  assert.match(normalizeWledPatch({ protocol: "e131" }).error, /ddp, drgb or warls/);
+  assert.match(normalizeWledPatch({ host: "8.8.8.8" }).error, /private/);
+  assert.match(normalizeWledPatch({ ledCount: 5000 }).error, /1-4096/);
+
+  // Explicit slices win over device segments; device segments beat the whole strip.
+  assert.deepEqual(buildWledLayout({ ledCount: 10, segmentCount: 3 }), [
+    { start: 0, stop: 3 }, { start: 3, stop: 6 }, { start: 6, stop: 10 }
+  ]);
+  const layout = buildWledLayout({ ledCount: 6, segments: [{ start: 3, stop: 6 }, { start: 0, stop: 3 }] });
+  assert.deepEqual(layout, [{ start: 0, stop: 3 }, { start: 3, stop: 6 }]);
+  const frame = renderWledFrame(6, layout, [{ r: 255, g: 0, b: 0 }, { r: 0, g: 0, b: 255 }]);
+  assert.deepEqual([...frame.subarray(0, 3)], [255, 0, 0]);
+  assert.deepEqual([...frame.subarray(15, 18)], [0, 0, 255]);
+
+  // 600 LEDs: two DDP packets (push on the last), two DNRGB chunks, WARLS capped at 255.
+  const long = renderWledFrame(600, buildWledLayout({ ledCount: 600 }), { r: 1, g: 2, b: 3 });
+  const ddp = buildWledRealtimePackets("ddp", long, { sequence: 1 });
+  assert.equal(ddp.length, 2);
+  assert.equal(ddp[0][0], 0x40);
+  assert.equal(ddp[1][0], 0x41);
+  assert.equal(ddp[1].readUInt32BE(4), 1440);
+  const dnrgb = buildWledRealtimePackets("drgb", long, { timeoutSec: 2 });
+  assert.equal(dnrgb.length, 2);
+  assert.deepEqual([...dnrgb[1].subarray(0, 4)], [4, 2, 489 >> 8, 489 & 0xff]);
+  assert.equal(buildWledRealtimePackets("warls", long)[0].length, 2 + (255 * 4));
+
+  const scheduler = createWledScheduler();
+  assert.equal(scheduler.shouldSend(frame), true);
+  assert.equal(scheduler.shouldSend(frame), false);
+  assert.equal(scheduler.getTelemetry().skippedRate, 1);
+});
+
+function listenOnce(socket) {
+  return new Promise(resolve => socket.once("message", resolve));
+}
+
+test("wled adapter streams DDP frames and talks to the JSON API", async () => {
+  const listener = dgram.createSocket("udp4");
+  await new Promise(resolve => listener.bind(0, "127.0.0.1", resolve));
+  const posted = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.url === "/json/info") {
+        res.end(JSON.stringify({ name: "Desk", ver: "0.14.4", mac: "AABBCCDDEEFF", leds: { count: 60, rgbw: false } }));
+      } else if (req.url === "/json/state" && req.method === "POST") {
+        posted.push(JSON.parse(body));
+        res.end(JSON.stringify({ success: true }));
+      } else {
+        res.end(JSON.stringify({ on: true, seg: [{ id: 0, start: 0, stop: 30 }, { id: 1, start: 30, stop: 60 }] }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const host = `127.0.0.1:${server.address().port}`;
+  const adapter = createWledAdapter({ host: "127.0.0.1", protocol: "ddp", port: listener.address().port, http: axios });
+
+  try {
+    const info = await createWledAdapter.fetchWledDeviceInfo(host, { http: axios });
+    assert.equal(info.ledCount, 60);
+    assert.equal(info.version, "0.14.4");
+    assert.deepEqual(info.segments.map(segment => segment.id), [0, 1]);
+
+    adapter.sendFrame(renderWledFrame(2, [{ start: 0, stop: 2 }], { r: 9, g: 8, b: 7 }));
+    const packet = await listenOnce(listener);
+    assert.equal(packet.readUInt16BE(8), 6);
+    assert.deepEqual([...packet.subarray(10)], [9, 8, 7, 9, 8, 7]);
+
+    const jsonAdapter = createWledAdapter({ host, http: axios });
+    await jsonAdapter.applyState({ on: true, bri: 128, seg: [{ id: 0, col: [[255, 0, 0]] }] });
+    jsonAdapter.close();
+    assert.deepEqual(posted, [{ on: true, bri: 128, seg: [{ id: 0, col: [[255, 0, 0]] }] }]);
+    assert.equal(jsonAdapter.getStats().statesSent, 1);
+    assert.equal(adapter.getStats().framesSent, 1);
+  } finally {
+    adapter.close();
+    listener.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});